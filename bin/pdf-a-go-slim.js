@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+/**
+ * CLI executable. See src/cli/index.js.
+ *
+ * Usage: npx pdf-a-go-slim --preset web -o out/ docs/*.pdf
+ */
+import { readFileSync } from 'node:fs';
+import { main } from '../src/cli/index.js';
+
+const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+
+main(process.argv.slice(2), { version: pkg.version })
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+  });
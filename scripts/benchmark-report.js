@@ -61,7 +61,18 @@ function passTable(passes) {
       continue;
     }
     const details = [];
+    if (p.merged != null) details.push(`${p.merged} pages merged`);
+    if (p.layersRemoved != null) details.push(`${p.layersRemoved.length} hidden layers removed`);
+    if (p.inlined != null) details.push(`${p.inlined} forms inlined`);
     if (p.recompressed != null) details.push(`${p.recompressed} recompressed`);
+    if (p.minified != null) details.push(`${p.minified} minified`);
+    if (p.operatorsRemoved != null) details.push(`${p.operatorsRemoved} operators removed`);
+    if (p.rounded != null) details.push(`${p.rounded} coordinates rounded`);
+    if (p.pruned != null) details.push(`${p.pruned} resources pruned`);
+    if (p.indexed != null) details.push(`${p.indexed} indexed`);
+    if (p.reduced != null && p.reduced > 0) details.push(`${p.reduced} reduced to 8-bit`);
+    if (p.predicted != null) details.push(`${p.predicted} predicted`);
+    if (p.grayscale != null && p.grayscale > 0) details.push(`${p.grayscale} to grayscale`);
     if (p.converted != null) details.push(`${p.converted} converted`);
     if (p.downsampled != null && p.downsampled > 0) details.push(`${p.downsampled} downsampled`);
     if (p.skipped != null && p.skipped > 0) details.push(`${p.skipped} skipped`);
@@ -70,6 +81,8 @@ function passTable(passes) {
     if (p.pdfuaSkipped) details.push('PDF/UA skipped');
     if (p.subsetted != null) details.push(`${p.subsetted} subsetted`);
     if (p.deduplicated != null) details.push(`${p.deduplicated} deduplicated`);
+    if (p.pagesSharingContent > 0) details.push(`${p.pagesSharingContent} pages share content`);
+    if (p.sharedPages != null) details.push(`${p.sharedPages} pages share resources`);
     if (p.stripped != null) details.push(`${p.stripped} stripped`);
     if (p.xmpPreserved) details.push('XMP preserved');
     if (p.removed != null) details.push(`${p.removed} removed`);
@@ -0,0 +1,284 @@
+/**
+ * Command-line argument parsing for the Node CLI.
+ *
+ * Maps flags onto the pipeline's options schema (lossy, imageQuality,
+ * maxImageDpi, vectorDpi, unembedStandardFonts, subsetFonts, removeHiddenLayers,
+ * reduceBitDepth, linearize, targetSize, password, removeEncryption, signedPdfs). A --preset seeds the
+ * options from PRESETS; individual flags then override preset values.
+ */
+import { parseArgs } from 'node:util';
+import { PRESETS } from '../ui/presets.js';
+
+/** Thrown for invalid or conflicting command-line arguments. */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+export const USAGE = `Usage: pdf-a-go-slim [options] <file|dir|glob>...
+       pdf-a-go-slim --watch -o <dir> [options] <dir>
+
+Optimize PDFs with the same engine as the browser app.
+
+Output (one required):
+  -o, --output <dir>        Write optimized files into <dir>
+      --in-place            Overwrite the input files
+
+Watch mode:
+      --watch               Keep running; re-optimize PDFs in <dir> when they
+                            are added or changed, mirroring them into --output
+      --debounce <ms>       Wait for writes to settle before optimizing (default: 500)
+
+Optimization:
+  -p, --preset <name>       ${Object.keys(PRESETS).join(' | ')} (default: lossless)
+      --lossy               Enable lossy image recompression
+      --lossless            Disable lossy optimizations
+      --quality <n>         JPEG quality, 1-100
+      --max-dpi <n>         Downsample images above this DPI
+      --vector-dpi <n>      Round path and text coordinates to what this DPI can
+                            show (lossy only)
+      --target-size <size>  Lower image quality, then DPI, until the file fits
+                            (e.g. 10MB, 500KB; turns on lossy images if needed)
+      --min-quality <n>     Lowest JPEG quality --target-size may use (default: 50)
+      --min-dpi <n>         Lowest DPI cap --target-size may use (default: 72)
+      --unembed-fonts       Unembed standard fonts (default)
+      --no-unembed-fonts    Keep embedded standard fonts
+      --subset-fonts        Subset embedded fonts
+      --no-subset-fonts     Do not subset fonts (default)
+      --remove-hidden-layers
+                            Drop optional content layers that are off by default,
+                            with everything only they draw
+      --reduce-bit-depth    Repack 16-bit images to 8 bits per component
+      --linearize           Write a linearized file (Fast Web View) for byte-serving
+      --transactional       Undo only the pass that breaks page content, instead of
+                            keeping the original file
+
+Encrypted PDFs:
+      --password <pw>       User or owner password (files with only an owner
+                            password open without one)
+      --remove-encryption   Save without encryption (default: keep the original
+                            passwords and permissions)
+
+Signed PDFs:
+      --signed-pdfs <mode>  refuse | incremental (default: refuse). incremental
+                            keeps the signed bytes and optimizes only what was
+                            added after the last signature
+
+Reporting:
+      --json                Print per-file stats as JSON lines
+      --debug               Collect per-pass debug information
+      --quiet               Only print errors
+  -h, --help                Show this help
+  -v, --version             Show the version
+
+Exit codes:
+  0  all files optimized
+  1  at least one file failed
+  2  invalid arguments
+  3  size guard: at least one file could not be made smaller
+  4  content guard: at least one file was returned unchanged to avoid broken pages
+`;
+
+const SIGNED_PDF_MODES = ['refuse', 'incremental'];
+
+const OPTION_SPEC = {
+  output: { type: 'string', short: 'o' },
+  'in-place': { type: 'boolean' },
+  watch: { type: 'boolean' },
+  debounce: { type: 'string' },
+  preset: { type: 'string', short: 'p' },
+  lossy: { type: 'boolean' },
+  lossless: { type: 'boolean' },
+  quality: { type: 'string' },
+  'max-dpi': { type: 'string' },
+  'vector-dpi': { type: 'string' },
+  'target-size': { type: 'string' },
+  'min-quality': { type: 'string' },
+  'min-dpi': { type: 'string' },
+  'unembed-fonts': { type: 'boolean' },
+  'no-unembed-fonts': { type: 'boolean' },
+  'subset-fonts': { type: 'boolean' },
+  'no-subset-fonts': { type: 'boolean' },
+  'remove-hidden-layers': { type: 'boolean' },
+  'reduce-bit-depth': { type: 'boolean' },
+  linearize: { type: 'boolean' },
+  transactional: { type: 'boolean' },
+  password: { type: 'string' },
+  'remove-encryption': { type: 'boolean' },
+  'signed-pdfs': { type: 'string' },
+  json: { type: 'boolean' },
+  debug: { type: 'boolean' },
+  quiet: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+};
+
+/**
+ * Parse a quality value: a whole percentage from 1 to 100, the UI's scale.
+ * Fractions are refused rather than guessed at: is "1" 1% or 100%?
+ * @param {string} raw
+ * @returns {number} Quality in the 0-1 range used by optimize()
+ */
+function parseQuality(raw, flag = '--quality') {
+  const n = Number(raw);
+  if (!/^\d+$/.test(raw.trim()) || n < 1 || n > 100) {
+    throw new UsageError(`${flag} must be a whole number from 1 to 100, got "${raw}"`);
+  }
+  return n / 100;
+}
+
+const SIZE_UNITS = { '': 1, B: 1, K: 1024, KB: 1024, M: 1024 ** 2, MB: 1024 ** 2, G: 1024 ** 3, GB: 1024 ** 3 };
+
+/**
+ * Parse a --target-size value: bytes, or a number with a KB/MB/GB suffix
+ * (binary units, matching how sizes are reported).
+ * @param {string} raw
+ * @returns {number} Size in bytes
+ */
+function parseSize(raw) {
+  const m = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(raw.trim());
+  const unit = m && SIZE_UNITS[m[2].toUpperCase()];
+  const bytes = unit ? Math.floor(Number(m[1]) * unit) : NaN;
+  if (!(bytes > 0)) throw new UsageError(`--target-size must be a size like 10MB or 500KB, got "${raw}"`);
+  return bytes;
+}
+
+/**
+ * Resolve a pair of --flag / --no-flag booleans.
+ * Returns undefined when neither was given so the preset value stands.
+ */
+function pickToggle(values, name) {
+  const on = values[name];
+  const off = values[`no-${name}`];
+  if (on && off) throw new UsageError(`--${name} and --no-${name} are mutually exclusive`);
+  if (on) return true;
+  if (off) return false;
+  return undefined;
+}
+
+/**
+ * Parse CLI arguments into pipeline options and run settings.
+ *
+ * @param {string[]} argv - Arguments after the executable (process.argv.slice(2))
+ * @returns {{
+ *   inputs: string[],
+ *   outputDir: string|null,
+ *   inPlace: boolean,
+ *   watch: boolean,
+ *   debounceMs: number,
+ *   options: object,
+ *   json: boolean,
+ *   quiet: boolean,
+ *   help: boolean,
+ *   version: boolean,
+ * }}
+ * @throws {UsageError}
+ */
+export function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTION_SPEC, allowPositionals: true, strict: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+
+  const settings = {
+    inputs: positionals,
+    outputDir: values.output ?? null,
+    inPlace: !!values['in-place'],
+    watch: !!values.watch,
+    debounceMs: 500,
+    options: {},
+    json: !!values.json,
+    quiet: !!values.quiet,
+    help: !!values.help,
+    version: !!values.version,
+  };
+  if (settings.help || settings.version) return settings;
+
+  if (positionals.length === 0) throw new UsageError('No input files given');
+  if (settings.outputDir && settings.inPlace) {
+    throw new UsageError('--output and --in-place are mutually exclusive');
+  }
+  if (!settings.outputDir && !settings.inPlace) {
+    throw new UsageError('Specify an output directory with --output, or use --in-place');
+  }
+  if (settings.watch) {
+    // In-place would re-trigger the watcher on every write it makes
+    if (settings.inPlace) throw new UsageError('--watch needs --output; it cannot be combined with --in-place');
+    if (positionals.length !== 1) throw new UsageError('--watch takes exactly one directory');
+  }
+  if (values.debounce != null) {
+    if (!settings.watch) throw new UsageError('--debounce only applies to --watch');
+    const ms = Number(values.debounce);
+    if (!Number.isInteger(ms) || ms < 0) {
+      throw new UsageError(`--debounce must be a non-negative integer, got "${values.debounce}"`);
+    }
+    settings.debounceMs = ms;
+  }
+
+  const presetName = values.preset ?? 'lossless';
+  const preset = PRESETS[presetName];
+  if (!preset) {
+    throw new UsageError(`Unknown preset "${presetName}" (expected one of: ${Object.keys(PRESETS).join(', ')})`);
+  }
+  const options = { ...preset };
+
+  if (values.lossy && values.lossless) throw new UsageError('--lossy and --lossless are mutually exclusive');
+  if (values.lossy) options.lossy = true;
+  if (values.lossless) {
+    options.lossy = false;
+    delete options.maxImageDpi;
+    delete options.vectorDpi;
+  }
+
+  if (values.quality != null) options.imageQuality = parseQuality(values.quality);
+
+  if (values['max-dpi'] != null) {
+    const dpi = parseInt(values['max-dpi'], 10);
+    if (!(dpi > 0)) throw new UsageError(`--max-dpi must be a positive integer, got "${values['max-dpi']}"`);
+    options.maxImageDpi = dpi;
+  }
+
+  if (values['vector-dpi'] != null) {
+    const dpi = parseInt(values['vector-dpi'], 10);
+    if (!(dpi > 0)) throw new UsageError(`--vector-dpi must be a positive integer, got "${values['vector-dpi']}"`);
+    options.vectorDpi = dpi;
+  }
+
+  if (values['target-size'] != null) options.targetSize = parseSize(values['target-size']);
+  if (values['min-quality'] != null || values['min-dpi'] != null) {
+    if (options.targetSize == null) throw new UsageError('--min-quality and --min-dpi only apply to --target-size');
+    if (values['min-quality'] != null) options.minImageQuality = parseQuality(values['min-quality'], '--min-quality');
+    if (values['min-dpi'] != null) {
+      const dpi = parseInt(values['min-dpi'], 10);
+      if (!(dpi > 0)) throw new UsageError(`--min-dpi must be a positive integer, got "${values['min-dpi']}"`);
+      options.minImageDpi = dpi;
+    }
+  }
+
+  const unembed = pickToggle(values, 'unembed-fonts');
+  if (unembed !== undefined) options.unembedStandardFonts = unembed;
+  const subset = pickToggle(values, 'subset-fonts');
+  if (subset !== undefined) options.subsetFonts = subset;
+
+  if (values['remove-hidden-layers']) options.removeHiddenLayers = true;
+  if (values['reduce-bit-depth']) options.reduceBitDepth = true;
+  if (values.linearize) options.linearize = true;
+  if (values.transactional) options.transactional = true;
+  if (values.password != null) options.password = values.password;
+  if (values['remove-encryption']) options.removeEncryption = true;
+  if (values['signed-pdfs'] != null) {
+    if (!SIGNED_PDF_MODES.includes(values['signed-pdfs'])) {
+      throw new UsageError(`--signed-pdfs must be one of: ${SIGNED_PDF_MODES.join(', ')}, got "${values['signed-pdfs']}"`);
+    }
+    options.signedPdfs = values['signed-pdfs'];
+  }
+  if (values.debug) options.debug = true;
+
+  settings.options = options;
+  return settings;
+}
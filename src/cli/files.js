@@ -0,0 +1,194 @@
+/**
+ * Input expansion and output path mapping for the Node CLI.
+ *
+ * Inputs can be files, directories (searched recursively for .pdf files)
+ * or glob patterns. Globs are matched in-process so quoted patterns work
+ * the same on every shell: `*` and `?` match within a path segment,
+ * `**` matches any number of segments, `{a,b}` matches alternatives.
+ */
+import { readdir, stat, mkdir, writeFile, rename } from 'node:fs/promises';
+import { join, relative, resolve, basename, dirname, sep } from 'node:path';
+
+const GLOB_CHARS = /[*?{[]/;
+
+/** Directories never worth descending into. */
+const SKIP_DIRS = new Set(['node_modules', '.git']);
+
+/**
+ * Convert a glob pattern (forward slashes) into an anchored RegExp.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let re = '';
+  let inGroup = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories; a trailing "**" matches anything
+        if (pattern[i + 2] === '/') {
+          re += '(?:.*/)?';
+          i += 2;
+        } else {
+          re += '.*';
+          i += 1;
+        }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '{') {
+      inGroup = true;
+      re += '(?:';
+    } else if (ch === '}' && inGroup) {
+      inGroup = false;
+      re += ')';
+    } else if (ch === ',' && inGroup) {
+      re += '|';
+    } else if (ch === '[') {
+      const close = pattern.indexOf(']', i + 1);
+      if (close === -1) {
+        re += '\\[';
+      } else {
+        re += `[${pattern.slice(i + 1, close).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else {
+      re += ch.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/** True if the path ends in .pdf (case-insensitive). */
+export function isPdfPath(path) {
+  return path.toLowerCase().endsWith('.pdf');
+}
+
+/**
+ * Recursively list files under a directory.
+ * @param {string} dir
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+export async function walkFiles(dir) {
+  const out = [];
+  const entries = await readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const full = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (SKIP_DIRS.has(entry.name)) continue;
+      out.push(...await walkFiles(full));
+    } else if (entry.isFile()) {
+      out.push(full);
+    }
+  }
+  return out;
+}
+
+/**
+ * Split a glob into its static directory prefix and the pattern remainder.
+ * "docs/2024/*.pdf" → { base: "docs/2024", rest: "*.pdf" }
+ */
+function splitGlob(pattern) {
+  const parts = pattern.split('/');
+  const baseParts = [];
+  while (parts.length > 1 && !GLOB_CHARS.test(parts[0])) {
+    baseParts.push(parts.shift());
+  }
+  return { base: baseParts.join('/') || '.', rest: parts.join('/') };
+}
+
+/**
+ * Expand CLI inputs into a de-duplicated list of PDF files.
+ *
+ * Each entry carries `base` — the directory that output paths are made
+ * relative to — so `-o out docs/` mirrors the tree under docs/ into out/.
+ *
+ * @param {string[]} inputs - Files, directories or glob patterns
+ * @returns {Promise<{ files: Array<{ path: string, base: string }>, unmatched: string[] }>}
+ */
+export async function expandInputs(inputs) {
+  const seen = new Set();
+  const files = [];
+  const unmatched = [];
+
+  const add = (path, base) => {
+    const abs = resolve(path);
+    if (seen.has(abs)) return;
+    seen.add(abs);
+    files.push({ path: abs, base: resolve(base) });
+  };
+
+  for (const input of inputs) {
+    let info = null;
+    try {
+      info = await stat(input);
+    } catch {
+      // Not a literal path — may be a glob
+    }
+
+    if (info?.isFile()) {
+      add(input, resolve(input, '..'));
+      continue;
+    }
+
+    if (info?.isDirectory()) {
+      const found = (await walkFiles(input)).filter(isPdfPath).sort();
+      if (found.length === 0) unmatched.push(input);
+      for (const f of found) add(f, input);
+      continue;
+    }
+
+    const normalized = input.split(sep).join('/');
+    if (!GLOB_CHARS.test(normalized)) {
+      unmatched.push(input);
+      continue;
+    }
+
+    const { base, rest } = splitGlob(normalized);
+    const matcher = globToRegExp(rest);
+    let candidates = [];
+    try {
+      candidates = await walkFiles(base);
+    } catch {
+      // Base directory doesn't exist
+    }
+    const matched = candidates
+      .filter((f) => matcher.test(relative(base, f).split(sep).join('/')))
+      .filter(isPdfPath)
+      .sort();
+    if (matched.length === 0) unmatched.push(input);
+    for (const f of matched) add(f, base);
+  }
+
+  return { files, unmatched };
+}
+
+/**
+ * Compute where an optimized file should be written.
+ * @param {{ path: string, base: string }} file
+ * @param {string|null} outputDir - Target directory, or null for in-place
+ * @returns {string}
+ */
+export function resolveOutputPath(file, outputDir) {
+  if (!outputDir) return file.path;
+  const rel = relative(file.base, file.path);
+  // Guard against inputs outside their base (shouldn't happen, but never escape outputDir)
+  const safeRel = rel.startsWith('..') ? basename(file.path) : rel;
+  return join(resolve(outputDir), safeRel);
+}
+
+/**
+ * Write bytes atomically-ish: write a sibling temp file, then rename over
+ * the target, so an interrupted run never leaves a half-written PDF.
+ * @param {string} path
+ * @param {Uint8Array|string} bytes
+ */
+export async function writeFileAtomic(path, bytes) {
+  await mkdir(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  await writeFile(tmp, bytes);
+  await rename(tmp, path);
+}
@@ -0,0 +1,259 @@
+/**
+ * Node CLI entry point — runs optimize() over files, directories and globs.
+ *
+ * Reads each input with fs, runs the same pipeline the browser worker uses,
+ * writes results to an output directory (mirroring input structure) or in
+ * place, and prints per-pass stats. The exit code summarizes the batch:
+ * errors outrank the content guard, which outranks the size guard.
+ *
+ * With --watch the CLI stays running and hands off to watch.js instead.
+ */
+import { readFile, stat } from 'node:fs/promises';
+import { relative } from 'node:path';
+import { optimize } from '../engine/pipeline.js';
+import { formatPassStats, formatTargetSize, formatEncryption, formatSignatures } from '../ui/stats.js';
+import { formatSize } from '../ui/helpers.js';
+import { parseCliArgs, UsageError, USAGE } from './args.js';
+import { expandInputs, resolveOutputPath, writeFileAtomic } from './files.js';
+import { watchDirectory } from './watch.js';
+
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  SIZE_GUARD: 3,
+  CONTENT_GUARD: 4,
+};
+
+/** Which flag gets past an engine error, by `err.code`. */
+const ERROR_HINTS = {
+  PASSWORD_REQUIRED: ' (use --password)',
+  PASSWORD_INCORRECT: ' (use --password)',
+  SIGNED_PDF: ' (use --signed-pdfs incremental)',
+};
+
+/** Why a pass was skipped, by its `gated` reason. */
+const GATE_LABELS = {
+  pdfa: 'PDF/A input',
+  signed: 'signed PDF: incremental update',
+  lossy: 'lossless mode',
+};
+
+/** Severity order used to pick a single exit code for a batch. */
+const SEVERITY = [EXIT_CODES.OK, EXIT_CODES.SIZE_GUARD, EXIT_CODES.CONTENT_GUARD, EXIT_CODES.ERROR];
+
+/**
+ * Map a single file's outcome to an exit code.
+ * @param {{ error?: string, stats?: object }} outcome
+ * @returns {number}
+ */
+export function exitCodeFor(outcome) {
+  if (outcome.error) return EXIT_CODES.ERROR;
+  if (outcome.stats?.contentGuard) return EXIT_CODES.CONTENT_GUARD;
+  if (outcome.stats?.sizeGuard) return EXIT_CODES.SIZE_GUARD;
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Combine per-file exit codes into one, keeping the most severe.
+ * @param {number[]} codes
+ * @returns {number}
+ */
+export function combineExitCodes(codes) {
+  return codes.reduce(
+    (worst, code) => (SEVERITY.indexOf(code) > SEVERITY.indexOf(worst) ? code : worst),
+    EXIT_CODES.OK,
+  );
+}
+
+/** Format the human-readable report for one file. */
+function formatReport(displayName, stats) {
+  const lines = [];
+  let summary = `${displayName}: ${formatSize(stats.inputSize)} → ${formatSize(stats.outputSize)}`;
+  if (stats.contentGuard) {
+    summary += ' (content guard: kept original)';
+  } else if (stats.sizeGuard) {
+    summary += ' (size guard: kept original)';
+  } else {
+    summary += ` (-${stats.savedPercent}%)`;
+    if (stats.linearized) summary += ', linearized';
+  }
+  lines.push(summary);
+  if (stats.targetSize) lines.push(`  ${formatTargetSize(stats.targetSize)}`);
+  if (stats.encryption) lines.push(`  ${formatEncryption(stats.encryption)}`);
+  if (stats.signatures) lines.push(`  ${formatSignatures(stats.signatures)}`);
+  if (stats.linearizeError) lines.push(`  warning: not linearized — ${stats.linearizeError}`);
+
+  for (const pass of stats.passes) {
+    if (pass.error) {
+      lines.push(`  ${pass.name}: error — ${pass.error}${pass.rolledBack ? ' (reverted)' : ''}`);
+      continue;
+    }
+    if (pass.rolledBack) {
+      lines.push(`  ${pass.name}: reverted — ${pass.rollbackReasons.join('; ')}`);
+      continue;
+    }
+    if (pass.gated) {
+      lines.push(`  ${pass.name}: skipped (${GATE_LABELS[pass.gated] ?? pass.gated})`);
+      continue;
+    }
+    const text = formatPassStats(pass);
+    const ms = pass._ms != null ? ` (${pass._ms} ms)` : '';
+    lines.push(`  ${pass.name}: ${text || 'no changes'}${ms}`);
+  }
+  for (const warning of stats.contentWarnings || []) {
+    lines.push(`  warning: ${warning}`);
+  }
+  return lines.join('\n');
+}
+
+/** Strip the bulky inspect snapshot before emitting stats as JSON. */
+function toJsonLine(outcome) {
+  const { stats } = outcome;
+  return JSON.stringify(stats ? { ...outcome, stats: { ...stats, inspect: undefined } } : outcome);
+}
+
+/**
+ * Run watch mode until `signal` aborts (or SIGINT/SIGTERM when none is given).
+ * Per-file failures are reported but never stop the watcher.
+ */
+async function runWatch(settings, { stdout, stderr, signal }) {
+  const srcDir = settings.inputs[0];
+  let info = null;
+  try {
+    info = await stat(srcDir);
+  } catch {
+    // Reported below
+  }
+  if (!info?.isDirectory()) {
+    stderr.write(`pdf-a-go-slim: --watch needs a directory, got "${srcDir}"\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const watcher = watchDirectory({
+    srcDir,
+    outDir: settings.outputDir,
+    options: settings.options,
+    debounceMs: settings.debounceMs,
+    onResult: (result) => {
+      if (settings.json) {
+        stdout.write(`${toJsonLine(result)}\n`);
+      } else if (result.status === 'error') {
+        stderr.write(`${result.file}: error — ${result.error}\n`);
+      } else if (result.status === 'optimized' && !settings.quiet) {
+        stdout.write(`${formatReport(result.file, result.stats)}\n`);
+      }
+    },
+    onError: (err) => stderr.write(`pdf-a-go-slim: ${err.message}\n`),
+  });
+
+  let stop;
+  const stopped = new Promise((resolve) => { stop = resolve; });
+  let cleanup = () => {};
+  if (signal) {
+    if (signal.aborted) stop();
+    signal.addEventListener('abort', stop, { once: true });
+  } else {
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    cleanup = () => {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+    };
+  }
+
+  try {
+    await watcher.ready;
+  } catch (err) {
+    cleanup();
+    await watcher.close();
+    stderr.write(`pdf-a-go-slim: ${err.message}\n`);
+    return EXIT_CODES.ERROR;
+  }
+  if (!settings.quiet && !settings.json) {
+    stdout.write(`Watching ${srcDir} → ${settings.outputDir} (Ctrl+C to stop)\n`);
+  }
+
+  await stopped;
+  cleanup();
+  await watcher.close();
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Run the CLI.
+ *
+ * @param {string[]} argv - Arguments after the executable
+ * @param {{
+ *   stdout?: { write: (s: string) => void },
+ *   stderr?: { write: (s: string) => void },
+ *   version?: string,
+ *   signal?: AbortSignal,
+ * }} [io] - `signal` stops watch mode (defaults to SIGINT/SIGTERM)
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+
+  let settings;
+  try {
+    settings = parseCliArgs(argv);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    stderr.write(`pdf-a-go-slim: ${err.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (settings.help) {
+    stdout.write(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (settings.version) {
+    stdout.write(`${io.version || 'unknown'}\n`);
+    return EXIT_CODES.OK;
+  }
+
+  if (settings.watch) return runWatch(settings, { stdout, stderr, signal: io.signal });
+
+  const { files, unmatched } = await expandInputs(settings.inputs);
+  for (const pattern of unmatched) {
+    stderr.write(`pdf-a-go-slim: no PDF files matched "${pattern}"\n`);
+  }
+  if (files.length === 0) return EXIT_CODES.ERROR;
+
+  const codes = unmatched.length > 0 ? [EXIT_CODES.ERROR] : [];
+
+  for (const file of files) {
+    const displayName = relative(process.cwd(), file.path) || file.path;
+    const outPath = resolveOutputPath(file, settings.inPlace ? null : settings.outputDir);
+    const outcome = { file: displayName, output: relative(process.cwd(), outPath) || outPath };
+
+    try {
+      const input = new Uint8Array(await readFile(file.path));
+      const { output, stats } = await optimize(input, settings.options);
+      outcome.stats = stats;
+
+      // In-place with no savings: leave the original file untouched
+      if (!(settings.inPlace && output === input)) {
+        await writeFileAtomic(outPath, output);
+      }
+    } catch (err) {
+      outcome.error = err.message;
+      if (err.code) outcome.errorCode = err.code;
+    }
+
+    codes.push(exitCodeFor(outcome));
+
+    if (settings.json) {
+      stdout.write(`${toJsonLine(outcome)}\n`);
+    } else if (outcome.error) {
+      const hint = ERROR_HINTS[outcome.errorCode] ?? '';
+      stderr.write(`${displayName}: error — ${outcome.error}${hint}\n`);
+    } else if (!settings.quiet) {
+      stdout.write(`${formatReport(displayName, outcome.stats)}\n`);
+    }
+  }
+
+  return combineExitCodes(codes);
+}
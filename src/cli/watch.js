@@ -0,0 +1,234 @@
+/**
+ * Watch mode for the Node CLI — re-optimizes PDFs in a directory tree as
+ * they are added or changed, writing results into a mirror directory.
+ *
+ * A manifest in the mirror directory records the hashBytes() of every
+ * source file alongside the options it was optimized with, so files that
+ * haven't changed since the last run (or since the watcher last saw them)
+ * are never processed twice — across restarts as well as within one.
+ *
+ * Filesystem events are debounced per path: editors and copy tools often
+ * write a file in several chunks, and we only want to optimize the final
+ * bytes. Files are processed one at a time to keep memory bounded.
+ */
+import { watch } from 'node:fs';
+import { readFile, stat, unlink } from 'node:fs/promises';
+import { join, relative, resolve, sep } from 'node:path';
+import { optimize } from '../engine/pipeline.js';
+import { hashBytes } from '../engine/utils/hash.js';
+import { isPdfPath, walkFiles, writeFileAtomic } from './files.js';
+
+/** Manifest file name, written at the root of the mirror directory. */
+export const MANIFEST_NAME = '.pdf-a-go-slim-manifest.json';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Stable key for an options object so a manifest entry produced with
+ * different settings is treated as stale.
+ */
+function optionsKey(options) {
+  const keys = Object.keys(options).filter((k) => options[k] !== undefined).sort();
+  return JSON.stringify(keys.map((k) => [k, options[k]]));
+}
+
+/**
+ * Load the manifest from a mirror directory. A missing or unreadable
+ * manifest yields an empty one — the worst case is re-optimizing files.
+ * @param {string} outDir
+ * @returns {Promise<{ version: number, files: Record<string, object> }>}
+ */
+export async function loadManifest(outDir) {
+  try {
+    const parsed = JSON.parse(await readFile(join(outDir, MANIFEST_NAME), 'utf8'));
+    if (parsed?.version === MANIFEST_VERSION && parsed.files && typeof parsed.files === 'object') {
+      return parsed;
+    }
+  } catch {
+    // Missing or corrupt — start fresh
+  }
+  return { version: MANIFEST_VERSION, files: {} };
+}
+
+/**
+ * Persist the manifest into the mirror directory.
+ * @param {string} outDir
+ * @param {{ version: number, files: Record<string, object> }} manifest
+ */
+export async function saveManifest(outDir, manifest) {
+  await writeFileAtomic(join(outDir, MANIFEST_NAME), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+/**
+ * Optimize one source file into the mirror directory unless the manifest
+ * shows it was already processed with identical bytes and options. If the
+ * source is gone, its optimized copy is deleted from the mirror.
+ *
+ * Mutates `manifest` but does not save it; the caller batches saves.
+ *
+ * @param {string} srcDir - Watched root
+ * @param {string} outDir - Mirror root
+ * @param {string} relPath - Path relative to srcDir (platform separators)
+ * @param {object} options - optimize() options
+ * @param {{ files: Record<string, object> }} manifest
+ * @returns {Promise<{ file: string, status: 'optimized'|'unchanged'|'removed'|'error', stats?: object, error?: string }>}
+ */
+export async function syncFile(srcDir, outDir, relPath, options, manifest) {
+  const key = relPath.split(sep).join('/');
+  const srcPath = join(srcDir, relPath);
+  const outPath = join(outDir, relPath);
+
+  let input;
+  try {
+    input = new Uint8Array(await readFile(srcPath));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      // Keep the mirror in step: its copy goes with the source
+      delete manifest.files[key];
+      try {
+        await unlink(outPath);
+      } catch (unlinkErr) {
+        if (unlinkErr.code !== 'ENOENT') return { file: key, status: 'error', error: unlinkErr.message };
+      }
+      return { file: key, status: 'removed' };
+    }
+    return { file: key, status: 'error', error: err.message };
+  }
+
+  const hash = hashBytes(input);
+  const opts = optionsKey(options);
+  const entry = manifest.files[key];
+  if (entry && entry.hash === hash && entry.options === opts) {
+    // Only trust the manifest if the output it describes still exists
+    try {
+      await stat(outPath);
+      return { file: key, status: 'unchanged' };
+    } catch {
+      // Output was deleted — fall through and regenerate it
+    }
+  }
+
+  try {
+    const { output, stats } = await optimize(input, options);
+    await writeFileAtomic(outPath, output);
+    manifest.files[key] = {
+      hash,
+      options: opts,
+      inputSize: stats.inputSize,
+      outputSize: stats.outputSize,
+    };
+    return { file: key, status: 'optimized', stats };
+  } catch (err) {
+    // Record nothing: a later change (or restart) should retry the file
+    delete manifest.files[key];
+    return { file: key, status: 'error', error: err.message };
+  }
+}
+
+/**
+ * Watch a directory tree and keep a mirror directory of optimized PDFs.
+ *
+ * Existing files are synced on startup; after that, create/modify events
+ * are debounced per path and queued. The mirror directory may live inside
+ * the watched tree — events from it are ignored.
+ *
+ * @param {object} params
+ * @param {string} params.srcDir - Directory to watch
+ * @param {string} params.outDir - Mirror directory for optimized output
+ * @param {object} params.options - optimize() options
+ * @param {number} [params.debounceMs=500] - Quiet period before a changed file is processed
+ * @param {(result: object) => void} [params.onResult] - Called after each file is synced
+ * @param {(err: Error) => void} [params.onError] - Called for watcher-level errors
+ * @returns {{ ready: Promise<void>, idle: () => Promise<void>, close: () => Promise<void> }}
+ */
+export function watchDirectory({ srcDir, outDir, options, debounceMs = 500, onResult = () => {}, onError = () => {} }) {
+  const root = resolve(srcDir);
+  const mirror = resolve(outDir);
+  const mirrorRel = relative(root, mirror);
+  const mirrorInside = mirrorRel && !mirrorRel.startsWith('..');
+
+  const timers = new Map();
+  const queue = [];
+  const queued = new Set();
+  let manifest = null;
+  let draining = null;
+  let closed = false;
+  let watcher = null;
+
+  const ignored = (rel) =>
+    !isPdfPath(rel) ||
+    rel.split(sep).some((part) => part === 'node_modules' || part === '.git') ||
+    (mirrorInside && (rel === mirrorRel || rel.startsWith(mirrorRel + sep)));
+
+  const enqueue = (rel) => {
+    if (closed || queued.has(rel)) return;
+    queued.add(rel);
+    queue.push(rel);
+    if (!draining) draining = drain();
+  };
+
+  async function drain() {
+    while (queue.length > 0 && !closed) {
+      const rel = queue.shift();
+      queued.delete(rel);
+      const result = await syncFile(root, mirror, rel, options, manifest);
+      if (result.status !== 'unchanged') {
+        try {
+          await saveManifest(mirror, manifest);
+        } catch (err) {
+          onError(err);
+        }
+      }
+      onResult(result);
+    }
+    draining = null;
+  }
+
+  const schedule = (rel) => {
+    clearTimeout(timers.get(rel));
+    timers.set(rel, setTimeout(() => {
+      timers.delete(rel);
+      enqueue(rel);
+    }, debounceMs));
+  };
+
+  const ready = (async () => {
+    manifest = await loadManifest(mirror);
+    if (closed) return;
+
+    // Start watching before the initial scan so nothing written during it is missed
+    watcher = watch(root, { recursive: true }, (_event, filename) => {
+      if (!filename) return;
+      const rel = String(filename);
+      if (!ignored(rel)) schedule(rel);
+    });
+    watcher.on('error', onError);
+
+    const existing = (await walkFiles(root))
+      .map((f) => relative(root, f))
+      .filter((rel) => !ignored(rel))
+      .sort();
+    for (const rel of existing) enqueue(rel);
+  })();
+
+  return {
+    ready,
+    /** Resolve once every queued file has been processed. */
+    async idle() {
+      await ready;
+      while (draining || timers.size > 0) {
+        if (draining) await draining;
+        else await new Promise((r) => setTimeout(r, debounceMs));
+      }
+    },
+    /** Stop watching. The file currently being optimized is allowed to finish. */
+    async close() {
+      closed = true;
+      await ready.catch(() => {});
+      watcher?.close();
+      for (const t of timers.values()) clearTimeout(t);
+      timers.clear();
+      if (draining) await draining;
+    },
+  };
+}
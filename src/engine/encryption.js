@@ -0,0 +1,573 @@
+/**
+ * Password-protected PDFs: the standard security handler.
+ *
+ * Decrypts RC4 (40–128-bit, revisions 2–3), AES-128 (revision 4) and
+ * AES-256 (revisions 5–6) documents while they are parsed, so passes only
+ * ever see plain strings and streams. Opening tries the empty user password
+ * first: files with only an owner password (permission restrictions, no
+ * open password) need no prompt.
+ *
+ * The encryption dictionary, file ID and therefore the file key stay in the
+ * document, so saveEncrypted() can write it back with the same passwords and
+ * permissions; removeEncryption() drops them instead.
+ */
+import {
+  PDFDocument,
+  PDFParser,
+  PDFObjectStreamParser,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFString,
+  PDFHexString,
+  PDFNumber,
+  PDFBool,
+  PDFRef,
+  PDFStream,
+  PDFRawStream,
+  PDFInvalidObject,
+} from 'pdf-lib';
+import { md5, rc4, aesCbcEncrypt, aesCbcDecrypt, sha2, randomBytes } from './utils/crypto.js';
+
+/** `err.code` when the document has an open password and none was given. */
+export const PASSWORD_REQUIRED = 'PASSWORD_REQUIRED';
+/** `err.code` when the given password is neither the user nor the owner password. */
+export const PASSWORD_INCORRECT = 'PASSWORD_INCORRECT';
+
+/** Padding string for revisions 2–4 (PDF 32000-1 §7.6.3.3, Algorithm 2). */
+const PASSWORD_PADDING = Uint8Array.from([
+  0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+  0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a,
+]);
+const AES_SALT = Uint8Array.from([0x73, 0x41, 0x6c, 0x54]); // "sAlT"
+const EMPTY = new Uint8Array(0);
+
+/** Stands in for a deferred object stream until it has been unpacked. */
+const DEFERRED = PDFInvalidObject.of(EMPTY);
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+const bytesEqual = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+const passwordError = (code, message) => Object.assign(new Error(message), { code });
+
+const nameOf = (dict, key) => {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFName ? value.decodeText() : undefined;
+};
+
+/**
+ * PDFParser that sets object streams aside instead of unpacking them. The
+ * encryption dictionary is usually only found with the trailer at the end
+ * of the file, and an object stream has to be decrypted as a whole before
+ * its objects can be read.
+ */
+class DeferringParser extends PDFParser {
+  constructor(bytes) {
+    // Same defaults as PDFDocument.load()
+    super(bytes, 100, false, false);
+    this.depth = 0;
+    this.pendingRef = null;
+    this.pendingOffset = 0;
+    /** Ref tag → byte offset of the object's latest definition */
+    this.definedAt = new Map();
+    /** Ref tag → byte offset of the object's first definition */
+    this.firstDefinedAt = new Map();
+    /** { ref, stream, offset } in file order */
+    this.objectStreams = [];
+  }
+
+  define(ref, offset) {
+    this.definedAt.set(ref.tag, offset);
+    const first = this.firstDefinedAt.get(ref.tag);
+    if (first === undefined || offset < first) this.firstDefinedAt.set(ref.tag, offset);
+  }
+
+  parseIndirectObjectHeader() {
+    this.pendingOffset = this.bytes.offset();
+    const ref = super.parseIndirectObjectHeader();
+    this.pendingRef = ref;
+    return ref;
+  }
+
+  tryToParseInvalidIndirectObject() {
+    const offset = this.bytes.offset();
+    const ref = super.tryToParseInvalidIndirectObject();
+    this.pendingRef = null;
+    this.define(ref, offset);
+    return ref;
+  }
+
+  parseObject() {
+    // Only the object right after an "n g obj" header is top-level; trailer
+    // dicts and nested values also come through here
+    const ref = this.depth === 0 ? this.pendingRef : null;
+    if (this.depth === 0) this.pendingRef = null;
+    this.depth++;
+    let object;
+    try {
+      object = super.parseObject();
+    } finally {
+      this.depth--;
+    }
+    if (!ref) return object;
+
+    const offset = this.pendingOffset;
+    const type = object instanceof PDFRawStream ? object.dict.lookup(PDFName.of('Type')) : null;
+    if (type === PDFName.of('ObjStm')) {
+      this.objectStreams.push({ ref, stream: object, offset });
+      return DEFERRED;
+    }
+    // Cross-reference streams are consumed by the parser, not kept as objects
+    if (type !== PDFName.of('XRef')) this.define(ref, offset);
+    return object;
+  }
+}
+
+/**
+ * Unpack deferred object streams in file order. An object that is defined
+ * again later in the file (an incremental update) keeps its newer
+ * definition, as it would with pdf-lib's own parser. Unpacked objects count
+ * as defined where their object stream is.
+ */
+async function unpackObjectStreams(context, parser, decryptStream) {
+  const { assign } = context;
+  for (const { ref, stream, offset } of parser.objectStreams) {
+    if (decryptStream) stream.contents = decryptStream(stream, ref);
+    context.assign = (objectRef, object) => {
+      const { tag } = objectRef;
+      if ((parser.definedAt.get(tag) ?? -1) > offset) {
+        // Superseded, but still an earlier revision of the object
+        parser.firstDefinedAt.set(tag, Math.min(parser.firstDefinedAt.get(tag), offset));
+        return;
+      }
+      parser.define(objectRef, offset);
+      assign.call(context, objectRef, object);
+    };
+    try {
+      await PDFObjectStreamParser.forStream(stream).parseIntoContext();
+    } catch {
+      // A damaged object stream loses its objects, as with pdf-lib's parser
+    } finally {
+      delete context.assign;
+    }
+  }
+}
+
+// --- Key derivation ---
+
+/** Password bytes for revisions 2–4: PDFDocEncoding, approximated as Latin-1. */
+const legacyPasswordBytes = (password) => Uint8Array.from(password, (ch) => ch.charCodeAt(0) & 0xff);
+
+/** Password bytes for revisions 5–6: UTF-8, at most 127 bytes (SASLprep is not applied). */
+const utf8PasswordBytes = (password) => new TextEncoder().encode(password).subarray(0, 127);
+
+function padPassword(bytes) {
+  const out = new Uint8Array(32);
+  const length = Math.min(bytes.length, 32);
+  out.set(bytes.subarray(0, length));
+  out.set(PASSWORD_PADDING.subarray(0, 32 - length), length);
+  return out;
+}
+
+const xorKey = (key, value) => key.map((byte) => byte ^ value);
+
+/** Algorithm 2: file key from a user password (revisions 2–4). */
+function computeLegacyKey(password, params) {
+  const { O, P, id, revision, keyLength, encryptMetadata } = params;
+  const permissions = new Uint8Array(4);
+  new DataView(permissions.buffer).setInt32(0, P, true);
+  const parts = [padPassword(password), O.subarray(0, 32), permissions, id];
+  if (revision >= 4 && !encryptMetadata) parts.push(Uint8Array.of(0xff, 0xff, 0xff, 0xff));
+  let hash = md5(concat(parts));
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) hash = md5(hash.subarray(0, keyLength));
+  }
+  return hash.slice(0, keyLength);
+}
+
+/** Algorithms 6 and 7: the file key if `password` is the user or owner password. */
+function authenticateLegacy(password, params) {
+  const { O, U, id, revision, keyLength } = params;
+  const asUser = (userPassword) => {
+    const key = computeLegacyKey(userPassword, params);
+    if (revision === 2) return bytesEqual(rc4(key, PASSWORD_PADDING), U.subarray(0, 32)) ? key : null;
+    let check = rc4(key, md5(concat([PASSWORD_PADDING, id])));
+    for (let i = 1; i <= 19; i++) check = rc4(xorKey(key, i), check);
+    return bytesEqual(check, U.subarray(0, 16)) ? key : null;
+  };
+
+  const userKey = asUser(password);
+  if (userKey) return { key: userKey, authenticatedAs: 'user' };
+
+  // The owner password decrypts /O back to the padded user password
+  let hash = md5(padPassword(password));
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) hash = md5(hash);
+  }
+  const ownerKey = hash.subarray(0, keyLength);
+  let userPassword = O.subarray(0, 32);
+  if (revision === 2) {
+    userPassword = rc4(ownerKey, userPassword);
+  } else {
+    for (let i = 19; i >= 0; i--) userPassword = rc4(xorKey(ownerKey, i), userPassword);
+  }
+  const ownerAuthKey = asUser(userPassword);
+  return ownerAuthKey ? { key: ownerAuthKey, authenticatedAs: 'owner' } : null;
+}
+
+/** Algorithm 2.B (ISO 32000-2): the revision 6 password hash. */
+async function hashRevision6(password, salt, userData) {
+  let k = await sha2(256, concat([password, salt, userData]));
+  for (let round = 0; ; round++) {
+    const block = concat([password, k, userData]);
+    const k1 = new Uint8Array(block.length * 64);
+    for (let i = 0; i < 64; i++) k1.set(block, i * block.length);
+    const e = aesCbcEncrypt(k.subarray(0, 16), k.subarray(16, 32), k1, { pad: false });
+    let sum = 0;
+    for (let i = 0; i < 16; i++) sum += e[i];
+    k = await sha2([256, 384, 512][sum % 3], e);
+    if (round >= 63 && e[e.length - 1] <= round - 31) break;
+  }
+  return k.subarray(0, 32);
+}
+
+/** Algorithms 2.A, 11 and 12: the file key if `password` matches (revisions 5–6). */
+async function authenticateAes256(password, params) {
+  const { O, U, OE, UE, revision } = params;
+  const hash = revision === 6 ? hashRevision6 : (pw, salt, data) => sha2(256, concat([pw, salt, data]));
+  const userData = U.subarray(0, 48);
+  const zeroIv = new Uint8Array(16);
+
+  if (bytesEqual(await hash(password, U.subarray(32, 40), EMPTY), U.subarray(0, 32))) {
+    const intermediate = await hash(password, U.subarray(40, 48), EMPTY);
+    return { key: aesCbcDecrypt(intermediate, zeroIv, UE.subarray(0, 32), { unpad: false }), authenticatedAs: 'user' };
+  }
+  if (bytesEqual(await hash(password, O.subarray(32, 40), userData), O.subarray(0, 32))) {
+    const intermediate = await hash(password, O.subarray(40, 48), userData);
+    return { key: aesCbcDecrypt(intermediate, zeroIv, OE.subarray(0, 32), { unpad: false }), authenticatedAs: 'owner' };
+  }
+  return null;
+}
+
+// --- Security handler ---
+
+const CRYPT_METHODS = { V2: 'RC4', AESV2: 'AESV2', AESV3: 'AESV3', None: 'None' };
+
+/**
+ * Read the encryption dictionary and authenticate.
+ * @returns {Promise<object>} Handler used to decrypt on load and encrypt on save
+ */
+async function openSecurityHandler(encrypt, id, password) {
+  const number = (key) => {
+    const value = encrypt.lookup(PDFName.of(key));
+    return value instanceof PDFNumber ? value.asNumber() : undefined;
+  };
+  const bytes = (key) => {
+    const value = encrypt.lookup(PDFName.of(key));
+    return value instanceof PDFString || value instanceof PDFHexString ? value.asBytes() : EMPTY;
+  };
+  const cryptMethod = (filterName) => {
+    const cryptFilter = encrypt.lookup(PDFName.of('CF'))?.lookup(PDFName.of(filterName));
+    return cryptFilter instanceof PDFDict ? CRYPT_METHODS[nameOf(cryptFilter, 'CFM') ?? 'None'] : undefined;
+  };
+
+  const filter = nameOf(encrypt, 'Filter');
+  if (filter !== 'Standard') throw new Error(`Unsupported encryption handler: ${filter ?? 'none'}`);
+  const version = number('V') ?? 0;
+  const revision = number('R');
+  if (![1, 2, 4, 5].includes(version) || !(revision >= 2 && revision <= 6)) {
+    throw new Error(`Unsupported encryption: V${version} R${revision}`);
+  }
+
+  // Crypt filters (V4+) pick the method for strings and streams separately
+  const methodFor = (filterKey) => {
+    if (version < 4) return 'RC4';
+    const filterName = nameOf(encrypt, filterKey) ?? 'Identity';
+    if (filterName === 'Identity') return 'None';
+    const method = cryptMethod(filterName);
+    if (!method) throw new Error(`Unsupported crypt filter: ${filterName}`);
+    return method;
+  };
+  const stringMethod = methodFor('StrF');
+  const streamMethod = methodFor('StmF');
+
+  let keyLength;
+  if (version >= 5) keyLength = 32;
+  else if (version === 1) keyLength = 5;
+  else keyLength = (number('Length') ?? (version === 4 ? 128 : 40)) / 8;
+
+  const params = {
+    revision,
+    keyLength,
+    O: bytes('O'),
+    U: bytes('U'),
+    OE: bytes('OE'),
+    UE: bytes('UE'),
+    P: number('P') ?? 0,
+    id,
+    encryptMetadata: encrypt.lookup(PDFName.of('EncryptMetadata')) !== PDFBool.False,
+  };
+
+  // No password given: the empty user password opens owner-password-only files
+  const candidates = password ? [password, ''] : [''];
+  let auth = null;
+  for (const candidate of candidates) {
+    auth = revision >= 5
+      ? await authenticateAes256(utf8PasswordBytes(candidate), params)
+      : authenticateLegacy(legacyPasswordBytes(candidate), params);
+    if (auth) break;
+  }
+  if (!auth) {
+    throw password
+      ? passwordError(PASSWORD_INCORRECT, 'Incorrect password for this PDF')
+      : passwordError(PASSWORD_REQUIRED, 'This PDF is password-protected; a password is needed to open it');
+  }
+  const fileKey = auth.key;
+
+  // Algorithm 1: per-object keys for RC4 and AES-128
+  const objectKey = (ref, aes) => {
+    const n = ref.objectNumber;
+    const g = ref.generationNumber;
+    const input = [fileKey, Uint8Array.of(n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff, g & 0xff, (g >> 8) & 0xff)];
+    if (aes) input.push(AES_SALT);
+    return md5(concat(input)).subarray(0, Math.min(keyLength + 5, 16));
+  };
+
+  const cipher = (method, ref) => {
+    if (method === 'RC4') {
+      const key = objectKey(ref, false);
+      return { decrypt: (data) => rc4(key, data), encrypt: (data) => rc4(key, data) };
+    }
+    if (method === 'AESV2' || method === 'AESV3') {
+      const key = method === 'AESV3' ? fileKey : objectKey(ref, true);
+      return {
+        // The first block is the IV
+        decrypt: (data) => (data.length < 32 ? EMPTY : aesCbcDecrypt(key, data.subarray(0, 16), data.subarray(16))),
+        encrypt: (data) => {
+          const iv = randomBytes(16);
+          return concat([iv, aesCbcEncrypt(key, iv, data)]);
+        },
+      };
+    }
+    return { decrypt: (data) => data, encrypt: (data) => data };
+  };
+
+  const algorithm = (() => {
+    const method = streamMethod === 'None' ? stringMethod : streamMethod;
+    if (method === 'AESV3') return 'AES-256';
+    if (method === 'AESV2') return 'AES-128';
+    return method === 'RC4' ? `RC4-${keyLength * 8}` : 'None';
+  })();
+
+  /** Crypt method for a stream: metadata may be exempt, and a /Crypt filter overrides the default. */
+  const streamMethodFor = (stream) => {
+    const { dict } = stream;
+    if (!params.encryptMetadata && dict.lookup(PDFName.of('Type')) === PDFName.of('Metadata')) return 'None';
+    const filters = dict.lookup(PDFName.of('Filter'));
+    const first = filters instanceof PDFArray ? filters.lookup(0) : filters;
+    if (first !== PDFName.of('Crypt')) return streamMethod;
+    const parms = dict.lookup(PDFName.of('DecodeParms'));
+    const firstParms = parms instanceof PDFArray ? parms.lookup(0) : parms;
+    const filterName = firstParms instanceof PDFDict ? nameOf(firstParms, 'Name') : undefined;
+    if (!filterName || filterName === 'Identity' || version < 4) return 'None';
+    return cryptMethod(filterName) ?? 'None';
+  };
+
+  return {
+    algorithm,
+    revision,
+    permissions: params.P,
+    authenticatedAs: auth.authenticatedAs,
+    // (bytes) => bytes transforms; direction is 'decrypt' or 'encrypt'
+    stringCipher: (ref, direction) => cipher(stringMethod, ref)[direction],
+    streamCipher: (stream, ref, direction) => cipher(streamMethodFor(stream), ref)[direction],
+  };
+}
+
+// --- Applying the handler to objects ---
+
+/** A literal string with exactly these bytes. */
+function literalString(bytes) {
+  let value = '';
+  for (const byte of bytes) {
+    if (byte === 0x5c || byte === 0x28 || byte === 0x29) value += `\\${String.fromCharCode(byte)}`;
+    else if (byte === 0x0d) value += '\\r';
+    else value += String.fromCharCode(byte);
+  }
+  return PDFString.of(value);
+}
+
+/** Signature values are exempt from encryption (PDF 32000-1 §7.6.1). */
+const isSignatureDict = (dict) =>
+  dict.has(PDFName.of('ByteRange')) ||
+  [PDFName.of('Sig'), PDFName.of('DocTimeStamp')].includes(dict.lookup(PDFName.of('Type')));
+
+/**
+ * Replace every string inside a direct object, editing dicts and arrays in
+ * place. Returns the replacement for `value` itself.
+ */
+function transformStrings(value, transform) {
+  if (value instanceof PDFString || value instanceof PDFHexString) return literalString(transform(value.asBytes()));
+  if (value instanceof PDFDict) {
+    const skip = isSignatureDict(value) ? PDFName.of('Contents') : null;
+    for (const [key, entry] of value.entries()) {
+      if (key === skip) continue;
+      const replaced = transformStrings(entry, transform);
+      if (replaced !== entry) value.set(key, replaced);
+    }
+  } else if (value instanceof PDFArray) {
+    for (let i = 0; i < value.size(); i++) {
+      const entry = value.get(i);
+      const replaced = transformStrings(entry, transform);
+      if (replaced !== entry) value.set(i, replaced);
+    }
+  }
+  return value;
+}
+
+/** Deep copy of a direct dict/array, so encrypting for save leaves the document untouched. */
+function copyDirect(value) {
+  if (value instanceof PDFDict) {
+    const copy = PDFDict.withContext(value.context);
+    for (const [key, entry] of value.entries()) copy.set(key, copyDirect(entry));
+    return copy;
+  }
+  if (value instanceof PDFArray) {
+    const copy = PDFArray.withContext(value.context);
+    for (const entry of value.asArray()) copy.push(copyDirect(entry));
+    return copy;
+  }
+  return value;
+}
+
+// --- Public API ---
+
+/**
+ * Load a PDF, decrypting it if it uses the standard security handler.
+ *
+ * @param {Uint8Array} bytes
+ * @param {{ password?: string }} [options] - User or owner password
+ * @returns {Promise<{ pdfDoc: PDFDocument, security: object|null, objectOffsets: { first: Map<string, number>, latest: Map<string, number> } }>}
+ *   `security` describes the encryption (algorithm, revision, permissions,
+ *   authenticatedAs) and is what saveEncrypted() needs; null if unencrypted.
+ *   `objectOffsets` maps ref tags to where the object was first and last
+ *   defined in the file (its object stream's offset, for compressed objects)
+ * @throws {Error} With `code` PASSWORD_REQUIRED or PASSWORD_INCORRECT when the
+ *   document can't be opened without (another) password
+ */
+export async function loadDocument(bytes, { password } = {}) {
+  const parser = new DeferringParser(bytes);
+  const context = await parser.parseDocument();
+  for (const { ref } of parser.objectStreams) {
+    if (context.lookup(ref) === DEFERRED) context.delete(ref);
+  }
+
+  const { Encrypt: encryptEntry, ID: idEntry } = context.trailerInfo;
+  const encrypt = encryptEntry ? context.lookup(encryptEntry) : null;
+  let security = null;
+  if (encrypt instanceof PDFDict) {
+    const ids = context.lookup(idEntry);
+    const id = ids instanceof PDFArray ? (ids.lookup(0)?.asBytes?.() ?? EMPTY) : EMPTY;
+    security = await openSecurityHandler(encrypt, id, password);
+    security.ref = encryptEntry instanceof PDFRef ? encryptEntry : null;
+
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+      if (ref === security.ref) continue;
+      if (object instanceof PDFRawStream) {
+        transformStrings(object.dict, security.stringCipher(ref, 'decrypt'));
+        object.contents = security.streamCipher(object, ref, 'decrypt')(object.contents);
+      } else if (object instanceof PDFDict || object instanceof PDFArray) {
+        transformStrings(object, security.stringCipher(ref, 'decrypt'));
+      } else if (object instanceof PDFString || object instanceof PDFHexString) {
+        context.assign(ref, transformStrings(object, security.stringCipher(ref, 'decrypt')));
+      }
+    }
+  }
+
+  // Objects inside an object stream aren't encrypted individually: decrypting
+  // the stream decrypts them all
+  await unpackObjectStreams(
+    context,
+    parser,
+    security && ((stream, ref) => security.streamCipher(stream, ref, 'decrypt')(stream.contents)),
+  );
+
+  return {
+    pdfDoc: new PDFDocument(context, true, false),
+    security,
+    objectOffsets: { first: parser.firstDefinedAt, latest: parser.definedAt },
+  };
+}
+
+/**
+ * Drop the encryption dictionary so the document saves unencrypted. The
+ * file ID stays: it also identifies the document, not just its key.
+ * @param {PDFDocument} pdfDoc - Loaded with loadDocument()
+ */
+export function removeEncryption(pdfDoc) {
+  const { context } = pdfDoc;
+  const { Encrypt } = context.trailerInfo;
+  if (Encrypt instanceof PDFRef) context.delete(Encrypt);
+  context.trailerInfo.Encrypt = undefined;
+}
+
+/**
+ * An encrypted copy of an indirect object, for writing it out; `object`
+ * itself when there is nothing to encrypt (numbers, names, the encryption
+ * dictionary).
+ *
+ * @param {object} security - From loadDocument()
+ * @param {PDFRef} ref
+ * @param {PDFObject} object
+ * @returns {PDFObject}
+ */
+export function encryptObject(security, ref, object) {
+  if (ref === security.ref) return object;
+  const cipher = security.stringCipher(ref, 'encrypt');
+  if (object instanceof PDFStream) {
+    const dict = transformStrings(copyDirect(object.dict), cipher);
+    return PDFRawStream.of(dict, security.streamCipher(object, ref, 'encrypt')(object.getContents()));
+  }
+  if (object instanceof PDFDict || object instanceof PDFArray) return transformStrings(copyDirect(object), cipher);
+  if (object instanceof PDFString || object instanceof PDFHexString) return transformStrings(object, cipher);
+  return object;
+}
+
+/**
+ * Save with every string and stream encrypted again under the document's
+ * original key, passwords and permissions.
+ *
+ * Object streams are turned off: objects inside one must not be encrypted
+ * individually, and pdf-lib only builds them while writing, too late to
+ * encrypt the stream as a whole. The document is left as it was.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded with loadDocument()
+ * @param {object} security - From loadDocument()
+ * @param {object} saveOptions - pdfDoc.save() options
+ * @returns {Promise<Uint8Array>}
+ */
+export async function saveEncrypted(pdfDoc, security, saveOptions) {
+  await pdfDoc.flush();
+  const { context } = pdfDoc;
+  const originals = [];
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    const encrypted = encryptObject(security, ref, object);
+    if (encrypted === object) continue;
+    originals.push([ref, object]);
+    context.assign(ref, encrypted);
+  }
+  try {
+    return await pdfDoc.save({ ...saveOptions, useObjectStreams: false });
+  } finally {
+    for (const [ref, object] of originals) context.assign(ref, object);
+  }
+}
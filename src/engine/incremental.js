@@ -0,0 +1,222 @@
+/**
+ * Incremental updates for signed PDFs.
+ *
+ * A signature covers the file's bytes up to the end of its /ByteRange, so
+ * those bytes must come out exactly as they went in. Everything defined
+ * after the last signed byte (form fills, annotations, later edits) is fair
+ * game: the signed revision is kept verbatim and the optimized versions of
+ * the later objects are appended to it as a single incremental update,
+ * replacing the updates they came from.
+ */
+import { PDFRef, PDFDict, PDFArray, PDFStream } from 'pdf-lib';
+import { zlibSync } from 'fflate';
+import { encryptObject } from './encryption.js';
+
+/** `err.code` when a signed PDF is refused (options.signedPdfs 'refuse'). */
+export const SIGNED_PDF = 'SIGNED_PDF';
+
+const latin1 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+};
+
+const ascii = (text) => Uint8Array.from(text, (ch) => ch.charCodeAt(0));
+
+/** The refusal for a signed file, with `code` SIGNED_PDF. */
+export function signedPdfError(signatures) {
+  const count = signatures.length === 1 ? 'its signature' : `its ${signatures.length} signatures`;
+  return Object.assign(
+    new Error(
+      `This PDF is digitally signed and rewriting it would invalidate ${count}. ` +
+        "Set signedPdfs to 'incremental' to optimize only what was added after the last signature.",
+    ),
+    { code: SIGNED_PDF },
+  );
+}
+
+/**
+ * Work out which objects an incremental update may rewrite.
+ *
+ * @param {PDFDocument} pdfDoc - Freshly loaded, before any pass has run
+ * @param {{ first: Map<string, number>, latest: Map<string, number> }} objectOffsets - From loadDocument()
+ * @param {import('./utils/signature-detect.js').SignatureInfo[]} signatures
+ * @returns {{
+ *   signedLength: number,
+ *   appended: Map<PDFRef, PDFObject>,
+ *   isFrozen: (ref: PDFRef) => boolean,
+ *   redefinesSigned: (ref: PDFRef) => boolean,
+ *   inFile: (ref: PDFRef) => boolean,
+ * }} `appended` holds the objects defined after the last signed byte, as
+ *   loaded; frozen objects are the signed revision's, which the update keeps
+ */
+export function planIncrementalUpdate(pdfDoc, objectOffsets, signatures) {
+  const signedLength = Math.max(...signatures.map((sig) => sig.signedLength));
+  // pdf-lib creates an empty Info dict on demand; one that wasn't in the file isn't worth writing
+  const inFile = (ref) => objectOffsets.latest.has(ref.tag);
+  const isFrozen = (ref) => inFile(ref) && objectOffsets.latest.get(ref.tag) < signedLength;
+  // Deleting one of these would bring back the signed revision's version
+  const redefinesSigned = (ref) => (objectOffsets.first.get(ref.tag) ?? Infinity) < signedLength;
+  const appended = new Map();
+  for (const [ref, object] of pdfDoc.context.enumerateIndirectObjects()) {
+    if (inFile(ref) && !isFrozen(ref)) appended.set(ref, object);
+  }
+  return { signedLength, appended, isFrozen, redefinesSigned, inFile };
+}
+
+/**
+ * The objects to write: every appended object still in the document, the
+ * new objects they reach, and — as loaded — any appended object a pass
+ * deleted that would otherwise fall back to its signed version. Changes
+ * passes made to frozen objects are dropped.
+ */
+function collectUpdate(context, plan) {
+  const objects = new Map();
+  const queue = [];
+  for (const [ref, loaded] of plan.appended) {
+    const current = context.lookup(ref);
+    if (current) {
+      objects.set(ref, current);
+      queue.push(current);
+    } else if (plan.redefinesSigned(ref)) {
+      objects.set(ref, loaded);
+      queue.push(loaded);
+    }
+  }
+  const { Root, Info } = context.trailerInfo;
+  queue.push(Root);
+  if (Info && plan.inFile(Info)) queue.push(Info);
+
+  // Objects passes created (not in the file at all) are written if reachable
+  while (queue.length > 0) {
+    const item = queue.pop();
+    if (item instanceof PDFRef) {
+      if (objects.has(item) || plan.isFrozen(item) || plan.appended.has(item)) continue;
+      const object = context.lookup(item);
+      if (!object) continue;
+      objects.set(item, object);
+      queue.push(object);
+    } else if (item instanceof PDFDict) {
+      for (const [, value] of item.entries()) queue.push(value);
+    } else if (item instanceof PDFArray) {
+      for (const value of item.asArray()) queue.push(value);
+    } else if (item instanceof PDFStream) {
+      queue.push(item.dict);
+    }
+  }
+  return objects;
+}
+
+function serialize(object) {
+  const bytes = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(bytes, 0);
+  return bytes;
+}
+
+/** Split sorted object numbers into [first, count] cross-reference subsections. */
+function subsections(numbers) {
+  const sections = [];
+  for (const n of numbers) {
+    const last = sections[sections.length - 1];
+    if (last && last[0] + last[1] === n) last[1]++;
+    else sections.push([n, 1]);
+  }
+  return sections;
+}
+
+/**
+ * Save the document as the signed revision plus one incremental update.
+ * Returns the input unchanged when there is nothing after the last signature.
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {Uint8Array} inputBytes - The bytes pdfDoc was loaded from
+ * @param {ReturnType<typeof planIncrementalUpdate>} plan
+ * @param {object|null} security - From loadDocument(), to encrypt the update
+ * @returns {Promise<{ bytes: Uint8Array, objectCount: number }>}
+ */
+export async function saveIncremental(pdfDoc, inputBytes, plan, security) {
+  await pdfDoc.flush();
+  const { context } = pdfDoc;
+  const objects = collectUpdate(context, plan);
+  if (objects.size === 0) return { bytes: inputBytes, objectCount: 0 };
+
+  const base = inputBytes.subarray(0, plan.signedLength);
+  const baseText = latin1(base.subarray(Math.max(0, base.length - 1024)));
+  const startxref = /startxref\s+(\d+)\s*%%EOF\s*$/.exec(baseText);
+  if (!startxref) throw new Error('Signed revision does not end with a cross-reference section');
+  const prev = Number(startxref[1]);
+
+  // The update's /Size may not shrink the previous one
+  const prevSection = latin1(base.subarray(prev));
+  const prevSize = Number(/\/Size\s+(\d+)/.exec(prevSection)?.[1] ?? 0);
+  const usesXrefStream = /^\s*\d+\s+\d+\s+obj/.test(prevSection);
+
+  const parts = [base];
+  let offset = base.length;
+  const push = (bytes) => {
+    parts.push(bytes);
+    offset += bytes.length;
+  };
+  if (base[base.length - 1] !== 0x0a && base[base.length - 1] !== 0x0d) push(ascii('\n'));
+
+  const offsets = new Map();
+  const refs = [...objects.keys()].sort((a, b) => a.objectNumber - b.objectNumber);
+  for (const ref of refs) {
+    const object = objects.get(ref);
+    offsets.set(ref.objectNumber, { offset, generation: ref.generationNumber });
+    push(ascii(`${ref.objectNumber} ${ref.generationNumber} obj\n`));
+    push(serialize(security ? encryptObject(security, ref, object) : object));
+    push(ascii('\nendobj\n'));
+  }
+
+  let size = Math.max(prevSize, context.largestObjectNumber + 1);
+  const { Root, Info, ID, Encrypt } = context.trailerInfo;
+  const trailerEntries = [`/Size ${size}`, `/Prev ${prev}`, `/Root ${Root}`];
+  if (Info && (objects.has(Info) || plan.isFrozen(Info))) trailerEntries.push(`/Info ${Info}`);
+  if (Encrypt) trailerEntries.push(`/Encrypt ${Encrypt}`);
+  if (ID) trailerEntries.push(`/ID ${ID}`);
+
+  const xrefOffset = offset;
+  if (usesXrefStream) {
+    // Match the signed revision: its readers already handle xref streams
+    const number = size++;
+    trailerEntries[0] = `/Size ${size}`;
+    offsets.set(number, { offset: xrefOffset, generation: 0 });
+    const numbers = [...offsets.keys()].sort((a, b) => a - b);
+    const rows = new Uint8Array(numbers.length * 7);
+    numbers.forEach((n, i) => {
+      const { offset: at, generation } = offsets.get(n);
+      rows.set([1, at >>> 24, (at >>> 16) & 0xff, (at >>> 8) & 0xff, at & 0xff, generation >> 8, generation & 0xff], i * 7);
+    });
+    const data = zlibSync(rows, { level: 9 });
+    const index = subsections(numbers).flat().join(' ');
+    push(ascii(
+      `${number} 0 obj\n<< /Type /XRef ${trailerEntries.join(' ')} /Index [${index}] /W [1 4 2] ` +
+        `/Filter /FlateDecode /Length ${data.length} >>\nstream\n`,
+    ));
+    push(data);
+    push(ascii('\nendstream\nendobj\n'));
+  } else {
+    const numbers = [...offsets.keys()].sort((a, b) => a - b);
+    let table = 'xref\n';
+    for (const [first, count] of subsections(numbers)) {
+      table += `${first} ${count}\n`;
+      for (let n = first; n < first + count; n++) {
+        const { offset: at, generation } = offsets.get(n);
+        table += `${String(at).padStart(10, '0')} ${String(generation).padStart(5, '0')} n\r\n`;
+      }
+    }
+    push(ascii(`${table}trailer\n<< ${trailerEntries.join(' ')} >>\n`));
+  }
+  push(ascii(`startxref\n${xrefOffset}\n%%EOF\n`));
+
+  const bytes = new Uint8Array(offset);
+  let at = 0;
+  for (const part of parts) {
+    bytes.set(part, at);
+    at += part.length;
+  }
+  return { bytes, objectCount: objects.size };
+}
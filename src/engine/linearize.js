@@ -0,0 +1,445 @@
+/**
+ * Linearized ("Fast Web View") PDF writer — PDF 32000-1 Annex F.
+ *
+ * Replaces pdfDoc.save() when a page-at-a-time byte-serving layout is
+ * wanted. Objects are renumbered and written in the order the spec lays
+ * out, so a viewer can render page 1 from the first /E bytes and then
+ * fetch other pages by range using the hint tables:
+ *
+ *   header
+ *   linearization parameter dictionary
+ *   first-page cross-reference section + trailer
+ *   catalog and document-level objects (part 4)
+ *   primary hint stream (part 5)
+ *   first page: page object + everything it uses (part 6)
+ *   remaining pages: page object + objects only that page uses (part 7)
+ *   objects shared by several pages (part 8)
+ *   everything else — page tree, Info, structure tree, … (part 9)
+ *   main cross-reference section + trailer
+ *
+ * Only objects reachable from the trailer are written. Output uses classic
+ * xref tables (no object streams); offsets inside the hint tables are
+ * computed as if the hint stream were absent, as the spec requires.
+ */
+import { PDFName, PDFDict, PDFArray, PDFRef, PDFStream, PDFRawStream } from 'pdf-lib';
+import { zlibSync } from 'fflate';
+import { findReachableRefs } from './utils/pdf-traversal.js';
+
+const encoder = new TextEncoder();
+
+/** Catalog entries whose objects a viewer needs before the first page. */
+const OPEN_DOCUMENT_KEYS = ['ViewerPreferences', 'OpenAction', 'AcroForm'];
+
+/** Width that placeholder-sized numbers are padded to, so layout is fixed up front. */
+const FIXED_WIDTH = 10;
+
+const padNumber = (n) => String(n).padEnd(FIXED_WIDTH, ' ');
+
+/** Number of bits needed to represent a non-negative integer (0 → 0). */
+function bitsFor(n) {
+  let bits = 0;
+  while (n > 0) {
+    bits++;
+    n = Math.floor(n / 2);
+  }
+  return bits;
+}
+
+// Loops rather than Math.min(...values): page and shared-ref lists can be long
+const minOf = (values) => values.reduce((a, b) => (b < a ? b : a), Infinity);
+const maxOf = (values) => values.reduce((a, b) => (b > a ? b : a), 0);
+
+/** MSB-first bit packer for hint tables. */
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.current = 0;
+    this.used = 0;
+  }
+
+  write(value, nbits) {
+    for (let i = nbits - 1; i >= 0; i--) {
+      const bit = Math.floor(value / 2 ** i) % 2;
+      this.current = (this.current << 1) | bit;
+      if (++this.used === 8) {
+        this.bytes.push(this.current);
+        this.current = 0;
+        this.used = 0;
+      }
+    }
+  }
+
+  /** Pad to the next byte boundary — every hint table column starts on one. */
+  align() {
+    if (this.used > 0) this.write(0, 8 - this.used);
+  }
+
+  get length() {
+    return this.bytes.length + (this.used > 0 ? 1 : 0);
+  }
+
+  toBytes() {
+    this.align();
+    return new Uint8Array(this.bytes);
+  }
+}
+
+function isType(obj, type) {
+  return obj instanceof PDFDict && obj.get(PDFName.of('Type')) === PDFName.of(type);
+}
+
+/** Collect refs appearing directly inside a value (without following them). */
+function directRefs(value, out, skipParent) {
+  if (value instanceof PDFRef) {
+    out.push(value);
+  } else if (value instanceof PDFStream) {
+    directRefs(value.dict, out, false);
+  } else if (value instanceof PDFDict) {
+    for (const [key, val] of value.entries()) {
+      // Page tree back-pointers would pull every page into every page's closure
+      if (skipParent && key === PDFName.of('Parent')) continue;
+      directRefs(val, out, false);
+    }
+  } else if (value instanceof PDFArray) {
+    for (let i = 0; i < value.size(); i++) directRefs(value.get(i), out, false);
+  }
+}
+
+/**
+ * Objects reachable from `start` without crossing into the page tree (other
+ * than `ownPage`) or `exclude`. Returned in breadth-first order, start first.
+ */
+function closure(context, start, exclude, ownPage = null) {
+  const seen = new Set();
+  const order = [];
+  const queue = [...start];
+  while (queue.length > 0) {
+    const ref = queue.shift();
+    if (seen.has(ref.tag) || exclude.has(ref.tag)) continue;
+    const obj = context.lookup(ref);
+    if (!obj) continue;
+    const isPageNode = isType(obj, 'Page') || isType(obj, 'Pages');
+    if (isPageNode && ref.tag !== ownPage?.tag) continue;
+    seen.add(ref.tag);
+    order.push(ref);
+    const children = [];
+    directRefs(obj, children, isPageNode);
+    queue.push(...children);
+  }
+  return order;
+}
+
+/** Deep-copy a value with every ref renumbered through `numbers`. */
+function renumber(context, value, numbers) {
+  if (value instanceof PDFRef) {
+    const num = numbers.get(value.tag);
+    // Refs to objects that don't exist resolve to null per the spec
+    return num ? PDFRef.of(num, 0) : context.obj(null);
+  }
+  if (value instanceof PDFStream) {
+    return PDFRawStream.of(renumber(context, value.dict, numbers), value.getContents());
+  }
+  if (value instanceof PDFDict) {
+    const copy = PDFDict.withContext(context);
+    for (const [key, val] of value.entries()) copy.set(key, renumber(context, val, numbers));
+    return copy;
+  }
+  if (value instanceof PDFArray) {
+    const copy = PDFArray.withContext(context);
+    for (let i = 0; i < value.size(); i++) copy.push(renumber(context, value.get(i), numbers));
+    return copy;
+  }
+  return value;
+}
+
+function serializeIndirect(num, obj) {
+  const head = encoder.encode(`${num} 0 obj\n`);
+  const tail = encoder.encode('\nendobj\n');
+  const bytes = new Uint8Array(head.length + obj.sizeInBytes() + tail.length);
+  bytes.set(head, 0);
+  const end = head.length + obj.copyBytesInto(bytes, head.length);
+  bytes.set(tail, end);
+  return bytes;
+}
+
+function xrefEntry(offset) {
+  return `${String(offset).padStart(10, '0')} 00000 n\r\n`;
+}
+
+/**
+ * Build the primary hint stream data: page offset hint table followed by
+ * the shared object hint table (whose start is returned as `sharedOffset`).
+ * All offsets passed in must already exclude the hint stream itself.
+ */
+function buildHintData({ pages, firstPageShared, sharedGroups, sharedFirstObjectNumber }) {
+  const w = new BitWriter();
+
+  // --- Page offset hint table (Table F.3 / F.4) ---
+  const nobjects = pages.map((p) => p.nobjects);
+  const lengths = pages.map((p) => p.length);
+  const contentOffsets = pages.map((p) => p.contentOffset);
+  const contentLengths = pages.map((p) => p.contentLength);
+  const minObjects = minOf(nobjects);
+  const minLength = minOf(lengths);
+  const minContentOffset = minOf(contentOffsets);
+  const minContentLength = minOf(contentLengths);
+  const objectBits = bitsFor(maxOf(nobjects) - minObjects);
+  const lengthBits = bitsFor(maxOf(lengths) - minLength);
+  const contentOffsetBits = bitsFor(maxOf(contentOffsets) - minContentOffset);
+  const contentLengthBits = bitsFor(maxOf(contentLengths) - minContentLength);
+  const nsharedBits = bitsFor(maxOf(pages.map((p) => p.shared.length)));
+  const sharedIdBits = bitsFor(maxOf(pages.flatMap((p) => p.shared)));
+
+  w.write(minObjects, 32);
+  w.write(pages[0].offset, 32);
+  w.write(objectBits, 16);
+  w.write(minLength, 32);
+  w.write(lengthBits, 16);
+  w.write(minContentOffset, 32);
+  w.write(contentOffsetBits, 16);
+  w.write(minContentLength, 32);
+  w.write(contentLengthBits, 16);
+  w.write(nsharedBits, 16);
+  w.write(sharedIdBits, 16);
+  w.write(0, 16); // bits per shared-reference numerator — positions not hinted
+  w.write(1, 16); // denominator
+
+  const column = (values, nbits) => {
+    for (const v of values) w.write(v, nbits);
+    w.align();
+  };
+  column(nobjects.map((n) => n - minObjects), objectBits);
+  column(lengths.map((n) => n - minLength), lengthBits);
+  column(pages.map((p) => p.shared.length), nsharedBits);
+  column(pages.flatMap((p) => p.shared), sharedIdBits);
+  // Numerators: zero bits each, nothing to write
+  column(contentOffsets.map((n) => n - minContentOffset), contentOffsetBits);
+  column(contentLengths.map((n) => n - minContentLength), contentLengthBits);
+
+  // --- Shared object hint table (Table F.5 / F.6) ---
+  const sharedOffset = w.length;
+  const groupLengths = sharedGroups.map((g) => g.length);
+  const minGroupLength = groupLengths.length > 0 ? minOf(groupLengths) : 0;
+  const groupLengthBits = bitsFor(maxOf(groupLengths) - minGroupLength);
+  const part8 = sharedGroups.slice(firstPageShared);
+
+  w.write(part8.length > 0 ? sharedFirstObjectNumber : 0, 32);
+  w.write(part8.length > 0 ? part8[0].offset : 0, 32);
+  w.write(firstPageShared, 32);
+  w.write(sharedGroups.length, 32);
+  w.write(0, 16); // bits for objects-per-group minus one — every group is one object
+  w.write(minGroupLength, 32);
+  w.write(groupLengthBits, 16);
+
+  column(groupLengths.map((n) => n - minGroupLength), groupLengthBits);
+  column(sharedGroups.map(() => 0), 1); // no MD5 signatures
+
+  return { data: w.toBytes(), sharedOffset };
+}
+
+/**
+ * Serialize a document as a linearized PDF.
+ *
+ * Does not modify the document — objects are renumbered into copies.
+ *
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error} If the document is encrypted, has no pages, or repeats a page object
+ */
+export async function saveLinearized(pdfDoc) {
+  await pdfDoc.flush();
+
+  const context = pdfDoc.context;
+  const trailer = context.trailerInfo;
+  // Encryption keys are derived from object numbers, which we rewrite
+  if (trailer.Encrypt) throw new Error('Encrypted documents cannot be linearized');
+
+  const pageRefs = pdfDoc.getPages().map((p) => p.ref);
+  if (pageRefs.length === 0) throw new Error('Cannot linearize a document with no pages');
+  if (new Set(pageRefs.map((r) => r.tag)).size !== pageRefs.length) {
+    throw new Error('Cannot linearize a document that reuses a page object');
+  }
+
+  // --- Classify reachable objects into the spec's parts ---
+  const rootRef = trailer.Root;
+  const catalog = context.lookup(rootRef, PDFDict);
+  const openRefs = [rootRef];
+  const pageMode = catalog.get(PDFName.of('PageMode'));
+  const openKeys = pageMode === PDFName.of('UseOutlines') ? [...OPEN_DOCUMENT_KEYS, 'Outlines'] : OPEN_DOCUMENT_KEYS;
+  for (const key of openKeys) directRefs(catalog.get(PDFName.of(key)), openRefs, false);
+  const part4 = [rootRef, ...closure(context, openRefs.slice(1), new Set([rootRef.tag]))];
+  const part4Tags = new Set(part4.map((r) => r.tag));
+
+  const pageClosures = pageRefs.map((ref) => closure(context, [ref], part4Tags, ref));
+  const part6 = pageClosures[0];
+  const part6Tags = new Set(part6.map((r) => r.tag));
+
+  const users = new Map();
+  for (let i = 1; i < pageClosures.length; i++) {
+    for (const ref of pageClosures[i]) {
+      if (part6Tags.has(ref.tag)) continue;
+      users.set(ref.tag, (users.get(ref.tag) || 0) + 1);
+    }
+  }
+  const part7 = pageClosures.slice(1).map((refs) => refs.filter((r) => users.get(r.tag) === 1));
+  const part8 = [];
+  const part8Tags = new Set();
+  for (const refs of pageClosures.slice(1)) {
+    for (const ref of refs) {
+      if (users.get(ref.tag) > 1 && !part8Tags.has(ref.tag)) {
+        part8Tags.add(ref.tag);
+        part8.push(ref);
+      }
+    }
+  }
+
+  const placed = new Set([...part4Tags, ...part6Tags, ...part8Tags, ...part7.flat().map((r) => r.tag)]);
+  const reachable = findReachableRefs(context);
+  const part9 = context.enumerateIndirectObjects()
+    .map(([ref]) => ref)
+    .filter((ref) => reachable.has(ref.tag) && !placed.has(ref.tag));
+
+  // --- Renumber: later parts take the low numbers, the first-page section the high ones ---
+  const numbers = new Map();
+  let next = 1;
+  for (const ref of [...part7.flat(), ...part8, ...part9]) numbers.set(ref.tag, next++);
+  const mainCount = next; // main xref covers 0 … mainCount-1
+  const linNumber = next++;
+  for (const ref of part4) numbers.set(ref.tag, next++);
+  const hintNumber = next++;
+  for (const ref of part6) numbers.set(ref.tag, next++);
+  const size = next;
+
+  const bytesOf = new Map();
+  const serialize = (refs) => refs.map((ref) => {
+    const bytes = serializeIndirect(numbers.get(ref.tag), renumber(context, context.lookup(ref), numbers));
+    bytesOf.set(ref.tag, bytes);
+    return bytes;
+  });
+  const part4Bytes = serialize(part4);
+  const part6Bytes = serialize(part6);
+  const part7Bytes = part7.map(serialize);
+  const part8Bytes = serialize(part8);
+  const part9Bytes = serialize(part9);
+
+  // --- Fixed-size front matter ---
+  const { major, minor } = context.header;
+  const header = new Uint8Array([...encoder.encode(`%PDF-${major}.${minor}\n%`), 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]);
+  const linDict = (p) => encoder.encode(
+    `${linNumber} 0 obj\n<< /Linearized 1 /L ${padNumber(p.L)} /H [ ${padNumber(p.hOffset)} ${padNumber(p.hLength)} ] ` +
+    `/O ${numbers.get(pageRefs[0].tag)} /E ${padNumber(p.E)} /N ${pageRefs.length} /T ${padNumber(p.T)} >>\nendobj\n`,
+  );
+  const trailerExtras = [
+    `/Root ${numbers.get(rootRef.tag)} 0 R`,
+    trailer.Info instanceof PDFRef && numbers.has(trailer.Info.tag) ? `/Info ${numbers.get(trailer.Info.tag)} 0 R` : null,
+    trailer.ID ? `/ID ${trailer.ID.toString()}` : null,
+  ].filter(Boolean).join(' ');
+  const firstXrefCount = size - mainCount;
+  const firstXref = (offsets, prev) => encoder.encode(
+    `xref\n${mainCount} ${firstXrefCount}\n${offsets.map(xrefEntry).join('')}` +
+    `trailer\n<< /Size ${size} ${trailerExtras} /Prev ${padNumber(prev)} >>\nstartxref\n0\n%%EOF\n`,
+  );
+
+  const linLength = linDict({ L: 0, hOffset: 0, hLength: 0, E: 0, T: 0 }).length;
+  const firstXrefOffset = header.length + linLength;
+  const firstXrefLength = firstXref(new Array(firstXrefCount).fill(0), 0).length;
+
+  // --- Layout everything after the hint stream as if it were absent ---
+  let pos = firstXrefOffset + firstXrefLength;
+  const offsetOf = new Map();
+  const place = (refs, bytesList) => refs.forEach((ref, i) => {
+    offsetOf.set(ref.tag, pos);
+    pos += bytesList[i].length;
+  });
+  place(part4, part4Bytes);
+  const hintOffset = pos;
+  place(part6, part6Bytes);
+  const firstPageEnd = pos;
+  part7.forEach((refs, i) => place(refs, part7Bytes[i]));
+  place(part8, part8Bytes);
+  place(part9, part9Bytes);
+
+  const sharedIds = new Map();
+  [...part6, ...part8].forEach((ref, i) => sharedIds.set(ref.tag, i));
+
+  const pages = pageRefs.map((pageRef, i) => {
+    const own = i === 0 ? part6 : part7[i - 1];
+    const start = offsetOf.get(pageRef.tag);
+    const last = own[own.length - 1];
+    const length = offsetOf.get(last.tag) + bytesOf.get(last.tag).length - start;
+    const shared = i === 0
+      ? []
+      : pageClosures[i].filter((r) => sharedIds.has(r.tag)).map((r) => sharedIds.get(r.tag));
+
+    // Content stream position, when all of the page's streams live in its own section
+    const contentRefs = [];
+    directRefs(context.lookup(pageRef, PDFDict).get(PDFName.of('Contents')), contentRefs, false);
+    const ownTags = new Set(own.map((r) => r.tag));
+    let contentOffset = 0;
+    let contentLength = 0;
+    if (contentRefs.length > 0 && contentRefs.every((r) => ownTags.has(r.tag))) {
+      const starts = contentRefs.map((r) => offsetOf.get(r.tag));
+      const ends = contentRefs.map((r) => offsetOf.get(r.tag) + bytesOf.get(r.tag).length);
+      contentOffset = Math.min(...starts) - start;
+      contentLength = Math.max(...ends) - Math.min(...starts);
+    }
+    return { offset: start, length, nobjects: own.length, shared, contentOffset, contentLength };
+  });
+
+  const sharedGroups = [...part6, ...part8].map((ref) => ({
+    offset: offsetOf.get(ref.tag),
+    length: bytesOf.get(ref.tag).length,
+  }));
+  const { data, sharedOffset } = buildHintData({
+    pages,
+    firstPageShared: part6.length,
+    sharedGroups,
+    sharedFirstObjectNumber: part8.length > 0 ? numbers.get(part8[0].tag) : 0,
+  });
+  const hintData = zlibSync(data);
+  const hintHead = encoder.encode(
+    `${hintNumber} 0 obj\n<< /Filter /FlateDecode /Length ${hintData.length} /S ${sharedOffset} >>\nstream\n`,
+  );
+  const hintTail = encoder.encode('\nendstream\nendobj\n');
+  const hintLength = hintHead.length + hintData.length + hintTail.length;
+
+  // --- Shift to real offsets and assemble ---
+  const actual = (offset) => (offset >= hintOffset ? offset + hintLength : offset);
+  const mainXrefOffset = actual(pos);
+  const mainXrefPrefix = `xref\n0 ${mainCount}`;
+  const mainOrder = [...part7.flat(), ...part8, ...part9];
+  const mainXref = encoder.encode(
+    `${mainXrefPrefix}\n0000000000 65535 f\r\n${mainOrder.map((r) => xrefEntry(actual(offsetOf.get(r.tag)))).join('')}` +
+    `trailer\n<< /Size ${mainCount} >>\nstartxref\n${firstXrefOffset}\n%%EOF\n`,
+  );
+  const fileLength = mainXrefOffset + mainXref.length;
+
+  const firstOffsets = [header.length, ...part4.map((r) => offsetOf.get(r.tag)), hintOffset, ...part6.map((r) => actual(offsetOf.get(r.tag)))];
+  const chunks = [
+    header,
+    linDict({
+      L: fileLength,
+      hOffset: hintOffset,
+      hLength: hintLength,
+      E: actual(firstPageEnd),
+      T: mainXrefOffset + mainXrefPrefix.length,
+    }),
+    firstXref(firstOffsets, mainXrefOffset),
+    ...part4Bytes,
+    hintHead, hintData, hintTail,
+    ...part6Bytes,
+    ...part7Bytes.flat(),
+    ...part8Bytes,
+    ...part9Bytes,
+    mainXref,
+  ];
+
+  const output = new Uint8Array(fileLength);
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  if (offset !== fileLength) throw new Error(`Linearized layout mismatch: wrote ${offset} of ${fileLength} bytes`);
+  return output;
+}
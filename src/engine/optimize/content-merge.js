@@ -0,0 +1,85 @@
+/**
+ * Content stream merging pass.
+ *
+ * Stamping and watermarking tools often leave a page with a /Contents array
+ * of many small streams, each deflated on its own: every one pays for its
+ * own zlib header and starts with an empty dictionary, so repeated operators
+ * across streams never compress against each other. This pass decodes a
+ * page's streams, joins them with a newline wherever one doesn't already
+ * end in whitespace (the spec only splits content between tokens, but a
+ * trailing comment would otherwise swallow the next stream's first line),
+ * and points /Contents at a single Flate stream.
+ *
+ * Pages are left alone if any of their streams can't be decoded or is also
+ * drawn elsewhere — copying a shared watermark into every page would grow
+ * the file. The old streams are left for the unreferenced pass. Signed
+ * documents are skipped: the signed revision keeps its streams whatever
+ * happens, so an update holding merged copies of them only adds bytes.
+ */
+import { zlibSync } from 'fflate';
+import { PDFName, PDFRawStream } from 'pdf-lib';
+import { collectPageContents, readContentStream } from '../utils/content-stream-parser.js';
+import { createCheckpoint } from '../utils/abort.js';
+
+const isWhitespace = (byte) => byte === 0x20 || byte === 0x0a || byte === 0x0d || byte === 0x09 || byte === 0x0c || byte === 0x00;
+
+/** Join decoded streams, separating them where needed. */
+function joinStreams(parts) {
+  const joined = [];
+  let length = 0;
+  for (const part of parts) {
+    const last = joined[joined.length - 1];
+    if (last && last.length > 0 && !isWhitespace(last[last.length - 1])) {
+      joined.push(Uint8Array.of(0x0a));
+      length++;
+    }
+    joined.push(part);
+    length += part.length;
+  }
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const part of joined) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+/**
+ * Join each page's content streams into one.
+ * @param {PDFDocument} pdfDoc
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the pass between pages
+ * @returns {Promise<{ merged: number, joined: number, skipped: number }>}
+ *   `merged` counts pages now drawn from a single stream, `joined` the
+ *   streams they were drawn from, `skipped` pages with several streams
+ *   that were left as they were
+ */
+export async function mergeContentStreams(pdfDoc, options = {}) {
+  const context = pdfDoc.context;
+  const checkpoint = createCheckpoint(options.signal);
+  const pages = pdfDoc.getPages();
+  let merged = 0;
+  let joined = 0;
+  let skipped = 0;
+  if (options._pdfTraits?.isSigned) return { merged, joined, skipped };
+
+  for (const { page, refs, shared, complete } of collectPageContents(pdfDoc)) {
+    if (refs.length < 2 && complete) continue;
+    await checkpoint();
+    // Anything in /Contents but stream refs would be lost from the merged stream
+    const decoded = shared || !complete ? null : refs.map((ref) => readContentStream(context.lookup(ref)));
+    if (!decoded || decoded.includes(null)) {
+      skipped++;
+      continue;
+    }
+
+    const compressed = zlibSync(joinStreams(decoded), { level: 9 });
+    const dict = context.obj({ Filter: 'FlateDecode', Length: compressed.length });
+    pages[page - 1].node.set(PDFName.of('Contents'), context.register(PDFRawStream.of(dict, compressed)));
+    merged++;
+    joined += refs.length;
+  }
+
+  return { merged, joined, skipped };
+}
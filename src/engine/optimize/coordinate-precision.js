@@ -0,0 +1,342 @@
+/**
+ * Coordinate precision pass (lossy).
+ *
+ * CAD and chart exports write coordinates with six decimal places — a
+ * millionth of a point, far below anything a screen or printer resolves.
+ * This pass rounds path construction operands (m, l, c, v, y, re) and text
+ * positioning (Td, the horizontal move of TD, the translation of Tm) to the
+ * fewest decimals that keep every point within `vectorPrecision` device
+ * pixels at `vectorDpi`.
+ *
+ * The rounding step follows the CTM (createGraphicsStateTracker), so a path
+ * drawn at ten times its size keeps one more decimal. Relative moves (Td)
+ * carry their rounding error into the next move, so a column of text lines
+ * doesn't drift. Line widths, dash patterns, `cm`, the vertical move of TD
+ * (it sets the leading) and TJ adjustments are left alone.
+ *
+ * Form XObjects are rounded for the largest scale they are drawn at. A form
+ * drawn from anywhere the CTM isn't known — an annotation, a pattern, a
+ * stream this pass can't read — is left alone.
+ */
+import { PDFName, PDFRef, PDFDict, PDFArray, PDFNumber, PDFStream } from 'pdf-lib';
+import {
+  createGraphicsStateTracker,
+  collectPageContents,
+  readStreamOperations,
+  multiplyMatrices,
+  matrixScale,
+  resolveDict,
+  isForm,
+} from '../utils/content-stream-parser.js';
+import { encodeContentStream, minimalNumber, writeContentStreams } from '../utils/content-stream-writer.js';
+import { createCheckpoint } from '../utils/abort.js';
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/** Path construction operators, by operand count. */
+const PATH_OPS = { m: 2, l: 2, c: 6, v: 4, y: 4 };
+
+/** Digits after the decimal point, as the number is written. */
+function fractionDigits(token) {
+  const text = minimalNumber(token.text);
+  const dot = text.indexOf('.');
+  return dot === -1 ? 0 : text.length - dot - 1;
+}
+
+/** A number token for `value` with at most `decimals` decimals. */
+function numberToken(value, decimals) {
+  const text = minimalNumber(value.toFixed(decimals));
+  return { type: 'number', value: Number(text), text };
+}
+
+/**
+ * Decimals that keep rounding within `unit` (user space at identity CTM)
+ * once drawn through `matrix`, or undefined if the matrix isn't known.
+ */
+function decimalsFor(unit, matrix) {
+  if (!matrix) return undefined;
+  const scale = matrixScale(matrix);
+  if (!(scale > 0)) return undefined;
+  return Math.max(0, Math.ceil(-Math.log10(unit / scale)));
+}
+
+/** Numeric operand values, or undefined unless there are exactly `count` numbers. */
+function numbers(operation, count) {
+  const { operands } = operation;
+  if (operands.length !== count || operands.some((t) => t.type !== 'number')) return undefined;
+  return operands.map((t) => t.value);
+}
+
+/**
+ * Round the coordinates in a list of operations, in place.
+ *
+ * @param {import('../utils/content-stream-parser.js').ContentOperation[]} operations
+ * @param {object} options
+ * @param {number} options.unit - Largest rounding step allowed, in default
+ *   user space units (1/72 inch) before the stream's own `cm`s
+ * @param {'page' | 'unknown'} [options.initial='page'] - Starting graphics
+ *   state; the CTM always starts at identity
+ * @returns {number} How many operands changed
+ */
+export function roundCoordinates(operations, { unit, initial = 'page' }) {
+  const tracker = createGraphicsStateTracker({ initial, ctm: IDENTITY });
+  let rounded = 0;
+  // Rounding error of the Td moves so far, added to the next one
+  let carry = [0, 0];
+
+  const replace = (operation, index, token) => {
+    if (token.text === minimalNumber(operation.operands[index].text)) return;
+    operation.operands[index] = token;
+    operation.tokens[index] = token;
+    rounded++;
+  };
+
+  for (const operation of operations) {
+    const { operator } = operation;
+    const { state } = tracker;
+
+    if (PATH_OPS[operator]) {
+      const values = numbers(operation, PATH_OPS[operator]);
+      const decimals = decimalsFor(unit, state.ctm);
+      if (values && decimals !== undefined) {
+        values.forEach((value, i) => {
+          if (fractionDigits(operation.operands[i]) > decimals) replace(operation, i, numberToken(value, decimals));
+        });
+      }
+    } else if (operator === 're') {
+      const values = numbers(operation, 4);
+      const decimals = decimalsFor(unit, state.ctm);
+      if (values && decimals !== undefined && operation.operands.some((t) => fractionDigits(t) > decimals)) {
+        // Round the corners, not the size, so the far edges stay in place too
+        const [x, y, width, height] = values;
+        const x0 = numberToken(x, decimals);
+        const y0 = numberToken(y, decimals);
+        const x1 = numberToken(x + width, decimals);
+        const y1 = numberToken(y + height, decimals);
+        replace(operation, 0, x0);
+        replace(operation, 1, y0);
+        replace(operation, 2, numberToken(x1.value - x0.value, decimals));
+        replace(operation, 3, numberToken(y1.value - y0.value, decimals));
+      }
+    } else if (operator === 'BT') {
+      carry = [0, 0];
+    } else if (operator === 'Tm') {
+      carry = [0, 0];
+      const values = numbers(operation, 6);
+      const decimals = decimalsFor(unit, state.ctm);
+      if (values && decimals !== undefined) {
+        for (const i of [4, 5]) {
+          if (fractionDigits(operation.operands[i]) > decimals) replace(operation, i, numberToken(values[i], decimals));
+        }
+      }
+    } else if (operator === 'Td' || operator === 'TD') {
+      const values = numbers(operation, 2);
+      const matrix = state.textMatrix && state.ctm && multiplyMatrices(state.textMatrix, state.ctm);
+      const decimals = decimalsFor(unit, matrix);
+      if (values && decimals !== undefined) {
+        // TD's vertical move also sets the leading, which later T*s repeat
+        const axes = operator === 'TD' ? [0] : [0, 1];
+        for (const i of axes) {
+          const target = values[i] + carry[i];
+          const token = numberToken(target, decimals);
+          carry[i] = target - token.value;
+          replace(operation, i, token);
+        }
+      }
+    }
+
+    tracker.apply(operation);
+  }
+
+  return rounded;
+}
+
+/** The `Do` operations in a list, with the CTM each is drawn at (undefined if unknown). */
+function findDraws(operations, initial) {
+  const tracker = createGraphicsStateTracker({ initial, ctm: IDENTITY });
+  const draws = [];
+  for (const operation of operations) {
+    const [name] = operation.operands;
+    if (operation.operator === 'Do' && operation.operands.length === 1 && name.type === 'name') {
+      draws.push({ name: name.value, ctm: tracker.state.ctm && [...tracker.state.ctm] });
+    }
+    tracker.apply(operation);
+  }
+  return draws;
+}
+
+function formMatrix(form) {
+  const matrix = form.dict.lookup(PDFName.of('Matrix'));
+  if (!(matrix instanceof PDFArray) || matrix.size() !== 6) return IDENTITY;
+  const values = matrix.asArray().map((n) => (n instanceof PDFNumber ? n.asNumber() : NaN));
+  return values.every(Number.isFinite) ? values : IDENTITY;
+}
+
+/** How many times each Form XObject ref appears anywhere in the document. */
+function countFormReferences(context) {
+  const counts = new Map();
+  const visit = (value) => {
+    if (value instanceof PDFRef) {
+      if (isForm(context.lookup(value))) counts.set(value, (counts.get(value) ?? 0) + 1);
+    } else if (value instanceof PDFDict) {
+      for (const [, entry] of value.entries()) visit(entry);
+    } else if (value instanceof PDFArray) {
+      for (const entry of value.asArray()) visit(entry);
+    } else if (value instanceof PDFStream) {
+      visit(value.dict);
+    }
+  };
+  for (const [, obj] of context.enumerateIndirectObjects()) visit(obj);
+  return counts;
+}
+
+/**
+ * Read the pages and the forms they draw, and work out the largest scale
+ * each form is drawn at. Returns the content that may be rounded, with its
+ * scale relative to default user space.
+ */
+function collectContent(pdfDoc) {
+  const context = pdfDoc.context;
+  const items = [];
+  const forms = new Map(); // form ref → item
+  const draws = new Map(); // form ref → [{ parent, scale }]
+  const blocked = new Set();
+  const xobjectDicts = new Set();
+  // A Do we can't resolve may be drawing a form through inherited resources
+  let unresolved = false;
+
+  const walk = (item, resources) => {
+    if (!item.read) return;
+    const xobjects = resolveDict(context, resolveDict(context, resources)?.get(PDFName.of('XObject')));
+    if (xobjects) xobjectDicts.add(xobjects);
+    for (const { name, ctm } of findDraws(item.read.operations, item.initial)) {
+      const ref = xobjects?.get(PDFName.of(name));
+      if (!(ref instanceof PDFRef)) unresolved = true;
+      if (!(ref instanceof PDFRef) || !isForm(context.lookup(ref))) continue;
+      const form = context.lookup(ref);
+      if (!ctm) blocked.add(ref);
+      else {
+        if (!draws.has(ref)) draws.set(ref, []);
+        draws.get(ref).push({ parent: item, scale: matrixScale(multiplyMatrices(formMatrix(form), ctm)) });
+      }
+      if (!forms.has(ref)) {
+        const formItem = { refs: [ref], page: item.page, initial: 'unknown', read: readStreamOperations([form]) };
+        forms.set(ref, formItem);
+        walk(formItem, form.dict.get(PDFName.of('Resources')));
+      }
+    }
+  };
+
+  for (const { page, refs, shared, complete } of collectPageContents(pdfDoc)) {
+    if (refs.length === 0) continue;
+    const node = pdfDoc.getPage(page - 1).node;
+    const userUnit = node.get(PDFName.of('UserUnit'));
+    const item = {
+      refs,
+      page,
+      initial: 'page',
+      scale: userUnit instanceof PDFNumber && userUnit.asNumber() > 0 ? userUnit.asNumber() : 1,
+      read: complete ? readStreamOperations(refs.map((ref) => context.lookup(ref))) : null,
+      // Drawn from other pages too, in a different state
+      frozen: shared,
+    };
+    items.push(item);
+    walk(item, node.Resources());
+  }
+
+  // A form is only safe to round if every reference to it is one we followed
+  const total = countFormReferences(context);
+  const followed = new Map();
+  for (const xobjects of xobjectDicts) {
+    for (const [, value] of xobjects.entries()) {
+      if (value instanceof PDFRef && forms.has(value)) followed.set(value, (followed.get(value) ?? 0) + 1);
+    }
+  }
+
+  const scaleOf = (item, visiting) => {
+    if (item.scale !== undefined) return item.scale;
+    const ref = item.refs[0];
+    if (unresolved || visiting.has(ref) || blocked.has(ref) || total.get(ref) !== followed.get(ref)) return null;
+    visiting.add(ref);
+    let scale = 0;
+    for (const { parent, scale: relative } of draws.get(ref) ?? []) {
+      const parentScale = scaleOf(parent, visiting);
+      if (parentScale === null) {
+        scale = null;
+        break;
+      }
+      scale = Math.max(scale, parentScale * relative);
+    }
+    visiting.delete(ref);
+    return scale;
+  };
+  for (const item of forms.values()) {
+    item.scale = scaleOf(item, new Set());
+    items.push(item);
+  }
+
+  return items.filter((item) => item.read && !item.frozen && item.scale > 0);
+}
+
+/**
+ * Round coordinates in page content streams and the Form XObjects they draw.
+ * Does nothing unless `vectorDpi` is set.
+ * @param {PDFDocument} pdfDoc
+ * @param {object} [options]
+ * @param {number} [options.vectorDpi] - Device resolution the rounding must be invisible at
+ * @param {number} [options.vectorPrecision=0.5] - Largest rounding step, in device pixels
+ * @param {AbortSignal} [options.signal] - Cancels the pass between pages and forms
+ * @returns {Promise<{
+ *   rounded: number,
+ *   rewritten: number,
+ *   skipped: number,
+ *   savedBytes: number,
+ *   pages: Array<{ page: number, before: number, after: number }>,
+ * }>} `pages` gives, for each changed page, the size of the streams
+ *   rewritten for it before and after; a form counts toward the first
+ *   page that draws it
+ */
+export async function reduceCoordinatePrecision(pdfDoc, options = {}) {
+  const { vectorDpi, vectorPrecision = 0.5 } = options;
+  const context = pdfDoc.context;
+  const checkpoint = createCheckpoint(options.signal);
+  const perPage = new Map();
+  let rounded = 0;
+  let rewritten = 0;
+  let skipped = 0;
+  let savedBytes = 0;
+
+  if (!(vectorDpi > 0) || !(vectorPrecision > 0)) return { rounded, rewritten, skipped, savedBytes, pages: [] };
+  const unit = (72 / vectorDpi) * vectorPrecision;
+
+  for (const item of collectContent(pdfDoc)) {
+    await checkpoint();
+    const { operations, parts } = item.read;
+    const count = roundCoordinates(operations, { unit: unit / item.scale, initial: item.initial });
+    if (count === 0) continue;
+
+    // All of a page's streams or none: a Td carry may run from one into the next
+    const replacements = parts.map(({ stream, from, to }) => ({
+      stream,
+      data: encodeContentStream(operations.slice(from, to).flatMap((op) => op.tokens)),
+    }));
+    const before = parts.reduce((sum, { stream }) => sum + stream.contents.length, 0);
+    const after = replacements.reduce((sum, { data }) => sum + (data?.length ?? Infinity), 0);
+    if (!(after < before)) {
+      skipped++;
+      continue;
+    }
+
+    writeContentStreams(context, item.refs, replacements);
+    rounded += count;
+    rewritten += parts.length;
+    savedBytes += before - after;
+    const page = perPage.get(item.page) ?? { page: item.page, before: 0, after: 0 };
+    page.before += before;
+    page.after += after;
+    perPage.set(item.page, page);
+  }
+
+  const pages = [...perPage.values()].sort((a, b) => a.page - b.page);
+  return { rounded, rewritten, skipped, savedBytes, pages };
+}
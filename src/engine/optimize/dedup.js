@@ -1,95 +1,164 @@
 /**
  * Object deduplication pass.
  *
- * Hashes each PDFRawStream (contents + serialized dict) using a fast
- * non-cryptographic hash. Builds a hash → canonical ref map, then walks
- * all dicts/arrays replacing duplicate refs with canonical refs, and
- * deletes duplicates.
+ * Finds indirect objects that are identical — streams, dicts and arrays —
+ * and keeps one copy of each: walks all dicts/arrays replacing duplicate
+ * refs with the canonical ref, then deletes the duplicates.
  *
- * Page content streams are intentionally excluded — a hash collision
- * would silently replace one page's drawing commands with another's,
- * producing blank or wrong pages. The content integrity guard can't
- * catch this because dedup relinks refs before deleting, so the refs
- * remain valid even when pointing to the wrong stream.
+ * Streams are grouped by a fast non-cryptographic hash of their contents,
+ * and every hash hit is confirmed by comparing the bytes in full: a
+ * collision on a page content stream would silently replace one page's
+ * drawing commands with another's, and the content integrity guard can't
+ * catch it because dedup relinks refs before deleting, so the refs remain
+ * valid even when pointing to the wrong stream. Dictionaries are compared
+ * on an exact serialization, with refs replaced by their canonical copy —
+ * so two font dicts become identical once their font files have been
+ * merged. That repeats until a round merges nothing.
+ *
+ * Objects whose identity means something are never merged: the page tree,
+ * the structure tree, optional content groups, form fields and signatures,
+ * and annotations not tied to a page by /P.
  */
 import { PDFRawStream, PDFDict, PDFArray, PDFRef, PDFName } from 'pdf-lib';
-import { hashBytes } from '../utils/hash.js';
+import { hashBytes, serializeObject } from '../utils/hash.js';
 
 /**
- * Serialize a dict's entries (excluding Length, which varies) for hashing.
+ * Collect ref tags of all page content streams, per page.
+ * @returns {string[][]}
  */
-function serializeDict(dict) {
-  const parts = [];
-  for (const [key, value] of dict.entries()) {
-    const keyStr = key instanceof PDFName ? key.decodeText() : key.toString();
-    // Skip Length — it's derived from contents
-    if (keyStr === 'Length') continue;
-    parts.push(`${keyStr}=${value.toString()}`);
-  }
-  parts.sort();
-  return parts.join('|');
+function collectContentStreamRefs(pdfDoc) {
+  return pdfDoc.getPages().map((page) => {
+    let contents = page.node.get(PDFName.of('Contents'));
+    if (contents instanceof PDFRef && pdfDoc.context.lookup(contents) instanceof PDFArray) {
+      contents = pdfDoc.context.lookup(contents);
+    }
+    if (contents instanceof PDFRef) return [contents.tag];
+    if (contents instanceof PDFArray) {
+      return contents.asArray().filter((item) => item instanceof PDFRef).map((item) => item.tag);
+    }
+    return [];
+  });
 }
 
+/** Types whose objects are referred to by identity, not by value. */
+const IDENTITY_TYPES = new Set(['Catalog', 'Pages', 'Page', 'StructTreeRoot', 'StructElem', 'MCR', 'OBJR', 'OCG', 'Sig', 'Thread', 'Bead']);
+
 /**
- * Collect ref tags of all page content streams.
- * These are excluded from dedup to prevent hash-collision-induced blank pages.
+ * Whether a dict must keep its own identity: two equal ones still mean two
+ * different things (pages, layers, form fields, structure elements).
  */
-function collectContentStreamRefs(pdfDoc) {
-  const refs = new Set();
-  for (const page of pdfDoc.getPages()) {
-    const contents = page.node.get(PDFName.of('Contents'));
-    if (!contents) continue;
-    if (contents instanceof PDFRef) {
-      refs.add(contents.tag);
-    } else if (contents instanceof PDFArray) {
-      for (let i = 0; i < contents.size(); i++) {
-        const item = contents.get(i);
-        if (item instanceof PDFRef) refs.add(item.tag);
-      }
+function hasIdentity(dict) {
+  const type = dict.get(PDFName.of('Type'));
+  if (type instanceof PDFName && IDENTITY_TYPES.has(type.decodeText())) return true;
+  // Form fields and their widgets, and signature values
+  if (dict.has(PDFName.of('FT')) || dict.has(PDFName.of('T')) || dict.has(PDFName.of('ByteRange'))) return true;
+  // An annotation belongs to one page; without /P, equal ones may be on two
+  return dict.has(PDFName.of('Subtype')) && dict.has(PDFName.of('Rect')) && !dict.has(PDFName.of('P'));
+}
+
+/**
+ * Tags of objects that are never merged: the trailer's, identity-bound
+ * dicts, and everything in the structure tree (elements are often untyped,
+ * so they're found by walking it rather than by /Type). The walk stops at
+ * the content the tree points into (/Pg, /Obj, /Stm, /StmOwn).
+ */
+function collectExcludedRefs(context) {
+  const excluded = new Set();
+  const { Root, Info, Encrypt } = context.trailerInfo;
+  for (const ref of [Root, Info, Encrypt]) if (ref instanceof PDFRef) excluded.add(ref.tag);
+
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (obj instanceof PDFDict && hasIdentity(obj)) excluded.add(ref.tag);
+  }
+
+  const catalog = context.lookup(Root);
+  const queue = catalog instanceof PDFDict ? [catalog.get(PDFName.of('StructTreeRoot'))] : [];
+  const leaves = new Set(['Pg', 'Obj', 'Stm', 'StmOwn'].map((key) => PDFName.of(key)));
+  const walked = new Set();
+  while (queue.length > 0) {
+    const item = queue.pop();
+    if (item instanceof PDFRef) {
+      if (walked.has(item.tag)) continue;
+      walked.add(item.tag);
+      excluded.add(item.tag);
+      queue.push(context.lookup(item));
+    } else if (item instanceof PDFDict) {
+      for (const [key, value] of item.entries()) if (!leaves.has(key)) queue.push(value);
+    } else if (item instanceof PDFArray) {
+      queue.push(...item.asArray());
     }
   }
-  return refs;
+  return excluded;
+}
+
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
 }
 
 /**
  * Deduplicate identical objects.
  * @param {PDFDocument} pdfDoc
- * @returns {{ deduplicated: number, contentStreamsSkipped: number }}
+ * @returns {{ deduplicated: number, pagesSharingContent: number }}
+ *   `pagesSharingContent` counts the pages that draw a content stream
+ *   another page's identical copy was merged into
  */
 export function deduplicateObjects(pdfDoc) {
   const context = pdfDoc.context;
-  const contentRefs = collectContentStreamRefs(pdfDoc);
+  const pageContents = collectContentStreamRefs(pdfDoc);
+  const excluded = collectExcludedRefs(context);
 
-  // Phase 1: Hash all stream objects (excluding page content streams)
-  const hashToCanonical = new Map(); // hash → PDFRef (first seen)
   const duplicateToCanonical = new Map(); // duplicate PDFRef tag → canonical PDFRef
-  let contentStreamsSkipped = 0;
-
+  const canonicalRef = (ref) => {
+    let canonical = ref;
+    while (duplicateToCanonical.has(canonical.tag)) canonical = duplicateToCanonical.get(canonical.tag);
+    return canonical;
+  };
+  const canonicalTag = (ref) => canonicalRef(ref).tag;
+
+  const candidates = [];
+  const contentHashes = new Map(); // stream ref tag → hash of its contents
   for (const [ref, obj] of context.enumerateIndirectObjects()) {
-    if (!(obj instanceof PDFRawStream)) continue;
-
-    // Never dedup page content streams — a hash collision would silently
-    // blank a page, and the content integrity guard can't catch it.
-    if (contentRefs.has(ref.tag)) {
-      contentStreamsSkipped++;
-      continue;
-    }
-
-    const dictSer = serializeDict(obj.dict);
-    const combined = new Uint8Array(dictSer.length + obj.contents.length);
-    for (let i = 0; i < dictSer.length; i++) combined[i] = dictSer.charCodeAt(i);
-    combined.set(obj.contents, dictSer.length);
-
-    const hash = hashBytes(combined);
+    if (excluded.has(ref.tag)) continue;
+    if (obj instanceof PDFRawStream) contentHashes.set(ref.tag, hashBytes(obj.contents));
+    if (obj instanceof PDFRawStream || obj instanceof PDFDict || obj instanceof PDFArray) candidates.push([ref, obj]);
+  }
 
-    if (hashToCanonical.has(hash)) {
-      duplicateToCanonical.set(ref.tag, hashToCanonical.get(hash));
-    } else {
-      hashToCanonical.set(hash, ref);
+  // Merging objects can make the objects that point to them equal, so
+  // repeat until nothing more merges
+  for (let merged = true; merged;) {
+    merged = false;
+    const seen = new Map(); // serialization → PDFRef[] (first seen of each distinct object)
+    for (const [ref, obj] of candidates) {
+      if (duplicateToCanonical.has(ref.tag)) continue;
+      const key = obj instanceof PDFRawStream
+        ? `${contentHashes.get(ref.tag)} ${serializeObject(obj.dict, canonicalTag, true)}`
+        : serializeObject(obj, canonicalTag);
+      const matches = seen.get(key);
+      if (!matches) {
+        seen.set(key, [ref]);
+        continue;
+      }
+      // Dict and array keys are exact; a stream's contents must match byte for byte, not just by hash
+      const canonical = obj instanceof PDFRawStream
+        ? matches.find((candidate) => bytesEqual(context.lookup(candidate).contents, obj.contents))
+        : matches[0];
+      if (canonical) {
+        duplicateToCanonical.set(ref.tag, canonical);
+        merged = true;
+      } else {
+        matches.push(ref);
+      }
     }
   }
 
-  if (duplicateToCanonical.size === 0) return { deduplicated: 0, contentStreamsSkipped };
+  if (duplicateToCanonical.size === 0) return { deduplicated: 0, pagesSharingContent: 0 };
+
+  // Point every duplicate straight at the copy that's kept
+  for (const [dupTag, canonical] of duplicateToCanonical) duplicateToCanonical.set(dupTag, canonicalRef(canonical));
 
   // Phase 2: Rewrite refs throughout the document
   rewriteRefs(context, duplicateToCanonical);
@@ -102,7 +171,15 @@ export function deduplicateObjects(pdfDoc) {
     context.delete(ref);
   }
 
-  return { deduplicated: duplicateToCanonical.size, contentStreamsSkipped };
+  const sharedContent = new Set(pageContents.flat()
+    .filter((tag) => duplicateToCanonical.has(tag))
+    .map((tag) => duplicateToCanonical.get(tag).tag));
+  const pagesSharingContent = pageContents.filter((tags) => tags.some((tag) => {
+    const canonical = duplicateToCanonical.get(tag)?.tag ?? tag;
+    return sharedContent.has(canonical);
+  })).length;
+
+  return { deduplicated: duplicateToCanonical.size, pagesSharingContent };
 }
 
 /**
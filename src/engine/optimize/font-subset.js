@@ -39,6 +39,7 @@ import { charCodesToUnicode, isIdentityHFont } from '../utils/unicode-mapper.js'
 import { subsetFont } from '../utils/harfbuzz-subsetter.js';
 import { decodeStream, allFiltersDecodable, getFilterNames } from '../utils/stream-decode.js';
 import { FONT_FILE_KEYS } from '../utils/hash.js';
+import { createCheckpoint } from '../utils/abort.js';
 
 /** Minimum font stream size worth subsetting (10 KB). */
 const MIN_FONT_SIZE = 10 * 1024;
@@ -49,13 +50,16 @@ const MIN_FONT_SIZE = 10 * 1024;
  * @param {PDFDocument} pdfDoc
  * @param {object} [options]
  * @param {boolean} [options.subsetFonts=true] - Enable/disable this pass
+ * @param {AbortSignal} [options.signal] - Cancels the pass between fonts
  * @returns {Promise<{ subsetted: number, skipped: number }>}
  */
 export async function subsetFonts(pdfDoc, options = {}) {
-  const { subsetFonts: enabled = true } = options;
+  const { subsetFonts: enabled = true, signal } = options;
   if (!enabled) return { subsetted: 0, skipped: 0 };
 
   const context = pdfDoc.context;
+  const checkpoint = createCheckpoint(signal);
+  await checkpoint();
 
   // Step 1: Extract all used char codes per font from content streams
   let usedCharCodes;
@@ -75,6 +79,7 @@ export async function subsetFonts(pdfDoc, options = {}) {
 
   // Step 3: Process each font
   for (const info of fontInfos) {
+    await checkpoint();
     try {
       const result = await processFont(context, info);
       if (result) {
@@ -0,0 +1,300 @@
+/**
+ * Form XObject inlining pass.
+ *
+ * Some exporters wrap every table cell or glyph run in its own Form
+ * XObject: thousands of small streams, each with a dict, an xref entry and
+ * often a resource dictionary of its own. A form drawn exactly once gains
+ * nothing from being separate, so this pass replaces its `Do` with what
+ * `Do` does — `q`, the form's /Matrix as `cm`, a clip to its /BBox, its
+ * content, `Q` — and moves its resources into the caller's. Forms are
+ * inlined innermost first, round after round, so chains of nested forms
+ * that each draw a single child collapse into the page, or into the one
+ * form at the top that is drawn more than once.
+ *
+ * A form is only inlined if:
+ * - nothing refers to it but one /XObject entry, and exactly one `Do` in
+ *   content we can read draws it. Uses from content we can't read, or from
+ *   a content stream shared between pages (which resolves names against
+ *   more than one dictionary), count as unknown;
+ * - its dict holds only the basic entries: a transparency /Group, /OC,
+ *   /StructParents or /Ref changes what drawing it means;
+ * - its content balances q/Q, BT/ET and marked content, and has no `BDC`,
+ *   whose MCIDs would end up pointing into the page's structure;
+ * - its resources merge into the caller's without a name meaning two
+ *   things, and name no patterns: a pattern is placed relative to the
+ *   space of the form that uses it, which inlining would change.
+ *
+ * Forms without /Resources draw with the page's, so they are only inlined
+ * into pages; if one of them draws another form, or a Type 3 font draws
+ * with a page's resources, uses can't be counted and the pass does
+ * nothing. Signed documents are skipped, as in content-merge.js. Inlined
+ * forms are left for the unreferenced pass.
+ */
+import { PDFName, PDFRef, PDFDict, PDFArray, PDFNumber } from 'pdf-lib';
+import {
+  collectContentHosts,
+  readStreamOperations,
+  tokenizeContentStream,
+  resolveDict,
+  isForm,
+} from '../utils/content-stream-parser.js';
+import { encodeContentStream, writeContentStreams } from '../utils/content-stream-writer.js';
+import { serializeObject } from '../utils/hash.js';
+import { findReachableRefs, countReferences } from '../utils/pdf-traversal.js';
+import { createCheckpoint } from '../utils/abort.js';
+
+const RESOURCES = PDFName.of('Resources');
+const XOBJECT = PDFName.of('XObject');
+
+/** Form dict entries that don't change what drawing the form means. */
+const PLAIN_FORM_KEYS = new Set([
+  'Type', 'Subtype', 'FormType', 'BBox', 'Matrix', 'Resources', 'Length', 'Filter', 'Name', 'LastModified',
+]);
+
+/** Resource categories merged into the caller's; /ProcSet is obsolete and dropped. */
+const MERGED_CATEGORIES = new Set(['Font', 'XObject', 'ExtGState', 'ColorSpace', 'Shading', 'Properties']);
+
+/** Operators that open and close a nesting level, which a form's content must balance. */
+const PAIRS = { q: 'Q', BT: 'ET', BMC: 'EMC', BX: 'EX' };
+
+/** Numbers of a PDF array of the given length, as written, or null. */
+function numberTexts(context, value, length) {
+  const array = value instanceof PDFRef ? context.lookup(value) : value;
+  if (!(array instanceof PDFArray) || array.size() !== length) return null;
+  const items = array.asArray().map((item) => context.lookup(item));
+  return items.every((item) => item instanceof PDFNumber) ? items.map((item) => item.toString()) : null;
+}
+
+/**
+ * Tokens that open a form's inlined content: save the state, apply its
+ * matrix and clip to its bounding box. Null if either is malformed.
+ */
+function openingTokens(context, form) {
+  const bbox = numberTexts(context, form.dict.get(PDFName.of('BBox')), 4);
+  const hasMatrix = form.dict.has(PDFName.of('Matrix'));
+  const matrix = hasMatrix ? numberTexts(context, form.dict.get(PDFName.of('Matrix')), 6) : null;
+  if (!bbox || (hasMatrix && !matrix)) return null;
+  const [x0, y0, x1, y1] = bbox;
+  const cm = matrix && matrix.join(' ') !== '1 0 0 1 0 0' ? `${matrix.join(' ')} cm ` : '';
+  const clip = `${x0} ${y0} m ${x1} ${y0} l ${x1} ${y1} l ${x0} ${y1} l h W n`;
+  return tokenizeContentStream(new TextEncoder().encode(`q ${cm}${clip}`));
+}
+
+/** Whether a form's operations balance every nesting level and carry no MCIDs. */
+function isSelfContained(operations) {
+  const open = [];
+  for (const { operator } of operations) {
+    if (operator === 'BDC') return false;
+    if (PAIRS[operator]) open.push(PAIRS[operator]);
+    else if (Object.values(PAIRS).includes(operator) && open.pop() !== operator) return false;
+  }
+  return open.length === 0;
+}
+
+/**
+ * Add a form's resources to its caller's, unless a name would clash or a
+ * category can't be merged. Checks everything before changing anything.
+ * @returns {boolean} Whether the resources were merged
+ */
+function mergeResources(context, target, source) {
+  const merges = [];
+  for (const [key, value] of source.entries()) {
+    const category = key.decodeText();
+    if (category === 'ProcSet') continue;
+    const entries = resolveDict(context, value);
+    if (!MERGED_CATEGORIES.has(category) || !entries) return false;
+    const existing = resolveDict(context, target.get(key));
+    for (const [name, entry] of entries.entries()) {
+      const current = existing?.get(name);
+      if (current !== undefined && current !== entry && serializeObject(current) !== serializeObject(entry)) return false;
+    }
+    merges.push({ key, entries, existing });
+  }
+
+  for (const { key, entries, existing } of merges) {
+    let dict = existing;
+    if (!dict) {
+      dict = context.obj({});
+      target.set(key, dict);
+    }
+    for (const [name, entry] of entries.entries()) dict.set(name, entry);
+  }
+  return true;
+}
+
+/**
+ * Whether some content draws with resources we can't attribute: a form
+ * without /Resources that draws another form, or a Type 3 font without
+ * /Resources (its glyphs use the page's).
+ */
+function hasBorrowedResources(context, hosts) {
+  for (const host of hosts) {
+    if (!host.form || host.resources) continue;
+    const read = readStreamOperations([context.lookup(host.form)]);
+    if (!read || read.operations.some((op) => op.operator === 'Do')) return true;
+  }
+  for (const [, obj] of context.enumerateIndirectObjects()) {
+    if (obj instanceof PDFDict && obj.get(PDFName.of('Subtype')) === PDFName.of('Type3') && !obj.has(RESOURCES)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * One round: find forms drawn once and inline those that don't draw
+ * another candidate themselves. Forms that can't be inlined are added to
+ * `rejected` and left out of later rounds.
+ * @returns {number} How many forms were inlined
+ */
+function inlineRound(pdfDoc, rejected) {
+  const context = pdfDoc.context;
+  const reachable = findReachableRefs(context);
+  const hosts = collectContentHosts(pdfDoc, reachable);
+  const references = countReferences(context, reachable);
+  const uses = new Map(); // form ref → [{ host, index, name }], or null once a use can't be attributed
+
+  const addUse = (ref, use) => {
+    if (!uses.has(ref)) uses.set(ref, []);
+    if (!use) uses.set(ref, null);
+    else uses.get(ref)?.push(use);
+  };
+
+  for (const host of hosts) {
+    const xobjects = resolveDict(context, host.resources?.get(XOBJECT));
+    if (!xobjects) continue;
+    host.read = host.readable ? readStreamOperations(host.refs.map((ref) => context.lookup(ref))) : null;
+    if (!host.read) {
+      for (const value of xobjects.values()) if (value instanceof PDFRef) addUse(value, null);
+      continue;
+    }
+    host.read.operations.forEach((op, index) => {
+      const name = op.operands[0];
+      if (op.operator !== 'Do' || name?.type !== 'name') return;
+      const ref = xobjects.get(PDFName.of(name.value));
+      if (ref instanceof PDFRef) addUse(ref, { host, index, name: PDFName.of(name.value) });
+    });
+  }
+
+  // Forms drawn once, from somewhere other than themselves, through the
+  // only reference to them
+  const candidates = new Map(); // form ref → use
+  for (const [ref, list] of uses) {
+    if (rejected.has(ref) || list?.length !== 1 || list[0].host.form === ref) continue;
+    if (references.get(ref) !== 1 || !isForm(context.lookup(ref))) continue;
+    candidates.set(ref, list[0]);
+  }
+  // Innermost first: a form whose content is about to change waits a round
+  const ready = [...candidates].filter(([, use]) => !candidates.has(use.host.form));
+
+  const byHost = new Map();
+  for (const [ref, use] of ready) {
+    if (!byHost.has(use.host)) byHost.set(use.host, []);
+    byHost.get(use.host).push({ ref, ...use });
+  }
+
+  let inlined = 0;
+  for (const [host, forms] of byHost) {
+    const replacements = new Map(); // operation index → tokens
+    const xobjects = resolveDict(context, host.resources.get(XOBJECT));
+    for (const { ref, index, name } of forms) {
+      const tokens = inlineTokens(context, host, ref, name);
+      if (tokens) replacements.set(index, tokens);
+      else rejected.add(ref);
+    }
+    if (replacements.size === 0) continue;
+    if (!rewriteHost(context, host, replacements)) {
+      // Names merged in are harmless; the forms' own entries must come back
+      for (const { ref, name } of forms) {
+        xobjects.set(name, ref);
+        rejected.add(ref);
+      }
+      continue;
+    }
+    inlined += replacements.size;
+  }
+  return inlined;
+}
+
+/**
+ * The tokens that replace a form's `Do`, after moving its resources into
+ * the host's. Null if the form can't be inlined; nothing changes then.
+ */
+function inlineTokens(context, host, ref, name) {
+  const form = context.lookup(ref);
+  if (form.dict.keys().some((key) => !PLAIN_FORM_KEYS.has(key.decodeText()))) return null;
+  const opening = openingTokens(context, form);
+  const read = readStreamOperations([form]);
+  if (!opening || !read || !isSelfContained(read.operations)) return null;
+
+  const resources = resolveDict(context, form.dict.get(RESOURCES));
+  if (!resources && host.form) return null;
+  if (resources) {
+    // The host's entry for the form goes, so a child may reuse its name
+    const xobjects = resolveDict(context, host.resources.get(XOBJECT));
+    xobjects.delete(name);
+    if (!mergeResources(context, host.resources, resources)) {
+      xobjects.set(name, ref);
+      return null;
+    }
+  }
+  const closing = { type: 'operator', value: 'Q' };
+  return [...opening, ...read.operations.flatMap((op) => op.tokens), closing];
+}
+
+/** Write a host's content back with some operations replaced. */
+function rewriteHost(context, host, replacements) {
+  const { operations, parts } = host.read;
+  const rewritten = [];
+  for (const { stream, from, to } of parts) {
+    let changed = false;
+    const tokens = [];
+    for (let i = from; i < to; i++) {
+      if (replacements.has(i)) {
+        tokens.push(...replacements.get(i));
+        changed = true;
+      } else {
+        tokens.push(...operations[i].tokens);
+      }
+    }
+    if (!changed) continue;
+    const data = encodeContentStream(tokens);
+    if (!data) return false;
+    rewritten.push({ stream, data });
+  }
+
+  writeContentStreams(context, host.refs, rewritten);
+  return true;
+}
+
+/**
+ * Inline Form XObjects that are drawn exactly once.
+ * @param {PDFDocument} pdfDoc
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the pass between rounds
+ * @returns {Promise<{ inlined: number, objectsRemoved: number }>}
+ *   `inlined` counts forms replaced by their content, `objectsRemoved` the
+ *   objects that leaves unreferenced: the forms and the resource
+ *   dictionaries only they used
+ */
+export async function inlineForms(pdfDoc, options = {}) {
+  const context = pdfDoc.context;
+  const checkpoint = createCheckpoint(options.signal);
+  let inlined = 0;
+  if (options._pdfTraits?.isSigned) return { inlined, objectsRemoved: 0 };
+  const before = findReachableRefs(context);
+  if (hasBorrowedResources(context, collectContentHosts(pdfDoc, before))) return { inlined, objectsRemoved: 0 };
+
+  const rejected = new Set();
+  for (;;) {
+    await checkpoint();
+    const count = inlineRound(pdfDoc, rejected);
+    if (count === 0) break;
+    inlined += count;
+  }
+  if (inlined === 0) return { inlined, objectsRemoved: 0 };
+
+  const after = findReachableRefs(context);
+  const objectsRemoved = [...before].filter((tag) => !after.has(tag)).length;
+  return { inlined, objectsRemoved };
+}
@@ -0,0 +1,300 @@
+/**
+ * Hidden optional content pass (off unless `options.removeHiddenLayers`).
+ *
+ * CAD and layout exports often carry layers that are off by default —
+ * construction lines, dimension sets, alternate language versions — that
+ * readers never show unless someone opens the layers panel. This pass
+ * finds optional content groups that are off in /OCProperties /D (and in
+ * every alternate configuration), strips the `/OC /name BDC … EMC`
+ * sections that draw them from page content and forms, and removes the
+ * groups from /OCProperties and from the /Properties dictionaries that
+ * name them. It runs before the unused resource pass, which then prunes
+ * the fonts, images and forms only those sections used.
+ *
+ * Hidden content still changes the graphics state — only marks are
+ * suppressed — so a section's top-level colour, line width or `cm` stays
+ * behind while its drawing goes; `q … Q` groups inside it go whole. A
+ * section that clips, shows text outside a `q … Q`, starts inside a text
+ * object, or contains marked content with an MCID can't be reduced that
+ * way, and its group is kept with all of its content. So is a group with
+ * a /Usage state that turns it on for print, view or export, or one that
+ * anything else refers to (an annotation's /OC, an OCMD, a form's /OC).
+ * A group is either removed everywhere or left as it was.
+ */
+import { PDFName, PDFRef, PDFDict, PDFArray, PDFString, PDFHexString } from 'pdf-lib';
+import {
+  collectContentHosts,
+  readStreamOperations,
+  resolveDict,
+  STATE_OPS,
+} from '../utils/content-stream-parser.js';
+import { encodeContentStream, writeContentStreams } from '../utils/content-stream-writer.js';
+import { findReachableRefs, countReferences } from '../utils/pdf-traversal.js';
+import { createCheckpoint } from '../utils/abort.js';
+
+const PROPERTIES = PDFName.of('Properties');
+
+/** Operators that only make marks (or mark content); dropped from hidden sections. */
+const DRAWING_OPS = new Set([
+  'm', 'l', 'c', 'v', 'y', 'h', 're',
+  'S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'n',
+  'Do', 'sh', 'BI', 'BMC', 'BDC', 'EMC', 'MP', 'DP',
+]);
+
+function resolveArray(context, value) {
+  const resolved = value instanceof PDFRef ? context.lookup(value) : value;
+  return resolved instanceof PDFArray ? resolved.asArray() : [];
+}
+
+/** The groups a configuration dict turns off: /OFF, or all but /ON with /BaseState /OFF. */
+function groupsOff(context, config, allGroups) {
+  if (config.get(PDFName.of('BaseState')) === PDFName.of('OFF')) {
+    const on = new Set(resolveArray(context, config.get(PDFName.of('ON'))));
+    return new Set(allGroups.filter((ref) => !on.has(ref)));
+  }
+  return new Set(resolveArray(context, config.get(PDFName.of('OFF'))));
+}
+
+/** Whether a group's /Usage turns it on for viewing, printing or export. */
+function hasUsageOn(context, group) {
+  const usage = resolveDict(context, group.get(PDFName.of('Usage')));
+  if (!usage) return false;
+  return usage.values().some((category) => {
+    const entries = resolveDict(context, category);
+    return entries?.entries().some(([key, value]) => key.decodeText().endsWith('State') && value === PDFName.of('ON'));
+  });
+}
+
+/**
+ * Optional content groups that are off in the default configuration and
+ * every alternate one, and have no /Usage that turns them on.
+ * @returns {Set<PDFRef>}
+ */
+function findHiddenGroups(context, ocProperties) {
+  const allGroups = resolveArray(context, ocProperties.get(PDFName.of('OCGs')))
+    .filter((ref) => ref instanceof PDFRef && resolveDict(context, ref));
+  const defaults = resolveDict(context, ocProperties.get(PDFName.of('D')));
+  if (!defaults) return new Set();
+
+  let hidden = groupsOff(context, defaults, allGroups);
+  for (const value of resolveArray(context, ocProperties.get(PDFName.of('Configs')))) {
+    const config = resolveDict(context, value);
+    if (!config) continue;
+    const off = groupsOff(context, config, allGroups);
+    hidden = new Set([...hidden].filter((ref) => off.has(ref)));
+  }
+  return new Set([...hidden].filter((ref) => allGroups.includes(ref) && !hasUsageOn(context, context.lookup(ref))));
+}
+
+/** Whether a `BDC` carries an MCID, tying its content to the structure tree. */
+function hasMcid(op) {
+  return op.operator === 'BDC' && op.operands.some((token) => token.type === 'name' && token.value === 'MCID');
+}
+
+/**
+ * What a hidden section leaves behind: its top-level state operators.
+ * Null if dropping the rest could change what is drawn after it.
+ */
+function reduceSection(operations) {
+  const kept = [];
+  let depth = 0;
+  for (const op of operations) {
+    if (hasMcid(op)) return null;
+    if (op.operator === 'q') depth++;
+    else if (op.operator === 'Q') {
+      if (depth === 0) return null;
+      depth--;
+    } else if (depth > 0 || DRAWING_OPS.has(op.operator)) continue;
+    else if (STATE_OPS.has(op.operator)) kept.push(op);
+    else return null; // Clipping, text objects, compatibility sections
+  }
+  return depth === 0 ? kept : null;
+}
+
+/**
+ * Find the hidden sections in one page's or form's content.
+ * @returns {Array<{ group: PDFRef, from: number, to: number, kept: object[]|null }>}
+ *   `from`/`to` are the indices of the `BDC` and its `EMC`; `kept` is null
+ *   for a section that can't be removed
+ */
+function findSections(operations, groupNamed) {
+  const sections = [];
+  let textDepth = 0;
+  for (let i = 0; i < operations.length; i++) {
+    const op = operations[i];
+    if (op.operator === 'BT') textDepth++;
+    else if (op.operator === 'ET') textDepth--;
+    const [tag, name] = op.operands;
+    if (op.operator !== 'BDC' || tag?.value !== 'OC' || name?.type !== 'name') continue;
+    const group = groupNamed(name.value);
+    if (!group) continue;
+
+    let depth = 1;
+    let end = i + 1;
+    for (; end < operations.length && depth > 0; end++) {
+      const operator = operations[end].operator;
+      if (operator === 'BMC' || operator === 'BDC') depth++;
+      else if (operator === 'EMC') depth--;
+    }
+    if (depth > 0) {
+      sections.push({ group, from: i, to: operations.length - 1, kept: null });
+      continue;
+    }
+    const kept = textDepth === 0 ? reduceSection(operations.slice(i + 1, end - 1)) : null;
+    // Sections nested in this one are recorded too: if this one stays,
+    // theirs may still go
+    sections.push({ group, from: i, to: end - 1, kept });
+  }
+  return sections;
+}
+
+/** Remove refs to `groups` from every array under /OCProperties (/OCGs, /ON, /OFF, /Order, /RBGroups, /AS …). */
+function removeFromOCProperties(context, value, groups, visited = new Set()) {
+  if (value instanceof PDFRef) {
+    if (groups.has(value) || visited.has(value)) return;
+    visited.add(value);
+    removeFromOCProperties(context, context.lookup(value), groups, visited);
+  } else if (value instanceof PDFDict) {
+    for (const entry of value.values()) removeFromOCProperties(context, entry, groups, visited);
+  } else if (value instanceof PDFArray) {
+    for (let i = value.size() - 1; i >= 0; i--) {
+      if (groups.has(value.get(i))) value.remove(i);
+      else removeFromOCProperties(context, value.get(i), groups, visited);
+    }
+  }
+}
+
+/** How often each of `groups` is named under /OCProperties. */
+function countGroupRefs(context, value, groups, counts = new Map(), visited = new Set()) {
+  if (value instanceof PDFRef) {
+    if (groups.has(value)) counts.set(value, (counts.get(value) ?? 0) + 1);
+    else if (!visited.has(value)) {
+      visited.add(value);
+      countGroupRefs(context, context.lookup(value), groups, counts, visited);
+    }
+  } else if (value instanceof PDFDict) {
+    for (const entry of value.values()) countGroupRefs(context, entry, groups, counts, visited);
+  } else if (value instanceof PDFArray) {
+    for (const entry of value.asArray()) countGroupRefs(context, entry, groups, counts, visited);
+  }
+  return counts;
+}
+
+/** A group's /Name as text, for stats. */
+function groupName(context, ref) {
+  const name = context.lookup(ref).lookup(PDFName.of('Name'));
+  return name instanceof PDFString || name instanceof PDFHexString ? name.decodeText() : ref.toString();
+}
+
+/**
+ * Remove optional content groups that are off by default, with the
+ * content they draw.
+ * @param {PDFDocument} pdfDoc
+ * @param {object} [options]
+ * @param {boolean} [options.removeHiddenLayers=false] - Enable this pass
+ * @param {AbortSignal} [options.signal] - Cancels the pass between pages and forms
+ * @returns {Promise<{ layersRemoved: string[], sectionsRemoved: number, layersKept: number }>}
+ *   `layersRemoved` names the groups removed, `sectionsRemoved` counts the
+ *   content sections stripped, `layersKept` the hidden groups left in place
+ */
+export async function removeHiddenLayers(pdfDoc, options = {}) {
+  const { removeHiddenLayers: enabled = false, signal, _pdfTraits } = options;
+  const context = pdfDoc.context;
+  const checkpoint = createCheckpoint(signal);
+  const none = { layersRemoved: [], sectionsRemoved: 0, layersKept: 0 };
+  if (!enabled || _pdfTraits?.isSigned) return none;
+
+  const ocProperties = resolveDict(context, pdfDoc.catalog.get(PDFName.of('OCProperties')));
+  const hidden = ocProperties ? findHiddenGroups(context, ocProperties) : new Set();
+  if (hidden.size === 0) return none;
+
+  // Everything that draws content, with the /Properties it names groups through
+  const reachable = findReachableRefs(context);
+  const hosts = collectContentHosts(pdfDoc, reachable);
+
+  // A group can go if nothing but /OCProperties and /Properties entries
+  // refers to it, and every section drawing it can be removed
+  const blocked = new Set();
+  const allowedRefs = new Map();
+  const countAllowed = (ref) => allowedRefs.set(ref, (allowedRefs.get(ref) ?? 0) + 1);
+  const seenProperties = new Set();
+  for (const host of hosts) {
+    const properties = resolveDict(context, host.resources?.get(PROPERTIES));
+    const groupNamed = (name) => {
+      const ref = properties?.get(PDFName.of(name));
+      return hidden.has(ref) ? ref : null;
+    };
+    if (properties && !seenProperties.has(properties)) {
+      seenProperties.add(properties);
+      for (const value of properties.values()) if (hidden.has(value)) countAllowed(value);
+    }
+
+    host.read = host.readable ? readStreamOperations(host.refs.map((ref) => context.lookup(ref))) : null;
+    if (!host.read) {
+      for (const value of properties?.values() ?? []) if (hidden.has(value)) blocked.add(value);
+      continue;
+    }
+    host.sections = findSections(host.read.operations, groupNamed);
+    for (const { group, from, to, kept } of host.sections) {
+      // A section split across two of a page's streams stays
+      const crossesStreams = host.read.parts.some((part) => from >= part.from && from < part.to && to >= part.to);
+      if (!kept || crossesStreams) blocked.add(group);
+    }
+    if (!host.resources && host.read.operations.some((op) => op.operator === 'BDC')) {
+      // A form without resources names groups through its caller's
+      for (const group of hidden) blocked.add(group);
+    }
+  }
+
+  const ocPropertiesCounts = countGroupRefs(context, pdfDoc.catalog.get(PDFName.of('OCProperties')), hidden);
+  const references = countReferences(context, reachable);
+  for (const group of hidden) {
+    const allowed = (allowedRefs.get(group) ?? 0) + (ocPropertiesCounts.get(group) ?? 0);
+    if (references.get(group) !== allowed) blocked.add(group);
+  }
+
+  const removed = new Set([...hidden].filter((group) => !blocked.has(group)));
+  if (removed.size === 0) return { ...none, layersKept: hidden.size };
+
+  // Encode every rewritten stream before changing anything
+  const rewritten = [];
+  let sectionsRemoved = 0;
+  for (const host of hosts) {
+    await checkpoint();
+    const sections = (host.sections ?? []).filter(({ group }) => removed.has(group));
+    if (sections.length === 0) continue;
+    const { operations, parts } = host.read;
+    const replaced = new Map(sections.map((section) => [section.from, section]));
+
+    const streams = [];
+    for (const { stream, from, to } of parts) {
+      let changed = false;
+      const tokens = [];
+      for (let i = from; i < to; i++) {
+        const section = replaced.get(i);
+        if (!section) {
+          tokens.push(...operations[i].tokens);
+          continue;
+        }
+        tokens.push(...section.kept.flatMap((op) => op.tokens));
+        i = section.to;
+        changed = true;
+        sectionsRemoved++;
+      }
+      if (!changed) continue;
+      const data = encodeContentStream(tokens);
+      if (!data) return { ...none, layersKept: hidden.size };
+      streams.push({ stream, data });
+    }
+    rewritten.push({ refs: host.refs, streams });
+  }
+
+  for (const { refs, streams } of rewritten) writeContentStreams(context, refs, streams);
+  for (const properties of seenProperties) {
+    for (const [name, value] of properties.entries()) if (removed.has(value)) properties.delete(name);
+  }
+  const layersRemoved = [...removed].map((ref) => groupName(context, ref));
+  removeFromOCProperties(context, pdfDoc.catalog.get(PDFName.of('OCProperties')), removed);
+
+  return { layersRemoved, sectionsRemoved, layersKept: hidden.size - removed.size };
+}
@@ -0,0 +1,214 @@
+/**
+ * Lossless image repacking pass.
+ *
+ * Rewrites Flate-compressible raster images in a more compact form without
+ * changing a pixel:
+ * - DeviceRGB images whose three channels are equal in every pixel become
+ *   DeviceGray, with one bit per pixel if they are only black and white.
+ * - Other RGB images using 256 colours or fewer become /Indexed images, with
+ *   1, 2, 4 or 8-bit indices into a palette in the image's own colour space.
+ * - With `reduceBitDepth` set, 16-bit images are repacked to 8 bits per
+ *   component (the only change here that drops information, so it's opt-in),
+ *   with any colour-key /Mask ranges scaled to match.
+ * - Rows are PNG-predicted before deflating: no predictor, each of the five
+ *   PNG filters, and a per-row choice are all tried, and the smallest wins,
+ *   with /DecodeParms to match. Smooth or flat images (screenshots, diagrams)
+ *   deflate much better as differences between neighbouring bytes.
+ *
+ * Each result is kept only if it, plus any palette, is smaller than the
+ * image was. Images with a /Decode array, a colour-key /Mask or a soft mask
+ * with /Matte aren't made gray or Indexed: all three work on the RGB colour
+ * values those images no longer have.
+ */
+import { PDFName, PDFRawStream, PDFArray, PDFRef, PDFHexString } from 'pdf-lib';
+import { allFiltersDecodable, getFilterNames } from '../utils/stream-decode.js';
+import {
+  getNumericValue, getColorComponents, getIndexedColorSpace, decodeSamples, unpackSamples, packSamples,
+  deflateRows, toGray, isBilevel, packBilevel,
+} from '../utils/image-samples.js';
+import { createCheckpoint } from '../utils/abort.js';
+
+/** Most colours an Indexed image can have. */
+const MAX_PALETTE = 256;
+
+const PREDICTOR_NAMES = { 10: 'PNG None', 11: 'PNG Sub', 12: 'PNG Up', 13: 'PNG Average', 14: 'PNG Paeth', 15: 'per-row PNG' };
+
+/** Bits per index for a palette of `size` colours. */
+function indexBits(size) {
+  if (size <= 2) return 1;
+  if (size <= 4) return 2;
+  if (size <= 16) return 4;
+  return 8;
+}
+
+/**
+ * Map 8-bit RGB samples to palette indices, or null if they use more than
+ * MAX_PALETTE colours.
+ * @param {Uint8Array} samples - Three bytes per pixel
+ * @returns {{ palette: Uint8Array, indices: Uint8Array } | null}
+ */
+function buildPalette(samples) {
+  const colours = new Map(); // 0xRRGGBB → index
+  const indices = new Uint8Array(samples.length / 3);
+  for (let i = 0; i < indices.length; i++) {
+    const rgb = (samples[i * 3] << 16) | (samples[i * 3 + 1] << 8) | samples[i * 3 + 2];
+    let index = colours.get(rgb);
+    if (index === undefined) {
+      if (colours.size === MAX_PALETTE) return null;
+      index = colours.size;
+      colours.set(rgb, index);
+    }
+    indices[i] = index;
+  }
+  const palette = new Uint8Array(colours.size * 3);
+  for (const [rgb, index] of colours) {
+    palette[index * 3] = rgb >> 16;
+    palette[index * 3 + 1] = (rgb >> 8) & 0xff;
+    palette[index * 3 + 2] = rgb & 0xff;
+  }
+  return { palette, indices };
+}
+
+/** Whether an image's colour values can be replaced, by palette indices or gray levels. */
+function canRemap(dict, context) {
+  if (dict.has(PDFName.of('Decode'))) return false;
+  if (dict.get(PDFName.of('Mask')) instanceof PDFArray) return false;
+  const smask = dict.get(PDFName.of('SMask'));
+  const mask = smask instanceof PDFRef ? context.lookup(smask) : null;
+  return !mask?.dict?.has(PDFName.of('Matte'));
+}
+
+const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Rewrite raster images losslessly: gray RGB images to DeviceGray,
+ * few-colour ones to Indexed, 16-bit images to 8-bit when asked, and every
+ * image's rows through the PNG predictor that compresses them best.
+ * @param {PDFDocument} pdfDoc
+ * @param {object} [options]
+ * @param {boolean} [options.reduceBitDepth=false] - Repack 16-bit images to 8-bit
+ * @param {boolean} [options.debug=false] - Report each image rewritten in `_debug`
+ * @param {AbortSignal} [options.signal] - Cancels the pass between images
+ * @returns {Promise<{ indexed: number, reduced: number, predicted: number, grayscale: number, _debug?: Array }>}
+ *   `indexed` counts images made Indexed, `reduced` those repacked to 8-bit,
+ *   `predicted` those written with a PNG predictor, `grayscale` RGB images
+ *   made DeviceGray
+ */
+export async function repackImages(pdfDoc, options = {}) {
+  const { reduceBitDepth = false, debug = false, signal } = options;
+  const context = pdfDoc.context;
+  const checkpoint = createCheckpoint(signal);
+  const debugLog = debug ? [] : null;
+  let indexed = 0;
+  let reduced = 0;
+  let predicted = 0;
+  let grayscale = 0;
+
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    await checkpoint();
+    if (!(obj instanceof PDFRawStream)) continue;
+    const dict = obj.dict;
+    if (dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')) continue;
+
+    const filters = getFilterNames(dict);
+    if (filters && !allFiltersDecodable(filters)) continue;
+    // Stencil masks and Indexed images have one sample per pixel
+    const imageMask = dict.get(PDFName.of('ImageMask'))?.toString() === 'true';
+    const bpc = imageMask ? 1 : getNumericValue(dict, 'BitsPerComponent');
+    const components = imageMask || getIndexedColorSpace(dict, context) ? 1 : getColorComponents(dict, context);
+    const width = getNumericValue(dict, 'Width');
+    const height = getNumericValue(dict, 'Height');
+    if (!components || !width || !height || ![1, 2, 4, 8, 16].includes(bpc)) continue;
+
+    const colour = !imageMask && getColorComponents(dict, context) !== null;
+    const reduce = bpc === 16 && reduceBitDepth;
+    const remap = colour && components === 3 && (bpc === 8 || reduce) && canRemap(dict, context);
+    // Equal channels only mean gray in DeviceRGB; a profile may tint them
+    const deviceRgb = dict.get(PDFName.of('ColorSpace')) === PDFName.of('DeviceRGB');
+
+    try {
+      const packed = decodeSamples(dict, obj.contents, filters, width, components);
+      const rowBytes = Math.ceil((width * components * bpc) / 8);
+      if (packed.length < rowBytes * height) throw new Error('Image data shorter than its dimensions');
+      const samples = reduce || remap ? unpackSamples(packed, width, height, components, bpc) : null;
+
+      // The image as it is (or at 8 bits), as Indexed if it has few colours,
+      // and as DeviceGray (1-bit if black and white) if it is gray
+      const candidates = [reduce
+        ? { rows: samples, components, bits: 8, steps: ['16-bit → 8-bit'] }
+        : { rows: packed.subarray(0, rowBytes * height), components, bits: bpc, steps: [] }];
+      const gray = remap && deviceRgb ? toGray(samples, 3) : null;
+      if (gray) {
+        candidates.push({ rows: gray, components: 1, bits: 8, gray: true, steps: [...candidates[0].steps, 'RGB → gray'] });
+        if (isBilevel(gray)) {
+          candidates.push({
+            rows: packBilevel(gray, width, height), components: 1, bits: 1, gray: true, steps: [...candidates[0].steps, 'RGB → 1-bit'],
+          });
+        }
+      }
+      const colours = remap && !gray ? buildPalette(samples) : null;
+      if (colours) {
+        const size = colours.palette.length / 3;
+        const bits = indexBits(size);
+        candidates.push({
+          rows: packSamples(colours.indices, width, height, 1, bits),
+          components: 1,
+          bits,
+          palette: colours.palette,
+          steps: [...candidates[0].steps, `${size} colour${size !== 1 ? 's' : ''}, ${bits}-bit indices`],
+        });
+      }
+
+      // The palette is written into the image dictionary as a hex string
+      let best = null;
+      for (const candidate of candidates) {
+        const { bytes, predictor } = deflateRows(candidate.rows, width, candidate.components, candidate.bits);
+        const size = bytes.length + (candidate.palette ? candidate.palette.length * 2 + 2 : 0);
+        if (!best || size < best.size) best = { ...candidate, bytes, predictor, size };
+      }
+      const steps = [...best.steps, best.predictor ? `${PREDICTOR_NAMES[best.predictor]} prediction` : 'no prediction'];
+      const message = `${steps.join(', ')}: ${obj.contents.length} → ${best.size} bytes`;
+      if (best.size >= obj.contents.length) {
+        if (debugLog && (reduce || colours || gray)) debugLog.push({ ref: ref.toString(), action: 'skip', reason: 'size guard', message });
+        continue;
+      }
+
+      if (best.palette) {
+        const base = dict.get(PDFName.of('ColorSpace'));
+        const hival = best.palette.length / 3 - 1;
+        dict.set(PDFName.of('ColorSpace'), context.obj([PDFName.of('Indexed'), base, hival, PDFHexString.of(toHex(best.palette))]));
+        indexed++;
+      }
+      if (best.gray) {
+        dict.set(PDFName.of('ColorSpace'), PDFName.of('DeviceGray'));
+        grayscale++;
+      }
+      if (reduce) {
+        // A colour-key mask's ranges are in sample units: scale them as the samples were
+        const colourKey = dict.get(PDFName.of('Mask'));
+        if (colourKey instanceof PDFArray) {
+          dict.set(PDFName.of('Mask'), context.obj(colourKey.asArray().map((v) => Math.round(v.asNumber() / 257))));
+        }
+        reduced++;
+      }
+      if (best.predictor) predicted++;
+      if (!imageMask) dict.set(PDFName.of('BitsPerComponent'), context.obj(best.bits));
+      dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+      if (best.predictor) {
+        dict.set(PDFName.of('DecodeParms'), context.obj({
+          Predictor: best.predictor, Colors: best.components, BitsPerComponent: best.bits, Columns: width,
+        }));
+      } else {
+        dict.delete(PDFName.of('DecodeParms'));
+      }
+      dict.set(PDFName.of('Length'), context.obj(best.bytes.length));
+      context.assign(ref, PDFRawStream.of(dict, best.bytes));
+      const action = best.palette ? 'indexed' : best.gray ? 'grayscale' : reduce ? 'reduced' : best.predictor ? 'predicted' : 'recompressed';
+      if (debugLog) debugLog.push({ ref: ref.toString(), action, message });
+    } catch (err) {
+      if (debugLog) debugLog.push({ ref: ref.toString(), action: 'skip', reason: 'error', message: err.message });
+    }
+  }
+
+  return { indexed, reduced, predicted, grayscale, ...(debugLog?.length > 0 && { _debug: debugLog }) };
+}
@@ -4,8 +4,25 @@
  * Converts eligible FlateDecode raster images to JPEG and re-encodes
  * existing DCTDecode (JPEG) images at the target quality/DPI.
  * Only active when options.lossy is true.
- * Skips: JPX (JPEG2000), SMask (alpha), CMYK, non-8-bit,
- * non-simple ColorSpace, ImageMask, small images.
+ * Skips: JPX (JPEG2000), colour spaces other than Device Gray/RGB/CMYK,
+ * ICCBased and Indexed over one of those, colour-key masks, ImageMask,
+ * small images.
+ *
+ * Samples of 1, 2, 4 or 16 bits are scaled to 8, and Indexed images are
+ * expanded through their palette and written in its base colour space.
+ * DeviceRGB images whose channels are all within GRAY_TOLERANCE of each
+ * other are written as gray JPEGs, or as 1-bit Flate when black and white.
+ *
+ * Output JPEGs have as many components as the image's colour space, which is
+ * kept as it is: jpeg-js writes the RGB ones, `utils/jpeg-codec.js` the gray
+ * and CMYK ones (and decodes CMYK JPEGs, which jpeg-js turns into RGB).
+ *
+ * An image with a soft mask (/SMask, its alpha channel) has only its colour
+ * converted. The mask stays lossless: it is Flate-recompressed, and resized
+ * along with the image when that is downsampled, to the same size if the
+ * image has a /Matte (its colour is premultiplied by the mask, pixel by
+ * pixel). A mask shared by several images is never resized, and neither is
+ * an image with a /Matte whose mask is shared.
  */
 // jpeg-js encoder uses Buffer.from() to wrap its output. In a Vite-bundled
 // Web Worker, `typeof module !== 'undefined'` (due to ESM shimming) so the
@@ -18,9 +35,16 @@ if (typeof globalThis.Buffer === 'undefined') {
   };
 }
 
+import { zlibSync } from 'fflate';
 import { PDFName, PDFRawStream, PDFArray, PDFDict, PDFRef } from 'pdf-lib';
 import { encode as jpegEncode, decode as jpegDecode } from 'jpeg-js';
-import { decodeStream, allFiltersDecodable, undoPngPrediction, getFilterNames } from '../utils/stream-decode.js';
+import { allFiltersDecodable, getFilterNames } from '../utils/stream-decode.js';
+import {
+  getNumericValue, getColorComponents, getIndexedColorSpace, decodeSamples, unpackSamples, expandPalette,
+  deflateRows, toGray, isBilevel, packBilevel,
+} from '../utils/image-samples.js';
+import { encodeJpeg, decodeJpeg, readJpegHeader } from '../utils/jpeg-codec.js';
+import { createCheckpoint } from '../utils/abort.js';
 
 /**
  * Minimum decoded pixel data size worth converting (10 KB).
@@ -30,16 +54,11 @@ import { decodeStream, allFiltersDecodable, undoPngPrediction, getFilterNames }
 const MIN_DECODED_SIZE = 10 * 1024;
 
 /**
- * ColorSpace names we can safely convert to JPEG.
- * Only DeviceRGB and DeviceGray are handled because:
- * - CMYK requires color profile handling and jpeg-js doesn't support it
- * - ICCBased/Indexed/Lab colorspaces need profile-aware decoding
- * - DeviceGray is treated as single-component → expanded to RGBA for jpeg-js
+ * Largest difference between a pixel's R, G and B for an RGB image to be
+ * converted to gray. JPEG colour noise in a scan of a gray page stays under
+ * this; tinted photos (sepia, duotones) go well past it.
  */
-const SIMPLE_COLORSPACES = new Set([
-  'DeviceRGB',
-  'DeviceGray',
-]);
+const GRAY_TOLERANCE = 16;
 
 /**
  * Check if a dict value is a PDFName matching one of the given names.
@@ -53,45 +72,21 @@ function isNameIn(value, names) {
 }
 
 /**
- * Get the simple color space name from a dict, or null if complex.
- */
-function getSimpleColorSpace(dict) {
-  const cs = dict.get(PDFName.of('ColorSpace'));
-  if (!cs) return null;
-  if (cs instanceof PDFName) {
-    const name = cs.decodeText();
-    return SIMPLE_COLORSPACES.has(name) ? name : null;
-  }
-  // Array-based colorspaces (ICCBased, Indexed, etc.) are not simple
-  return null;
-}
-
-/**
- * Get DecodeParms dict from a stream dictionary.
- * Handles both single dict and array-of-dicts forms.
- */
-function getDecodeParms(dict) {
-  const dp = dict.get(PDFName.of('DecodeParms'));
-  if (!dp) return null;
-  // If it's an array, get the first entry
-  if (dp instanceof PDFArray) {
-    return dp.size() > 0 ? dp.get(0) : null;
-  }
-  return dp;
-}
-
-/**
- * Get a numeric value from a PDFDict.
+ * Read a soft mask as one 8-bit sample per pixel, or null if it can't be
+ * rewritten without loss (image-native filters, other bit depths).
+ * @param {PDFRawStream} mask
+ * @returns {{ width: number, height: number, samples: Uint8Array } | null}
  */
-function getNumericValue(dict, key) {
-  const val = dict.get(PDFName.of(key));
-  if (!val) return undefined;
-  if (typeof val.numberValue === 'function') return val.numberValue();
-  if (typeof val.value === 'function') return val.value();
-  // PDFNumber stores value directly
-  if (val.numberValue !== undefined) return val.numberValue;
-  if (val.value !== undefined) return Number(val.value);
-  return undefined;
+function readSoftMask(mask) {
+  const dict = mask.dict;
+  const filters = getFilterNames(dict);
+  if (filters && !allFiltersDecodable(filters)) return null;
+  const width = getNumericValue(dict, 'Width');
+  const height = getNumericValue(dict, 'Height');
+  if (!width || !height || getNumericValue(dict, 'BitsPerComponent') !== 8) return null;
+  const samples = decodeSamples(dict, mask.contents, filters, width, 1);
+  if (samples.length < width * height) return null;
+  return { width, height, samples: samples.subarray(0, width * height) };
 }
 
 /**
@@ -134,7 +129,7 @@ function buildImagePageMap(pdfDoc) {
 }
 
 /**
- * Area-average (box filter) downsample RGBA pixel data.
+ * Area-average (box filter) downsample pixel data.
  *
  * For each destination pixel, computes a weighted average of all source pixels
  * that overlap its area. Fractional pixel coverage at boundaries is handled
@@ -144,15 +139,17 @@ function buildImagePageMap(pdfDoc) {
  * downscaling, as it accounts for all source pixels contributing to each
  * output pixel rather than sampling a single point.
  *
- * @param {Uint8Array} rgba - Source RGBA pixel data
+ * @param {Uint8Array} pixels - Source pixel data, `channels` bytes per pixel
  * @param {number} srcW - Source width in pixels
  * @param {number} srcH - Source height in pixels
  * @param {number} dstW - Destination width in pixels
  * @param {number} dstH - Destination height in pixels
- * @returns {Uint8Array} Downsampled RGBA pixel data
+ * @param {number} [channels=4] - Bytes per pixel (RGBA, CMYK, gray, mask)
+ * @returns {Uint8Array} Downsampled pixel data
  */
-function downsampleArea(rgba, srcW, srcH, dstW, dstH) {
-  const out = new Uint8Array(dstW * dstH * 4);
+function downsampleArea(pixels, srcW, srcH, dstW, dstH, channels = 4) {
+  const out = new Uint8Array(dstW * dstH * channels);
+  const sums = new Float64Array(channels);
   const xRatio = srcW / dstW;
   const yRatio = srcH / dstH;
 
@@ -168,7 +165,8 @@ function downsampleArea(rgba, srcW, srcH, dstW, dstH) {
       const sx0 = Math.floor(srcX0);
       const sx1 = Math.min(Math.ceil(srcX1), srcW);
 
-      let r = 0, g = 0, b = 0, totalWeight = 0;
+      sums.fill(0);
+      let totalWeight = 0;
 
       for (let sy = sy0; sy < sy1; sy++) {
         // Vertical weight: fraction of this source row covered
@@ -177,19 +175,14 @@ function downsampleArea(rgba, srcW, srcH, dstW, dstH) {
           // Horizontal weight: fraction of this source col covered
           const wx = Math.min(sx + 1, srcX1) - Math.max(sx, srcX0);
           const w = wx * wy;
-          const si = (sy * srcW + sx) * 4;
-          r += rgba[si] * w;
-          g += rgba[si + 1] * w;
-          b += rgba[si + 2] * w;
+          const si = (sy * srcW + sx) * channels;
+          for (let c = 0; c < channels; c++) sums[c] += pixels[si + c] * w;
           totalWeight += w;
         }
       }
 
-      const di = (dy * dstW + dx) * 4;
-      out[di]     = Math.round(r / totalWeight);
-      out[di + 1] = Math.round(g / totalWeight);
-      out[di + 2] = Math.round(b / totalWeight);
-      out[di + 3] = 255;
+      const di = (dy * dstW + dx) * channels;
+      for (let c = 0; c < channels; c++) out[di + c] = Math.round(sums[c] / totalWeight);
     }
   }
   return out;
@@ -202,28 +195,43 @@ function downsampleArea(rgba, srcW, srcH, dstW, dstH) {
  * @param {boolean} [options.lossy=false] - Enable lossy optimizations
  * @param {number} [options.imageQuality=0.85] - JPEG quality 0-1
  * @param {number} [options.maxImageDpi] - Downsample images above this DPI
- * @returns {{ converted: number, skipped: number, downsampled: number }}
+ * @param {AbortSignal} [options.signal] - Cancels the pass between images
+ * @returns {Promise<{ converted: number, skipped: number, downsampled: number, grayscale: number }>}
+ *   `grayscale` counts the RGB images among those converted that were
+ *   written as DeviceGray
  */
-export function recompressImages(pdfDoc, options = {}) {
-  const { lossy = false, imageQuality = 0.85, maxImageDpi, debug = false } = options;
+export async function recompressImages(pdfDoc, options = {}) {
+  const { lossy = false, imageQuality = 0.85, maxImageDpi, debug = false, signal } = options;
   const context = pdfDoc.context;
   let converted = 0;
   let skipped = 0;
   let downsampled = 0;
+  let grayscale = 0;
   const debugLog = debug ? [] : null;
-  const skipReasons = debug ? { imageMask: 0, smask: 0, jpx: 0, filters: 0, bpc: 0, colorspace: 0, dimensions: 0, smallImage: 0, sizeGuard: 0, error: 0 } : null;
+  const skipReasons = debug ? { imageMask: 0, smask: 0, jpx: 0, filters: 0, bpc: 0, colorspace: 0, colorKey: 0, dimensions: 0, smallImage: 0, sizeGuard: 0, error: 0 } : null;
 
   // If lossy mode is off, skip everything
   if (!lossy) {
-    return { converted: 0, skipped: 0, downsampled: 0, ...(debug && { _debug: [], skipReasons: {} }) };
+    return { converted: 0, skipped: 0, downsampled: 0, grayscale: 0, ...(debug && { _debug: [], skipReasons: {} }) };
   }
 
   const quality = Math.round(Math.max(1, Math.min(100, imageQuality * 100)));
 
   // Build page map for DPI estimation (only if downsampling is requested)
   const pageMap = maxImageDpi ? buildImagePageMap(pdfDoc) : null;
+  const checkpoint = createCheckpoint(signal);
+
+  // Soft masks are handled with the image they belong to. Count the images
+  // using each one, so a shared mask is never resized for one of them.
+  const maskUsers = new Map(); // mask ref string → number of images
+  for (const [, obj] of context.enumerateIndirectObjects()) {
+    const smask = obj instanceof PDFRawStream ? obj.dict.get(PDFName.of('SMask')) : undefined;
+    if (smask instanceof PDFRef) maskUsers.set(smask.toString(), (maskUsers.get(smask.toString()) || 0) + 1);
+  }
+  const masksRewritten = new Set();
 
   for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    await checkpoint();
     if (!(obj instanceof PDFRawStream)) continue;
 
     const dict = obj.dict;
@@ -231,6 +239,7 @@ export function recompressImages(pdfDoc, options = {}) {
     // Must be an image XObject
     const subtype = dict.get(PDFName.of('Subtype'));
     if (!isNameIn(subtype, new Set(['Image']))) continue;
+    if (maskUsers.has(ref.toString())) continue;
 
     // Skip ImageMask
     const imageMask = dict.get(PDFName.of('ImageMask'));
@@ -240,8 +249,10 @@ export function recompressImages(pdfDoc, options = {}) {
       continue;
     }
 
-    // Skip images with SMask (alpha channel)
-    if (dict.get(PDFName.of('SMask'))) {
+    // Soft mask (alpha channel): must be an image stream we can read
+    const smaskRef = dict.get(PDFName.of('SMask'));
+    const smask = smaskRef instanceof PDFRef ? context.lookup(smaskRef) : null;
+    if (smaskRef && !(smask instanceof PDFRawStream)) {
       if (debugLog) { debugLog.push({ ref: ref.toString(), action: 'skip', reason: 'SMask' }); skipReasons.smask++; }
       skipped++;
       continue;
@@ -267,23 +278,34 @@ export function recompressImages(pdfDoc, options = {}) {
       }
     }
 
-    // For non-DCT images, verify BPC and colorspace (jpeg-js handles DCT internally)
+    // For non-DCT images, verify BPC and colorspace (a JPEG says how many components it has)
     let components = 3;
+    let bpc = 8;
+    let indexed = null;
     if (!isDCT) {
-      const bpc = getNumericValue(dict, 'BitsPerComponent');
-      if (bpc !== undefined && bpc !== 8) {
+      bpc = getNumericValue(dict, 'BitsPerComponent') ?? 8;
+      if (![1, 2, 4, 8, 16].includes(bpc)) {
         if (debugLog) { debugLog.push({ ref: ref.toString(), action: 'skip', reason: 'BPC', bpc }); skipReasons.bpc++; }
         skipped++;
         continue;
       }
 
-      const colorSpace = getSimpleColorSpace(dict);
-      if (!colorSpace) {
+      // Indexed images are expanded to their base colour space. A /Decode
+      // would apply to the indices, so those are left alone.
+      indexed = bpc <= 8 && !dict.has(PDFName.of('Decode')) ? getIndexedColorSpace(dict, context) : null;
+      components = indexed ? indexed.components : getColorComponents(dict, context);
+      if (!components) {
         if (debugLog) { debugLog.push({ ref: ref.toString(), action: 'skip', reason: 'colorspace', value: dict.get(PDFName.of('ColorSpace'))?.toString() }); skipReasons.colorspace++; }
         skipped++;
         continue;
       }
-      components = colorSpace === 'DeviceRGB' ? 3 : 1;
+
+      // A colour-key mask matches exact sample values, which JPEG doesn't keep
+      if (dict.get(PDFName.of('Mask')) instanceof PDFArray) {
+        if (debugLog) { debugLog.push({ ref: ref.toString(), action: 'skip', reason: 'colour-key Mask' }); skipReasons.colorKey++; }
+        skipped++;
+        continue;
+      }
     }
 
     const width = getNumericValue(dict, 'Width');
@@ -296,43 +318,36 @@ export function recompressImages(pdfDoc, options = {}) {
 
     try {
       const rawBytes = obj.contents;
-      let rgbaData;
+      // RGB images are held as RGBA, which is what jpeg-js reads and writes;
+      // gray and CMYK ones as their own components
+      let pixels;
       let outWidth = width;
       let outHeight = height;
 
       if (isDCT) {
-        // Decode JPEG to get raw pixel data
-        const jpegResult = jpegDecode(rawBytes, { useTArray: true });
-        rgbaData = jpegResult.data;
+        // Keep the JPEG's component count: jpeg-js only round-trips YCbCr
+        components = readJpegHeader(rawBytes)?.components ?? 3;
+        if (![1, 3, 4].includes(components)) throw new Error(`Unsupported JPEG with ${components} components`);
+        const jpegResult = components === 3 ? jpegDecode(rawBytes, { useTArray: true }) : decodeJpeg(rawBytes);
+        pixels = jpegResult.data;
         // Use decoded dimensions (more reliable than dict for JPEG)
         outWidth = jpegResult.width;
         outHeight = jpegResult.height;
 
-        // Skip small images
-        if (rgbaData.length < MIN_DECODED_SIZE) {
-          if (debugLog) { debugLog.push({ ref: ref.toString(), action: 'skip', reason: 'small image (DCT)', decodedSize: rgbaData.length }); skipReasons.smallImage++; }
+        // Skip small images (measured as RGBA, whatever the components)
+        const decodedSize = outWidth * outHeight * 4;
+        if (decodedSize < MIN_DECODED_SIZE) {
+          if (debugLog) { debugLog.push({ ref: ref.toString(), action: 'skip', reason: 'small image (DCT)', decodedSize }); skipReasons.smallImage++; }
           skipped++;
           continue;
         }
       } else {
-        // Decode through filter pipeline
-        let decoded = filters ? decodeStream(rawBytes, filters) : rawBytes;
-
-        // Check DecodeParms for PNG prediction
-        const decodeParms = getDecodeParms(dict);
-        if (decodeParms) {
-          const predictor = getNumericValue(decodeParms, 'Predictor');
-          if (predictor && predictor >= 10) {
-            const columns =
-              getNumericValue(decodeParms, 'Columns') || width;
-            const colors =
-              getNumericValue(decodeParms, 'Colors') || components;
-            const bitsPerComp =
-              getNumericValue(decodeParms, 'BitsPerComponent') || 8;
-            const bytesPerPixel = (colors * bitsPerComp) / 8;
-            decoded = undoPngPrediction(decoded, columns, bytesPerPixel);
-          }
-        }
+        // Decode through filter pipeline, to one byte per sample
+        const pixelCount = width * height;
+        const packed = decodeSamples(dict, rawBytes, filters, width, indexed ? 1 : components);
+        const decoded = indexed
+          ? expandPalette(unpackSamples(packed, width, height, 1, bpc, false), indexed)
+          : unpackSamples(packed, width, height, components, bpc);
 
         // Skip small images
         if (decoded.length < MIN_DECODED_SIZE) {
@@ -341,26 +356,34 @@ export function recompressImages(pdfDoc, options = {}) {
           continue;
         }
 
-        // Convert to RGBA for jpeg-js
-        const pixelCount = width * height;
-        rgbaData = new Uint8Array(pixelCount * 4);
-
         if (components === 3) {
-          // RGB → RGBA
+          // RGB → RGBA for jpeg-js
+          pixels = new Uint8Array(pixelCount * 4);
           for (let i = 0; i < pixelCount; i++) {
-            rgbaData[i * 4] = decoded[i * 3];
-            rgbaData[i * 4 + 1] = decoded[i * 3 + 1];
-            rgbaData[i * 4 + 2] = decoded[i * 3 + 2];
-            rgbaData[i * 4 + 3] = 255;
+            pixels[i * 4] = decoded[i * 3];
+            pixels[i * 4 + 1] = decoded[i * 3 + 1];
+            pixels[i * 4 + 2] = decoded[i * 3 + 2];
+            pixels[i * 4 + 3] = 255;
           }
         } else {
-          // Gray → RGBA
-          for (let i = 0; i < pixelCount; i++) {
-            rgbaData[i * 4] = decoded[i];
-            rgbaData[i * 4 + 1] = decoded[i];
-            rgbaData[i * 4 + 2] = decoded[i];
-            rgbaData[i * 4 + 3] = 255;
-          }
+          pixels = decoded;
+        }
+      }
+      let channels = components === 3 ? 4 : components;
+
+      // RGB that is really gray (scans, Office exports) is written as
+      // DeviceGray, and as 1-bit Flate if it's black and white, which JPEG
+      // draws badly. /Decode and /Matte would need their RGB values remapped.
+      let grayAs = null; // 'gray' or '1-bit'
+      const space = indexed ? indexed.base : dict.get(PDFName.of('ColorSpace'));
+      if (components === 3 && space === PDFName.of('DeviceRGB')
+        && !dict.has(PDFName.of('Decode')) && !smask?.dict.has(PDFName.of('Matte'))) {
+        const gray = toGray(pixels, 4, GRAY_TOLERANCE);
+        if (gray) {
+          pixels = gray;
+          components = 1;
+          channels = 1;
+          grayAs = isBilevel(gray, GRAY_TOLERANCE) ? '1-bit' : 'gray';
         }
       }
 
@@ -369,7 +392,17 @@ export function recompressImages(pdfDoc, options = {}) {
       const imgH = outHeight;
       let didDownsample = false;
 
-      if (pageMap && maxImageDpi) {
+      // With /Matte the mask must stay exactly the image's size
+      const mask = smask && readSoftMask(smask);
+      const matte = smask?.dict.has(PDFName.of('Matte'));
+      if (smask && (!mask || (matte && (mask.width !== imgW || mask.height !== imgH)))) {
+        if (debugLog) { debugLog.push({ ref: ref.toString(), action: 'skip', reason: 'SMask' }); skipReasons.smask++; }
+        skipped++;
+        continue;
+      }
+      const maskShared = smask && maskUsers.get(smaskRef.toString()) > 1;
+
+      if (pageMap && maxImageDpi && !(matte && maskShared)) {
         const refStr = ref.toString();
         const pageDims = pageMap.get(refStr);
         if (pageDims) {
@@ -383,7 +416,7 @@ export function recompressImages(pdfDoc, options = {}) {
             const newH = Math.max(1, Math.round(imgH * scale));
 
             if (newW < imgW && newH < imgH) {
-              rgbaData = downsampleArea(rgbaData, imgW, imgH, newW, newH);
+              pixels = downsampleArea(pixels, imgW, imgH, newW, newH, channels);
               outWidth = newW;
               outHeight = newH;
               didDownsample = true;
@@ -392,26 +425,70 @@ export function recompressImages(pdfDoc, options = {}) {
         }
       }
 
-      const encodedResult = jpegEncode(
-        { data: rgbaData, width: outWidth, height: outHeight },
-        quality,
-      );
-      const jpegBytes = new Uint8Array(encodedResult.data);
+      let outBytes;
+      let predictor = null;
+      if (grayAs === '1-bit') {
+        ({ bytes: outBytes, predictor } = deflateRows(packBilevel(pixels, outWidth, outHeight), outWidth, 1, 1));
+      } else {
+        outBytes = components === 3
+          ? new Uint8Array(jpegEncode({ data: pixels, width: outWidth, height: outHeight }, quality).data)
+          : encodeJpeg({ data: pixels, width: outWidth, height: outHeight, components }, quality);
+      }
 
-      // Only replace if JPEG is smaller
-      if (jpegBytes.length >= rawBytes.length) {
-        if (debugLog) { debugLog.push({ ref: ref.toString(), action: 'skip', reason: 'size guard', beforeSize: rawBytes.length, afterSize: jpegBytes.length }); skipReasons.sizeGuard++; }
+      // Only replace if the output is smaller
+      if (outBytes.length >= rawBytes.length) {
+        if (debugLog) { debugLog.push({ ref: ref.toString(), action: 'skip', reason: 'size guard', beforeSize: rawBytes.length, afterSize: outBytes.length }); skipReasons.sizeGuard++; }
         skipped++;
         continue;
       }
 
-      if (debugLog) { debugLog.push({ ref: ref.toString(), action: 'convert', beforeSize: rawBytes.length, afterSize: jpegBytes.length, width: outWidth, height: outHeight, didDownsample }); }
+      if (debugLog) {
+        const source = indexed ? `Indexed ${bpc}-bit` : bpc !== 8 ? `${bpc}-bit` : undefined;
+        debugLog.push({ ref: ref.toString(), action: 'convert', beforeSize: rawBytes.length, afterSize: outBytes.length, width: outWidth, height: outHeight, didDownsample, ...(source && { source }), ...(grayAs && { grayAs }) });
+      }
+
+      // Resize the soft mask in step with the image, and keep it lossless
+      if (mask && !masksRewritten.has(smaskRef.toString())) {
+        let { samples, width: maskW, height: maskH } = mask;
+        if (didDownsample && !maskShared) {
+          const newW = matte ? outWidth : Math.max(1, Math.round((maskW * outWidth) / imgW));
+          const newH = matte ? outHeight : Math.max(1, Math.round((maskH * outHeight) / imgH));
+          if (newW < maskW && newH < maskH) {
+            samples = downsampleArea(samples, maskW, maskH, newW, newH, 1);
+            maskW = newW;
+            maskH = newH;
+          }
+        }
+        const maskBytes = zlibSync(samples, { level: 9 });
+        const resized = maskW !== mask.width;
+        if (resized || maskBytes.length < smask.contents.length) {
+          const maskDict = smask.dict;
+          maskDict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+          maskDict.delete(PDFName.of('DecodeParms'));
+          maskDict.set(PDFName.of('Length'), context.obj(maskBytes.length));
+          maskDict.set(PDFName.of('Width'), context.obj(maskW));
+          maskDict.set(PDFName.of('Height'), context.obj(maskH));
+          context.assign(smaskRef, PDFRawStream.of(maskDict, maskBytes));
+          masksRewritten.add(smaskRef.toString());
+        }
+      }
 
       // Update the stream
-      const newStream = PDFRawStream.of(dict, jpegBytes);
-      dict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
-      dict.delete(PDFName.of('DecodeParms'));
-      dict.set(PDFName.of('Length'), context.obj(jpegBytes.length));
+      const newStream = PDFRawStream.of(dict, outBytes);
+      dict.set(PDFName.of('Filter'), PDFName.of(grayAs === '1-bit' ? 'FlateDecode' : 'DCTDecode'));
+      if (predictor) {
+        dict.set(PDFName.of('DecodeParms'), context.obj({ Predictor: predictor, Colors: 1, BitsPerComponent: 1, Columns: outWidth }));
+      } else {
+        dict.delete(PDFName.of('DecodeParms'));
+      }
+      dict.set(PDFName.of('Length'), context.obj(outBytes.length));
+      if (!isDCT || grayAs) dict.set(PDFName.of('BitsPerComponent'), context.obj(grayAs === '1-bit' ? 1 : 8));
+      if (grayAs) {
+        dict.set(PDFName.of('ColorSpace'), PDFName.of('DeviceGray'));
+        grayscale++;
+      } else if (indexed) {
+        dict.set(PDFName.of('ColorSpace'), indexed.base);
+      }
 
       // Update dimensions if downsampled
       if (didDownsample) {
@@ -428,5 +505,5 @@ export function recompressImages(pdfDoc, options = {}) {
     }
   }
 
-  return { converted, skipped, downsampled, ...(debugLog && { _debug: debugLog, skipReasons }) };
+  return { converted, skipped, downsampled, grayscale, ...(debugLog && { _debug: debugLog, skipReasons }) };
 }
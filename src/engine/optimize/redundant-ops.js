@@ -0,0 +1,194 @@
+/**
+ * Redundant graphics-state operator pass.
+ *
+ * Word, Illustrator and many PDF libraries write operators that change
+ * nothing: colours and line widths set to the value they already have, the
+ * same ExtGState applied twice, identity `cm`s, `q … Q` pairs around nothing
+ * but state changes (which `Q` undoes) and `BT … ET` blocks that show no
+ * text. This pass follows the graphics state through each content stream
+ * (createGraphicsStateTracker) and removes them. Rules:
+ *
+ * - redundantState: a state operator whose value is already current
+ * - identityMatrix: `1 0 0 1 0 0 cm`
+ * - emptySaveRestore: `q … Q` containing only state operators, or nothing
+ * - emptyText: `BT … ET` with no text-showing operator; state operators
+ *   inside are kept, positioning (Td, Tm, T*) goes. Skipped for clipping
+ *   render modes.
+ *
+ * Pages start from the default graphics state, with their content streams
+ * followed in order. Form XObjects inherit the state of whatever draws them,
+ * so they start from an unknown state and only lose operators their own
+ * earlier operators make redundant. The surviving operators are written
+ * back in minimal form (content-stream-writer.js).
+ */
+import { PDFName, PDFRawStream } from 'pdf-lib';
+import {
+  createGraphicsStateTracker,
+  collectPageContents,
+  readStreamOperations,
+  STATE_OPS,
+} from '../utils/content-stream-parser.js';
+import { encodeContentStream, writeContentStreams } from '../utils/content-stream-writer.js';
+import { createCheckpoint } from '../utils/abort.js';
+
+/** Text positioning operators that mean nothing once no text is shown. */
+const TEXT_POSITION_OPS = new Set(['Td', 'Tm', 'T*']);
+
+const emptyCounts = () => ({ redundantState: 0, identityMatrix: 0, emptySaveRestore: 0, emptyText: 0 });
+
+/**
+ * Find the operations that can go without changing what is drawn.
+ *
+ * @param {import('../utils/content-stream-parser.js').ContentOperation[]} operations
+ * @param {{ initial?: 'page' | 'unknown' }} [options] - Starting graphics state
+ * @returns {{ removed: Set<number>, rules: Record<string, number> }} Indices
+ *   of removable operations, and how often each rule applied
+ */
+export function findRedundantOperations(operations, { initial = 'page' } = {}) {
+  const removed = new Set();
+  const rules = emptyCounts();
+
+  // Removing one operator can expose another (`1 g q 0 g Q 1 g`), so repeat
+  for (let round = 0; round < 8; round++) {
+    const before = removed.size;
+    const tracker = createGraphicsStateTracker({ initial });
+    const saves = [];
+    let text = null;
+
+    for (let i = 0; i < operations.length; i++) {
+      if (removed.has(i)) continue;
+      const op = operations[i];
+      const { operator } = op;
+
+      if (tracker.isNoOp(op)) {
+        removed.add(i);
+        rules[operator === 'cm' ? 'identityMatrix' : 'redundantState']++;
+        continue;
+      }
+
+      if (operator === 'q') {
+        saves.push({ index: i, stateOnly: true });
+      } else if (operator === 'Q') {
+        const block = saves.pop();
+        if (block?.stateOnly) {
+          for (let j = block.index; j <= i; j++) removed.add(j);
+          rules.emptySaveRestore++;
+        } else if (saves.length > 0) {
+          saves[saves.length - 1].stateOnly = false;
+        }
+      } else if (operator === 'BT') {
+        text = { index: i, clipSafe: tracker.state.text.render < 4, positioning: [], empty: true };
+      } else if (operator === 'ET' && text) {
+        const end = tracker.state.text.render;
+        if (text.empty && text.clipSafe && end < 4) {
+          for (const j of [text.index, ...text.positioning, i]) removed.add(j);
+          rules.emptyText++;
+        }
+        text = null;
+      } else {
+        if (!STATE_OPS.has(operator) && saves.length > 0) saves[saves.length - 1].stateOnly = false;
+        if (text) {
+          if (TEXT_POSITION_OPS.has(operator)) text.positioning.push(i);
+          else if (!STATE_OPS.has(operator)) text.empty = false;
+        }
+      }
+      // Anything inside a kept BT … ET keeps the enclosing q … Q
+      if ((operator === 'BT' || operator === 'ET') && saves.length > 0) saves[saves.length - 1].stateOnly = false;
+
+      tracker.apply(op);
+    }
+
+    if (removed.size === before) break;
+  }
+
+  return { removed, rules };
+}
+
+/**
+ * Simplify a group of streams that are drawn in sequence (a page's content
+ * streams, or one Form XObject). Returns the new zlib data per changed
+ * stream, or null if nothing changed or the streams can't be rewritten.
+ */
+function simplifyStreams(streams, initial) {
+  const read = readStreamOperations(streams);
+  if (!read) return null;
+  const { operations, parts } = read;
+
+  const { removed, rules } = findRedundantOperations(operations, { initial });
+  if (removed.size === 0) return null;
+
+  const rewritten = [];
+  for (const { stream, from, to } of parts) {
+    let changed = false;
+    const tokens = [];
+    for (let i = from; i < to; i++) {
+      if (removed.has(i)) changed = true;
+      else tokens.push(...operations[i].tokens);
+    }
+    if (!changed) continue;
+    const data = encodeContentStream(tokens);
+    if (!data) return null;
+    rewritten.push({ stream, data });
+  }
+  return { rewritten, removed: removed.size, rules };
+}
+
+/**
+ * Remove operators with no visible effect from page content streams and
+ * Form XObjects.
+ * @param {PDFDocument} pdfDoc
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the pass between pages and forms
+ * @returns {Promise<{
+ *   operatorsRemoved: number,
+ *   rewritten: number,
+ *   skipped: number,
+ *   savedBytes: number,
+ *   rules: { redundantState: number, identityMatrix: number, emptySaveRestore: number, emptyText: number },
+ * }>}
+ */
+export async function removeRedundantOperators(pdfDoc, options = {}) {
+  const context = pdfDoc.context;
+  const checkpoint = createCheckpoint(options.signal);
+  const rules = emptyCounts();
+  let operatorsRemoved = 0;
+  let rewritten = 0;
+  let skipped = 0;
+  let savedBytes = 0;
+
+  // A content stream drawn by several pages (or twice by one) starts from
+  // different states; leave those pages alone
+  const groups = collectPageContents(pdfDoc)
+    .filter(({ refs, shared, complete }) => refs.length > 0 && !shared && complete)
+    .map(({ refs }) => ({ refs, initial: 'page' }));
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (obj instanceof PDFRawStream && obj.dict.get(PDFName.of('Subtype')) === PDFName.of('Form')) {
+      groups.push({ refs: [ref], initial: 'unknown' });
+    }
+  }
+
+  for (const { refs, initial } of groups) {
+    await checkpoint();
+    const result = simplifyStreams(refs.map((ref) => context.lookup(ref)), initial);
+    if (!result) {
+      skipped++;
+      continue;
+    }
+
+    // All or nothing: a removed q … Q pair may span two of a page's streams
+    const before = result.rewritten.reduce((sum, { stream }) => sum + stream.contents.length, 0);
+    const after = result.rewritten.reduce((sum, { data }) => sum + data.length, 0);
+    if (after >= before) {
+      skipped++;
+      continue;
+    }
+
+    writeContentStreams(context, refs, result.rewritten);
+    rewritten += result.rewritten.length;
+    operatorsRemoved += result.removed;
+    savedBytes += before - after;
+    for (const rule of Object.keys(rules)) rules[rule] += result.rules[rule];
+  }
+
+  return { operatorsRemoved, rewritten, skipped, savedBytes, rules };
+}
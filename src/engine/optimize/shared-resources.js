@@ -0,0 +1,92 @@
+/**
+ * Shared page resources pass.
+ *
+ * Tools that assemble PDFs page by page often give each page its own copy
+ * of the same /Resources dictionary — inline in the page dict, as separate
+ * objects, or inherited from /Pages nodes that repeat it. Every copy costs
+ * an xref entry or its bytes in an object stream. This pass groups pages by
+ * the exact contents of the resources they use (their own or inherited)
+ * and points each group that draws on more than one copy at a single
+ * indirect dictionary, reusing one the pages already refer to where there
+ * is one. /Pages nodes whose resources no page inherits any more lose them.
+ *
+ * Runs after deduplication, so equal dictionaries already refer to the
+ * same fonts and images by the same refs.
+ */
+import { PDFName, PDFRef, PDFDict, PDFArray } from 'pdf-lib';
+import { serializeObject } from '../utils/hash.js';
+import { createCheckpoint } from '../utils/abort.js';
+
+const RESOURCES = PDFName.of('Resources');
+
+/** Remove /Resources from /Pages nodes that no page inherits from. */
+function dropUninheritedResources(pdfDoc) {
+  const context = pdfDoc.context;
+  const inherited = new Set();
+  for (const page of pdfDoc.getPages()) {
+    let node = page.node;
+    const seen = new Set();
+    while (node instanceof PDFDict && !node.has(RESOURCES) && !seen.has(node)) {
+      seen.add(node);
+      node = node.lookup(PDFName.of('Parent'));
+    }
+    if (node instanceof PDFDict) inherited.add(node);
+  }
+
+  const queue = [context.lookup(pdfDoc.catalog.get(PDFName.of('Pages')))];
+  const visited = new Set();
+  while (queue.length > 0) {
+    const node = queue.pop();
+    if (!(node instanceof PDFDict) || visited.has(node)) continue;
+    visited.add(node);
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (!(kids instanceof PDFArray)) continue; // a page, not a /Pages node
+    for (const kid of kids.asArray()) queue.push(context.lookup(kid));
+    if (node.has(RESOURCES) && !inherited.has(node)) node.delete(RESOURCES);
+  }
+}
+
+/**
+ * Point pages with equal resources at one shared dictionary.
+ * @param {PDFDocument} pdfDoc
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the pass between groups of pages
+ * @returns {Promise<{ sharedPages: number, sharedDicts: number }>}
+ *   `sharedPages` counts pages pointed at a dictionary they didn't use
+ *   before, `sharedDicts` the dictionaries they now share
+ */
+export async function shareResources(pdfDoc, options = {}) {
+  const context = pdfDoc.context;
+  const checkpoint = createCheckpoint(options.signal);
+  const groups = new Map(); // serialization → { nodes, sources, dict, ref }
+
+  for (const page of pdfDoc.getPages()) {
+    const value = page.node.getInheritableAttribute(RESOURCES);
+    const dict = value instanceof PDFRef ? context.lookup(value) : value;
+    if (!(dict instanceof PDFDict)) continue;
+    const key = serializeObject(dict);
+    if (!groups.has(key)) groups.set(key, { nodes: [], sources: new Set(), dict, ref: null });
+    const group = groups.get(key);
+    group.nodes.push(page.node);
+    // A ref or an inline dict: the same one twice is already shared
+    group.sources.add(value);
+    if (value instanceof PDFRef) group.ref ??= value;
+  }
+
+  let sharedPages = 0;
+  let sharedDicts = 0;
+  for (const group of groups.values()) {
+    if (group.sources.size < 2) continue;
+    await checkpoint();
+    const ref = group.ref ?? context.register(group.dict.clone(context));
+    for (const node of group.nodes) {
+      if (node.getInheritableAttribute(RESOURCES) === ref) continue;
+      node.set(RESOURCES, ref);
+      sharedPages++;
+    }
+    sharedDicts++;
+  }
+
+  if (sharedDicts > 0) dropUninheritedResources(pdfDoc);
+  return { sharedPages, sharedDicts };
+}
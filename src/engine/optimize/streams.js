@@ -13,6 +13,7 @@ import {
   allFiltersDecodable,
   getFilterNames,
 } from '../utils/stream-decode.js';
+import { createCheckpoint } from '../utils/abort.js';
 
 export { getFilterNames };
 
@@ -66,16 +67,19 @@ function dictHasPredictor(dpDict, context) {
  * Recompress all eligible streams in the document.
  * @param {PDFDocument} pdfDoc
  * @param {object} [options]
- * @returns {{ recompressed: number, skipped: number, _debug?: Array }}
+ * @param {AbortSignal} [options.signal] - Cancels the pass between streams
+ * @returns {Promise<{ recompressed: number, skipped: number, _debug?: Array }>}
  */
-export function recompressStreams(pdfDoc, options = {}) {
+export async function recompressStreams(pdfDoc, options = {}) {
   const context = pdfDoc.context;
-  const { debug = false } = options;
+  const { debug = false, signal } = options;
   const debugLog = debug ? [] : null;
+  const checkpoint = createCheckpoint(signal);
   let recompressed = 0;
   let skipped = 0;
 
   for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    await checkpoint();
     if (!(obj instanceof PDFRawStream)) {
       skipped++;
       continue;
@@ -0,0 +1,229 @@
+/**
+ * Unused resource pruning pass.
+ *
+ * Producers often give every page the same /Resources dictionary, naming
+ * every font and image in the document, so removeUnreferencedObjects can't
+ * drop any of them while one dictionary still lists them. This pass reads
+ * the content of each page and Form XObject, finds the /Font, /XObject,
+ * /ExtGState, /ColorSpace, /Pattern and /Shading names it really uses, and
+ * gives it a resource dictionary with only those. Owners that use the same
+ * names from the same dictionary share the pruned copy; the original is
+ * left for the unreferenced pass to collect.
+ *
+ * Content that can't be read in full — undecodable streams, stray bytes,
+ * operators outside the PDF spec — keeps its dictionary as it is. So does
+ * content that uses a Type 3 font, a soft mask group or a tiling pattern
+ * without resources of its own (they draw with the page's), and every page
+ * if a form without resources is drawn from another form (which dictionary
+ * it uses is up to the reader).
+ */
+import { PDFName, PDFRef, PDFStream } from 'pdf-lib';
+import {
+  tokenizeContentStream,
+  groupOperations,
+  collectPageContents,
+  readContentStream,
+  isRewritable,
+  resolveDict,
+  isForm,
+} from '../utils/content-stream-parser.js';
+import { createCheckpoint } from '../utils/abort.js';
+
+/** Resource categories this pass prunes; others (ProcSet, Properties) are kept whole. */
+const CATEGORIES = ['Font', 'XObject', 'ExtGState', 'ColorSpace', 'Pattern', 'Shading'];
+
+/** Every content stream operator in the PDF spec (ID and EI arrive inside BI). */
+const KNOWN_OPERATORS = new Set([
+  'b', 'B', 'b*', 'B*', 'BDC', 'BI', 'BMC', 'BT', 'BX', 'c', 'cm', 'CS', 'cs', 'd', 'd0', 'd1',
+  'Do', 'DP', 'EMC', 'ET', 'EX', 'f', 'F', 'f*', 'G', 'g', 'gs', 'h', 'i', 'j', 'J', 'K', 'k',
+  'l', 'm', 'M', 'MP', 'n', 'q', 'Q', 're', 'RG', 'rg', 'ri', 's', 'S', 'SC', 'sc', 'SCN', 'scn',
+  'sh', 'T*', 'Tc', 'Td', 'TD', 'Tf', 'Tj', 'TJ', 'TL', 'Tm', 'Tr', 'Ts', 'Tw', 'Tz', 'v', 'w',
+  'W', 'W*', 'y', "'", '"',
+]);
+
+/**
+ * Read streams drawn in sequence as one list of operations, or null if any
+ * part can't be read or uses an operator we don't know.
+ */
+function readOperations(streams) {
+  const tokens = [];
+  for (const stream of streams) {
+    const decoded = readContentStream(stream);
+    if (!decoded) return null;
+    const streamTokens = tokenizeContentStream(decoded);
+    if (!isRewritable(streamTokens)) return null;
+    tokens.push(...streamTokens);
+  }
+  const { operations } = groupOperations(tokens);
+  return operations.every((op) => KNOWN_OPERATORS.has(op.operator)) ? operations : null;
+}
+
+/** Look up a stream, following an indirect reference. */
+function resolveStream(context, value) {
+  const resolved = value instanceof PDFRef ? context.lookup(value) : value;
+  return resolved instanceof PDFStream ? resolved : null;
+}
+
+/**
+ * Whether any of the names used draws with the dictionary it's named in
+ * rather than its own: a Type 3 font, a soft mask group (an ExtGState's
+ * /SMask /G) or a tiling pattern without /Resources.
+ */
+function borrowsResources(context, resources, used) {
+  const lacksResources = (owner) => owner && !owner.has(PDFName.of('Resources'));
+  const entry = (category, name) => resolveDict(context, resources?.get(PDFName.of(category)))?.get(PDFName.of(name));
+
+  for (const name of used.Font) {
+    const font = resolveDict(context, entry('Font', name));
+    if (font?.get(PDFName.of('Subtype')) === PDFName.of('Type3') && lacksResources(font)) return true;
+  }
+  for (const name of used.ExtGState) {
+    const mask = resolveDict(context, resolveDict(context, entry('ExtGState', name))?.get(PDFName.of('SMask')));
+    if (lacksResources(resolveStream(context, mask?.get(PDFName.of('G')))?.dict)) return true;
+  }
+  for (const name of used.Pattern) {
+    if (lacksResources(resolveStream(context, entry('Pattern', name))?.dict)) return true;
+  }
+  return false;
+}
+
+const emptyUsage = () => Object.fromEntries(CATEGORIES.map((category) => [category, new Set()]));
+
+/**
+ * The resource names a list of operations uses, by category.
+ *
+ * @param {import('../utils/content-stream-parser.js').ContentOperation[]} operations
+ * @param {Record<string, Set<string>>} [used] - Added to, if given
+ * @returns {Record<string, Set<string>>}
+ */
+export function findUsedResourceNames(operations, used = emptyUsage()) {
+  for (const { operator, operands, tokens } of operations) {
+    const add = (category, token) => {
+      if (token?.type === 'name') used[category].add(token.value);
+    };
+    if (operator === 'Tf') add('Font', operands[0]);
+    else if (operator === 'Do') add('XObject', operands[0]);
+    else if (operator === 'gs') add('ExtGState', operands[0]);
+    else if (operator === 'sh') add('Shading', operands[0]);
+    else if (operator === 'cs' || operator === 'CS') add('ColorSpace', operands[0]);
+    else if (operator === 'scn' || operator === 'SCN') add('Pattern', operands[operands.length - 1]);
+    // An inline image names its colour space in its own dictionary
+    else if (operator === 'BI') for (const token of tokens) add('ColorSpace', token);
+  }
+  return used;
+}
+
+/**
+ * A copy of `resources` with only the used names in each pruned category.
+ * Returns null if nothing would be dropped.
+ */
+function pruneDict(context, resources, used) {
+  const pruned = context.obj({});
+  let dropped = 0;
+  for (const [key, value] of resources.entries()) {
+    const category = key.decodeText();
+    const entries = CATEGORIES.includes(category) ? resolveDict(context, value) : null;
+    if (!entries) {
+      pruned.set(key, value);
+      continue;
+    }
+    const kept = context.obj({});
+    for (const [name, entry] of entries.entries()) {
+      if (used[category].has(name.decodeText())) kept.set(name, entry);
+      else dropped++;
+    }
+    if (kept.keys().length === entries.keys().length) pruned.set(key, value);
+    else if (kept.keys().length > 0) pruned.set(key, kept);
+  }
+  return dropped > 0 ? { dict: pruned, dropped } : null;
+}
+
+/**
+ * Give each page and Form XObject a resource dictionary with only the
+ * names its content uses.
+ * @param {PDFDocument} pdfDoc
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the pass between pages and forms
+ * @returns {Promise<{
+ *   pruned: number,
+ *   rewritten: number,
+ *   skipped: number,
+ * }>} `pruned` counts the names dropped from each distinct new dictionary;
+ *   `rewritten` the pages and forms given one; `skipped` those whose
+ *   content couldn't be read
+ */
+export async function pruneUnusedResources(pdfDoc, options = {}) {
+  const context = pdfDoc.context;
+  const checkpoint = createCheckpoint(options.signal);
+  const formOperations = new Map(); // form → operations | null
+  let formsInheritFromForms = false;
+
+  const operationsOf = (form) => {
+    if (!formOperations.has(form)) formOperations.set(form, readOperations([form]));
+    return formOperations.get(form);
+  };
+
+  /**
+   * The names content uses from `resources`, following forms without
+   * resources of their own, which draw with the same dictionary. Returns
+   * null if some of it can't be read.
+   */
+  const usageOf = (operations, resources, isPage, used = emptyUsage(), visiting = new Set()) => {
+    if (!operations) return null;
+    findUsedResourceNames(operations, used);
+    if (borrowsResources(context, resources, used)) return null;
+    const xobjects = resolveDict(context, resources?.get(PDFName.of('XObject')));
+    for (const name of [...used.XObject]) {
+      const form = context.lookup(xobjects?.get(PDFName.of(name)));
+      if (!isForm(form) || form.dict.has(PDFName.of('Resources')) || visiting.has(form)) continue;
+      if (!isPage) formsInheritFromForms = true;
+      visiting.add(form);
+      if (!usageOf(operationsOf(form), resources, isPage, used, visiting)) return null;
+    }
+    return used;
+  };
+
+  const owners = [];
+  for (const { page, refs, complete } of collectPageContents(pdfDoc)) {
+    const node = pdfDoc.getPage(page - 1).node;
+    const resources = node.Resources();
+    if (!resources) continue;
+    const operations = complete ? readOperations(refs.map((ref) => context.lookup(ref))) : null;
+    owners.push({ target: node, resources, isPage: true, used: usageOf(operations, resources, true) });
+  }
+  for (const [, obj] of context.enumerateIndirectObjects()) {
+    if (!isForm(obj)) continue;
+    const resources = resolveDict(context, obj.dict.get(PDFName.of('Resources')));
+    if (!resources) continue;
+    owners.push({ target: obj.dict, resources, isPage: false, used: usageOf(operationsOf(obj), resources, false) });
+  }
+
+  const shared = new Map(); // original dict → Map<usage key, ref>
+  let pruned = 0;
+  let rewritten = 0;
+  let skipped = 0;
+
+  for (const { target, resources, isPage, used } of owners) {
+    await checkpoint();
+    if (!used || (isPage && formsInheritFromForms)) {
+      skipped++;
+      continue;
+    }
+
+    const key = CATEGORIES.map((category) => [...used[category]].sort().join('\0')).join('\x01');
+    if (!shared.has(resources)) shared.set(resources, new Map());
+    let ref = shared.get(resources).get(key);
+    if (ref === undefined) {
+      const result = pruneDict(context, resources, used);
+      ref = result && context.register(result.dict);
+      shared.get(resources).set(key, ref);
+      if (result) pruned += result.dropped;
+    }
+    if (!ref) continue;
+
+    target.set(PDFName.of('Resources'), ref);
+    rewritten++;
+  }
+
+  return { pruned, rewritten, skipped };
+}
@@ -0,0 +1,150 @@
+/**
+ * Registry of optimization passes run by the pipeline.
+ *
+ * A pass is `{ name, fn, lossy, pdfaSafe }`: `fn(pdfDoc, options)` returns a
+ * stats object (sync or async), `lossy` passes only run when
+ * `options.lossy` is set, and passes that aren't `pdfaSafe` are skipped for
+ * PDF/A input. The pipeline applies that gating, progress reporting, `_ms`
+ * timing, dangling-ref tracking and error isolation to every registered
+ * pass alike — built-in or custom.
+ *
+ * Passes are addressed by name; names must be unique.
+ */
+
+/**
+ * @typedef {object} PassDefinition
+ * @property {string} name - Unique name, also shown as the progress label
+ * @property {(pdfDoc: import('pdf-lib').PDFDocument, options: object) => object|Promise<object>} fn
+ * @property {boolean} [lossy=false] - Only run when options.lossy is true
+ * @property {boolean} [pdfaSafe=true] - Safe to run on PDF/A documents
+ * @property {boolean} [enabled=true] - Disabled passes are left out of the run entirely
+ * @property {object} [skippedStats] - Stats reported when the pass is gated off,
+ *   so consumers see the same shape as a no-op run
+ */
+
+/** Fill in defaults and validate a pass definition. */
+function normalizePass(pass) {
+  if (!pass || typeof pass.name !== 'string' || pass.name === '') {
+    throw new Error('Pass must have a non-empty name');
+  }
+  if (typeof pass.fn !== 'function') {
+    throw new Error(`Pass "${pass.name}" must have an fn(pdfDoc, options) function`);
+  }
+  return {
+    name: pass.name,
+    fn: pass.fn,
+    lossy: pass.lossy ?? false,
+    pdfaSafe: pass.pdfaSafe ?? true,
+    enabled: pass.enabled ?? true,
+    ...(pass.skippedStats && { skippedStats: pass.skippedStats }),
+  };
+}
+
+/**
+ * Create a pass registry.
+ *
+ * @param {PassDefinition[]} [defaults] - Initial passes, restored by reset()
+ */
+export function createPassRegistry(defaults = []) {
+  let passes = [];
+
+  const indexOf = (name) => {
+    const idx = passes.findIndex((p) => p.name === name);
+    if (idx === -1) throw new Error(`Unknown pass "${name}"`);
+    return idx;
+  };
+
+  /** Resolve a { before } / { after } position to an insertion index. */
+  const positionIndex = ({ before, after } = {}) => {
+    if (before != null && after != null) throw new Error('Specify either before or after, not both');
+    if (before != null) return indexOf(before);
+    if (after != null) return indexOf(after) + 1;
+    return passes.length;
+  };
+
+  const registry = {
+    /** All passes in run order, including disabled ones (copies). */
+    list() {
+      return passes.map((p) => ({ ...p }));
+    },
+
+    /** Passes that will run, in order. */
+    active() {
+      return passes.filter((p) => p.enabled);
+    },
+
+    has(name) {
+      return passes.some((p) => p.name === name);
+    },
+
+    /**
+     * Add a pass. Appended by default, or placed relative to an existing pass.
+     * @param {PassDefinition} pass
+     * @param {{ before?: string, after?: string }} [position]
+     */
+    register(pass, position) {
+      const normalized = normalizePass(pass);
+      if (registry.has(normalized.name)) throw new Error(`A pass named "${normalized.name}" is already registered`);
+      passes.splice(positionIndex(position), 0, normalized);
+      return registry;
+    },
+
+    /**
+     * Swap the implementation of a pass in place, keeping its position.
+     * Accepts a bare function or a partial definition; unspecified fields
+     * (flags, name) carry over from the pass being replaced.
+     * @param {string} name
+     * @param {Function|Partial<PassDefinition>} replacement
+     */
+    replace(name, replacement) {
+      const idx = indexOf(name);
+      const patch = typeof replacement === 'function' ? { fn: replacement } : replacement;
+      const next = normalizePass({ ...passes[idx], ...patch });
+      if (next.name !== name && registry.has(next.name)) {
+        throw new Error(`A pass named "${next.name}" is already registered`);
+      }
+      passes[idx] = next;
+      return registry;
+    },
+
+    /**
+     * Move a pass relative to another one.
+     * @param {string} name
+     * @param {{ before?: string, after?: string }} position
+     */
+    move(name, position) {
+      if (position?.before == null && position?.after == null) {
+        throw new Error('move() needs a before or after position');
+      }
+      if (position.before === name || position.after === name) return registry;
+      indexOf(position.before ?? position.after); // validate before removing
+      const [pass] = passes.splice(indexOf(name), 1);
+      passes.splice(positionIndex(position), 0, pass);
+      return registry;
+    },
+
+    /** Remove a pass entirely. */
+    unregister(name) {
+      passes.splice(indexOf(name), 1);
+      return registry;
+    },
+
+    disable(name) {
+      passes[indexOf(name)].enabled = false;
+      return registry;
+    },
+
+    enable(name) {
+      passes[indexOf(name)].enabled = true;
+      return registry;
+    },
+
+    /** Restore the default passes, order and flags. */
+    reset() {
+      passes = defaults.map(normalizePass);
+      return registry;
+    },
+  };
+
+  return registry.reset();
+}
@@ -1,20 +1,45 @@
 /**
  * Optimization pipeline orchestrator.
  *
- * Loads a PDF, runs optimization passes in order, saves with compact settings.
+ * Loads a PDF, runs optimization passes in order, saves with compact settings
+ * (or as a linearized file when `options.linearize` is set).
+ * With `options.targetSize`, the image pass runs last and is repeated with
+ * different quality/DPI settings until the output fits.
+ * Encrypted input is decrypted on load (`options.password`) and written back
+ * with its original encryption unless `options.removeEncryption` is set.
+ * Digitally signed input is refused, or with `options.signedPdfs` set to
+ * 'incremental', saved as its signed revision plus an optimized update.
  * Returns original bytes if output is not smaller (size guard).
+ * Rejects with the signal's reason if `options.signal` is aborted.
  */
-import { PDFDocument, PDFName, PDFRef, PDFArray, PDFDict } from 'pdf-lib';
+import { PDFName, PDFRef, PDFArray, PDFDict } from 'pdf-lib';
+import { mergeContentStreams } from './optimize/content-merge.js';
+import { removeHiddenLayers } from './optimize/hidden-layers.js';
+import { inlineForms } from './optimize/form-inline.js';
 import { recompressStreams } from './optimize/streams.js';
+import { minifyContentStreams } from './optimize/content-minify.js';
+import { removeRedundantOperators } from './optimize/redundant-ops.js';
+import { reduceCoordinatePrecision } from './optimize/coordinate-precision.js';
+import { pruneUnusedResources } from './optimize/unused-resources.js';
+import { repackImages } from './optimize/image-repack.js';
 import { recompressImages } from './optimize/images.js';
 import { unembedStandardFonts } from './optimize/font-unembed.js';
 import { subsetFonts } from './optimize/font-subset.js';
 import { deduplicateObjects } from './optimize/dedup.js';
 import { deduplicateFonts } from './optimize/fonts.js';
+import { shareResources } from './optimize/shared-resources.js';
 import { stripMetadata } from './optimize/metadata.js';
 import { removeUnreferencedObjects } from './optimize/unreferenced.js';
 import { inspectDocument } from './inspect.js';
+import { saveLinearized } from './linearize.js';
+import { loadDocument, removeEncryption, saveEncrypted } from './encryption.js';
+import { signedPdfError, planIncrementalUpdate, saveIncremental } from './incremental.js';
+import { createPassRegistry } from './pass-registry.js';
+import { searchImageSettings } from './target-size.js';
+import { takeSnapshot, restoreSnapshot } from './utils/doc-snapshot.js';
+import { createCheckpoint, isAbortError } from './utils/abort.js';
 import { detectAccessibilityTraits, auditAccessibility } from './utils/accessibility-detect.js';
+import { detectSignatureTraits } from './utils/signature-detect.js';
 
 /**
  * Collect all ref tags reachable from each page's /Contents and /Resources.
@@ -128,36 +153,138 @@ function checkContentIntegrity(pdfDoc) {
   return warnings;
 }
 
+/** The pass whose settings a targetSize search varies. */
+const IMAGE_PASS = 'Recompressing images';
+
 const PASSES = [
+  { name: 'Merging content streams', fn: mergeContentStreams },
+  { name: 'Dropping hidden layers', fn: removeHiddenLayers },
+  { name: 'Inlining form XObjects', fn: inlineForms },
   { name: 'Recompressing streams', fn: recompressStreams },
-  { name: 'Recompressing images', fn: recompressImages },
-  { name: 'Unembedding standard fonts', fn: unembedStandardFonts },
+  { name: 'Minifying content streams', fn: minifyContentStreams },
+  { name: 'Dropping redundant operators', fn: removeRedundantOperators },
+  {
+    name: 'Rounding coordinates',
+    fn: reduceCoordinatePrecision,
+    lossy: true,
+    skippedStats: { rounded: 0, rewritten: 0, skipped: 0 },
+  },
+  { name: 'Pruning unused resources', fn: pruneUnusedResources },
+  { name: 'Repacking images', fn: repackImages },
+  {
+    name: IMAGE_PASS,
+    fn: recompressImages,
+    lossy: true,
+    skippedStats: { converted: 0, skipped: 0, downsampled: 0, grayscale: 0 },
+  },
+  {
+    name: 'Unembedding standard fonts',
+    fn: unembedStandardFonts,
+    pdfaSafe: false,
+    skippedStats: { unembedded: 0, skipped: 0 },
+  },
   { name: 'Subsetting fonts', fn: subsetFonts },
   { name: 'Deduplicating objects', fn: deduplicateObjects },
   { name: 'Deduplicating fonts', fn: deduplicateFonts },
+  { name: 'Sharing page resources', fn: shareResources },
   { name: 'Stripping metadata', fn: stripMetadata },
   { name: 'Removing unreferenced objects', fn: removeUnreferencedObjects },
 ];
 
+/**
+ * The passes optimize() runs. Register, replace, reorder or disable passes
+ * here to customise the pipeline; reset() restores the built-in set.
+ */
+export const passRegistry = createPassRegistry(PASSES);
+
+/**
+ * Why a pass should not run for this document/options, or null if it should.
+ * Custom passes get the same gating as built-ins via their declared flags.
+ */
+function gateReason(pass, options, pdfTraits) {
+  if (pass.lossy && !options.lossy) return 'lossy';
+  if (!pass.pdfaSafe && pdfTraits.isPdfA) return 'pdfa';
+  return null;
+}
+
+/**
+ * Serialize the document — linearized if requested, falling back to a
+ * regular save (e.g. encryption kept) rather than failing the file.
+ * `security` (from loadDocument()) re-encrypts unless encryption was removed.
+ * `signedUpdate` (a plan from planIncrementalUpdate()) appends to the signed
+ * revision instead, which rules out linearizing.
+ */
+async function saveDocument(pdfDoc, options, pdfTraits, stats, { security, inputBytes, signedUpdate }) {
+  if (signedUpdate) {
+    if (options.linearize) stats.linearizeError = 'Signed documents are saved as an incremental update';
+    const { bytes, objectCount } = await saveIncremental(pdfDoc, inputBytes, signedUpdate, security);
+    stats.signatures.rewrittenObjects = objectCount;
+    return bytes;
+  }
+  if (options.linearize) {
+    try {
+      const bytes = await saveLinearized(pdfDoc);
+      stats.linearized = true;
+      return bytes;
+    } catch (err) {
+      stats.linearizeError = err.message;
+    }
+  }
+  const saveOptions = {
+    useObjectStreams: !(pdfTraits.isPdfA && pdfTraits.pdfALevel?.startsWith('1')),
+    addDefaultPage: false,
+    updateFieldAppearances: false,
+  };
+  if (security && !options.removeEncryption) return saveEncrypted(pdfDoc, security, saveOptions);
+  return pdfDoc.save(saveOptions);
+}
+
 /**
  * Optimize a PDF.
  *
  * @param {Uint8Array} inputBytes - Raw PDF bytes
- * @param {object} [options] - Reserved for future use
+ * @param {object} [options] - See the options schema in PRD.md; `options.signal`
+ *   (AbortSignal) cancels between passes and inside the long-running ones
  * @param {function} [onProgress] - Progress callback (progress: 0-1, passName: string)
  * @returns {Promise<{ output: Uint8Array, stats: object }>}
  */
 export async function optimize(inputBytes, options = {}, onProgress) {
   const inputSize = inputBytes.length;
+  const { signal } = options;
+  const checkpoint = createCheckpoint(signal);
+  await checkpoint();
 
-  const pdfDoc = await PDFDocument.load(inputBytes, {
-    updateMetadata: false,
-  });
+  const { pdfDoc, security, objectOffsets } = await loadDocument(inputBytes, { password: options.password });
 
-  const pdfTraits = detectAccessibilityTraits(pdfDoc);
+  const pdfTraits = { ...detectAccessibilityTraits(pdfDoc), ...detectSignatureTraits(pdfDoc, inputSize) };
   const passOptions = { ...options, _pdfTraits: pdfTraits };
 
+  // Signed files: rewriting the signed bytes would invalidate the signatures
+  let signedUpdate = null;
+  if (pdfTraits.isSigned) {
+    if (options.signedPdfs !== 'incremental') throw signedPdfError(pdfTraits.signatures);
+    signedUpdate = planIncrementalUpdate(pdfDoc, objectOffsets, pdfTraits.signatures);
+  }
+
   const stats = { inputSize, pdfTraits, passes: [] };
+  const save = () => saveDocument(pdfDoc, passOptions, pdfTraits, stats, { security, inputBytes, signedUpdate });
+
+  if (signedUpdate) {
+    stats.signatures = {
+      count: pdfTraits.signatures.length,
+      signedLength: signedUpdate.signedLength,
+      appendedObjects: signedUpdate.appended.size,
+      rewrittenObjects: 0,
+    };
+  }
+
+  if (security) {
+    // An incremental update has to use the signed revision's encryption
+    const remove = !!options.removeEncryption && !signedUpdate;
+    const { algorithm, revision, permissions, authenticatedAs } = security;
+    stats.encryption = { algorithm, revision, permissions, authenticatedAs, removed: remove };
+    if (remove) removeEncryption(pdfDoc);
+  }
 
   stats.documentInfo = {
     pageCount: pdfDoc.getPages().length,
@@ -177,11 +304,44 @@ export async function optimize(inputBytes, options = {}, onProgress) {
   // introduces dangling resource references (blank/broken pages).
   const debugResourceTracking = options.debug;
 
-  for (let i = 0; i < PASSES.length; i++) {
-    const { name, fn } = PASSES[i];
-    if (onProgress) onProgress((i + 0.5) / PASSES.length, name);
+  // Transactional mode: snapshot before each pass and undo just that pass if it
+  // leaves pages with dangling refs, instead of discarding all work at the end.
+  // Problems already present in the input aren't blamed on any pass.
+  const transactional = !!options.transactional;
+  const knownWarnings = transactional ? new Set(checkContentIntegrity(pdfDoc)) : null;
 
-    const refsBefore = debugResourceTracking ? snapshotPageRefs(pdfDoc) : null;
+  // Target size: hold the image pass back until everything else has run, so
+  // each search attempt only has to redo image recompression.
+  let deferredImagePass = null;
+
+  const passes = passRegistry.active();
+  for (let i = 0; i < passes.length; i++) {
+    const { name, fn } = passes[i];
+    await checkpoint();
+    if (onProgress) onProgress((i + 0.5) / passes.length, name);
+
+    // Nothing was added after the last signature: no object may change
+    const gated = signedUpdate?.appended.size === 0 ? 'signed' : gateReason(passes[i], options, pdfTraits);
+    if (options.targetSize && name === IMAGE_PASS && (!gated || gated === 'lossy')) {
+      deferredImagePass = { pass: passes[i], index: stats.passes.length };
+      stats.passes.push(null); // filled in with the chosen attempt's stats
+      if (onProgress) onProgress((i + 1) / passes.length, name);
+      continue;
+    }
+    if (gated) {
+      stats.passes.push({
+        name,
+        _ms: 0,
+        ...passes[i].skippedStats,
+        gated,
+        ...(gated === 'pdfa' && { pdfaSkipped: true }),
+      });
+      if (onProgress) onProgress((i + 1) / passes.length, name);
+      continue;
+    }
+
+    const refsBefore = debugResourceTracking || transactional ? snapshotPageRefs(pdfDoc) : null;
+    const snapshot = transactional ? takeSnapshot(pdfDoc) : null;
 
     try {
       const t0 = Date.now();
@@ -189,19 +349,34 @@ export async function optimize(inputBytes, options = {}, onProgress) {
       const entry = { name, _ms: Date.now() - t0, ...passStats };
 
       // Debug: check if this pass broke any page resource references
-      if (refsBefore) {
-        const dangling = diffPageRefs(pdfDoc, refsBefore);
-        if (dangling.length > 0) {
-          entry._danglingAfterPass = dangling;
-        }
+      const dangling = refsBefore ? diffPageRefs(pdfDoc, refsBefore) : [];
+      if (debugResourceTracking && dangling.length > 0) {
+        entry._danglingAfterPass = dangling;
       }
 
-      stats.passes.push(entry);
+      const broken = snapshot
+        ? [...new Set([...dangling, ...checkContentIntegrity(pdfDoc).filter((w) => !knownWarnings.has(w))])]
+        : [];
+      if (broken.length > 0) {
+        restoreSnapshot(pdfDoc, snapshot);
+        stats.passes.push({ name, _ms: entry._ms, rolledBack: true, rollbackReasons: broken });
+      } else {
+        stats.passes.push(entry);
+      }
     } catch (err) {
-      stats.passes.push({ name, error: err.message });
+      if (isAbortError(err, signal)) throw err;
+      // A pass that throws part-way may have left half its changes behind
+      if (snapshot) restoreSnapshot(pdfDoc, snapshot);
+      stats.passes.push({ name, error: err.message, ...(snapshot && { rolledBack: true }) });
     }
 
-    if (onProgress) onProgress((i + 1) / PASSES.length, name);
+    if (onProgress) onProgress((i + 1) / passes.length, name);
+  }
+
+  await checkpoint();
+  let outputBytes = null;
+  if (deferredImagePass) {
+    outputBytes = await fitToTargetSize(pdfDoc, deferredImagePass, passOptions, save, stats, onProgress);
   }
 
   const inspectAfter = inspectDocument(pdfDoc);
@@ -214,6 +389,8 @@ export async function optimize(inputBytes, options = {}, onProgress) {
   const contentWarnings = checkContentIntegrity(pdfDoc);
   if (contentWarnings.length > 0) {
     stats.contentWarnings = contentWarnings;
+    if (stats.encryption) stats.encryption.removed = false;
+    if (stats.signatures) stats.signatures.rewrittenObjects = 0;
     // Fall back to original bytes — don't return a broken PDF
     return {
       output: inputBytes instanceof Uint8Array ? inputBytes : new Uint8Array(inputBytes),
@@ -221,22 +398,28 @@ export async function optimize(inputBytes, options = {}, onProgress) {
     };
   }
 
-  const outputBytes = await pdfDoc.save({
-    useObjectStreams: !(pdfTraits.isPdfA && pdfTraits.pdfALevel?.startsWith('1')),
-    addDefaultPage: false,
-    updateFieldAppearances: false,
-  });
+  await checkpoint();
+  if (!outputBytes) outputBytes = await save();
 
   const output = new Uint8Array(outputBytes);
   stats.outputSize = output.length;
+  if (options.targetSize && !stats.targetSize) {
+    // No image pass to search over (disabled, or skipped for PDF/A)
+    stats.targetSize = { target: options.targetSize, met: output.length <= options.targetSize, attempts: [] };
+  }
   stats.savedBytes = inputSize - output.length;
   stats.savedPercent =
     inputSize > 0
       ? parseFloat(((stats.savedBytes / inputSize) * 100).toFixed(1))
       : 0;
 
-  // Size guard: never return a larger file
-  if (output.length >= inputSize) {
+  // Size guard: never return a larger file — unless encryption was removed,
+  // which the original can't give the caller. A signed file with nothing
+  // after its last signature comes back as it was, which isn't a failure.
+  const unchangedSigned = signedUpdate && stats.signatures.rewrittenObjects === 0;
+  if (output.length >= inputSize && !stats.encryption?.removed && !unchangedSigned) {
+    if (stats.targetSize) stats.targetSize.met = inputSize <= stats.targetSize.target;
+    if (stats.signatures) stats.signatures.rewrittenObjects = 0;
     return {
       output: inputBytes instanceof Uint8Array ? inputBytes : new Uint8Array(inputBytes),
       stats: { ...stats, outputSize: inputSize, savedBytes: 0, savedPercent: 0, sizeGuard: true },
@@ -245,3 +428,54 @@ export async function optimize(inputBytes, options = {}, onProgress) {
 
   return { output, stats };
 }
+
+/**
+ * Run the deferred image pass with the settings searchImageSettings() picks,
+ * restoring the document before each attempt. Leaves the document in the
+ * chosen attempt's state, records its pass stats in place of the deferred
+ * entry and the search in `stats.targetSize`, and returns its saved bytes.
+ */
+async function fitToTargetSize(pdfDoc, deferred, passOptions, save, stats, onProgress) {
+  const { pass, index } = deferred;
+  const snapshot = takeSnapshot(pdfDoc);
+  let applied = null; // settings the document currently reflects
+  let kept = null; // { settings, bytes, entry, fits } for the attempt we'd return
+
+  const apply = async (settings) => {
+    if (applied) restoreSnapshot(pdfDoc, snapshot);
+    applied = settings;
+    if (!settings.lossy && pass.lossy) {
+      return { name: pass.name, _ms: 0, ...pass.skippedStats, gated: 'lossy' };
+    }
+    try {
+      const t0 = Date.now();
+      const passStats = await pass.fn(pdfDoc, { ...passOptions, ...settings });
+      return { name: pass.name, _ms: Date.now() - t0, ...passStats };
+    } catch (err) {
+      if (isAbortError(err, passOptions.signal)) throw err;
+      restoreSnapshot(pdfDoc, snapshot);
+      return { name: pass.name, error: err.message };
+    }
+  };
+
+  const checkpoint = createCheckpoint(passOptions.signal);
+  let attemptCount = 0;
+  const { met, settings, attempts } = await searchImageSettings(passOptions, async (attemptSettings) => {
+    await checkpoint();
+    attemptCount++;
+    if (onProgress) onProgress(1, `Fitting to target size (attempt ${attemptCount})`);
+    const entry = await apply(attemptSettings);
+    const bytes = new Uint8Array(await save());
+    // Mirror searchImageSettings()'s choice: the last attempt that fits, else the smallest
+    const fits = bytes.length <= passOptions.targetSize;
+    if (fits || (!kept?.fits && (!kept || bytes.length < kept.bytes.length))) {
+      kept = { settings: attemptSettings, bytes, entry, fits };
+    }
+    return bytes.length;
+  });
+
+  if (applied !== kept.settings) await apply(kept.settings);
+  stats.passes[index] = kept.entry;
+  stats.targetSize = { target: passOptions.targetSize, met, ...settings, attempts };
+  return kept.bytes;
+}
@@ -0,0 +1,94 @@
+/**
+ * Target file size search.
+ *
+ * Picks image settings (imageQuality, maxImageDpi) that bring the output
+ * under `targetSize` bytes while keeping as much image fidelity as possible.
+ * Resolution is preferred over JPEG quality: quality is lowered first at the
+ * requested DPI cap, and only if even the quality floor doesn't fit does the
+ * search step the DPI cap down. The floors default to the Max Compress
+ * preset (50% quality, 72 DPI).
+ *
+ * The search only plans settings; the caller measures each attempt (re-run
+ * the image pass, save, return the size). See optimize() in pipeline.js.
+ */
+
+export const DEFAULT_MIN_IMAGE_QUALITY = 0.5;
+export const DEFAULT_MIN_IMAGE_DPI = 72;
+
+/** DPI caps tried in turn once quality alone can't reach the target. */
+const DPI_STEPS = [300, 225, 150, 110, 72];
+
+/** Quality resolution of the search — finer steps aren't worth another save. */
+const QUALITY_STEP = 0.05;
+
+const roundQuality = (q) => Math.round(q / QUALITY_STEP) / (1 / QUALITY_STEP);
+
+/**
+ * Search image settings until the output fits or the floors are reached.
+ *
+ * The first attempt uses the options as given — if the document already fits
+ * (lossless or not) nothing is recompressed further. Later attempts always
+ * enable lossy image recompression.
+ *
+ * @param {object} options - optimize() options
+ * @param {number} options.targetSize - Maximum output size in bytes
+ * @param {number} [options.minImageQuality=0.5] - Lowest JPEG quality to try
+ * @param {number} [options.minImageDpi=72] - Lowest DPI cap to try
+ * @param {(settings: { lossy: boolean, imageQuality: number, maxImageDpi?: number }) => Promise<number>} attempt
+ *   Apply the settings and return the resulting output size in bytes
+ * @returns {Promise<{ met: boolean, settings: object, attempts: object[] }>}
+ *   `settings` are those of the last attempt that fit, or of the smallest
+ *   attempt when none did.
+ */
+export async function searchImageSettings(options, attempt) {
+  const { targetSize } = options;
+  const startQuality = options.imageQuality ?? 0.85;
+  const minQuality = Math.min(options.minImageQuality ?? DEFAULT_MIN_IMAGE_QUALITY, startQuality);
+  const minDpi = options.minImageDpi ?? DEFAULT_MIN_IMAGE_DPI;
+
+  const attempts = [];
+  const tried = new Map();
+  const trySettings = async (settings) => {
+    const key = `${settings.lossy}|${settings.imageQuality}|${settings.maxImageDpi}`;
+    if (tried.has(key)) return tried.get(key);
+    const outputSize = await attempt(settings);
+    const fits = outputSize <= targetSize;
+    attempts.push({ ...settings, outputSize, fits });
+    tried.set(key, fits);
+    return fits;
+  };
+  const result = (met) => {
+    const chosen = met
+      ? attempts.findLast((a) => a.fits)
+      : attempts.reduce((a, b) => (b.outputSize < a.outputSize ? b : a));
+    const { outputSize, fits, ...settings } = chosen;
+    return { met, settings, attempts };
+  };
+
+  const initial = { lossy: !!options.lossy, imageQuality: startQuality, maxImageDpi: options.maxImageDpi };
+  if (await trySettings(initial)) return result(true);
+
+  const dpiCaps = [
+    options.maxImageDpi,
+    ...DPI_STEPS.filter((dpi) => dpi > minDpi && (options.maxImageDpi == null || dpi < options.maxImageDpi)),
+  ];
+  if (options.maxImageDpi == null || options.maxImageDpi > minDpi) dpiCaps.push(minDpi);
+
+  for (const maxImageDpi of dpiCaps) {
+    const at = (imageQuality) => trySettings({ lossy: true, imageQuality, maxImageDpi });
+    if (!(await at(minQuality))) continue;
+
+    // Highest quality that still fits at this DPI cap
+    if (await at(startQuality)) return result(true);
+    let lo = minQuality;
+    let hi = startQuality;
+    while (hi - lo > QUALITY_STEP + 1e-9) {
+      const mid = roundQuality((lo + hi) / 2);
+      if (mid <= lo || mid >= hi) break;
+      if (await at(mid)) lo = mid;
+      else hi = mid;
+    }
+    return result(true);
+  }
+  return result(false);
+}
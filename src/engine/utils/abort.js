@@ -0,0 +1,45 @@
+/**
+ * Cooperative cancellation for optimize() via `options.signal` (AbortSignal).
+ *
+ * Checking `signal.aborted` inside a synchronous loop isn't enough: whatever
+ * would abort the signal — a worker `cancel` message, a timer, a request
+ * closing — is itself an event that can't be dispatched until the loop gives
+ * the thread back. Checkpoints therefore also yield to the event loop once
+ * per time slice, but only when a signal was passed, so callers without one
+ * pay nothing but an await.
+ */
+
+/** How long a loop may run between yields to the event loop. */
+const SLICE_MS = 100;
+
+/** Resolve on a later macrotask, letting queued events (messages, timers) run. */
+export function yieldToEventLoop() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/**
+ * Create a checkpoint for a long loop. Await it once per iteration: it throws
+ * the signal's reason (an AbortError by default) once aborted.
+ *
+ * @param {AbortSignal} [signal]
+ * @returns {() => Promise<void>|undefined}
+ */
+export function createCheckpoint(signal) {
+  if (!signal) return () => {};
+  let sliceStart = Date.now();
+  return async () => {
+    signal.throwIfAborted();
+    if (Date.now() - sliceStart < SLICE_MS) return;
+    await yieldToEventLoop();
+    sliceStart = Date.now();
+    signal.throwIfAborted();
+  };
+}
+
+/**
+ * Whether an error is the cancellation of `signal` — as opposed to a failure
+ * that per-pass or per-object error isolation should swallow.
+ */
+export function isAbortError(err, signal) {
+  return !!signal?.aborted && err === signal.reason;
+}
@@ -3,6 +3,14 @@
  *
  * Extracts text-related operations to build a map of
  * fontRef → Set<charCode bytes> for every font used in the document.
+ * The tokenizer itself (tokenizeContentStream) is exported for passes that
+ * rewrite content streams, along with groupOperations(), readers for a
+ * page's streams and forms (collectPageContents, collectContentHosts,
+ * readStreamOperations), a graphics state tracker
+ * (createGraphicsStateTracker), the STATE_OPS set and the
+ * resolveDict()/isForm() lookups those passes share;
+ * content-stream-writer.js turns tokens back into bytes and writes them
+ * over the original streams.
  *
  * Parsing strategy: a stack-based state machine using PDF's postfix notation.
  * Operands (strings, numbers, names, arrays) are pushed onto a stack.
@@ -12,7 +20,7 @@
  * - Tf: sets the current font (font name + size)
  * - Tj, TJ, ', ": text-showing operators that emit character codes
  * - Do: invokes an XObject — if it's a Form XObject, recurse into it
- * - BI: inline image marker — skipped (no text data)
+ * - BI … ID … EI: inline images — the tokenizer hands their data over whole
  *
  * Form XObject recursion: Form XObjects can contain their own content streams
  * and resource dictionaries. When `Do` references a Form, we decode its stream
@@ -48,16 +56,31 @@ export function extractUsedCharCodes(pdfDoc) {
   return result;
 }
 
+/** Operators that only change the graphics or text state. */
+export const STATE_OPS = new Set([
+  'w', 'J', 'j', 'M', 'd', 'ri', 'i', 'gs', 'cm',
+  'g', 'G', 'rg', 'RG', 'k', 'K', 'cs', 'CS', 'sc', 'SC', 'scn', 'SCN',
+  'Tc', 'Tw', 'Tz', 'TL', 'Tf', 'Tr', 'Ts',
+]);
+
 /**
  * Resolve a value to a PDFDict, following indirect references.
+ * @param {PDFContext} context
+ * @param {PDFObject|undefined} value
+ * @returns {PDFDict|null}
  */
-function resolveDict(context, value) {
+export function resolveDict(context, value) {
   if (!value) return null;
   if (value instanceof PDFRef) value = context.lookup(value);
   if (value instanceof PDFDict) return value;
   return null;
 }
 
+/** Whether a (resolved) object is a Form XObject. */
+export function isForm(obj) {
+  return obj instanceof PDFRawStream && obj.dict.get(PDFName.of('Subtype')) === PDFName.of('Form');
+}
+
 /**
  * Get content stream ref(s) from a page node.
  * Content can be a single stream ref or an array of stream refs.
@@ -133,25 +156,33 @@ function concatStreams(context, refs) {
 }
 
 /**
- * Parse a content stream byte array, extracting text operations.
+ * Split a decoded content stream into tokens.
  *
- * Uses a simple stack-based approach: push operands, dispatch on operators.
- * Tokenizes bytes into operands (strings, numbers, names, arrays) and
- * operator keywords. Inline images (BI...ID...EI) are detected at the
- * operator level and skipped — their binary data is not parsed.
+ * Comments are dropped. An inline image comes out as its `BI` operator, the
+ * dictionary's tokens, the `ID` operator, one `inlineImageData` token and the
+ * `EI` operator. Bytes that can't start a token (a stray `)` or `{`) become
+ * `invalid` tokens so callers that rewrite the stream can leave it alone.
  *
- * @param {object} context - PDF context for resolving refs
  * @param {Uint8Array} bytes - Decoded content stream bytes
- * @param {PDFDict|null} resources - Page/form Resources dictionary
- * @param {Map} result - Accumulated fontRef → charCodes map (mutated)
+ * @returns {ContentToken[]}
+ *
+ * @typedef {(
+ *   { type: 'number', value: number, text: string }
+ *   | { type: 'string', value: number[], hex: boolean, closed: boolean }
+ *   | { type: 'name', value: string }
+ *   | { type: 'operator' | 'keyword', value: string }
+ *   | { type: 'arrayStart' | 'arrayEnd' | 'dictStart' | 'dictEnd' }
+ *   | { type: 'inlineImageData', value: Uint8Array }
+ *   | { type: 'invalid', value: number }
+ * )} ContentToken
+ *   `keyword` is true/false/null. `inlineImageData` holds everything between
+ *   the whitespace after `ID` and the `EI`, verbatim — including the
+ *   whitespace that separates the data from `EI`.
  */
-function parseContentStream(context, bytes, resources, result) {
+export function tokenizeContentStream(bytes) {
   const len = bytes.length;
+  const tokens = [];
   let pos = 0;
-  /** @type {any[]} */
-  const stack = [];
-  let currentFontRef = null;
-  let currentFontDict = null;
 
   while (pos < len) {
     pos = skipWhitespace(bytes, pos, len);
@@ -162,48 +193,34 @@ function parseContentStream(context, bytes, resources, result) {
     // Literal string (...)
     if (ch === 0x28) {
       const str = parseLiteralString(bytes, pos, len);
-      stack.push({ type: 'string', value: str.bytes });
+      tokens.push({ type: 'string', value: str.bytes, hex: false, closed: str.closed });
       pos = str.end;
       continue;
     }
 
     // Hex string <...>
-    if (ch === 0x3C && pos + 1 < len && bytes[pos + 1] !== 0x3C) {
+    if (ch === 0x3C && bytes[pos + 1] !== 0x3C) {
       const str = parseHexString(bytes, pos, len);
-      stack.push({ type: 'string', value: str.bytes });
+      tokens.push({ type: 'string', value: str.bytes, hex: true, closed: str.closed });
       pos = str.end;
       continue;
     }
 
-    // Dict marker << (skip, not relevant for text)
-    if (ch === 0x3C && pos + 1 < len && bytes[pos + 1] === 0x3C) {
+    // Dict markers << >>
+    if (ch === 0x3C) {
+      tokens.push({ type: 'dictStart' });
       pos += 2;
       continue;
     }
-
-    // Dict end >>
-    if (ch === 0x3E && pos + 1 < len && bytes[pos + 1] === 0x3E) {
+    if (ch === 0x3E && bytes[pos + 1] === 0x3E) {
+      tokens.push({ type: 'dictEnd' });
       pos += 2;
       continue;
     }
 
-    // Array [
-    if (ch === 0x5B) {
-      stack.push({ type: 'arrayStart' });
-      pos++;
-      continue;
-    }
-
-    // Array ]
-    if (ch === 0x5D) {
-      // Collect array items
-      const items = [];
-      while (stack.length > 0) {
-        const top = stack[stack.length - 1];
-        if (top.type === 'arrayStart') { stack.pop(); break; }
-        items.unshift(stack.pop());
-      }
-      stack.push({ type: 'array', value: items });
+    // Array [ ]
+    if (ch === 0x5B || ch === 0x5D) {
+      tokens.push({ type: ch === 0x5B ? 'arrayStart' : 'arrayEnd' });
       pos++;
       continue;
     }
@@ -211,29 +228,29 @@ function parseContentStream(context, bytes, resources, result) {
     // Name /Something
     if (ch === 0x2F) {
       const name = parseName(bytes, pos, len);
-      stack.push({ type: 'name', value: name.text });
+      tokens.push({ type: 'name', value: name.text });
       pos = name.end;
       continue;
     }
 
-    // Number or keyword
+    // Number, keyword or operator
     if (isRegularChar(ch)) {
       const token = parseToken(bytes, pos, len);
-
+      pos = token.end;
       if (isNumber(token.text)) {
-        stack.push({ type: 'number', value: parseFloat(token.text) });
-        pos = token.end;
-        continue;
+        tokens.push({ type: 'number', value: parseFloat(token.text), text: token.text });
+      } else if (token.text === 'true' || token.text === 'false' || token.text === 'null') {
+        tokens.push({ type: 'keyword', value: token.text });
+      } else {
+        tokens.push({ type: 'operator', value: token.text });
+        if (token.text === 'ID') {
+          // A single whitespace byte separates ID from the image data
+          const dataStart = Math.min(pos + 1, len);
+          const dataEnd = findInlineImageEnd(bytes, dataStart, len);
+          tokens.push({ type: 'inlineImageData', value: bytes.subarray(dataStart, dataEnd) });
+          pos = dataEnd;
+        }
       }
-
-      // It's a keyword (operator)
-      pos = token.end;
-      handleOperator(token.text, stack, context, resources, result, {
-        get currentFontRef() { return currentFontRef; },
-        get currentFontDict() { return currentFontDict; },
-        set currentFontRef(v) { currentFontRef = v; },
-        set currentFontDict(v) { currentFontDict = v; },
-      });
       continue;
     }
 
@@ -243,9 +260,186 @@ function parseContentStream(context, bytes, resources, result) {
       continue;
     }
 
-    // Skip unexpected bytes
+    tokens.push({ type: 'invalid', value: ch });
     pos++;
   }
+
+  return tokens;
+}
+
+/**
+ * Find the `EI` that ends an inline image's data: whitespace, `EI`, then
+ * whitespace or the end of the stream. Binary data can contain that
+ * sequence too, so a candidate only counts if the bytes after it look like
+ * content stream text. Returns the offset of the `E`, or `len` if none does.
+ */
+function findInlineImageEnd(bytes, pos, len) {
+  for (let i = pos; i + 2 < len + 1; i++) {
+    if (bytes[i] !== 0x45 || bytes[i + 1] !== 0x49) continue;
+    if (i === pos || !isWhitespaceChar(bytes[i - 1])) continue;
+    if (i + 2 < len && !isWhitespaceChar(bytes[i + 2])) continue;
+    if (looksLikeText(bytes, i + 2, Math.min(len, i + 34))) return i;
+  }
+  return len;
+}
+
+function looksLikeText(bytes, start, end) {
+  for (let i = start; i < end; i++) {
+    const ch = bytes[i];
+    if (ch > 0x7E || (ch < 0x20 && !isWhitespaceChar(ch))) return false;
+  }
+  return true;
+}
+
+/**
+ * Decode a content stream for rewriting. Returns null for streams that
+ * can't be rewritten safely: filters we can't decode, or DecodeParms (our
+ * decoders don't reverse predictors, and nothing else belongs there).
+ * @param {PDFRawStream} stream
+ * @returns {Uint8Array|null}
+ */
+export function readContentStream(stream) {
+  const filters = getFilterNames(stream.dict);
+  if (filters && !allFiltersDecodable(filters)) return null;
+  if (stream.dict.has(PDFName.of('DecodeParms'))) return null;
+  try {
+    return filters ? decodeStream(stream.contents, filters) : stream.contents;
+  } catch {
+    return null;
+  }
+}
+
+/** Whether tokens can be rewritten: no stray bytes, no unterminated strings. */
+export function isRewritable(tokens) {
+  return !tokens.some((t) => t.type === 'invalid' || (t.type === 'string' && !t.closed));
+}
+
+/**
+ * Every page's content streams, in drawing order. A stream is `shared` if
+ * it is drawn more than once (by several pages, or twice by one), so it
+ * starts from a different state each time. A page is `complete` only if
+ * every /Contents entry is a ref to a stream in `refs`; a direct stream or
+ * a ref to anything else is left out of `refs`, so a page that isn't
+ * complete mustn't be rewritten from them.
+ * @param {PDFDocument} pdfDoc
+ * @returns {Array<{ page: number, refs: PDFRef[], shared: boolean, complete: boolean }>} `page` is 1-based
+ */
+export function collectPageContents(pdfDoc) {
+  const context = pdfDoc.context;
+  const pages = pdfDoc.getPages().map((page, i) => {
+    let contents = page.node.get(PDFName.of('Contents'));
+    if (contents instanceof PDFRef && context.lookup(contents) instanceof PDFArray) {
+      contents = context.lookup(contents);
+    }
+    const entries = contents instanceof PDFArray ? contents.asArray() : contents ? [contents] : [];
+    const refs = entries.filter((ref) => ref instanceof PDFRef && context.lookup(ref) instanceof PDFRawStream);
+    return { page: i + 1, refs, complete: refs.length === entries.length };
+  });
+  const uses = new Map();
+  for (const ref of pages.flatMap((p) => p.refs)) uses.set(ref, (uses.get(ref) ?? 0) + 1);
+  return pages.map((p) => ({ ...p, shared: p.refs.some((ref) => uses.get(ref) > 1) }));
+}
+
+/**
+ * Everything that draws content: pages, readable unless their content
+ * streams are shared or not all refs to streams, and the reachable forms. `resources` is null for
+ * forms without their own; `form` is set for forms.
+ * @param {PDFDocument} pdfDoc
+ * @param {Set<string>} reachable - Tags of the reachable objects (findReachableRefs)
+ * @returns {Array<{ refs: PDFRef[], resources: PDFDict|null, readable: boolean, form?: PDFRef }>}
+ */
+export function collectContentHosts(pdfDoc, reachable) {
+  const context = pdfDoc.context;
+  const hosts = [];
+  for (const { page, refs, shared, complete } of collectPageContents(pdfDoc)) {
+    const resources = resolveDict(context, pdfDoc.getPage(page - 1).node.getInheritableAttribute(PDFName.of('Resources')));
+    hosts.push({ refs, resources, readable: !shared && complete });
+  }
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (!isForm(obj) || !reachable.has(ref.tag)) continue;
+    const resources = resolveDict(context, obj.dict.get(PDFName.of('Resources')));
+    hosts.push({ refs: [ref], resources, readable: true, form: ref });
+  }
+  return hosts;
+}
+
+/**
+ * Read streams that are drawn in sequence (a page's content streams, or one
+ * Form XObject) as a single list of operations. Returns null if any stream
+ * can't be rewritten, or an operation is split across two streams.
+ * @param {PDFRawStream[]} streams
+ * @returns {{
+ *   operations: ContentOperation[],
+ *   parts: Array<{ stream: PDFRawStream, from: number, to: number }>,
+ * }|null} `parts` gives each stream's range of operations
+ */
+export function readStreamOperations(streams) {
+  const parts = [];
+  const operations = [];
+  for (const stream of streams) {
+    const decoded = readContentStream(stream);
+    if (!decoded) return null;
+    const tokens = tokenizeContentStream(decoded);
+    if (!isRewritable(tokens)) return null;
+    const { operations: ops, trailing } = groupOperations(tokens);
+    if (trailing.length > 0) return null;
+    parts.push({ stream, from: operations.length, to: operations.length + ops.length });
+    operations.push(...ops);
+  }
+  return { operations, parts };
+}
+
+/**
+ * Parse a content stream byte array, extracting text operations.
+ *
+ * Uses a simple stack-based approach over tokenizeContentStream(): push
+ * operands (strings, numbers, names, arrays), dispatch on operators. Inline
+ * image data arrives as a single token and is ignored.
+ *
+ * @param {object} context - PDF context for resolving refs
+ * @param {Uint8Array} bytes - Decoded content stream bytes
+ * @param {PDFDict|null} resources - Page/form Resources dictionary
+ * @param {Map} result - Accumulated fontRef → charCodes map (mutated)
+ */
+function parseContentStream(context, bytes, resources, result) {
+  /** @type {any[]} */
+  const stack = [];
+  let currentFontRef = null;
+  let currentFontDict = null;
+  const state = {
+    get currentFontRef() { return currentFontRef; },
+    get currentFontDict() { return currentFontDict; },
+    set currentFontRef(v) { currentFontRef = v; },
+    set currentFontDict(v) { currentFontDict = v; },
+  };
+
+  for (const token of tokenizeContentStream(bytes)) {
+    switch (token.type) {
+      case 'arrayEnd': {
+        // Collect array items
+        const items = [];
+        while (stack.length > 0) {
+          const top = stack[stack.length - 1];
+          if (top.type === 'arrayStart') { stack.pop(); break; }
+          items.unshift(stack.pop());
+        }
+        stack.push({ type: 'array', value: items });
+        break;
+      }
+      case 'operator':
+        handleOperator(token.value, stack, context, resources, result, state);
+        break;
+      case 'string':
+      case 'name':
+      case 'number':
+      case 'arrayStart':
+        stack.push(token);
+        break;
+      default:
+        // Dict markers, keywords and inline image data carry no text
+        break;
+    }
+  }
 }
 
 /**
@@ -330,13 +524,6 @@ function handleOperator(op, stack, context, resources, result, state) {
       stack.length = 0;
       break;
     }
-    case 'BI': {
-      // Inline image — skip until EI
-      // BI <dict pairs> ID <data> EI
-      // We don't need to parse this, just skip
-      stack.length = 0;
-      break;
-    }
     default:
       // Unknown operator — clear stack
       stack.length = 0;
@@ -416,6 +603,360 @@ function recordCharCodes(result, fontRefTag, fontDict, stringBytes) {
   entry.charCodes.push(new Uint8Array(stringBytes));
 }
 
+// --- Operations and graphics state ---
+
+/**
+ * @typedef {object} ContentOperation
+ * @property {string} operator
+ * @property {ContentToken[]} operands - Top-level and nested operand tokens, in order
+ * @property {ContentToken[]} tokens - Everything the operation was written with:
+ *   its operands, the operator and, for `BI`, the image dict, `ID`, data and `EI`
+ */
+
+/**
+ * Group tokens into operations. An inline image (BI … EI) is one operation.
+ *
+ * @param {ContentToken[]} tokens - From tokenizeContentStream()
+ * @returns {{ operations: ContentOperation[], trailing: ContentToken[] }}
+ *   `trailing` holds operands left without an operator at the end — legal
+ *   only if the next content stream of the page picks them up
+ */
+export function groupOperations(tokens) {
+  const operations = [];
+  let operands = [];
+  let depth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === 'operator' && depth === 0) {
+      if (token.value === 'BI') {
+        let end = i + 1;
+        while (end < tokens.length && !(tokens[end].type === 'operator' && tokens[end].value === 'EI')) end++;
+        operations.push({ operator: 'BI', operands, tokens: [...operands, ...tokens.slice(i, end + 1)] });
+        i = end;
+      } else {
+        operations.push({ operator: token.value, operands, tokens: [...operands, token] });
+      }
+      operands = [];
+      continue;
+    }
+    if (token.type === 'arrayStart' || token.type === 'dictStart') depth++;
+    else if ((token.type === 'arrayEnd' || token.type === 'dictEnd') && depth > 0) depth--;
+    operands.push(token);
+  }
+
+  return { operations, trailing: operands };
+}
+
+/** Graphics state parameters set by a single operand, by operator. */
+const SCALAR_PARAMS = {
+  w: ['lineWidth', 'number'],
+  J: ['lineCap', 'number'],
+  j: ['lineJoin', 'number'],
+  M: ['miterLimit', 'number'],
+  i: ['flatness', 'number'],
+  ri: ['renderingIntent', 'name'],
+};
+
+/** Text state parameters set by a single number, by operator. */
+const TEXT_PARAMS = {
+  Tc: 'charSpacing',
+  Tw: 'wordSpacing',
+  Tz: 'scale',
+  TL: 'leading',
+  Tr: 'render',
+  Ts: 'rise',
+};
+
+/** Device colour operators: operator → [fill or stroke, colour space, component count]. */
+const DEVICE_COLOR_OPS = {
+  g: ['fillColor', 'DeviceGray', 1],
+  G: ['strokeColor', 'DeviceGray', 1],
+  rg: ['fillColor', 'DeviceRGB', 3],
+  RG: ['strokeColor', 'DeviceRGB', 3],
+  k: ['fillColor', 'DeviceCMYK', 4],
+  K: ['strokeColor', 'DeviceCMYK', 4],
+};
+
+/** Initial colour when `cs`/`CS` selects a device space; other spaces' initial values aren't tracked. */
+const INITIAL_COLORS = {
+  DeviceGray: '0',
+  DeviceRGB: '0 0 0',
+  DeviceCMYK: '0 0 0 1',
+};
+
+/** Operators that don't touch the graphics state at all. */
+const STATELESS_OPS = new Set([
+  'm', 'l', 'c', 'v', 'y', 'h', 're',
+  'S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'n', 'W', 'W*',
+  'Tj', 'TJ', "'", 'Td', 'Tm', 'T*',
+  'Do', 'sh', 'BI', 'BMC', 'BDC', 'EMC', 'MP', 'DP', 'BX', 'EX', 'd0', 'd1',
+]);
+
+function pageDefaults() {
+  return {
+    ctm: [1, 0, 0, 1, 0, 0],
+    lineWidth: 1,
+    lineCap: 0,
+    lineJoin: 0,
+    miterLimit: 10,
+    dash: 'arrayStart arrayEnd 0',
+    renderingIntent: 'RelativeColorimetric',
+    flatness: undefined,
+    extGState: undefined,
+    strokeColor: { space: 'DeviceGray', values: '0' },
+    fillColor: { space: 'DeviceGray', values: '0' },
+    text: { font: undefined, size: undefined, charSpacing: 0, wordSpacing: 0, scale: 100, leading: 0, render: 0, rise: 0 },
+    inText: false,
+    textMatrix: undefined,
+  };
+}
+
+function unknownState() {
+  return {
+    ctm: undefined,
+    lineWidth: undefined,
+    lineCap: undefined,
+    lineJoin: undefined,
+    miterLimit: undefined,
+    dash: undefined,
+    renderingIntent: undefined,
+    flatness: undefined,
+    extGState: undefined,
+    strokeColor: undefined,
+    fillColor: undefined,
+    text: { font: undefined, size: undefined, charSpacing: undefined, wordSpacing: undefined, scale: undefined, leading: undefined, render: undefined, rise: undefined },
+    inText: false,
+    textMatrix: undefined,
+  };
+}
+
+const cloneState = (state) => ({ ...state, ctm: state.ctm && [...state.ctm], text: { ...state.text } });
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/** Move the text line matrix by (tx, ty) in text space. */
+const translateText = (matrix, tx, ty) =>
+  matrix && tx !== undefined && ty !== undefined ? multiplyMatrices([1, 0, 0, 1, tx, ty], matrix) : undefined;
+
+/** The single operand of the given type, or undefined if the operands don't fit. */
+function singleOperand(operation, type) {
+  const { operands } = operation;
+  return operands.length === 1 && operands[0].type === type ? operands[0].value : undefined;
+}
+
+/** Numbers only, or undefined. */
+function numberOperands(operation, count) {
+  const { operands } = operation;
+  if (operands.length !== count || operands.some((t) => t.type !== 'number')) return undefined;
+  return operands.map((t) => t.value);
+}
+
+/** Operands as a comparable key, e.g. for `d` or `scn` (numbers by value). */
+function operandKey(operation) {
+  return operation.operands.map((t) => {
+    if (t.type === 'number') return String(t.value);
+    if (t.type === 'name') return `/${t.value}`;
+    if (t.type === 'string') return `(${t.value.join(',')})`;
+    return t.type === 'keyword' ? t.value : t.type;
+  }).join(' ');
+}
+
+/** Multiply two PDF matrices [a b c d e f]: the result maps through m1, then m2. */
+export function multiplyMatrices(m1, m2) {
+  const [a, b, c, d, e, f] = m1;
+  const [A, B, C, D, E, F] = m2;
+  return [
+    a * A + b * C, a * B + b * D,
+    c * A + d * C, c * B + d * D,
+    e * A + f * C + E, e * B + f * D + F,
+  ];
+}
+
+/**
+ * The most a matrix stretches any distance: its largest singular value.
+ * A length of 1 before the matrix is at most this long after it.
+ * @param {number[]} m - [a b c d e f]; the translation is ignored
+ * @returns {number}
+ */
+export function matrixScale(m) {
+  const [a, b, c, d] = m;
+  const sum = a * a + b * b + c * c + d * d;
+  const diff = Math.hypot(a * a + b * b - c * c - d * d, 2 * (a * c + b * d));
+  return Math.sqrt((sum + diff) / 2);
+}
+
+const isIdentity = (m) => m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 && m[4] === 0 && m[5] === 0;
+
+/** What a state-setting operation would change the state to. */
+function colorAfter(operation, state) {
+  const { operator } = operation;
+  if (DEVICE_COLOR_OPS[operator]) {
+    const [, space, count] = DEVICE_COLOR_OPS[operator];
+    const values = numberOperands(operation, count);
+    return { space, values: values && values.join(' ') };
+  }
+  if (operator === 'cs' || operator === 'CS') {
+    const space = singleOperand(operation, 'name');
+    return { space, values: INITIAL_COLORS[space] };
+  }
+  // sc/scn/SC/SCN: new components in the current space
+  const current = state[operator === 'sc' || operator === 'scn' ? 'fillColor' : 'strokeColor'];
+  return { space: current?.space, values: operandKey(operation) };
+}
+
+const COLOR_TARGET = {
+  cs: 'fillColor', sc: 'fillColor', scn: 'fillColor',
+  CS: 'strokeColor', SC: 'strokeColor', SCN: 'strokeColor',
+};
+
+/**
+ * Track the graphics state through a content stream's operations: the CTM,
+ * stroke and fill colour, line width and the other line parameters, the
+ * last ExtGState applied and the text state (font, size, spacing, scale,
+ * leading, render mode, rise), plus the text line matrix inside `BT … ET`.
+ * Values that can't be known — anything an ExtGState might set, everything
+ * at the start of a Form XObject — are `undefined`, and never match.
+ *
+ * @param {{ initial?: 'page' | 'unknown', ctm?: number[] }} [options] -
+ *   'page' starts from the defaults every page begins with; 'unknown' suits
+ *   Form XObjects, which inherit the state of whatever draws them. `ctm`
+ *   sets the starting CTM, e.g. identity to follow a form's coordinates
+ *   relative to wherever it is drawn
+ */
+export function createGraphicsStateTracker({ initial = 'page', ctm } = {}) {
+  let state = initial === 'page' ? pageDefaults() : unknownState();
+  if (ctm) state.ctm = [...ctm];
+  const stack = [];
+
+  return {
+    /** The current state. Treat as read-only. */
+    get state() {
+      return state;
+    },
+
+    /** Number of unmatched `q` operators so far. */
+    get depth() {
+      return stack.length;
+    },
+
+    /**
+     * Whether an operation sets the state to exactly what it already is
+     * (or is an identity `cm`), so removing it changes nothing.
+     * @param {ContentOperation} operation
+     */
+    isNoOp(operation) {
+      const { operator } = operation;
+      if (SCALAR_PARAMS[operator]) {
+        const [key, type] = SCALAR_PARAMS[operator];
+        const value = singleOperand(operation, type);
+        return value !== undefined && state[key] === value;
+      }
+      if (TEXT_PARAMS[operator]) {
+        const value = singleOperand(operation, 'number');
+        return value !== undefined && state.text[TEXT_PARAMS[operator]] === value;
+      }
+      if (operator === 'd') return state.dash !== undefined && state.dash === operandKey(operation);
+      if (operator === 'gs') {
+        const name = singleOperand(operation, 'name');
+        return name !== undefined && state.extGState === name;
+      }
+      if (operator === 'Tf') {
+        const [font, size] = operation.operands;
+        return operation.operands.length === 2 && font.type === 'name' && size.type === 'number' &&
+          state.text.font === font.value && state.text.size === size.value;
+      }
+      if (operator === 'cm') {
+        const matrix = numberOperands(operation, 6);
+        return matrix !== undefined && isIdentity(matrix);
+      }
+      const target = DEVICE_COLOR_OPS[operator]?.[0] ?? COLOR_TARGET[operator];
+      if (target) {
+        const current = state[target];
+        const next = colorAfter(operation, state);
+        return current !== undefined && next.space !== undefined && next.values !== undefined &&
+          current.space === next.space && current.values === next.values;
+      }
+      return false;
+    },
+
+    /**
+     * Apply an operation to the state.
+     * @param {ContentOperation} operation
+     */
+    apply(operation) {
+      const { operator } = operation;
+      if (SCALAR_PARAMS[operator]) {
+        const [key, type] = SCALAR_PARAMS[operator];
+        state[key] = singleOperand(operation, type);
+        state.extGState = undefined;
+      } else if (TEXT_PARAMS[operator]) {
+        state.text[TEXT_PARAMS[operator]] = singleOperand(operation, 'number');
+      } else if (operator === 'd') {
+        state.dash = operandKey(operation);
+        state.extGState = undefined;
+      } else if (operator === 'gs') {
+        // An ExtGState can set any of these; which ones isn't tracked
+        Object.assign(state, {
+          lineWidth: undefined, lineCap: undefined, lineJoin: undefined, miterLimit: undefined,
+          dash: undefined, renderingIntent: undefined, flatness: undefined,
+        });
+        state.text.font = undefined;
+        state.text.size = undefined;
+        state.extGState = singleOperand(operation, 'name');
+      } else if (operator === 'Tf') {
+        const [font, size] = operation.operands;
+        const valid = operation.operands.length === 2 && font.type === 'name' && size.type === 'number';
+        state.text.font = valid ? font.value : undefined;
+        state.text.size = valid ? size.value : undefined;
+        state.extGState = undefined;
+      } else if (operator === 'Td' || operator === 'TD') {
+        const move = numberOperands(operation, 2);
+        if (operator === 'TD') state.text.leading = move && -move[1];
+        state.textMatrix = move && translateText(state.textMatrix, move[0], move[1]);
+      } else if (operator === 'Tm') {
+        state.textMatrix = numberOperands(operation, 6);
+      } else if (operator === 'T*' || operator === "'" || operator === '"') {
+        if (operator === '"') {
+          const [wordSpacing, charSpacing] = operation.operands;
+          state.text.wordSpacing = wordSpacing?.type === 'number' ? wordSpacing.value : undefined;
+          state.text.charSpacing = charSpacing?.type === 'number' ? charSpacing.value : undefined;
+        }
+        state.textMatrix = translateText(state.textMatrix, 0, -state.text.leading);
+      } else if (operator === 'cm') {
+        const matrix = numberOperands(operation, 6);
+        state.ctm = matrix && state.ctm && multiplyMatrices(matrix, state.ctm);
+        // A soft mask (and some other ExtGState entries) is placed by the
+        // CTM when `gs` runs, so the same ExtGState after a cm isn't a no-op
+        state.extGState = undefined;
+      } else if (operator === 'q') {
+        stack.push(cloneState(state));
+      } else if (operator === 'Q') {
+        // An unmatched Q can't be trusted to restore anything we know.
+        // The text matrix isn't part of the graphics state.
+        const { textMatrix } = state;
+        state = stack.length > 0 ? stack.pop() : unknownState();
+        state.textMatrix = textMatrix;
+      } else if (operator === 'BT') {
+        state.inText = true;
+        state.textMatrix = [...IDENTITY];
+      } else if (operator === 'ET') {
+        state.inText = false;
+        state.textMatrix = undefined;
+      } else if (DEVICE_COLOR_OPS[operator] || COLOR_TARGET[operator]) {
+        const target = DEVICE_COLOR_OPS[operator]?.[0] ?? COLOR_TARGET[operator];
+        const next = colorAfter(operation, state);
+        state[target] = next.space !== undefined ? next : undefined;
+      } else if (!STATELESS_OPS.has(operator)) {
+        // Unknown operator (inside BX/EX, or a broken stream): assume the worst
+        const inText = state.inText;
+        state = unknownState();
+        state.inText = inText;
+      }
+    },
+  };
+}
+
 // --- Low-level tokenizer helpers ---
 
 function skipWhitespace(bytes, pos, len) {
@@ -488,7 +1029,7 @@ function parseLiteralString(bytes, startPos, len) {
     }
   }
 
-  return { bytes: result, end: pos };
+  return { bytes: result, end: pos, closed: depth === 0 };
 }
 
 function parseHexString(bytes, startPos, len) {
@@ -503,7 +1044,8 @@ function parseHexString(bytes, startPos, len) {
     }
     pos++;
   }
-  if (pos < len) pos++; // skip closing '>'
+  const closed = pos < len;
+  if (closed) pos++; // skip closing '>'
 
   // Pad with trailing zero if odd number of hex digits
   if (hexChars.length % 2 !== 0) hexChars.push(0x30); // '0'
@@ -515,7 +1057,7 @@ function parseHexString(bytes, startPos, len) {
     result.push((hi << 4) | lo);
   }
 
-  return { bytes: result, end: pos };
+  return { bytes: result, end: pos, closed };
 }
 
 function hexDigit(ch) {
@@ -0,0 +1,207 @@
+/**
+ * Content stream serializer — the inverse of tokenizeContentStream().
+ *
+ * Writes tokens back out in minimal form: numbers without redundant zeros or
+ * signs, strings as literals with as few escapes as possible, and a
+ * separator only where two tokens would otherwise run together (a newline
+ * after an operator, a space elsewhere). Inline image data is copied
+ * byte for byte.
+ */
+import { zlibSync } from 'fflate';
+import { PDFName, PDFRawStream } from 'pdf-lib';
+import { tokenizeContentStream } from './content-stream-parser.js';
+
+/**
+ * Shortest spelling of a PDF number that denotes the same value.
+ * Works on the text, so no precision is lost: "-0.500" → "-.5", "007" → "7".
+ * @param {string} text - A token matching the content stream number syntax
+ * @returns {string}
+ */
+export function minimalNumber(text) {
+  let sign = '';
+  let digits = text;
+  if (digits[0] === '+' || digits[0] === '-') {
+    if (digits[0] === '-') sign = '-';
+    digits = digits.slice(1);
+  }
+  const dot = digits.indexOf('.');
+  const int = (dot === -1 ? digits : digits.slice(0, dot)).replace(/^0+/, '');
+  const frac = dot === -1 ? '' : digits.slice(dot + 1).replace(/0+$/, '');
+  if (!int && !frac) return '0';
+  return sign + int + (frac ? `.${frac}` : '');
+}
+
+const HEX = '0123456789abcdef';
+
+/** Indices of parentheses with no partner — the only ones a literal string must escape. */
+function unpairedParens(bytes) {
+  const unpaired = new Set();
+  const open = [];
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] === 0x28) open.push(i);
+    else if (bytes[i] === 0x29 && open.pop() === undefined) unpaired.add(i);
+  }
+  for (const i of open) unpaired.add(i);
+  return unpaired;
+}
+
+/**
+ * Encode string bytes in their shortest form. That is always a literal
+ * string: escapes cost two bytes, as every byte of a hex string does.
+ * Only backslashes, CR (a raw one would be read back as LF) and unpaired
+ * parentheses are escaped.
+ * @param {ArrayLike<number>} bytes
+ * @returns {number[]} The encoded token, delimiters included
+ */
+export function encodeString(bytes) {
+  const unpaired = unpairedParens(bytes);
+  const literal = [0x28];
+  for (let i = 0; i < bytes.length; i++) {
+    const b = bytes[i];
+    if (b === 0x5C) literal.push(0x5C, 0x5C);
+    else if (b === 0x0D) literal.push(0x5C, 0x72);
+    else if (unpaired.has(i)) literal.push(0x5C, b);
+    else literal.push(b);
+  }
+  literal.push(0x29);
+  return literal;
+}
+
+function isNameRegular(ch) {
+  return ch > 0x20 && ch < 0x7F && ch !== 0x23 && !'()<>[]{}/%'.includes(String.fromCharCode(ch));
+}
+
+/** Encode a name (decoded, one char per byte) with #XX escapes where required. */
+export function encodeName(name) {
+  const out = [0x2F];
+  for (let i = 0; i < name.length; i++) {
+    const ch = name.charCodeAt(i) & 0xFF;
+    if (isNameRegular(ch)) out.push(ch);
+    else out.push(0x23, HEX.charCodeAt(ch >> 4), HEX.charCodeAt(ch & 0x0F));
+  }
+  return out;
+}
+
+const ascii = (text) => Array.from(text, (ch) => ch.charCodeAt(0));
+
+/** Bytes for one token, or null for tokens that have no minimal form. */
+function encodeToken(token) {
+  switch (token.type) {
+    case 'number': return ascii(minimalNumber(token.text));
+    case 'string': return encodeString(token.value);
+    case 'name': return encodeName(token.value);
+    case 'operator':
+    case 'keyword': return ascii(token.value);
+    case 'arrayStart': return [0x5B];
+    case 'arrayEnd': return [0x5D];
+    case 'dictStart': return [0x3C, 0x3C];
+    case 'dictEnd': return [0x3E, 0x3E];
+    default: return null;
+  }
+}
+
+/** Tokens that start or end with a regular character need a separator from one another. */
+const REGULAR_START = new Set(['number', 'operator', 'keyword']);
+const REGULAR_END = new Set(['number', 'operator', 'keyword', 'name']);
+
+/**
+ * Serialize tokens from tokenizeContentStream() in minimal form.
+ * @param {import('./content-stream-parser.js').ContentToken[]} tokens - Without `invalid` tokens
+ * @returns {Uint8Array}
+ */
+export function serializeContentStream(tokens) {
+  const chunks = [];
+  let length = 0;
+  const push = (bytes) => {
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  let prev = null;
+  for (const token of tokens) {
+    if (token.type === 'inlineImageData') {
+      // ID's single whitespace, then the data (and its separator before EI) as it was
+      push([0x20]);
+      push(token.value);
+      prev = token;
+      continue;
+    }
+    const bytes = encodeToken(token);
+    if (!bytes) throw new Error(`Cannot serialize ${token.type} token`);
+    if (prev && REGULAR_END.has(prev.type) && REGULAR_START.has(token.type)) {
+      push([prev.type === 'operator' ? 0x0A : 0x20]);
+    }
+    push(bytes);
+    prev = token;
+  }
+
+  const out = new Uint8Array(length);
+  let at = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, at);
+    at += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * Whether two token lists mean the same content stream: numbers compare by
+ * minimal spelling, strings and inline image data by bytes.
+ * @param {import('./content-stream-parser.js').ContentToken[]} a
+ * @param {import('./content-stream-parser.js').ContentToken[]} b
+ */
+export function tokensEqual(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    const x = a[i];
+    const y = b[i];
+    if (x.type !== y.type) return false;
+    if (x.type === 'number') {
+      if (minimalNumber(x.text) !== minimalNumber(y.text)) return false;
+    } else if (x.type === 'string' || x.type === 'inlineImageData') {
+      if (x.value.length !== y.value.length) return false;
+      for (let j = 0; j < x.value.length; j++) if (x.value[j] !== y.value[j]) return false;
+    } else if (x.value !== y.value) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Serialize tokens in minimal form and Flate-compress them, after checking
+ * the result tokenizes back to the same stream.
+ * @param {import('./content-stream-parser.js').ContentToken[]} tokens
+ * @returns {Uint8Array|null} zlib data, or null if the round trip failed
+ */
+export function encodeContentStream(tokens) {
+  const bytes = serializeContentStream(tokens);
+  if (!tokensEqual(tokens, tokenizeContentStream(bytes))) return null;
+  return zlibSync(bytes, { level: 9 });
+}
+
+/**
+ * Replace a content stream's data with the output of encodeContentStream(),
+ * keeping the rest of its dictionary.
+ * @param {PDFContext} context
+ * @param {PDFRef} ref
+ * @param {Uint8Array} data - zlib data
+ */
+export function replaceContentStream(context, ref, data) {
+  const { dict } = context.lookup(ref);
+  dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+  dict.set(PDFName.of('Length'), context.obj(data.length));
+  context.assign(ref, PDFRawStream.of(dict, data));
+}
+
+/**
+ * Write re-encoded streams back over some of a page's or form's streams.
+ * @param {PDFContext} context
+ * @param {PDFRef[]} refs - The refs the streams were read from
+ * @param {Array<{ stream: PDFRawStream, data: Uint8Array }>} rewritten
+ */
+export function writeContentStreams(context, refs, rewritten) {
+  for (const { stream, data } of rewritten) {
+    replaceContentStream(context, refs.find((ref) => context.lookup(ref) === stream), data);
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * Cryptographic primitives for the PDF standard security handler.
+ *
+ * MD5, RC4 and AES-CBC are implemented here because WebCrypto has no MD5 or
+ * RC4, and its AES-CBC is async and always pads — the handler needs to
+ * decrypt thousands of small strings and to run unpadded CBC for the
+ * AES-256 key derivation. SHA-2 digests come from WebCrypto, which both
+ * browsers and Node (19+) expose as globalThis.crypto.
+ *
+ * None of this is constant-time; it only has to read and write documents
+ * whose password the user already knows.
+ */
+
+// --- MD5 (RFC 1321) ---
+
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21,
+];
+const MD5_K = Int32Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32));
+
+/**
+ * @param {Uint8Array} data
+ * @returns {Uint8Array} 16-byte digest
+ */
+export function md5(data) {
+  const length = data.length;
+  const padded = new Uint8Array(((length + 72) >>> 6) << 6);
+  padded.set(data);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, (length * 8) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(length / 2 ** 29), true);
+
+  let a0 = 0x67452301;
+  let b0 = 0xefcdab89 | 0;
+  let c0 = 0x98badcfe | 0;
+  let d0 = 0x10325476;
+  const m = new Int32Array(16);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let j = 0; j < 16; j++) m[j] = view.getInt32(offset + j * 4, true);
+    let a = a0;
+    let b = b0;
+    let c = c0;
+    let d = d0;
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) & 15;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) & 15;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) & 15;
+      }
+      f = (f + a + MD5_K[i] + m[g]) | 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((f << MD5_SHIFTS[i]) | (f >>> (32 - MD5_SHIFTS[i])))) | 0;
+    }
+    a0 = (a0 + a) | 0;
+    b0 = (b0 + b) | 0;
+    c0 = (c0 + c) | 0;
+    d0 = (d0 + d) | 0;
+  }
+
+  const digest = new Uint8Array(16);
+  const out = new DataView(digest.buffer);
+  out.setInt32(0, a0, true);
+  out.setInt32(4, b0, true);
+  out.setInt32(8, c0, true);
+  out.setInt32(12, d0, true);
+  return digest;
+}
+
+// --- RC4 ---
+
+/**
+ * RC4 is symmetric: the same call encrypts and decrypts.
+ * @param {Uint8Array} key - 1 to 256 bytes
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function rc4(key, data) {
+  const s = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) s[i] = i;
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    const t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+  }
+  const out = new Uint8Array(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    const t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+    out[k] = data[k] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return out;
+}
+
+// --- AES (FIPS 197), 128- and 256-bit keys ---
+
+const SBOX = new Uint8Array(256);
+const INV_SBOX = new Uint8Array(256);
+const MUL = { 2: new Uint8Array(256), 3: new Uint8Array(256), 9: new Uint8Array(256), 11: new Uint8Array(256), 13: new Uint8Array(256), 14: new Uint8Array(256) };
+{
+  // Log/antilog tables over GF(2^8) with generator 3
+  const exp = new Uint8Array(255);
+  const log = new Uint8Array(256);
+  for (let i = 0, x = 1; i < 255; i++) {
+    exp[i] = x;
+    log[x] = i;
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+  }
+  const mul = (a, b) => (a && b ? exp[(log[a] + log[b]) % 255] : 0);
+  const rotl8 = (v, n) => ((v << n) | (v >>> (8 - n))) & 0xff;
+  for (let i = 0; i < 256; i++) {
+    const inv = i ? exp[(255 - log[i]) % 255] : 0;
+    const s = inv ^ rotl8(inv, 1) ^ rotl8(inv, 2) ^ rotl8(inv, 3) ^ rotl8(inv, 4) ^ 0x63;
+    SBOX[i] = s;
+    INV_SBOX[s] = i;
+    for (const factor of Object.keys(MUL)) MUL[factor][i] = mul(i, Number(factor));
+  }
+}
+
+/** Expand a 16- or 32-byte key into round keys. */
+function expandKey(key) {
+  const nk = key.length / 4;
+  if (nk !== 4 && nk !== 8) throw new Error(`AES key must be 16 or 32 bytes, got ${key.length}`);
+  const rounds = nk + 6;
+  const w = new Uint8Array(16 * (rounds + 1));
+  w.set(key);
+  const temp = new Uint8Array(4);
+  let rcon = 1;
+  for (let i = nk; i < 4 * (rounds + 1); i++) {
+    temp.set(w.subarray(4 * (i - 1), 4 * i));
+    if (i % nk === 0) {
+      const t0 = temp[0];
+      temp[0] = SBOX[temp[1]] ^ rcon;
+      temp[1] = SBOX[temp[2]];
+      temp[2] = SBOX[temp[3]];
+      temp[3] = SBOX[t0];
+      rcon = MUL[2][rcon];
+    } else if (nk > 6 && i % nk === 4) {
+      for (let j = 0; j < 4; j++) temp[j] = SBOX[temp[j]];
+    }
+    for (let j = 0; j < 4; j++) w[4 * i + j] = w[4 * (i - nk) + j] ^ temp[j];
+  }
+  return { w, rounds };
+}
+
+/** Working state shared by the block functions (they never run concurrently). */
+const scratch = new Uint8Array(16);
+
+/** Encrypt one 16-byte block in place. State is column-major, as in the spec. */
+function encryptBlock(s, { w, rounds }) {
+  const t = scratch;
+  for (let i = 0; i < 16; i++) s[i] ^= w[i];
+  for (let round = 1; round <= rounds; round++) {
+    // SubBytes + ShiftRows
+    for (let c = 0; c < 4; c++) {
+      for (let r = 0; r < 4; r++) t[r + 4 * c] = SBOX[s[r + 4 * ((c + r) & 3)]];
+    }
+    if (round < rounds) {
+      for (let c = 0; c < 16; c += 4) {
+        const a0 = t[c];
+        const a1 = t[c + 1];
+        const a2 = t[c + 2];
+        const a3 = t[c + 3];
+        s[c] = MUL[2][a0] ^ MUL[3][a1] ^ a2 ^ a3;
+        s[c + 1] = a0 ^ MUL[2][a1] ^ MUL[3][a2] ^ a3;
+        s[c + 2] = a0 ^ a1 ^ MUL[2][a2] ^ MUL[3][a3];
+        s[c + 3] = MUL[3][a0] ^ a1 ^ a2 ^ MUL[2][a3];
+      }
+    } else {
+      s.set(t);
+    }
+    for (let i = 0; i < 16; i++) s[i] ^= w[16 * round + i];
+  }
+}
+
+/** Decrypt one 16-byte block in place. */
+function decryptBlock(s, { w, rounds }) {
+  const t = scratch;
+  for (let i = 0; i < 16; i++) s[i] ^= w[16 * rounds + i];
+  for (let round = rounds - 1; round >= 0; round--) {
+    // InvShiftRows + InvSubBytes
+    for (let c = 0; c < 4; c++) {
+      for (let r = 0; r < 4; r++) t[r + 4 * ((c + r) & 3)] = INV_SBOX[s[r + 4 * c]];
+    }
+    for (let i = 0; i < 16; i++) t[i] ^= w[16 * round + i];
+    if (round > 0) {
+      for (let c = 0; c < 16; c += 4) {
+        const a0 = t[c];
+        const a1 = t[c + 1];
+        const a2 = t[c + 2];
+        const a3 = t[c + 3];
+        s[c] = MUL[14][a0] ^ MUL[11][a1] ^ MUL[13][a2] ^ MUL[9][a3];
+        s[c + 1] = MUL[9][a0] ^ MUL[14][a1] ^ MUL[11][a2] ^ MUL[13][a3];
+        s[c + 2] = MUL[13][a0] ^ MUL[9][a1] ^ MUL[14][a2] ^ MUL[11][a3];
+        s[c + 3] = MUL[11][a0] ^ MUL[13][a1] ^ MUL[9][a2] ^ MUL[14][a3];
+      }
+    } else {
+      s.set(t);
+    }
+  }
+}
+
+/**
+ * AES-CBC encryption.
+ * @param {Uint8Array} key - 16 or 32 bytes
+ * @param {Uint8Array} iv - 16 bytes
+ * @param {Uint8Array} data
+ * @param {{ pad?: boolean }} [opts] - PKCS#5 padding (default); without it
+ *   `data` must be a whole number of blocks
+ * @returns {Uint8Array}
+ */
+export function aesCbcEncrypt(key, iv, data, { pad = true } = {}) {
+  const schedule = expandKey(key);
+  const padLength = pad ? 16 - (data.length % 16) : 0;
+  if (!pad && data.length % 16 !== 0) throw new Error('Unpadded AES-CBC input must be a multiple of 16 bytes');
+  const out = new Uint8Array(data.length + padLength);
+  out.set(data);
+  out.fill(padLength, data.length);
+  let prev = iv;
+  for (let offset = 0; offset < out.length; offset += 16) {
+    const block = out.subarray(offset, offset + 16);
+    for (let i = 0; i < 16; i++) block[i] ^= prev[i];
+    encryptBlock(block, schedule);
+    prev = block;
+  }
+  return out;
+}
+
+/**
+ * AES-CBC decryption. A trailing partial block is ignored, and padding that
+ * doesn't look like PKCS#5 is left in place rather than failing — damaged
+ * strings are common enough in the wild that a best-effort result is better.
+ * @param {Uint8Array} key - 16 or 32 bytes
+ * @param {Uint8Array} iv - 16 bytes
+ * @param {Uint8Array} data
+ * @param {{ unpad?: boolean }} [opts]
+ * @returns {Uint8Array}
+ */
+export function aesCbcDecrypt(key, iv, data, { unpad = true } = {}) {
+  const schedule = expandKey(key);
+  const length = data.length - (data.length % 16);
+  const out = new Uint8Array(length);
+  out.set(data.subarray(0, length));
+  let prev = iv;
+  for (let offset = 0; offset < length; offset += 16) {
+    const cipherBlock = data.subarray(offset, offset + 16);
+    const block = out.subarray(offset, offset + 16);
+    decryptBlock(block, schedule);
+    for (let i = 0; i < 16; i++) block[i] ^= prev[i];
+    prev = cipherBlock;
+  }
+  if (unpad && length > 0) {
+    const n = out[length - 1];
+    if (n >= 1 && n <= 16 && out.subarray(length - n).every((b) => b === n)) return out.subarray(0, length - n);
+  }
+  return out;
+}
+
+// --- SHA-2 ---
+
+/**
+ * @param {256|384|512} bits
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+export async function sha2(bits, data) {
+  return new Uint8Array(await globalThis.crypto.subtle.digest(`SHA-${bits}`, data));
+}
+
+/** Cryptographically random bytes (AES IVs). */
+export function randomBytes(length) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
@@ -0,0 +1,102 @@
+/**
+ * In-memory document snapshots for per-pass rollback.
+ *
+ * A snapshot records every indirect object's identity and a deep copy of
+ * its dict/array structure, plus the context's object counter and trailer.
+ * Restoring puts the original object instances back and rewrites their
+ * contents in place — pdf-lib caches some of them (pdfDoc.catalog, page
+ * nodes), so swapping in copies would leave those caches pointing at
+ * mutated objects.
+ *
+ * Stream bytes are shared, not copied: passes replace streams via
+ * context.assign() rather than editing bytes in place, so keeping a
+ * reference to the old contents array is enough.
+ */
+import { PDFDict, PDFArray, PDFRawStream, PDFStream } from 'pdf-lib';
+
+/**
+ * Capture the document state.
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @returns {object} Opaque snapshot for restoreSnapshot()
+ */
+export function takeSnapshot(pdfDoc) {
+  const context = pdfDoc.context;
+  const objects = [];
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    const entry = { ref, obj };
+    if (obj instanceof PDFStream) {
+      entry.streamDict = snapshotValue(obj.dict);
+      if (obj instanceof PDFRawStream) entry.contents = obj.contents;
+    } else {
+      entry.value = snapshotValue(obj);
+    }
+    objects.push(entry);
+  }
+  return {
+    objects,
+    largestObjectNumber: context.largestObjectNumber,
+    trailerInfo: { ...context.trailerInfo },
+  };
+}
+
+/**
+ * Snapshot of a direct value: dicts and arrays keep their original instance
+ * (so nested instances can be restored in place too) plus a copy of their
+ * children; everything else is immutable and kept as-is.
+ */
+function snapshotValue(value) {
+  if (value instanceof PDFDict) {
+    return { dict: value, entries: value.entries().map(([key, val]) => [key, snapshotValue(val)]) };
+  }
+  if (value instanceof PDFArray) {
+    return { array: value, items: value.asArray().map(snapshotValue) };
+  }
+  return { primitive: value };
+}
+
+/** Write a snapshotValue() back into its original instances and return them. */
+function restoreValue(saved) {
+  if (saved.dict) {
+    const { dict } = saved;
+    for (const key of dict.keys()) dict.delete(key);
+    for (const [key, val] of saved.entries) dict.set(key, restoreValue(val));
+    return dict;
+  }
+  if (saved.array) {
+    const { array } = saved;
+    while (array.size() > 0) array.remove(0);
+    for (const item of saved.items) array.push(restoreValue(item));
+    return array;
+  }
+  return saved.primitive;
+}
+
+/**
+ * Roll the document back to a snapshot. Objects created since are removed,
+ * deleted or replaced objects come back, and mutated dicts/arrays get their
+ * previous entries.
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @param {object} snapshot - From takeSnapshot()
+ */
+export function restoreSnapshot(pdfDoc, snapshot) {
+  const context = pdfDoc.context;
+  const keep = new Set(snapshot.objects.map(({ ref }) => ref.tag));
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!keep.has(ref.tag)) context.delete(ref);
+  }
+
+  for (const entry of snapshot.objects) {
+    const { ref, obj } = entry;
+    if (entry.streamDict) {
+      restoreValue(entry.streamDict);
+      if ('contents' in entry) obj.contents = entry.contents;
+    } else {
+      restoreValue(entry.value);
+    }
+    context.assign(ref, obj);
+  }
+
+  context.largestObjectNumber = snapshot.largestObjectNumber;
+  for (const key of Object.keys(context.trailerInfo)) delete context.trailerInfo[key];
+  Object.assign(context.trailerInfo, snapshot.trailerInfo);
+}
@@ -1,6 +1,7 @@
 /**
  * Shared hashing utility and font-related constants.
  */
+import { PDFRef, PDFDict, PDFArray, PDFName, PDFString, PDFHexString } from 'pdf-lib';
 
 /**
  * Simple synchronous hash using djb2 variant on the raw bytes.
@@ -24,5 +25,33 @@ export function hashBytes(bytes) {
   return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
 }
 
+/**
+ * Serialize a direct PDF object exactly, as a key for equality: dict keys
+ * are sorted and strings compared by their bytes, however they're written.
+ * @param {PDFObject} value
+ * @param {(ref: PDFRef) => string} [refTag] - How to write a ref: its tag
+ *   ("12 0 R") by default; dedup passes the tag of the ref's canonical copy
+ * @param {boolean} [isStreamDict] - Leave out /Length, which is derived from contents
+ * @returns {string}
+ */
+export function serializeObject(value, refTag = (ref) => ref.tag, isStreamDict = false) {
+  if (value instanceof PDFRef) return refTag(value);
+  if (value instanceof PDFDict) {
+    const parts = [];
+    for (const [key, entry] of value.entries()) {
+      if (isStreamDict && key === PDFName.of('Length')) continue;
+      parts.push(`${key.toString()} ${serializeObject(entry, refTag)}`);
+    }
+    return `<<${parts.sort().join(' ')}>>`;
+  }
+  if (value instanceof PDFArray) return `[${value.asArray().map((item) => serializeObject(item, refTag)).join(' ')}]`;
+  if (value instanceof PDFString || value instanceof PDFHexString) {
+    let hex = '';
+    for (const byte of value.asBytes()) hex += byte.toString(16).padStart(2, '0');
+    return `<${hex}>`;
+  }
+  return value.toString();
+}
+
 /** Font stream dictionary keys that reference embedded font programs. */
 export const FONT_FILE_KEYS = ['FontFile', 'FontFile2', 'FontFile3'];
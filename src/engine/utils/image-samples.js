@@ -0,0 +1,292 @@
+/**
+ * Image XObject samples, shared by the image passes.
+ *
+ * What an image's colour space is made of, decoding its stream to packed
+ * sample rows (undoing PNG prediction) and deflating them again through the
+ * best PNG predictor, converting between packed 1, 2, 4, 8 and 16-bit rows
+ * and one byte per sample, and spotting RGB images that are really gray.
+ * Rows of packed samples always start on a byte boundary.
+ */
+import { zlibSync } from 'fflate';
+import { PDFName, PDFArray, PDFRef, PDFStream, PDFString, PDFHexString } from 'pdf-lib';
+import {
+  decodeStream, undoPngPrediction, applyPngPrediction, getFilterNames, allFiltersDecodable,
+} from './stream-decode.js';
+
+/**
+ * Device colour spaces whose samples can be re-encoded as they are, by
+ * component count. ICCBased spaces with the same /N can too: the profile
+ * only says what the values mean.
+ */
+const DEVICE_COMPONENTS = {
+  DeviceGray: 1,
+  DeviceRGB: 3,
+  DeviceCMYK: 4,
+};
+
+/** PDF /Predictor values deflateRows() tries: PNG None, Sub, Up, Average, Paeth, then per row. */
+const PREDICTORS = [10, 11, 12, 13, 14, 15];
+
+/**
+ * Get DecodeParms dict from a stream dictionary.
+ * Handles both single dict and array-of-dicts forms.
+ */
+export function getDecodeParms(dict) {
+  const dp = dict.get(PDFName.of('DecodeParms'));
+  if (!dp) return null;
+  // If it's an array, get the first entry
+  if (dp instanceof PDFArray) {
+    return dp.size() > 0 ? dp.get(0) : null;
+  }
+  return dp;
+}
+
+/**
+ * Get a numeric value from a PDFDict.
+ */
+export function getNumericValue(dict, key) {
+  const val = dict.get(PDFName.of(key));
+  if (!val) return undefined;
+  if (typeof val.numberValue === 'function') return val.numberValue();
+  if (typeof val.value === 'function') return val.value();
+  // PDFNumber stores value directly
+  if (val.numberValue !== undefined) return val.numberValue;
+  if (val.value !== undefined) return Number(val.value);
+  return undefined;
+}
+
+/** Components of a (resolved) colour space object, or null if unsupported. */
+function componentsOf(cs, context) {
+  if (cs instanceof PDFRef) cs = context.lookup(cs);
+  if (cs instanceof PDFName) return DEVICE_COMPONENTS[cs.decodeText()] ?? null;
+  if (cs instanceof PDFArray && cs.size() === 2 && cs.get(0) === PDFName.of('ICCBased')) {
+    const profile = context.lookup(cs.get(1));
+    const n = profile instanceof PDFStream ? getNumericValue(profile.dict, 'N') : undefined;
+    return n === 1 || n === 3 || n === 4 ? n : null;
+  }
+  return null;
+}
+
+/**
+ * Get the number of colour components of an image's colour space, or null
+ * if it isn't a device space or an ICCBased one with /N 1, 3 or 4.
+ * @param {PDFDict} dict - Image stream dictionary
+ * @param {PDFContext} context
+ * @returns {1|3|4|null}
+ */
+export function getColorComponents(dict, context) {
+  return componentsOf(dict.get(PDFName.of('ColorSpace')), context);
+}
+
+/**
+ * Read an /Indexed colour space whose base is one getColorComponents()
+ * supports.
+ * @param {PDFDict} dict - Image stream dictionary
+ * @param {PDFContext} context
+ * @returns {{ base: PDFObject, components: number, hival: number, lookup: Uint8Array } | null}
+ *   `lookup` holds `components` bytes per palette entry, 0 to `hival`
+ */
+export function getIndexedColorSpace(dict, context) {
+  let cs = dict.get(PDFName.of('ColorSpace'));
+  if (cs instanceof PDFRef) cs = context.lookup(cs);
+  if (!(cs instanceof PDFArray) || cs.size() !== 4 || cs.get(0) !== PDFName.of('Indexed')) return null;
+  const base = cs.get(1);
+  const components = componentsOf(base, context);
+  const hival = context.lookup(cs.get(2))?.asNumber?.();
+  if (!components || !Number.isInteger(hival) || hival < 0 || hival > 255) return null;
+
+  const table = context.lookup(cs.get(3));
+  let lookup = null;
+  if (table instanceof PDFString || table instanceof PDFHexString) {
+    lookup = table.asBytes();
+  } else if (table instanceof PDFStream && table.contents) {
+    const filters = getFilterNames(table.dict);
+    if (filters && !allFiltersDecodable(filters)) return null;
+    lookup = filters ? decodeStream(table.contents, filters) : table.contents;
+  }
+  if (!lookup || lookup.length < (hival + 1) * components) return null;
+  return { base, components, hival, lookup };
+}
+
+/**
+ * Decode an image's samples through its filters, undoing PNG prediction.
+ * @param {PDFDict} dict - Image stream dictionary
+ * @param {Uint8Array} rawBytes - Encoded stream contents
+ * @param {string[]|null} filters - Filter names from the dict
+ * @param {number} width - Image width in pixels
+ * @param {number} components - Colour components per pixel
+ * @returns {Uint8Array} Packed sample rows
+ * @throws {Error} For TIFF prediction (Predictor 2), which isn't undone
+ */
+export function decodeSamples(dict, rawBytes, filters, width, components) {
+  let decoded = filters ? decodeStream(rawBytes, filters) : rawBytes;
+
+  // Check DecodeParms for PNG prediction
+  const decodeParms = getDecodeParms(dict);
+  if (decodeParms) {
+    const predictor = getNumericValue(decodeParms, 'Predictor');
+    if (predictor === 2) throw new Error('TIFF predictor not supported');
+    if (predictor && predictor >= 10) {
+      const columns =
+        getNumericValue(decodeParms, 'Columns') || width;
+      const colors =
+        getNumericValue(decodeParms, 'Colors') || components;
+      const bitsPerComp =
+        getNumericValue(decodeParms, 'BitsPerComponent') || 8;
+      // PNG predicts byte by byte, at least one byte back
+      const bitsPerPixel = colors * bitsPerComp;
+      decoded = undoPngPrediction(
+        decoded,
+        columns,
+        Math.max(1, Math.ceil(bitsPerPixel / 8)),
+        Math.ceil((columns * bitsPerPixel) / 8),
+      );
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Unpack sample rows to one byte per sample.
+ * @param {Uint8Array} data - Packed rows
+ * @param {number} width
+ * @param {number} height
+ * @param {number} components - Samples per pixel
+ * @param {1|2|4|8|16} bitsPerComponent
+ * @param {boolean} [scale=true] - Scale values to 0–255, as colour samples
+ *   need; false keeps them as they are (palette indices, 8 bits at most).
+ *   16-bit samples are always scaled.
+ * @returns {Uint8Array}
+ */
+export function unpackSamples(data, width, height, components, bitsPerComponent, scale = true) {
+  const perRow = width * components;
+  const rowBytes = Math.ceil((perRow * bitsPerComponent) / 8);
+  if (data.length < rowBytes * height) throw new Error('Image data shorter than its dimensions');
+  const out = new Uint8Array(perRow * height);
+  if (bitsPerComponent === 8) {
+    out.set(data.subarray(0, out.length));
+    return out;
+  }
+
+  for (let y = 0; y < height; y++) {
+    const row = y * rowBytes;
+    const dst = y * perRow;
+    if (bitsPerComponent === 16) {
+      for (let i = 0; i < perRow; i++) {
+        out[dst + i] = Math.round(((data[row + i * 2] << 8) | data[row + i * 2 + 1]) / 257);
+      }
+      continue;
+    }
+    const max = (1 << bitsPerComponent) - 1;
+    for (let i = 0; i < perRow; i++) {
+      const bit = i * bitsPerComponent;
+      const value = (data[row + (bit >> 3)] >> (8 - bitsPerComponent - (bit & 7))) & max;
+      out[dst + i] = scale ? Math.round((value * 255) / max) : value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Pack one-byte values into rows of 1, 2, 4 or 8 bits per sample, the
+ * inverse of unpackSamples() with `scale` off.
+ * @param {Uint8Array} values
+ * @param {number} width
+ * @param {number} height
+ * @param {number} components
+ * @param {1|2|4|8} bitsPerComponent
+ * @returns {Uint8Array}
+ */
+export function packSamples(values, width, height, components, bitsPerComponent) {
+  if (bitsPerComponent === 8) return values.slice(0, width * height * components);
+  const perRow = width * components;
+  const rowBytes = Math.ceil((perRow * bitsPerComponent) / 8);
+  const out = new Uint8Array(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    for (let i = 0; i < perRow; i++) {
+      const bit = i * bitsPerComponent;
+      out[y * rowBytes + (bit >> 3)] |= values[y * perRow + i] << (8 - bitsPerComponent - (bit & 7));
+    }
+  }
+  return out;
+}
+
+/**
+ * Look palette indices up in an Indexed colour space's table. Indices past
+ * `hival` take the last entry, as readers do.
+ * @param {Uint8Array} indices - One byte per pixel
+ * @param {{ components: number, hival: number, lookup: Uint8Array }} indexed
+ * @returns {Uint8Array} `components` bytes per pixel
+ */
+export function expandPalette(indices, { components, hival, lookup }) {
+  const out = new Uint8Array(indices.length * components);
+  for (let i = 0; i < indices.length; i++) {
+    const entry = Math.min(indices[i], hival) * components;
+    for (let c = 0; c < components; c++) out[i * components + c] = lookup[entry + c];
+  }
+  return out;
+}
+
+/**
+ * Deflate sample rows with whichever PNG predictor, or none, compresses best.
+ * @param {Uint8Array} rows - Packed sample rows
+ * @param {number} width
+ * @param {number} components
+ * @param {number} bitsPerComponent
+ * @returns {{ bytes: Uint8Array, predictor: number|null }} `predictor` is the
+ *   /Predictor to write, null for none
+ */
+export function deflateRows(rows, width, components, bitsPerComponent) {
+  const bitsPerPixel = components * bitsPerComponent;
+  const bytesPerPixel = Math.max(1, Math.ceil(bitsPerPixel / 8));
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+  let best = { bytes: zlibSync(rows, { level: 9 }), predictor: null };
+  for (const predictor of PREDICTORS) {
+    const bytes = zlibSync(applyPngPrediction(rows, width, bytesPerPixel, predictor, rowBytes), { level: 9 });
+    if (bytes.length < best.bytes.length) best = { bytes, predictor };
+  }
+  return best;
+}
+
+/**
+ * Gray levels of an RGB image whose channels match, or null if they don't.
+ * @param {Uint8Array} pixels - RGB or RGBA samples
+ * @param {3|4} stride - Bytes per pixel
+ * @param {number} [tolerance=0] - Largest difference allowed between two
+ *   channels of a pixel; with one, each level is the channels' average
+ * @returns {Uint8Array | null} One byte per pixel
+ */
+export function toGray(pixels, stride, tolerance = 0) {
+  const gray = new Uint8Array(Math.floor(pixels.length / stride));
+  for (let i = 0; i < gray.length; i++) {
+    const r = pixels[i * stride];
+    const g = pixels[i * stride + 1];
+    const b = pixels[i * stride + 2];
+    if (Math.max(r, g, b) - Math.min(r, g, b) > tolerance) return null;
+    gray[i] = tolerance ? Math.round((r + g + b) / 3) : r;
+  }
+  return gray;
+}
+
+/**
+ * Whether every gray level is black or white, give or take `tolerance`.
+ * @param {Uint8Array} gray
+ * @param {number} [tolerance=0]
+ */
+export function isBilevel(gray, tolerance = 0) {
+  for (let i = 0; i < gray.length; i++) {
+    if (gray[i] > tolerance && gray[i] < 255 - tolerance) return false;
+  }
+  return true;
+}
+
+/**
+ * Threshold gray levels into 1-bit DeviceGray rows (1 is white).
+ * @param {Uint8Array} gray - One byte per pixel
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+export function packBilevel(gray, width, height) {
+  return packSamples(gray.map((level) => (level >= 128 ? 1 : 0)), width, height, 1, 1);
+}
@@ -0,0 +1,523 @@
+/**
+ * Baseline JPEG codec for the images jpeg-js can't round-trip.
+ *
+ * jpeg-js only writes three-component YCbCr JPEGs, and decodes
+ * four-component ones straight to RGB. A PDF image's JPEG has to carry the
+ * components of its colour space: one for DeviceGray (and ICCBased /N 1),
+ * four for DeviceCMYK (and ICCBased /N 4), holding the values that colour
+ * space reads. This module encodes and decodes those as baseline Huffman
+ * JPEGs with 8-bit samples.
+ *
+ * Samples are never inverted. Whether CMYK values are ink amounts or
+ * Photoshop's inverted ones is decided by the image's /Decode array, not by
+ * the JPEG, so keeping the values as stored keeps both kinds right. Adobe
+ * YCCK (APP14 transform 2) decodes to the CMYK values it stands for; the
+ * encoder writes plain CMYK, marked with transform 0.
+ */
+
+/** Zigzag position → natural (row-major) index within an 8×8 block. */
+const ZIGZAG = new Int32Array([
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+]);
+
+/** Annex K luminance quantization table, natural order. */
+const LUMINANCE_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61,
+  12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,
+  14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,
+  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99,
+];
+
+/** Annex K luminance Huffman tables: code counts per length 1–16, then symbols. */
+const DC_BITS = [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0];
+const DC_VALUES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+const AC_BITS = [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d];
+const AC_VALUES = [
+  0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+  0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+  0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+  0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+  0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+  0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+  0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+  0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+  0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+  0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+  0xf9, 0xfa,
+];
+
+/** DCT basis: COS[u * 8 + x] = c(u) · cos((2x + 1)uπ / 16), orthonormal. */
+const COS = new Float64Array(64);
+for (let u = 0; u < 8; u++) {
+  for (let x = 0; x < 8; x++) {
+    COS[u * 8 + x] = (u === 0 ? Math.SQRT1_2 : 1) * 0.5 * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+const clamp = (value) => (value < 0 ? 0 : value > 255 ? 255 : value);
+
+/**
+ * Read a JPEG's frame header without decoding it.
+ * @param {Uint8Array} bytes
+ * @returns {{ width: number, height: number, components: number, progressive: boolean } | null}
+ *   null if no frame header is found before the first scan
+ */
+export function readJpegHeader(bytes) {
+  let offset = 2;
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      if (offset + 10 > bytes.length) return null;
+      return {
+        height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+        components: bytes[offset + 9],
+        progressive: marker === 0xc2 || marker === 0xc6 || marker === 0xca || marker === 0xce,
+      };
+    }
+    if (marker === 0xda || marker === 0xd9) return null;
+    offset += 2 + length;
+  }
+  return null;
+}
+
+// --- Encoding ---
+
+/** Quantization table for a quality of 1–100, scaled as libjpeg does. */
+function quantTable(quality) {
+  const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return LUMINANCE_QUANT.map((value) => Math.min(255, Math.max(1, Math.floor((value * scale + 50) / 100))));
+}
+
+/** Code and length per symbol of a canonical Huffman table. */
+function huffmanCodes(bits, values) {
+  const codes = new Int32Array(256);
+  const lengths = new Uint8Array(256);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    for (let i = 0; i < bits[length - 1]; i++) {
+      codes[values[k]] = code++;
+      lengths[values[k++]] = length;
+    }
+    code <<= 1;
+  }
+  return { codes, lengths };
+}
+
+/** Byte sink for the entropy-coded segment, stuffing a zero after each 0xFF. */
+function createBitWriter() {
+  let bytes = new Uint8Array(1 << 16);
+  let length = 0;
+  let buffer = 0;
+  let count = 0;
+  const pushByte = (byte) => {
+    if (length + 2 > bytes.length) {
+      const grown = new Uint8Array(bytes.length * 2);
+      grown.set(bytes);
+      bytes = grown;
+    }
+    bytes[length++] = byte;
+    if (byte === 0xff) bytes[length++] = 0;
+  };
+  return {
+    write(value, bits) {
+      for (let i = bits - 1; i >= 0; i--) {
+        buffer = (buffer << 1) | ((value >> i) & 1);
+        if (++count === 8) {
+          pushByte(buffer);
+          buffer = 0;
+          count = 0;
+        }
+      }
+    },
+    /** Pad the last byte with 1 bits and return everything written. */
+    finish() {
+      if (count > 0) pushByte((buffer << (8 - count)) | ((1 << (8 - count)) - 1));
+      return bytes.subarray(0, length);
+    },
+  };
+}
+
+/** Bits needed for the magnitude of a coefficient (its JPEG category). */
+function category(value) {
+  let magnitude = Math.abs(value);
+  let bits = 0;
+  while (magnitude) {
+    bits++;
+    magnitude >>= 1;
+  }
+  return bits;
+}
+
+/**
+ * Encode pixels as a baseline JPEG with one component per channel and no
+ * colour transform. Four-component output carries an Adobe APP14 marker
+ * with transform 0, so readers take the values as CMYK.
+ * @param {{ data: Uint8Array, width: number, height: number, components: 1|4 }} image
+ *   `data` holds `components` bytes per pixel, row by row
+ * @param {number} quality - 1–100
+ * @returns {Uint8Array}
+ */
+export function encodeJpeg({ data, width, height, components }, quality) {
+  const quant = quantTable(Math.max(1, Math.min(100, Math.round(quality))));
+  const dc = huffmanCodes(DC_BITS, DC_VALUES);
+  const ac = huffmanCodes(AC_BITS, AC_VALUES);
+  const writer = createBitWriter();
+  const predictions = new Int32Array(components);
+  const block = new Float64Array(64);
+  const rows = new Float64Array(64);
+  const coefficients = new Int32Array(64);
+
+  const writeValue = (value, bits) => writer.write(value < 0 ? value + (1 << bits) - 1 : value, bits);
+
+  for (let by = 0; by < height; by += 8) {
+    for (let bx = 0; bx < width; bx += 8) {
+      for (let c = 0; c < components; c++) {
+        // Edge blocks repeat the last row and column
+        for (let y = 0; y < 8; y++) {
+          const row = Math.min(by + y, height - 1) * width;
+          for (let x = 0; x < 8; x++) {
+            block[y * 8 + x] = data[(row + Math.min(bx + x, width - 1)) * components + c] - 128;
+          }
+        }
+        for (let y = 0; y < 8; y++) {
+          for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let x = 0; x < 8; x++) sum += block[y * 8 + x] * COS[u * 8 + x];
+            rows[y * 8 + u] = sum;
+          }
+        }
+        for (let v = 0; v < 8; v++) {
+          for (let u = 0; u < 8; u++) {
+            let sum = 0;
+            for (let y = 0; y < 8; y++) sum += rows[y * 8 + u] * COS[v * 8 + y];
+            coefficients[v * 8 + u] = Math.round(sum / quant[v * 8 + u]);
+          }
+        }
+
+        const diff = coefficients[0] - predictions[c];
+        predictions[c] = coefficients[0];
+        const dcBits = category(diff);
+        writer.write(dc.codes[dcBits], dc.lengths[dcBits]);
+        if (dcBits) writeValue(diff, dcBits);
+
+        let run = 0;
+        for (let k = 1; k < 64; k++) {
+          const value = coefficients[ZIGZAG[k]];
+          if (value === 0) {
+            run++;
+            continue;
+          }
+          for (; run > 15; run -= 16) writer.write(ac.codes[0xf0], ac.lengths[0xf0]);
+          const bits = category(value);
+          const symbol = (run << 4) | bits;
+          writer.write(ac.codes[symbol], ac.lengths[symbol]);
+          writeValue(value, bits);
+          run = 0;
+        }
+        if (run > 0) writer.write(ac.codes[0], ac.lengths[0]);
+      }
+    }
+  }
+  const scan = writer.finish();
+
+  const header = [0xff, 0xd8];
+  const segment = (marker, body) => header.push(0xff, marker, (body.length + 2) >> 8, (body.length + 2) & 0xff, ...body);
+  if (components === 4) segment(0xee, [0x41, 0x64, 0x6f, 0x62, 0x65, 0, 100, 0, 0, 0, 0, 0]);
+  segment(0xdb, [0, ...Array.from(ZIGZAG, (index) => quant[index])]);
+  const frameComponents = [];
+  const scanComponents = [];
+  for (let c = 1; c <= components; c++) {
+    frameComponents.push(c, 0x11, 0);
+    scanComponents.push(c, 0);
+  }
+  segment(0xc0, [8, height >> 8, height & 0xff, width >> 8, width & 0xff, components, ...frameComponents]);
+  segment(0xc4, [0x00, ...DC_BITS, ...DC_VALUES, 0x10, ...AC_BITS, ...AC_VALUES]);
+  segment(0xda, [components, ...scanComponents, 0, 63, 0]);
+
+  const out = new Uint8Array(header.length + scan.length + 2);
+  out.set(header);
+  out.set(scan, header.length);
+  out.set([0xff, 0xd9], header.length + scan.length);
+  return out;
+}
+
+// --- Decoding ---
+
+/** Lookup tables for decoding a canonical Huffman table (JPEG spec F.2.2.3). */
+function huffmanDecoder(bits, values) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valuePointer = new Int32Array(17);
+  const minCode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    const count = bits[length - 1];
+    if (count) {
+      valuePointer[length] = k;
+      minCode[length] = code;
+      code += count;
+      k += count;
+      maxCode[length] = code - 1;
+    }
+    code <<= 1;
+  }
+  return { maxCode, valuePointer, minCode, values };
+}
+
+/**
+ * Decode a baseline or extended sequential Huffman JPEG to its component
+ * values, interleaved per pixel. Subsampled components are scaled up.
+ * Three-component data is returned as stored (YCbCr for most files).
+ * @param {Uint8Array} bytes
+ * @returns {{ data: Uint8Array, width: number, height: number, components: number }}
+ * @throws {Error} On progressive, lossless or arithmetic-coded JPEGs, and
+ *   on corrupt data
+ */
+export function decodeJpeg(bytes) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) throw new Error('Not a JPEG');
+  const quantTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let transform = null;
+  let restartInterval = 0;
+  let offset = 2;
+
+  while (offset < bytes.length) {
+    if (bytes[offset] !== 0xff) throw new Error('Corrupt JPEG: expected a marker');
+    const marker = bytes[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd9) break;
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    const start = offset + 4;
+    const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+
+    if (marker === 0xdb) {
+      for (let p = start; p < end;) {
+        const wide = bytes[p] >> 4;
+        const table = new Int32Array(64);
+        const id = bytes[p++] & 15;
+        for (let k = 0; k < 64; k++) {
+          table[ZIGZAG[k]] = wide ? (bytes[p] << 8) | bytes[p + 1] : bytes[p];
+          p += wide ? 2 : 1;
+        }
+        quantTables[id] = table;
+      }
+    } else if (marker === 0xc4) {
+      for (let p = start; p < end;) {
+        const tableClass = bytes[p] >> 4;
+        const id = bytes[p++] & 15;
+        const bits = bytes.subarray(p, p + 16);
+        const count = bits.reduce((a, b) => a + b, 0);
+        const values = bytes.subarray(p + 16, p + 16 + count);
+        (tableClass ? acTables : dcTables)[id] = huffmanDecoder(bits, values);
+        p += 16 + count;
+      }
+    } else if (marker === 0xc0 || marker === 0xc1) {
+      if (bytes[start] !== 8) throw new Error(`Unsupported JPEG sample precision: ${bytes[start]}`);
+      const height = (bytes[start + 1] << 8) | bytes[start + 2];
+      const width = (bytes[start + 3] << 8) | bytes[start + 4];
+      if (!width || !height) throw new Error('Unsupported JPEG: no frame size');
+      const components = [];
+      for (let i = 0, p = start + 6; i < bytes[start + 5]; i++, p += 3) {
+        components.push({ id: bytes[p], h: bytes[p + 1] >> 4, v: bytes[p + 1] & 15, quant: bytes[p + 2] });
+      }
+      const maxH = Math.max(...components.map((c) => c.h));
+      const maxV = Math.max(...components.map((c) => c.v));
+      const mcusX = Math.ceil(width / (8 * maxH));
+      const mcusY = Math.ceil(height / (8 * maxV));
+      for (const component of components) {
+        component.blocksPerLine = mcusX * component.h;
+        component.blocksPerColumn = mcusY * component.v;
+        component.lineWidth = component.blocksPerLine * 8;
+        component.pixels = new Uint8Array(component.lineWidth * component.blocksPerColumn * 8);
+        // Blocks a scan of this component alone covers
+        component.scanBlocksX = Math.ceil(Math.ceil((width * component.h) / maxH) / 8);
+        component.scanBlocksY = Math.ceil(Math.ceil((height * component.v) / maxV) / 8);
+      }
+      frame = { width, height, components, maxH, maxV, mcusX, mcusY };
+    } else if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw new Error('Unsupported JPEG: progressive, lossless or arithmetic coding');
+    } else if (marker === 0xdd) {
+      restartInterval = (bytes[start] << 8) | bytes[start + 1];
+    } else if (marker === 0xee && String.fromCharCode(...bytes.subarray(start, start + 5)) === 'Adobe') {
+      transform = bytes[start + 11];
+    } else if (marker === 0xda) {
+      if (!frame) throw new Error('Corrupt JPEG: scan before frame');
+      const scanComponents = [];
+      for (let i = 0, p = start + 1; i < bytes[start]; i++, p += 2) {
+        const component = frame.components.find((c) => c.id === bytes[p]);
+        if (!component) throw new Error('Corrupt JPEG: unknown scan component');
+        component.dc = dcTables[bytes[p + 1] >> 4];
+        component.ac = acTables[bytes[p + 1] & 15];
+        scanComponents.push(component);
+      }
+      offset = decodeScan(bytes, end, frame, scanComponents, quantTables, restartInterval);
+      continue;
+    }
+    offset = end;
+  }
+
+  if (!frame) throw new Error('Corrupt JPEG: no frame');
+  const { width, height, components, maxH, maxV } = frame;
+  const count = components.length;
+  const data = new Uint8Array(width * height * count);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * count;
+      for (let c = 0; c < count; c++) {
+        const { pixels, lineWidth, h, v } = components[c];
+        data[out + c] = pixels[Math.floor((y * v) / maxV) * lineWidth + Math.floor((x * h) / maxH)];
+      }
+      if (count === 4 && transform) {
+        // YCCK: the first three components are the inverse of C, M and Y as YCbCr
+        const luma = data[out];
+        const cb = data[out + 1] - 128;
+        const cr = data[out + 2] - 128;
+        data[out] = 255 - clamp(Math.round(luma + 1.402 * cr));
+        data[out + 1] = 255 - clamp(Math.round(luma - 0.344136 * cb - 0.714136 * cr));
+        data[out + 2] = 255 - clamp(Math.round(luma + 1.772 * cb));
+      }
+    }
+  }
+  return { data, width, height, components: count };
+}
+
+/**
+ * Decode one scan's entropy-coded data into its components' pixels.
+ * @returns {number} Offset of the marker that follows the scan
+ */
+function decodeScan(bytes, offset, frame, scanComponents, quantTables, restartInterval) {
+  let position = offset;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const readBit = () => {
+    if (bitCount === 0) {
+      bitBuffer = bytes[position];
+      if (bitBuffer === 0xff) {
+        // A stuffed zero is skipped; at a marker the data has run out, so read zeros
+        if (bytes[position + 1] === 0) position += 2;
+        else bitBuffer = 0;
+      } else {
+        position++;
+      }
+      bitCount = 8;
+    }
+    return (bitBuffer >> --bitCount) & 1;
+  };
+  const receive = (length) => {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+    return value;
+  };
+  const extend = (value, length) => (value < 1 << (length - 1) ? value - (1 << length) + 1 : value);
+  const decodeSymbol = (table) => {
+    if (!table) throw new Error('Corrupt JPEG: missing Huffman table');
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | readBit();
+      if (code <= table.maxCode[length]) return table.values[table.valuePointer[length] + code - table.minCode[length]];
+    }
+    throw new Error('Corrupt JPEG: bad Huffman code');
+  };
+
+  const coefficients = new Float64Array(64);
+  const rows = new Float64Array(64);
+  const decodeBlock = (component, blockRow, blockCol) => {
+    const quant = quantTables[component.quant];
+    if (!quant) throw new Error('Corrupt JPEG: missing quantization table');
+    coefficients.fill(0);
+    const dcBits = decodeSymbol(component.dc);
+    component.prediction += dcBits ? extend(receive(dcBits), dcBits) : 0;
+    coefficients[0] = component.prediction * quant[0];
+    for (let k = 1; k < 64;) {
+      const symbol = decodeSymbol(component.ac);
+      const bits = symbol & 15;
+      const run = symbol >> 4;
+      if (bits === 0) {
+        if (run !== 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      coefficients[ZIGZAG[k]] = extend(receive(bits), bits) * quant[ZIGZAG[k]];
+      k++;
+    }
+
+    for (let v = 0; v < 8; v++) {
+      for (let x = 0; x < 8; x++) {
+        let sum = 0;
+        for (let u = 0; u < 8; u++) sum += coefficients[v * 8 + u] * COS[u * 8 + x];
+        rows[v * 8 + x] = sum;
+      }
+    }
+    const { pixels, lineWidth } = component;
+    const base = blockRow * 8 * lineWidth + blockCol * 8;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        let sum = 0;
+        for (let v = 0; v < 8; v++) sum += rows[v * 8 + x] * COS[v * 8 + y];
+        pixels[base + y * lineWidth + x] = clamp(Math.round(sum + 128));
+      }
+    }
+  };
+
+  const restart = () => {
+    bitCount = 0;
+    while (position + 1 < bytes.length && !(bytes[position] === 0xff && bytes[position + 1] >= 0xd0 && bytes[position + 1] <= 0xd7)) position++;
+    position += 2;
+    for (const component of scanComponents) component.prediction = 0;
+  };
+
+  for (const component of scanComponents) component.prediction = 0;
+  if (scanComponents.length === 1) {
+    const [component] = scanComponents;
+    const total = component.scanBlocksX * component.scanBlocksY;
+    for (let n = 0; n < total; n++) {
+      if (restartInterval && n > 0 && n % restartInterval === 0) restart();
+      decodeBlock(component, Math.floor(n / component.scanBlocksX), n % component.scanBlocksX);
+    }
+  } else {
+    const total = frame.mcusX * frame.mcusY;
+    for (let n = 0; n < total; n++) {
+      if (restartInterval && n > 0 && n % restartInterval === 0) restart();
+      const mcuRow = Math.floor(n / frame.mcusX);
+      const mcuCol = n % frame.mcusX;
+      for (const component of scanComponents) {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            decodeBlock(component, mcuRow * component.v + v, mcuCol * component.h + h);
+          }
+        }
+      }
+    }
+  }
+
+  // Skip to the next marker that isn't a restart
+  bitCount = 0;
+  while (position + 1 < bytes.length && !(bytes[position] === 0xff && bytes[position + 1] !== 0 && !(bytes[position + 1] >= 0xd0 && bytes[position + 1] <= 0xd7))) position++;
+  return position;
+}
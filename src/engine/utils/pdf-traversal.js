@@ -3,7 +3,8 @@
  *
  * Walks from trailer Root / Info / Encrypt entries, recursively traversing
  * PDFDict, PDFArray, and PDFRef values. Returns a Set<string> of all
- * reachable ref tags (e.g. "1 0 R").
+ * reachable ref tags (e.g. "1 0 R"). countReferences() builds on it for
+ * passes that need to know whether an object is referred to once.
  */
 import { PDFDict, PDFArray, PDFRef, PDFStream } from 'pdf-lib';
 
@@ -63,3 +64,25 @@ export function findReachableRefs(context) {
 
   return visited;
 }
+
+/**
+ * Count how often each ref is written in the objects reachable from the
+ * trailer: how many places point at an object, not how many paths lead to
+ * it. Objects left unreferenced by an earlier change don't count.
+ * @param {PDFContext} context
+ * @param {Set<string>} [reachable] - From findReachableRefs(), if already known
+ * @returns {Map<PDFRef, number>}
+ */
+export function countReferences(context, reachable = findReachableRefs(context)) {
+  const counts = new Map();
+  const visit = (value) => {
+    if (value instanceof PDFRef) counts.set(value, (counts.get(value) ?? 0) + 1);
+    else if (value instanceof PDFDict) for (const [, entry] of value.entries()) visit(entry);
+    else if (value instanceof PDFArray) for (let i = 0; i < value.size(); i++) visit(value.get(i));
+    else if (value instanceof PDFStream) visit(value.dict);
+  };
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (reachable.has(ref.tag)) visit(obj);
+  }
+  return counts;
+}
@@ -0,0 +1,103 @@
+/**
+ * Digital signature detection.
+ *
+ * Finds signed signature fields (/FT /Sig whose /V has a /ByteRange) in the
+ * AcroForm field tree. A signature covers the file's bytes as they were at
+ * signing, so rewriting the file invalidates it; the pipeline uses these
+ * traits to refuse signed files or to append its changes after the last
+ * signed byte instead.
+ */
+import { PDFName, PDFRef, PDFDict, PDFArray, PDFNumber, PDFString, PDFHexString } from 'pdf-lib';
+
+/**
+ * @typedef {object} SignatureInfo
+ * @property {string} field - Fully qualified field name
+ * @property {'approval'|'certification'|'timestamp'} type
+ * @property {string|null} subFilter - e.g. "adbe.pkcs7.detached"
+ * @property {string|null} signer - /Name, if the signing software recorded one
+ * @property {string|null} signedAt - ISO date from /M
+ * @property {number[]} byteRange
+ * @property {number} signedLength - Bytes from the start of the file the signature covers
+ * @property {boolean} coversWholeFile - False if anything was appended after signing
+ */
+
+const textOf = (value) =>
+  value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null;
+
+function dateOf(value) {
+  if (!(value instanceof PDFString || value instanceof PDFHexString)) return null;
+  try {
+    return value.decodeDate().toISOString();
+  } catch {
+    return null;
+  }
+}
+
+/** The signature dictionary of a certification (/Perms /DocMDP) signature, if any. */
+function certificationSignature(catalog) {
+  const perms = catalog.lookup(PDFName.of('Perms'));
+  const docMdp = perms instanceof PDFDict ? perms.lookup(PDFName.of('DocMDP')) : null;
+  return docMdp instanceof PDFDict ? docMdp : null;
+}
+
+/**
+ * Detect digital signatures, in signing order.
+ *
+ * @param {PDFDocument} pdfDoc
+ * @param {number} fileSize - Length of the bytes pdfDoc was loaded from
+ * @returns {{ isSigned: boolean, signatures: SignatureInfo[] }}
+ */
+export function detectSignatureTraits(pdfDoc, fileSize) {
+  const { catalog, context } = pdfDoc;
+  const signatures = [];
+  const certification = certificationSignature(catalog);
+  const seen = new Set();
+
+  const walk = (entry, parentName, inheritedType) => {
+    const field = entry instanceof PDFRef ? context.lookup(entry) : entry;
+    if (!(field instanceof PDFDict) || seen.has(field)) return;
+    seen.add(field);
+
+    const partialName = textOf(field.lookup(PDFName.of('T')));
+    const name = [parentName, partialName].filter(Boolean).join('.');
+    const type = field.lookup(PDFName.of('FT')) ?? inheritedType;
+    const kids = field.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) walk(kids.get(i), name, type);
+    }
+    if (type !== PDFName.of('Sig')) return;
+
+    const value = field.lookup(PDFName.of('V'));
+    const byteRange = value instanceof PDFDict ? value.lookup(PDFName.of('ByteRange')) : null;
+    if (!(byteRange instanceof PDFArray) || byteRange.size() < 4 || byteRange.size() % 2 !== 0) return;
+    const range = byteRange.asArray().map((n) => (n instanceof PDFNumber ? n.asNumber() : NaN));
+    if (range.some((n) => !Number.isFinite(n))) return;
+
+    // The last offset/length pair ends the signed bytes
+    const signedLength = range[range.length - 2] + range[range.length - 1];
+    let sigType = 'approval';
+    if (value.lookup(PDFName.of('Type')) === PDFName.of('DocTimeStamp')) sigType = 'timestamp';
+    else if (value === certification) sigType = 'certification';
+    const subFilter = value.lookup(PDFName.of('SubFilter'));
+
+    signatures.push({
+      field: name,
+      type: sigType,
+      subFilter: subFilter instanceof PDFName ? subFilter.decodeText() : null,
+      signer: textOf(value.lookup(PDFName.of('Name'))),
+      signedAt: dateOf(value.lookup(PDFName.of('M'))),
+      byteRange: range,
+      signedLength,
+      coversWholeFile: signedLength >= fileSize,
+    });
+  };
+
+  const acroForm = catalog.lookup(PDFName.of('AcroForm'));
+  const fields = acroForm instanceof PDFDict ? acroForm.lookup(PDFName.of('Fields')) : null;
+  if (fields instanceof PDFArray) {
+    for (let i = 0; i < fields.size(); i++) walk(fields.get(i), '', undefined);
+  }
+
+  signatures.sort((a, b) => a.signedLength - b.signedLength);
+  return { isSigned: signatures.length > 0, signatures };
+}
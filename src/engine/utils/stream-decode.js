@@ -122,12 +122,14 @@ export function decodeStream(rawBytes, filters) {
  * PNG prediction prepends a filter type byte to each row.
  * @param {Uint8Array} data - Decoded (inflated) data with prediction bytes
  * @param {number} columns - Pixels per row (from DecodeParms.Columns)
- * @param {number} components - Bytes per pixel (Colors * BitsPerComponent / 8)
+ * @param {number} components - Bytes per pixel (Colors * BitsPerComponent / 8,
+ *   at least 1)
+ * @param {number} [bytesPerRow] - Row length when pixels don't fill whole
+ *   bytes (1, 2 and 4 bits per component); columns × bytes per pixel otherwise
  * @returns {Uint8Array} Raw pixel data without prediction
  */
-export function undoPngPrediction(data, columns, components) {
+export function undoPngPrediction(data, columns, components, bytesPerRow = columns * components) {
   const bytesPerPixel = components;
-  const bytesPerRow = columns * bytesPerPixel;
   const stride = bytesPerRow + 1; // +1 for filter type byte
 
   if (data.length % stride !== 0 && data.length >= stride) {
@@ -180,6 +182,66 @@ export function undoPngPrediction(data, columns, components) {
   return output;
 }
 
+/**
+ * Apply PNG row prediction, the inverse of undoPngPrediction(). Each row is
+ * written as a filter type byte followed by the filtered row.
+ * @param {Uint8Array} data - Raw pixel rows
+ * @param {number} columns - Pixels per row (DecodeParms.Columns)
+ * @param {number} components - Bytes per pixel, at least 1
+ * @param {10|11|12|13|14|15} [predictor=15] - PDF /Predictor: 10–14 use PNG
+ *   filter None, Sub, Up, Average or Paeth on every row; 15 picks a filter per
+ *   row, the one with the smallest sum of absolute (signed) bytes, as libpng does
+ * @param {number} [bytesPerRow] - Row length when pixels don't fill whole
+ *   bytes; columns × bytes per pixel otherwise
+ * @returns {Uint8Array} Predicted rows, one byte longer each
+ */
+export function applyPngPrediction(data, columns, components, predictor = 15, bytesPerRow = columns * components) {
+  const bytesPerPixel = components;
+  const stride = bytesPerRow + 1;
+  const rows = Math.floor(data.length / bytesPerRow);
+  const output = new Uint8Array(rows * stride);
+  const zeroRow = new Uint8Array(bytesPerRow);
+  const candidates = predictor === 15 ? [0, 1, 2, 3, 4] : [predictor - 10];
+  const filtered = candidates.map(() => new Uint8Array(bytesPerRow));
+
+  for (let r = 0; r < rows; r++) {
+    const row = data.subarray(r * bytesPerRow, (r + 1) * bytesPerRow);
+    const prevRow = r > 0 ? data.subarray((r - 1) * bytesPerRow, r * bytesPerRow) : zeroRow;
+    let best = 0;
+    let bestSum = Infinity;
+
+    for (let f = 0; f < candidates.length; f++) {
+      const out = filtered[f];
+      let sum = 0;
+      for (let i = 0; i < bytesPerRow; i++) {
+        const a = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0; // left
+        const b = prevRow[i]; // up
+        const c = i >= bytesPerPixel ? prevRow[i - bytesPerPixel] : 0; // upper-left
+        let pred;
+        switch (candidates[f]) {
+          case 1: pred = a; break;
+          case 2: pred = b; break;
+          case 3: pred = (a + b) >>> 1; break;
+          case 4: pred = paethPredictor(a, b, c); break;
+          default: pred = 0;
+        }
+        const val = (row[i] - pred) & 0xff;
+        out[i] = val;
+        sum += val < 128 ? val : 256 - val;
+      }
+      if (sum < bestSum) {
+        bestSum = sum;
+        best = f;
+      }
+    }
+
+    output[r * stride] = candidates[best];
+    output.set(filtered[best], r * stride + 1);
+  }
+
+  return output;
+}
+
 function paethPredictor(a, b, c) {
   const p = a + b - c;
   const pa = Math.abs(p - a);
@@ -11,6 +11,7 @@ import { createMenuBar } from './ui/menu-bar.js';
 import { buildAppearanceContent, initAppearance, showHappyMac, showSadMac, showMacAlert } from './ui/appearance.js';
 import { startPacman, stopPacman, forcePacman } from './ui/pacman.js';
 import { playSound, previewSound, initSound } from './ui/sound.js';
+import { createWorkerPool } from './ui/worker-pool.js';
 import readmeText from '../README.md?raw';
 import faviconUrl from '/favicon.svg?url';
 
@@ -37,12 +38,21 @@ window.addEventListener('error', (e) => {
 
 // --- Friendly pass name labels (pipeline names stay unchanged for test compat) ---
 const PASS_LABELS = {
+  'Merging content streams': 'Tidying page content\u2026',
+  'Dropping hidden layers': 'Removing hidden layers\u2026',
+  'Inlining form XObjects': 'Tidying page content\u2026',
   'Recompressing streams': 'Compressing data\u2026',
+  'Minifying content streams': 'Tidying page content\u2026',
+  'Dropping redundant operators': 'Tidying page content\u2026',
+  'Rounding coordinates': 'Simplifying vector graphics\u2026',
+  'Pruning unused resources': 'Finding unused fonts and images\u2026',
+  'Repacking images': 'Optimizing images\u2026',
   'Recompressing images': 'Optimizing images\u2026',
   'Unembedding standard fonts': 'Cleaning up fonts\u2026',
   'Subsetting fonts': 'Optimizing fonts\u2026',
   'Deduplicating objects': 'Removing duplicates\u2026',
   'Deduplicating fonts': 'Consolidating fonts\u2026',
+  'Sharing page resources': 'Removing duplicates\u2026',
   'Stripping metadata': 'Cleaning metadata\u2026',
   'Removing unreferenced objects': 'Final cleanup\u2026',
 };
@@ -50,6 +60,10 @@ const PASS_LABELS = {
 // --- Friendly error messages ---
 function friendlyError(msg) {
   const lower = (msg || '').toLowerCase();
+  if (lower.includes('digitally signed'))
+    return 'This PDF is digitally signed \u2014 check \u201cKeep signatures valid\u201d to optimize it without breaking the signature';
+  if (lower.includes('unsupported encryption') || lower.includes('unsupported crypt'))
+    return 'This PDF uses an encryption method that isn\u2019t supported';
   if (lower.includes('encrypt') || lower.includes('password'))
     return 'This PDF is password-protected';
   if (lower.includes('invalid pdf') || lower.includes('not a valid'))
@@ -57,6 +71,41 @@ function friendlyError(msg) {
   return 'Something went wrong processing this file';
 }
 
+// --- Password prompt (inline, in the file's progress row) ---
+const PASSWORD_ERRORS = new Set(['PASSWORD_REQUIRED', 'PASSWORD_INCORRECT']);
+
+/**
+ * Ask for a file's password in its row. Resolves with the password, or null
+ * when the user skips the file or the batch is cancelled.
+ */
+function askForPassword(passEl, { incorrect, signal }) {
+  return new Promise((resolve) => {
+    const form = document.createElement('form');
+    form.className = 'file-item__password';
+    form.innerHTML = `
+      <label class="file-item__password-label">${incorrect ? 'Wrong password, try again' : 'Password'}
+        <input type="password" class="file-item__password-input" autocomplete="off" required />
+      </label>
+      <button type="submit" class="file-item__retry">Unlock</button>
+      <button type="button" class="file-item__retry file-item__password-skip">Skip</button>
+    `;
+    const input = form.querySelector('input');
+    const done = (password) => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(password);
+    };
+    const onAbort = () => done(null);
+    signal.addEventListener('abort', onAbort, { once: true });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      done(input.value);
+    });
+    form.querySelector('.file-item__password-skip').addEventListener('click', () => done(null));
+    passEl.replaceChildren(form);
+    input.focus();
+  });
+}
+
 // --- Toast notification ---
 function showToast(message, duration = 4000) {
   const toast = document.createElement('div');
@@ -98,7 +147,7 @@ function animateCountUp(el, target, duration = 600) {
 let blobUrls = [];
 let lastFiles = null;
 let lastRunOptions = null;
-let activeWorker = null;
+let batchController = null;
 let cancelled = false;
 let hasPlayedChime = false;
 let pacmanTimer = null;
@@ -463,42 +512,13 @@ function revokeBlobUrls() {
   blobUrls = [];
 }
 
-// --- Worker management ---
-function processFileWithProgress(file, options, progressCb) {
-  return new Promise((resolve, reject) => {
-    const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
-    activeWorker = worker;
-    const reader = new FileReader();
-
-    reader.onload = () => {
-      const buffer = reader.result;
-      worker.postMessage({ type: 'optimize', buffer, options }, [buffer]);
-    };
-
-    worker.onmessage = (e) => {
-      const { type, progress, pass, result, stats, error } = e.data;
-      if (type === 'progress') {
-        progressCb(progress, pass);
-      } else if (type === 'result') {
-        activeWorker = null;
-        worker.terminate();
-        resolve({ result, stats });
-      } else if (type === 'error') {
-        activeWorker = null;
-        worker.terminate();
-        reject(new Error(error));
-      }
-    };
-
-    worker.onerror = (err) => {
-      activeWorker = null;
-      worker.terminate();
-      reject(err);
-    };
-
-    reader.readAsArrayBuffer(file);
-  });
-}
+// --- Worker pool ---
+// Workers stay alive across files (harfbuzz WASM loads once per worker) and
+// a batch spreads over every core.
+const workerPool = createWorkerPool({
+  size: navigator.hardwareConcurrency || 2,
+  createWorker: () => new Worker(new URL('./worker.js', import.meta.url), { type: 'module' }),
+});
 
 // --- Render results into palettes ---
 function renderResults(results, options) {
@@ -629,41 +649,77 @@ async function handleFiles(files) {
   const processingStart = Date.now();
   fileList.innerHTML = '';
 
-  const results = [];
-
-  for (let fileIdx = 0; fileIdx < pdfFiles.length; fileIdx++) {
-    const file = pdfFiles[fileIdx];
-    if (cancelled) break;
+  batchController = new AbortController();
+  const { signal } = batchController;
+  const total = pdfFiles.length;
+  let finished = 0;
+  let batchPassword = null;
+  const updateBatchStatus = () => {
+    statusLeft.textContent = `Optimizing ${total} files \u2014 ${finished}/${total} done\u2026`;
+  };
+  if (total > 1) updateBatchStatus();
 
+  const rows = pdfFiles.map((file) => {
     const li = document.createElement('li');
     li.className = 'file-item';
     li.innerHTML = `
       <span class="file-item__name">${escapeHtml(file.name)}</span>
-      <span class="file-item__pass">Starting&hellip;</span>
+      <span class="file-item__pass">${total > workerPool.size ? 'Queued' : 'Starting'}&hellip;</span>
       <div class="file-item__bar"><div class="file-item__fill file-item__fill--active" style="width:0%"></div></div>
     `;
     fileList.appendChild(li);
+    return li;
+  });
 
+  const outcomes = await Promise.all(pdfFiles.map(async (file, fileIdx) => {
+    const li = rows[fileIdx];
     const passEl = li.querySelector('.file-item__pass');
     const fillEl = li.querySelector('.file-item__fill');
-    const fileCounter = pdfFiles.length > 1 ? ` (${fileIdx + 1}/${pdfFiles.length})` : '';
-    statusLeft.textContent = `Optimizing ${file.name}${fileCounter}\u2026`;
-
-    try {
-      const { result, stats } = await processFileWithProgress(file, options, (progress, pass) => {
+    if (total === 1) statusLeft.textContent = `Optimizing ${file.name}\u2026`;
+
+    // Largest files first: the batch finishes sooner when the long jobs
+    // don't end up running alone at the tail
+    const jobOptions = {
+      priority: file.size,
+      signal,
+      onProgress: (progress, pass) => {
         fillEl.style.width = `${Math.round(progress * 100)}%`;
         const passLabel = PASS_LABELS[pass] || pass || 'Processing\u2026';
         passEl.textContent = passLabel;
-        statusLeft.textContent = `Optimizing ${file.name}${fileCounter} \u2014 ${passLabel}`;
-      });
+        if (total === 1) statusLeft.textContent = `Optimizing ${file.name} \u2014 ${passLabel}`;
+      },
+    };
+
+    try {
+      let password = null;
+      let prompted = false;
+      let outcome;
+      while (!outcome) {
+        try {
+          outcome = await workerPool.run(file, password == null ? options : { ...options, password }, jobOptions);
+        } catch (err) {
+          if (cancelled || !PASSWORD_ERRORS.has(err.code)) throw err;
+          // Files in one batch often share a password: try the last one that worked first
+          if (password == null && batchPassword != null) {
+            password = batchPassword;
+            continue;
+          }
+          password = await askForPassword(passEl, { incorrect: prompted && err.code === 'PASSWORD_INCORRECT', signal });
+          prompted = true;
+          if (password == null) throw err;
+          passEl.textContent = 'Unlocking\u2026';
+        }
+      }
+      if (password != null) batchPassword = password;
+      const { result, stats } = outcome;
 
       fillEl.style.width = '100%';
       fillEl.classList.remove('file-item__fill--active');
       passEl.textContent = 'Done';
 
-      results.push({ name: file.name, originalFile: file, original: file.size, result, stats });
+      return { name: file.name, originalFile: file, original: file.size, result, stats };
     } catch (err) {
-      if (cancelled) break;
+      if (cancelled) return null;
       fillEl.classList.remove('file-item__fill--active');
       fillEl.style.width = '100%';
       fillEl.classList.add('file-item__fill--error');
@@ -682,8 +738,14 @@ async function handleFiles(files) {
         handleFiles([file]);
       });
       passEl.appendChild(retryBtn);
+      return null;
+    } finally {
+      finished++;
+      if (total > 1 && !cancelled) updateBatchStatus();
     }
-  }
+  }));
+  // Results stay in drop order, whatever order the pool finished them in
+  const results = outcomes.filter(Boolean);
 
   if (cancelled) {
     clearTimeout(pacmanTimer);
@@ -819,10 +881,7 @@ btnCancel.addEventListener('click', () => {
   cancelled = true;
   clearTimeout(pacmanTimer);
   stopPacman();
-  if (activeWorker) {
-    activeWorker.terminate();
-    activeWorker = null;
-  }
+  batchController?.abort();
   setProcessing(false);
 });
 
@@ -27,9 +27,27 @@ function buildAnnotation(catLabel, passes) {
     }
   } else if (catLabel === 'Images') {
     for (const p of passes) {
+      if (p.indexed > 0) parts.push(`${p.indexed} image${p.indexed !== 1 ? 's' : ''} converted to indexed colour`);
+      if (p.reduced > 0) parts.push(`${p.reduced} image${p.reduced !== 1 ? 's' : ''} reduced to 8-bit`);
+      if (p.grayscale > 0) parts.push(`${p.grayscale} RGB image${p.grayscale !== 1 ? 's' : ''} converted to grayscale`);
+      if (p.predicted > 0) parts.push(`${p.predicted} image${p.predicted !== 1 ? 's' : ''} deflated with row prediction`);
       if (p.converted > 0) parts.push(`${p.converted} image${p.converted !== 1 ? 's' : ''} recompressed`);
       if (p.downsampled > 0) parts.push(`${p.downsampled} image${p.downsampled !== 1 ? 's' : ''} downsampled`);
     }
+  } else if (catLabel === 'Page Content') {
+    for (const p of passes) {
+      if (p.merged > 0) parts.push(`${p.joined} streams joined on ${p.merged} page${p.merged !== 1 ? 's' : ''}`);
+      if (p.inlined > 0) parts.push(`${p.inlined} form${p.inlined !== 1 ? 's' : ''} inlined, ${p.objectsRemoved} fewer object${p.objectsRemoved !== 1 ? 's' : ''}`);
+      if (p.minified > 0) parts.push(`${p.minified} content stream${p.minified !== 1 ? 's' : ''} minified`);
+      if (p.operatorsRemoved > 0) parts.push(`${p.operatorsRemoved} redundant operator${p.operatorsRemoved !== 1 ? 's' : ''} removed`);
+      if (p.rounded > 0) parts.push(`${p.rounded} coordinate${p.rounded !== 1 ? 's' : ''} rounded`);
+      if (p.pagesSharingContent > 0) parts.push(`${p.pagesSharingContent} page${p.pagesSharingContent !== 1 ? 's' : ''} now share content`);
+    }
+  } else if (catLabel === 'Document Structure') {
+    for (const p of passes) {
+      if (p.pruned > 0) parts.push(`${p.pruned} unused resource${p.pruned !== 1 ? 's' : ''} pruned`);
+      if (p.sharedPages > 0) parts.push(`${p.sharedPages} page${p.sharedPages !== 1 ? 's' : ''} now share resources`);
+    }
   } else if (catLabel === 'Metadata') {
     for (const p of passes) {
       if (p.stripped > 0) parts.push(`${p.stripped} entr${p.stripped !== 1 ? 'ies' : 'y'} stripped`);
@@ -44,6 +62,42 @@ function buildAnnotation(catLabel, passes) {
   return `<div class="inspect-annotation">${parts.join(', ')}</div>`;
 }
 
+/**
+ * Content stream bytes before and after, per page, from passes that
+ * report them (coordinate rounding).
+ * @returns {Array<{ page: number, before: number, after: number }>}
+ */
+function pageStreamSizes(passes) {
+  const byPage = new Map();
+  for (const p of passes || []) {
+    for (const e of p.pages || []) {
+      if (e.before == null) continue;
+      const sizes = byPage.get(e.page) ?? { page: e.page, before: 0, after: 0 };
+      sizes.before += e.before;
+      sizes.after += e.after;
+      byPage.set(e.page, sizes);
+    }
+  }
+  return [...byPage.values()].sort((a, b) => a.page - b.page);
+}
+
+/** Build the per-page stream size rows shown under Page Content. */
+function buildPageSizeRows(passes) {
+  const pages = pageStreamSizes(passes);
+  if (pages.length === 0) return '';
+  const maxBefore = pages.reduce((m, e) => Math.max(m, e.before), 0);
+  const rows = pages.map((e) => {
+    const pct = maxBefore > 0 ? Math.round((e.after / maxBefore) * 100) : 0;
+    return `<div class="inspect-item">
+    <span class="inspect-item__desc">Page ${e.page}</span>
+    <span class="inspect-item__size">${formatSize(e.before)} \u2192 ${formatSize(e.after)} ${formatDiff(e.after - e.before)}</span>
+    <span class="inspect-item__bar"><span class="inspect-item__bar-fill" style="--item-pct: ${pct}%"></span></span>
+  </div>`;
+  });
+  const header = `<div class="inspect-subgroup__header">Rewritten streams by page \u2014 ${pages.length} page${pages.length !== 1 ? 's' : ''}</div>`;
+  return header + collapseItems(rows, 10);
+}
+
 /** Build a single item row (3-column: description | size | inline bar). */
 function buildItemRow(item, maxItemSize, afterItem, categoryLabel) {
   const ref = escapeHtml(item.ref);
@@ -56,7 +110,7 @@ function buildItemRow(item, maxItemSize, afterItem, categoryLabel) {
     const d = afterItem.size - item.size;
     if (d !== 0) diffBadge = ` ${formatDiff(d)}`;
   } else if (categoryLabel === 'Page Content') {
-    diffBadge = ' <span class="inspect-diff--removed" title="Content stream data no longer present as a separate object \u2014 likely merged with an identical stream">stream merged</span>';
+    diffBadge = ' <span class="inspect-diff--removed" title="Content stream data no longer present as a separate object \u2014 joined with the page\u2019s other streams, or merged with an identical one">stream merged</span>';
   } else {
     diffBadge = ' <span class="inspect-diff--removed">removed</span>';
   }
@@ -132,6 +186,7 @@ function buildCategoryRow(catBefore, catAfter, totalBeforeSize, passes) {
   }
 
   const annotation = buildAnnotation(catBefore.label, passes);
+  const pageSizes = catBefore.label === 'Page Content' ? buildPageSizeRows(passes) : '';
 
   return `<details class="inspect-category" open style="--cat-accent: ${info.color}; --pct: ${pct}%">
     <summary class="inspect-category__header">
@@ -143,6 +198,7 @@ function buildCategoryRow(catBefore, catAfter, totalBeforeSize, passes) {
     <div class="inspect-category__items">
       ${annotation}
       ${itemsHtml}
+      ${pageSizes}
     </div>
   </details>`;
 }
@@ -224,18 +280,38 @@ export function generateHtmlReport(stats, filename) {
   // Pass stats
   const passRows = passes.map(p => {
     const parts = [];
+    if (p.merged > 0) parts.push(`${p.joined} content streams joined on ${p.merged} page${p.merged !== 1 ? 's' : ''}`);
+    if (p.layersRemoved?.length > 0) parts.push(`hidden layer${p.layersRemoved.length !== 1 ? 's' : ''} removed: ${p.layersRemoved.join(', ')}`);
+    if (p.inlined > 0) parts.push(`${p.inlined} form XObject${p.inlined !== 1 ? 's' : ''} inlined (${p.objectsRemoved} fewer object${p.objectsRemoved !== 1 ? 's' : ''})`);
     if (p.recompressed > 0) parts.push(`${p.recompressed} stream${p.recompressed !== 1 ? 's' : ''} recompressed`);
+    if (p.minified > 0) parts.push(`${p.minified} content stream${p.minified !== 1 ? 's' : ''} minified`);
+    if (p.operatorsRemoved > 0) parts.push(`${p.operatorsRemoved} redundant operator${p.operatorsRemoved !== 1 ? 's' : ''} removed`);
+    if (p.rounded > 0) parts.push(`${p.rounded} coordinate${p.rounded !== 1 ? 's' : ''} rounded`);
+    if (p.pruned > 0) parts.push(`${p.pruned} unused resource${p.pruned !== 1 ? 's' : ''} pruned`);
+    if (p.indexed > 0) parts.push(`${p.indexed} image${p.indexed !== 1 ? 's' : ''} converted to indexed colour`);
+    if (p.reduced > 0) parts.push(`${p.reduced} 16-bit image${p.reduced !== 1 ? 's' : ''} reduced to 8-bit`);
+    if (p.grayscale > 0) parts.push(`${p.grayscale} RGB image${p.grayscale !== 1 ? 's' : ''} converted to grayscale`);
+    if (p.predicted > 0) parts.push(`${p.predicted} image${p.predicted !== 1 ? 's' : ''} deflated with row prediction`);
     if (p.converted > 0) parts.push(`${p.converted} image${p.converted !== 1 ? 's' : ''} recompressed`);
     if (p.downsampled > 0) parts.push(`${p.downsampled} image${p.downsampled !== 1 ? 's' : ''} downsampled`);
     if (p.unembedded > 0) parts.push(`${p.unembedded} font${p.unembedded !== 1 ? 's' : ''} unembedded`);
     if (p.subsetted > 0) parts.push(`${p.subsetted} font${p.subsetted !== 1 ? 's' : ''} subsetted`);
     if (p.deduplicated > 0) parts.push(`${p.deduplicated} duplicate${p.deduplicated !== 1 ? 's' : ''} merged`);
+    if (p.pagesSharingContent > 0) parts.push(`${p.pagesSharingContent} page${p.pagesSharingContent !== 1 ? 's' : ''} now share content`);
+    if (p.sharedPages > 0) parts.push(`${p.sharedPages} page${p.sharedPages !== 1 ? 's' : ''} now share ${p.sharedDicts} resource dictionar${p.sharedDicts !== 1 ? 'ies' : 'y'}`);
     if (p.stripped > 0) parts.push(`${p.stripped} metadata entr${p.stripped !== 1 ? 'ies' : 'y'} stripped`);
     if (p.removed > 0) parts.push(`${p.removed} unreferenced object${p.removed !== 1 ? 's' : ''} removed`);
     if (parts.length === 0) return '';
     return `<tr><td>${esc(p.name)}</td><td>${parts.join(', ')}</td></tr>`;
   }).filter(Boolean).join('');
 
+  // Content stream sizes per page
+  const pageSizeRows = pageStreamSizes(passes).map((e) => {
+    const d = e.after - e.before;
+    const diffStr = d === 0 ? '\u2014' : (d < 0 ? `\u2212${formatSize(Math.abs(d))}` : `+${formatSize(d)}`);
+    return `<tr><td>Page ${e.page}</td><td>${formatSize(e.before)}</td><td>${formatSize(e.after)}</td><td>${diffStr}</td></tr>`;
+  }).join('');
+
   // Accessibility traits
   const a11yRows = [];
   if (traits.isTagged != null) a11yRows.push(`<tr><td>Tagged PDF</td><td>${traits.isTagged ? 'Yes' : 'No'}</td></tr>`);
@@ -284,6 +360,8 @@ ${infoRows.length > 0 ? `<h2>Document Info</h2><table>${infoRows.join('')}</tabl
   </tbody>
 </table>
 
+${pageSizeRows ? `<h2>Rewritten Content Streams by Page</h2><table><thead><tr><th>Page</th><th>Before</th><th>After</th><th>Saved</th></tr></thead><tbody>${pageSizeRows}</tbody></table>` : ''}
+
 ${passRows ? `<h2>Optimization Passes</h2><table><thead><tr><th>Pass</th><th>Result</th></tr></thead><tbody>${passRows}</tbody></table>` : ''}
 
 ${a11yRows.length > 0 ? `<h2>Accessibility Traits</h2><table>${a11yRows.join('')}</table>` : ''}
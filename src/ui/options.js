@@ -1,19 +1,13 @@
+import { PRESETS } from './presets.js';
+
 // --- Presets ---
-export const PRESETS = {
-  lossless:       { lossy: false, imageQuality: 0.85, unembedStandardFonts: true, subsetFonts: false },
-  web:            { lossy: true,  imageQuality: 0.75, unembedStandardFonts: true, subsetFonts: false, maxImageDpi: 150 },
-  print:          { lossy: true,  imageQuality: 0.92, unembedStandardFonts: true, subsetFonts: false, maxImageDpi: 300 },
-  // "Max Compress" — maximum size reduction, NOT suitable for AI/OCR pipelines.
-  // 72 DPI makes text <16pt unreadable to vision models; 50% JPEG drops OCR accuracy.
-  // For AI ingestion, use the "web" preset (75% quality, 150 DPI) instead.
-  supercompress:  { lossy: true,  imageQuality: 0.50, unembedStandardFonts: true, subsetFonts: false, maxImageDpi: 72 },
-};
+export { PRESETS };
 
 const PRESET_HINTS = {
   lossless:       'No quality loss \u2014 recompress, deduplicate, clean up',
-  web:            'Lossy JPEG at 75% quality, 150 DPI cap \u2014 best for screens',
-  print:          'Lossy JPEG at 92% quality, 300 DPI cap \u2014 best for print',
-  supercompress:  'Maximum compression \u2014 50% quality, 72 DPI \u2014 smallest file size',
+  web:            'Lossy JPEG at 75% quality, 150 DPI cap, vectors rounded for 150 DPI \u2014 best for screens',
+  print:          'Lossy JPEG at 92% quality, 300 DPI cap, vectors rounded for 300 DPI \u2014 best for print',
+  supercompress:  'Lossy JPEG at 50% quality, 72 DPI cap, vectors rounded for 72 DPI \u2014 smallest file size',
   custom:         'Custom settings',
 };
 
@@ -25,8 +19,16 @@ const qualitySlider = document.getElementById('quality-slider');
 const qualityValue = document.getElementById('quality-value');
 const dpiRow = document.querySelector('.control-row--dpi');
 const dpiInput = document.getElementById('max-dpi');
+const vectorDpiRow = document.querySelector('.control-row--vector-dpi');
+const vectorDpiInput = document.getElementById('vector-dpi');
 const unembedCheckbox = document.getElementById('unembed-fonts');
 const subsetCheckbox = document.getElementById('subset-fonts');
+const hiddenLayersCheckbox = document.getElementById('remove-hidden-layers');
+const reduceBitDepthCheckbox = document.getElementById('reduce-bit-depth');
+const linearizeCheckbox = document.getElementById('linearize');
+const removeEncryptionCheckbox = document.getElementById('remove-encryption');
+const keepSignaturesCheckbox = document.getElementById('keep-signatures');
+const targetSizeInput = document.getElementById('target-size');
 const presetHint = document.getElementById('preset-hint');
 
 export function applyPreset(name) {
@@ -49,6 +51,9 @@ export function applyPreset(name) {
   dpiRow.hidden = !p.lossy;
   dpiInput.value = p.maxImageDpi || '';
 
+  vectorDpiRow.hidden = !p.lossy;
+  vectorDpiInput.value = p.vectorDpi || '';
+
   unembedCheckbox.checked = p.unembedStandardFonts;
   subsetCheckbox.checked = p.subsetFonts;
 
@@ -62,7 +67,8 @@ export function syncPresetIndicator() {
         current.unembedStandardFonts === p.unembedStandardFonts &&
         current.subsetFonts === p.subsetFonts &&
         (!current.lossy || (current.imageQuality === p.imageQuality &&
-                            current.maxImageDpi === p.maxImageDpi))) {
+                            current.maxImageDpi === p.maxImageDpi &&
+                            current.vectorDpi === p.vectorDpi))) {
       presetBtns.forEach((btn) => {
         btn.classList.toggle('tab-control__tab--active', btn.dataset.preset === name);
         btn.setAttribute('aria-selected', btn.dataset.preset === name ? 'true' : 'false');
@@ -93,7 +99,8 @@ export function getCurrentPresetLabel() {
         current.unembedStandardFonts === p.unembedStandardFonts &&
         current.subsetFonts === p.subsetFonts &&
         (!current.lossy || (current.imageQuality === p.imageQuality &&
-                            current.maxImageDpi === p.maxImageDpi))) {
+                            current.maxImageDpi === p.maxImageDpi &&
+                            current.vectorDpi === p.vectorDpi))) {
       return PRESET_LABELS[name] || name.charAt(0).toUpperCase() + name.slice(1);
     }
   }
@@ -103,12 +110,21 @@ export function getCurrentPresetLabel() {
 export function collectOptions() {
   const lossy = document.querySelector('.mode-btn--active')?.dataset.mode === 'lossy';
   const dpiVal = parseInt(dpiInput.value, 10);
+  const vectorDpiVal = parseInt(vectorDpiInput.value, 10);
+  const targetMb = parseFloat(targetSizeInput.value);
   return {
     lossy,
     imageQuality: lossy ? parseInt(qualitySlider.value, 10) / 100 : undefined,
     maxImageDpi: lossy && dpiVal > 0 ? dpiVal : undefined,
+    vectorDpi: lossy && vectorDpiVal > 0 ? vectorDpiVal : undefined,
     unembedStandardFonts: unembedCheckbox.checked,
     subsetFonts: subsetCheckbox.checked,
+    removeHiddenLayers: hiddenLayersCheckbox.checked,
+    reduceBitDepth: reduceBitDepthCheckbox.checked,
+    linearize: linearizeCheckbox.checked,
+    removeEncryption: removeEncryptionCheckbox.checked,
+    signedPdfs: keepSignaturesCheckbox.checked ? 'incremental' : 'refuse',
+    targetSize: targetMb > 0 ? Math.floor(targetMb * 1024 * 1024) : undefined,
     debug: true,
   };
 }
@@ -129,6 +145,7 @@ export function initOptionsListeners({ onOptionsChanged }) {
       const isLossy = btn.dataset.mode === 'lossy';
       qualityRow.hidden = !isLossy;
       dpiRow.hidden = !isLossy;
+      vectorDpiRow.hidden = !isLossy;
       syncPresetIndicator();
     });
   });
@@ -139,6 +156,7 @@ export function initOptionsListeners({ onOptionsChanged }) {
   });
 
   dpiInput.addEventListener('input', syncPresetIndicator);
+  vectorDpiInput.addEventListener('input', syncPresetIndicator);
   unembedCheckbox.addEventListener('change', syncPresetIndicator);
   subsetCheckbox.addEventListener('change', syncPresetIndicator);
 
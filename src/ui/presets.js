@@ -0,0 +1,15 @@
+/**
+ * Optimization presets.
+ *
+ * Kept free of DOM access so the same presets can be shared by the
+ * browser options panel and the Node CLI.
+ */
+export const PRESETS = {
+  lossless:       { lossy: false, imageQuality: 0.85, unembedStandardFonts: true, subsetFonts: false },
+  web:            { lossy: true,  imageQuality: 0.75, unembedStandardFonts: true, subsetFonts: false, maxImageDpi: 150, vectorDpi: 150 },
+  print:          { lossy: true,  imageQuality: 0.92, unembedStandardFonts: true, subsetFonts: false, maxImageDpi: 300, vectorDpi: 300 },
+  // "Max Compress" — maximum size reduction, NOT suitable for AI/OCR pipelines.
+  // 72 DPI makes text <16pt unreadable to vision models; 50% JPEG drops OCR accuracy.
+  // For AI ingestion, use the "web" preset (75% quality, 150 DPI) instead.
+  supercompress:  { lossy: true,  imageQuality: 0.50, unembedStandardFonts: true, subsetFonts: false, maxImageDpi: 72, vectorDpi: 72 },
+};
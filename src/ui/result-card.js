@@ -1,5 +1,5 @@
 import { formatSize, escapeHtml, buildDownloadName } from './helpers.js';
-import { buildStatsDetail } from './stats.js';
+import { buildStatsDetail, formatSignatures } from './stats.js';
 import { buildInspectPanel, initInspectorInteractions, generateHtmlReport } from './inspector.js';
 import { applyPreset } from './options.js';
 
@@ -120,6 +120,14 @@ export function buildSingleFileCard(result, blob, blobUrl, options, animateCount
 
   card.appendChild(heroEl);
 
+  // Signed input: say whether the signatures survived
+  if (result.stats?.signatures) {
+    const statusEl = document.createElement('div');
+    statusEl.className = 'result-card__signature';
+    statusEl.textContent = formatSignatures(result.stats.signatures);
+    card.appendChild(statusEl);
+  }
+
   // Hint banner
   const hintBanner = buildHintBanner(result, saved, options, onStaleCheck);
   if (hintBanner) card.appendChild(hintBanner);
@@ -215,6 +223,13 @@ export function buildFileCard(result, blob, blobUrl, options, onStaleCheck) {
   nameEl.className = 'result-table__cell result-table__cell--name';
   nameEl.textContent = result.name;
   nameEl.title = result.name;
+  if (result.stats?.signatures) {
+    const badge = document.createElement('span');
+    badge.className = 'result-table__badge';
+    badge.textContent = 'Signed';
+    badge.title = formatSignatures(result.stats.signatures);
+    nameEl.prepend(badge);
+  }
   dataRow.appendChild(nameEl);
 
   const origEl = document.createElement('span');
@@ -318,6 +333,7 @@ function buildMetaHeader(stats) {
   if (modified) rows.push(row('Modified', modified));
   if (traits.pdfALevel) rows.push(row('PDF/A', traits.pdfALevel));
   rows.push(row('Tagged', traits.isTagged ? 'Yes' : 'No'));
+  if (stats.linearized) rows.push(row('Fast Web View', 'Yes'));
   return `<div class="inspector-meta">${rows.join('')}</div>`;
 }
 
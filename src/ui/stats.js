@@ -4,10 +4,33 @@ export function formatPassStats(passStats) {
   if (!passStats) return '';
   const { name, error, ...rest } = passStats;
   if (error) return `${name}: error`;
+  if (rest.rolledBack) return `${name}: reverted (broke page content)`;
 
   const parts = [];
+  if (rest.merged != null && rest.merged > 0)
+    parts.push(`${rest.joined} content streams joined on ${rest.merged} page${rest.merged !== 1 ? 's' : ''}`);
+  if (rest.layersRemoved?.length > 0)
+    parts.push(`${rest.layersRemoved.length} hidden layer${rest.layersRemoved.length !== 1 ? 's' : ''} removed (${rest.layersRemoved.join(', ')})`);
+  if (rest.inlined != null && rest.inlined > 0)
+    parts.push(`${rest.inlined} form${rest.inlined !== 1 ? 's' : ''} inlined (${rest.objectsRemoved} fewer object${rest.objectsRemoved !== 1 ? 's' : ''})`);
   if (rest.recompressed != null && rest.recompressed > 0)
     parts.push(`${rest.recompressed} stream${rest.recompressed !== 1 ? 's' : ''} recompressed`);
+  if (rest.minified != null && rest.minified > 0)
+    parts.push(`${rest.minified} content stream${rest.minified !== 1 ? 's' : ''} minified (${formatSize(rest.savedBytes)} saved)`);
+  if (rest.operatorsRemoved != null && rest.operatorsRemoved > 0)
+    parts.push(`${rest.operatorsRemoved} redundant operator${rest.operatorsRemoved !== 1 ? 's' : ''} removed`);
+  if (rest.pruned != null && rest.pruned > 0)
+    parts.push(`${rest.pruned} unused resource${rest.pruned !== 1 ? 's' : ''} pruned`);
+  if (rest.rounded != null && rest.rounded > 0)
+    parts.push(`${rest.rounded} coordinate${rest.rounded !== 1 ? 's' : ''} rounded (${formatSize(rest.savedBytes)} saved)`);
+  if (rest.indexed != null && rest.indexed > 0)
+    parts.push(`${rest.indexed} image${rest.indexed !== 1 ? 's' : ''} converted to indexed colour`);
+  if (rest.reduced != null && rest.reduced > 0)
+    parts.push(`${rest.reduced} 16-bit image${rest.reduced !== 1 ? 's' : ''} reduced to 8-bit`);
+  if (rest.predicted != null && rest.predicted > 0)
+    parts.push(`${rest.predicted} image${rest.predicted !== 1 ? 's' : ''} deflated with row prediction`);
+  if (rest.grayscale != null && rest.grayscale > 0)
+    parts.push(`${rest.grayscale} RGB image${rest.grayscale !== 1 ? 's' : ''} converted to grayscale`);
   if (rest.converted != null && rest.converted > 0)
     parts.push(`${rest.converted} image${rest.converted !== 1 ? 's' : ''} recompressed`);
   if (rest.downsampled != null && rest.downsampled > 0)
@@ -18,6 +41,10 @@ export function formatPassStats(passStats) {
     parts.push(`${rest.subsetted} font${rest.subsetted !== 1 ? 's' : ''} subsetted`);
   if (rest.deduplicated != null && rest.deduplicated > 0)
     parts.push(`${rest.deduplicated} duplicate${rest.deduplicated !== 1 ? 's' : ''} removed`);
+  if (rest.pagesSharingContent != null && rest.pagesSharingContent > 0)
+    parts.push(`${rest.pagesSharingContent} page${rest.pagesSharingContent !== 1 ? 's' : ''} now share content`);
+  if (rest.sharedPages != null && rest.sharedPages > 0)
+    parts.push(`${rest.sharedPages} page${rest.sharedPages !== 1 ? 's' : ''} now share ${rest.sharedDicts} resource dictionar${rest.sharedDicts !== 1 ? 'ies' : 'y'}`);
   if (rest.stripped != null && rest.stripped > 0)
     parts.push(`${rest.stripped} metadata entr${rest.stripped !== 1 ? 'ies' : 'y'} stripped`);
   if (rest.removed != null && rest.removed > 0)
@@ -26,6 +53,36 @@ export function formatPassStats(passStats) {
   return parts.length > 0 ? parts.join(', ') : null;
 }
 
+/** One-line summary of a targetSize search (stats.targetSize). */
+export function formatTargetSize(targetSize) {
+  const { target, met, lossy, imageQuality, maxImageDpi, attempts } = targetSize;
+  let settings = '';
+  if (attempts.length > 0) {
+    settings = lossy
+      ? ` at ${Math.round(imageQuality * 100)}% quality${maxImageDpi ? `, ${maxImageDpi} DPI` : ''}`
+      : ' without lossy images';
+    settings += ` (${attempts.length} attempt${attempts.length !== 1 ? 's' : ''})`;
+  }
+  return met
+    ? `Target size ${formatSize(target)}: met${settings}`
+    : `Target size ${formatSize(target)}: not met${settings && ` — smallest result${settings}`}`;
+}
+
+/** One-line summary of what happened to an encrypted input's protection (stats.encryption). */
+export function formatEncryption(encryption) {
+  return encryption.removed
+    ? `${encryption.algorithm} encryption removed`
+    : `${encryption.algorithm} encryption kept (same passwords and permissions)`;
+}
+
+/** One-line summary of how a signed input's signatures were kept (stats.signatures). */
+export function formatSignatures(signatures) {
+  const count = `${signatures.count} signature${signatures.count !== 1 ? 's' : ''}`;
+  const { rewrittenObjects: n } = signatures;
+  if (n === 0) return `Signed (${count}): file kept as signed, signatures still valid`;
+  return `Signed (${count}): signatures still valid; ${n} object${n !== 1 ? 's' : ''} added after signing optimized as an incremental update`;
+}
+
 export function buildStatsDetail(stats) {
   if (!stats?.passes) return null;
   const items = stats.passes
@@ -39,16 +96,33 @@ export function buildStatsDetail(stats) {
   if (stats.sizeGuard) {
     items.push('<li class="pass-stats__item">Size guard: kept original (optimized was larger)</li>');
   }
+  if (stats.targetSize) {
+    items.push(`<li class="pass-stats__item">${formatTargetSize(stats.targetSize)}</li>`);
+  }
+  if (stats.encryption) {
+    items.push(`<li class="pass-stats__item">${formatEncryption(stats.encryption)}</li>`);
+  }
+  if (stats.signatures) {
+    items.push(`<li class="pass-stats__item">${formatSignatures(stats.signatures)}</li>`);
+  }
   return `<ul class="pass-stats__list">${items.join('')}</ul>`;
 }
 
+/** Short reason a pass was skipped, by its `gated` value. */
+const GATE_LABELS = {
+  pdfa: 'PDF/A',
+  signed: 'signed PDF: incremental update',
+  lossy: 'lossless',
+};
+
 export function buildDebugPanel(stats) {
   if (!stats?.passes) return null;
 
   const timingRows = stats.passes.map((p) => {
     const ms = p._ms != null ? `${p._ms} ms` : '\u2014';
     const err = p.error ? ` <span style="color:var(--color-error)">(error)</span>` : '';
-    return `<tr><td>${escapeHtml(p.name)}</td><td style="text-align:right">${ms}${err}</td></tr>`;
+    const gated = p.gated ? ` (skipped: ${GATE_LABELS[p.gated] ?? p.gated})` : '';
+    return `<tr><td>${escapeHtml(p.name)}</td><td style="text-align:right">${ms}${err}${gated}</td></tr>`;
   }).join('');
 
   const totalMs = stats.passes.reduce((s, p) => s + (p._ms || 0), 0);
@@ -92,7 +166,20 @@ export function buildDebugPanel(stats) {
     }
   }
 
-  const imagesPass = stats.passes.find((p) => p._debug);
+  // Bytes each page's content lost to minification
+  const minifyPass = stats.passes.find((p) => p.minified != null && p.pages?.length > 0);
+  if (minifyPass) {
+    const pageRows = minifyPass.pages.map((e) =>
+      `<tr><td>Page ${e.page}</td><td style="text-align:right">${formatSize(e.savedBytes)}</td></tr>`
+    ).join('');
+    html += `<h4 style="margin-top:0.75rem">Content saved per page</h4>
+      <table class="debug-table">
+        <thead><tr><th>Page</th><th style="text-align:right">Saved</th></tr></thead>
+        <tbody>${pageRows}</tbody>
+      </table>`;
+  }
+
+  const imagesPass = stats.passes.find((p) => p._debug && p.skipReasons);
   if (imagesPass) {
     const { skipReasons, _debug } = imagesPass;
 
@@ -113,7 +200,8 @@ export function buildDebugPanel(stats) {
       const convRows = converted.map((e) => {
         const saved = e.beforeSize - e.afterSize;
         const pct = e.beforeSize > 0 ? ((saved / e.beforeSize) * 100).toFixed(1) : '0';
-        const ds = e.didDownsample ? ' (downsampled)' : '';
+        const notes = [e.source, e.grayAs && `to ${e.grayAs}`, e.didDownsample && 'downsampled'].filter(Boolean);
+        const ds = notes.length > 0 ? ` (${escapeHtml(notes.join(', '))})` : '';
         return `<tr>
           <td title="${escapeHtml(e.ref)}">${escapeHtml(e.ref)}</td>
           <td style="text-align:right">${formatSize(e.beforeSize)}</td>
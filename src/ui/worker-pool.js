@@ -0,0 +1,170 @@
+/**
+ * Pool of long-lived optimization workers.
+ *
+ * Workers are created lazily up to `size` and kept alive between jobs, so
+ * each one loads the harfbuzz WASM instance once. Jobs wait in a priority
+ * queue (higher first, FIFO among equals) and each worker runs one job at a
+ * time — queueing in the pool rather than in the workers keeps the ordering
+ * decision here, where it can still change.
+ *
+ * Speaks the worker.js message protocol. Kept free of DOM access: workers
+ * come from the `createWorker` factory, which tests can replace.
+ */
+
+/**
+ * @typedef {object} PoolJobOptions
+ * @property {number} [priority=0] - Higher runs sooner
+ * @property {(progress: number, pass: string) => void} [onProgress]
+ * @property {AbortSignal} [signal] - Cancels the job, queued or running
+ */
+
+/**
+ * Create a worker pool.
+ *
+ * @param {{ size: number, createWorker: () => Worker }} config
+ */
+export function createWorkerPool({ size, createWorker }) {
+  const maxWorkers = Math.max(1, Math.floor(size) || 1);
+  const idle = [];
+  const busy = new Map(); // worker → job
+  const queue = [];
+  let workerCount = 0;
+  let nextJobId = 1;
+
+  const cancelledError = () => new Error('Cancelled');
+
+  function spawn() {
+    const worker = createWorker();
+    workerCount++;
+    worker.onmessage = (e) => handleMessage(worker, e.data);
+    worker.onerror = (err) => {
+      // A crashed worker takes its job with it; a fresh one is spawned on demand
+      const job = busy.get(worker);
+      busy.delete(worker);
+      const i = idle.indexOf(worker);
+      if (i >= 0) idle.splice(i, 1);
+      workerCount--;
+      worker.terminate();
+      if (job) settle(job, () => job.reject(err));
+      dispatch();
+    };
+    return worker;
+  }
+
+  function handleMessage(worker, data) {
+    const job = busy.get(worker);
+    if (!job || data.id !== job.id) return;
+    if (data.type === 'progress') {
+      job.onProgress?.(data.progress, data.pass);
+      return;
+    }
+    release(worker);
+    if (data.type === 'result') settle(job, () => job.resolve({ result: data.result, stats: data.stats }));
+    else if (data.type === 'cancelled') settle(job, () => job.reject(cancelledError()));
+    else settle(job, () => job.reject(Object.assign(new Error(data.error), data.code && { code: data.code })));
+  }
+
+  function settle(job, fn) {
+    job.signal?.removeEventListener('abort', job.onAbort);
+    fn();
+  }
+
+  function release(worker) {
+    busy.delete(worker);
+    idle.push(worker);
+    dispatch();
+  }
+
+  function dispatch() {
+    while (queue.length > 0 && (idle.length > 0 || workerCount < maxWorkers)) {
+      const job = queue.shift();
+      const worker = idle.pop() ?? spawn();
+      busy.set(worker, job);
+      start(worker, job);
+    }
+  }
+
+  async function start(worker, job) {
+    let buffer;
+    try {
+      // Blobs (Files) are read only when a worker is free, so a large batch
+      // isn't held in memory all at once
+      buffer = job.input instanceof ArrayBuffer ? job.input : await job.input.arrayBuffer();
+    } catch (err) {
+      release(worker);
+      settle(job, () => job.reject(err));
+      return;
+    }
+    if (job.cancelled) {
+      release(worker);
+      settle(job, () => job.reject(cancelledError()));
+      return;
+    }
+    job.started = true;
+    worker.postMessage({ type: 'optimize', id: job.id, buffer, options: job.options }, [buffer]);
+  }
+
+  function cancel(job) {
+    if (job.cancelled) return;
+    job.cancelled = true;
+    const queued = queue.indexOf(job);
+    if (queued !== -1) {
+      queue.splice(queued, 1);
+      settle(job, () => job.reject(cancelledError()));
+      return;
+    }
+    // Still reading its input: start() rejects it. Running: the worker answers 'cancelled'.
+    if (job.started) {
+      for (const [worker, running] of busy) {
+        if (running === job) worker.postMessage({ type: 'cancel', id: job.id });
+      }
+    }
+  }
+
+  return {
+    /** Upper bound on live workers. */
+    size: maxWorkers,
+
+    /**
+     * Optimize a PDF in the pool.
+     * @param {ArrayBuffer|Blob} input - ArrayBuffers are transferred (detached)
+     * @param {object} options - optimize() options (must be structured-cloneable)
+     * @param {PoolJobOptions} [jobOptions]
+     * @returns {Promise<{ result: ArrayBuffer, stats: object }>} Rejects with the
+     *   engine's error; `err.code` is kept (e.g. PASSWORD_REQUIRED)
+     */
+    run(input, options, { priority = 0, onProgress, signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(cancelledError());
+          return;
+        }
+        const job = { id: nextJobId++, input, options, priority, onProgress, signal, resolve, reject };
+        if (signal) {
+          job.onAbort = () => cancel(job);
+          signal.addEventListener('abort', job.onAbort, { once: true });
+        }
+        let at = queue.findIndex((queued) => queued.priority < priority);
+        if (at === -1) at = queue.length;
+        queue.splice(at, 0, job);
+        dispatch();
+      });
+    },
+
+    /** Jobs waiting for a worker and jobs running. */
+    get pending() {
+      return { queued: queue.length, running: busy.size };
+    },
+
+    /** Terminate every worker and reject all outstanding jobs. */
+    destroy() {
+      const jobs = [...queue, ...busy.values()];
+      queue.length = 0;
+      for (const worker of [...idle, ...busy.keys()]) worker.terminate();
+      idle.length = 0;
+      busy.clear();
+      workerCount = 0;
+      for (const job of jobs) settle(job, () => job.reject(cancelledError()));
+    },
+  };
+}
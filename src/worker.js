@@ -1,26 +1,51 @@
 /**
  * Web Worker for off-main-thread PDF optimization.
  *
+ * The worker is long-lived: jobs run one at a time in arrival order, so the
+ * harfbuzz WASM instance loaded by the first job is reused by the next.
+ *
  * Message protocol:
- *   Inbound:  { type: 'optimize', buffer: ArrayBuffer, options: object }
- *   Outbound: { type: 'progress', progress: number, pass: string }
- *           | { type: 'result', result: ArrayBuffer, stats: object }
- *           | { type: 'error', error: string }
+ *   Inbound:  { type: 'optimize', id: number, buffer: ArrayBuffer, options: object }
+ *           | { type: 'cancel', id?: number }   — omit id to cancel every job
+ *   Outbound: { type: 'progress', id, progress: number, pass: string }
+ *           | { type: 'result', id, result: ArrayBuffer, stats: object }
+ *           | { type: 'error', id, error: string, code?: string }  — code: see engine/encryption.js
+ *           | { type: 'cancelled', id }
  */
 import { optimize } from './engine/pipeline.js';
 
-self.onmessage = async (e) => {
-  const { type, buffer, options } = e.data;
-
-  if (type !== 'optimize') return;
+/** AbortControllers for jobs that are queued or running, by job id. */
+const controllers = new Map();
+let queue = Promise.resolve();
 
+async function runJob({ id, buffer, options }) {
+  const controller = controllers.get(id);
   try {
     const input = new Uint8Array(buffer);
-    const { output, stats } = await optimize(input, options || {}, (progress, pass) => {
-      self.postMessage({ type: 'progress', progress, pass });
+    const { output, stats } = await optimize(input, { ...options, signal: controller.signal }, (progress, pass) => {
+      self.postMessage({ type: 'progress', id, progress, pass });
     });
-    self.postMessage({ type: 'result', result: output.buffer, stats }, [output.buffer]);
+    self.postMessage({ type: 'result', id, result: output.buffer, stats }, [output.buffer]);
   } catch (err) {
-    self.postMessage({ type: 'error', error: err.message });
+    if (controller.signal.aborted) {
+      self.postMessage({ type: 'cancelled', id });
+    } else {
+      self.postMessage({ type: 'error', id, error: err.message, code: err.code });
+    }
+  } finally {
+    controllers.delete(id);
+  }
+}
+
+self.onmessage = (e) => {
+  const { type, id } = e.data;
+
+  if (type === 'optimize') {
+    controllers.set(id, new AbortController());
+    queue = queue.then(() => runJob(e.data));
+  } else if (type === 'cancel') {
+    for (const [jobId, controller] of controllers) {
+      if (id == null || jobId === id) controller.abort();
+    }
   }
 };
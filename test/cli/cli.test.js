@@ -0,0 +1,256 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, writeFile, readFile, rm, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PDFDocument } from 'pdf-lib';
+import { parseCliArgs, UsageError } from '../../src/cli/args.js';
+import { expandInputs, globToRegExp, resolveOutputPath } from '../../src/cli/files.js';
+import { main, EXIT_CODES, exitCodeFor, combineExitCodes } from '../../src/cli/index.js';
+import { PRESETS } from '../../src/ui/presets.js';
+import { createSimplePdf, createEncryptedPdf, createSignedPdf } from '../fixtures/create-test-pdfs.js';
+
+/** Collects writes so tests can assert on CLI output. */
+function sink() {
+  let text = '';
+  return { write: (s) => { text += s; }, get text() { return text; } };
+}
+
+describe('parseCliArgs', () => {
+  it('defaults to the lossless preset', () => {
+    const { options, outputDir } = parseCliArgs(['-o', 'out', 'a.pdf']);
+    expect(outputDir).toBe('out');
+    expect(options).toEqual(PRESETS.lossless);
+  });
+
+  it('seeds options from a preset', () => {
+    const { options } = parseCliArgs(['--preset', 'web', '-o', 'out', 'a.pdf']);
+    expect(options.lossy).toBe(true);
+    expect(options.imageQuality).toBe(0.75);
+    expect(options.maxImageDpi).toBe(150);
+  });
+
+  it('lets individual flags override the preset', () => {
+    const { options } = parseCliArgs([
+      '-p', 'print', '--quality', '60', '--max-dpi', '200', '--subset-fonts', '--no-unembed-fonts',
+      '--in-place', 'a.pdf',
+    ]);
+    expect(options.imageQuality).toBe(0.6);
+    expect(options.maxImageDpi).toBe(200);
+    expect(options.subsetFonts).toBe(true);
+    expect(options.unembedStandardFonts).toBe(false);
+  });
+
+  it('reads quality as a percentage, refusing fractions', async () => {
+    const { options } = parseCliArgs(['--lossy', '--quality', '1', '-o', 'out', 'a.pdf']);
+    expect(options.lossy).toBe(true);
+    expect(options.imageQuality).toBe(0.01);
+
+    expect(() => parseCliArgs(['--quality', '0.4', '-o', 'out', 'a.pdf'])).toThrow(/whole number from 1 to 100/);
+    const stderr = sink();
+    expect(await main(['--quality', '0.5', '-o', 'out', 'a.pdf'], { stdout: sink(), stderr })).toBe(EXIT_CODES.USAGE);
+    expect(stderr.text).toContain('--quality must be a whole number from 1 to 100, got "0.5"');
+  });
+
+  it('--lossless drops the preset DPI cap', () => {
+    const { options } = parseCliArgs(['-p', 'web', '--lossless', '-o', 'out', 'a.pdf']);
+    expect(options.lossy).toBe(false);
+    expect(options.maxImageDpi).toBeUndefined();
+    expect(options.vectorDpi).toBeUndefined();
+  });
+
+  it('parses --vector-dpi', () => {
+    expect(parseCliArgs(['-p', 'print', '-o', 'out', 'a.pdf']).options.vectorDpi).toBe(300);
+    expect(parseCliArgs(['--lossy', '--vector-dpi', '600', '-o', 'out', 'a.pdf']).options.vectorDpi).toBe(600);
+    expect(() => parseCliArgs(['--vector-dpi', 'fine', '-o', 'out', 'a.pdf'])).toThrow(UsageError);
+  });
+
+  it('keeps hidden layers unless --remove-hidden-layers is given', () => {
+    expect(parseCliArgs(['-o', 'out', 'a.pdf']).options.removeHiddenLayers).toBeUndefined();
+    expect(parseCliArgs(['--remove-hidden-layers', '-o', 'out', 'a.pdf']).options.removeHiddenLayers).toBe(true);
+  });
+
+  it('keeps 16-bit images unless --reduce-bit-depth is given', () => {
+    expect(parseCliArgs(['-o', 'out', 'a.pdf']).options.reduceBitDepth).toBeUndefined();
+    expect(parseCliArgs(['--reduce-bit-depth', '-o', 'out', 'a.pdf']).options.reduceBitDepth).toBe(true);
+  });
+
+  it('parses --target-size with binary units and its floors', () => {
+    expect(parseCliArgs(['--target-size', '10MB', '-o', 'out', 'a.pdf']).options.targetSize).toBe(10 * 1024 * 1024);
+    expect(parseCliArgs(['--target-size', '1.5k', '-o', 'out', 'a.pdf']).options.targetSize).toBe(1536);
+    const { options } = parseCliArgs(['--target-size', '500000', '--min-quality', '40', '--min-dpi', '96', '-o', 'out', 'a.pdf']);
+    expect(options).toMatchObject({ targetSize: 500000, minImageQuality: 0.4, minImageDpi: 96 });
+
+    expect(() => parseCliArgs(['--target-size', '10 parsecs', '-o', 'out', 'a.pdf'])).toThrow(/--target-size/);
+    expect(() => parseCliArgs(['--min-quality', '40', '-o', 'out', 'a.pdf'])).toThrow(/only apply to --target-size/);
+  });
+
+  it('rejects invalid combinations', () => {
+    expect(() => parseCliArgs(['a.pdf'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['-o', 'out', '--in-place', 'a.pdf'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['-o', 'out'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['-p', 'nope', '-o', 'out', 'a.pdf'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['--quality', '0', '-o', 'out', 'a.pdf'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['--subset-fonts', '--no-subset-fonts', '-o', 'out', 'a.pdf'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['--bogus', '-o', 'out', 'a.pdf'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['--signed-pdfs', 'ignore', '-o', 'out', 'a.pdf'])).toThrow(/--signed-pdfs/);
+  });
+});
+
+describe('globToRegExp', () => {
+  it('matches within a single segment for *', () => {
+    const re = globToRegExp('*.pdf');
+    expect(re.test('a.pdf')).toBe(true);
+    expect(re.test('sub/a.pdf')).toBe(false);
+  });
+
+  it('matches across segments for **', () => {
+    const re = globToRegExp('**/*.pdf');
+    expect(re.test('a.pdf')).toBe(true);
+    expect(re.test('x/y/a.pdf')).toBe(true);
+  });
+
+  it('supports ? and {a,b}', () => {
+    const re = globToRegExp('report-?.{pdf,PDF}');
+    expect(re.test('report-1.pdf')).toBe(true);
+    expect(re.test('report-2.PDF')).toBe(true);
+    expect(re.test('report-10.pdf')).toBe(false);
+  });
+});
+
+describe('CLI file handling', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'pdf-a-go-slim-cli-'));
+    const bytes = await (await createSimplePdf()).save({ useObjectStreams: false });
+    await mkdir(join(dir, 'in', 'sub'), { recursive: true });
+    await writeFile(join(dir, 'in', 'a.pdf'), bytes);
+    await writeFile(join(dir, 'in', 'sub', 'b.pdf'), bytes);
+    await writeFile(join(dir, 'in', 'notes.txt'), 'not a pdf');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('expands directories recursively to PDF files only', async () => {
+    const { files, unmatched } = await expandInputs([join(dir, 'in')]);
+    expect(files.map((f) => f.path.slice(dir.length))).toEqual([
+      join('/in', 'a.pdf'),
+      join('/in', 'sub', 'b.pdf'),
+    ]);
+    expect(unmatched).toEqual([]);
+  });
+
+  it('expands glob patterns and reports unmatched inputs', async () => {
+    const { files, unmatched } = await expandInputs([
+      `${dir}/in/**/b.pdf`,
+      `${dir}/in/*.docx`,
+    ]);
+    expect(files).toHaveLength(1);
+    expect(files[0].path.endsWith('b.pdf')).toBe(true);
+    expect(unmatched).toEqual([`${dir}/in/*.docx`]);
+  });
+
+  it('mirrors directory structure into the output directory', async () => {
+    const { files } = await expandInputs([join(dir, 'in')]);
+    const out = files.map((f) => resolveOutputPath(f, join(dir, 'out')));
+    expect(out).toEqual([join(dir, 'out', 'a.pdf'), join(dir, 'out', 'sub', 'b.pdf')]);
+  });
+
+  it('optimizes into an output directory and prints pass stats', async () => {
+    const stdout = sink();
+    const code = await main(['-o', join(dir, 'out'), join(dir, 'in')], { stdout, stderr: sink() });
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(await readdir(join(dir, 'out'))).toEqual(['a.pdf', 'sub']);
+    const reloaded = await PDFDocument.load(await readFile(join(dir, 'out', 'sub', 'b.pdf')));
+    expect(reloaded.getPageCount()).toBe(1);
+    expect(stdout.text).toContain('Recompressing streams');
+  });
+
+  it('emits one JSON line per file with --json', async () => {
+    const stdout = sink();
+    await main(['--json', '-o', join(dir, 'out'), `${dir}/in/*.pdf`], { stdout, stderr: sink() });
+
+    const lines = stdout.text.trim().split('\n').map((l) => JSON.parse(l));
+    expect(lines).toHaveLength(1);
+    expect(lines[0].stats.passes.length).toBeGreaterThan(0);
+    expect(lines[0].stats.inspect).toBeUndefined();
+  });
+
+  it('returns the usage exit code for bad arguments', async () => {
+    const stderr = sink();
+    const code = await main(['--preset', 'nope', '-o', 'out', 'a.pdf'], { stdout: sink(), stderr });
+    expect(code).toBe(EXIT_CODES.USAGE);
+    expect(stderr.text).toContain('Unknown preset');
+  });
+
+  it('opens encrypted PDFs with --password and can remove the encryption', async () => {
+    await writeFile(join(dir, 'in', 'locked.pdf'), createEncryptedPdf({ userPassword: 'secret' }));
+    const stderr = sink();
+    expect(await main(['-o', join(dir, 'out'), join(dir, 'in', 'locked.pdf')], { stdout: sink(), stderr })).toBe(
+      EXIT_CODES.ERROR,
+    );
+    expect(stderr.text).toContain('(use --password)');
+
+    const stdout = sink();
+    const args = ['--password', 'secret', '--remove-encryption', '-o', join(dir, 'out'), join(dir, 'in', 'locked.pdf')];
+    expect(await main(args, { stdout, stderr: sink() })).toBe(EXIT_CODES.OK);
+    expect(stdout.text).toContain('AES-128 encryption removed');
+    const reloaded = await PDFDocument.load(await readFile(join(dir, 'out', 'locked.pdf')));
+    expect(reloaded.getTitle()).toBe('Quarterly (draft) report');
+  });
+
+  it('refuses signed PDFs unless --signed-pdfs incremental is given', async () => {
+    const input = createSignedPdf({ appendAfterSigning: true });
+    await writeFile(join(dir, 'in', 'signed.pdf'), input);
+    const stderr = sink();
+    expect(await main(['-o', join(dir, 'out'), join(dir, 'in', 'signed.pdf')], { stdout: sink(), stderr })).toBe(
+      EXIT_CODES.ERROR,
+    );
+    expect(stderr.text).toContain('(use --signed-pdfs incremental)');
+
+    const stdout = sink();
+    const args = ['--signed-pdfs', 'incremental', '-o', join(dir, 'out'), join(dir, 'in', 'signed.pdf')];
+    expect(await main(args, { stdout, stderr: sink() })).toBe(EXIT_CODES.OK);
+    expect(stdout.text).toContain('Signed (1 signature): signatures still valid');
+    const output = await readFile(join(dir, 'out', 'signed.pdf'));
+    const signedLength = createSignedPdf().length;
+    expect(output.subarray(0, signedLength)).toEqual(Buffer.from(input.subarray(0, signedLength)));
+  });
+
+  it('reports passes skipped on a signed PDF with nothing to update', async () => {
+    await writeFile(join(dir, 'in', 'signed.pdf'), createSignedPdf());
+    const stdout = sink();
+    const args = ['--signed-pdfs', 'incremental', '-o', join(dir, 'out'), join(dir, 'in', 'signed.pdf')];
+
+    expect(await main(args, { stdout, stderr: sink() })).toBe(EXIT_CODES.OK);
+    expect(stdout.text).toContain('Stripping metadata: skipped (signed PDF: incremental update)');
+    expect(stdout.text).not.toContain('lossless mode');
+  });
+
+  it('returns the error exit code for unreadable PDFs', async () => {
+    await writeFile(join(dir, 'in', 'broken.pdf'), 'not really a pdf');
+    const stderr = sink();
+    const code = await main(['-o', join(dir, 'out'), join(dir, 'in')], { stdout: sink(), stderr });
+    expect(code).toBe(EXIT_CODES.ERROR);
+    expect(stderr.text).toContain('broken.pdf');
+  });
+});
+
+describe('exit codes', () => {
+  it('maps guards and errors to distinct codes', () => {
+    expect(exitCodeFor({ stats: {} })).toBe(EXIT_CODES.OK);
+    expect(exitCodeFor({ stats: { sizeGuard: true } })).toBe(EXIT_CODES.SIZE_GUARD);
+    expect(exitCodeFor({ stats: { contentGuard: true } })).toBe(EXIT_CODES.CONTENT_GUARD);
+    expect(exitCodeFor({ error: 'boom' })).toBe(EXIT_CODES.ERROR);
+  });
+
+  it('keeps the most severe code across a batch', () => {
+    expect(combineExitCodes([])).toBe(EXIT_CODES.OK);
+    expect(combineExitCodes([0, 3, 0])).toBe(EXIT_CODES.SIZE_GUARD);
+    expect(combineExitCodes([3, 4])).toBe(EXIT_CODES.CONTENT_GUARD);
+    expect(combineExitCodes([4, 1, 3])).toBe(EXIT_CODES.ERROR);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, writeFile, readFile, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PDFDocument } from 'pdf-lib';
+import { parseCliArgs, UsageError } from '../../src/cli/args.js';
+import { loadManifest, syncFile, watchDirectory, MANIFEST_NAME } from '../../src/cli/watch.js';
+import { main, EXIT_CODES } from '../../src/cli/index.js';
+import { PRESETS } from '../../src/ui/presets.js';
+import { createSimplePdf, createUncompressedStreamPdf } from '../fixtures/create-test-pdfs.js';
+
+const OPTIONS = { ...PRESETS.lossless };
+
+describe('watch arguments', () => {
+  it('parses --watch and --debounce', () => {
+    const settings = parseCliArgs(['--watch', '--debounce', '200', '-o', 'out', 'in']);
+    expect(settings.watch).toBe(true);
+    expect(settings.debounceMs).toBe(200);
+  });
+
+  it('rejects in-place, multiple inputs and a stray --debounce', () => {
+    expect(() => parseCliArgs(['--watch', '--in-place', 'in'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['--watch', '-o', 'out', 'a', 'b'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['--debounce', '100', '-o', 'out', 'in'])).toThrow(UsageError);
+    expect(() => parseCliArgs(['--watch', '--debounce', '-5', '-o', 'out', 'in'])).toThrow(UsageError);
+  });
+});
+
+describe('watch mode', () => {
+  let dir;
+  let src;
+  let out;
+  let pdfBytes;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'pdf-a-go-slim-watch-'));
+    src = join(dir, 'in');
+    out = join(dir, 'out');
+    await mkdir(join(src, 'sub'), { recursive: true });
+    pdfBytes = await (await createSimplePdf()).save({ useObjectStreams: false });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('skips files whose hash and options match the manifest', async () => {
+    await writeFile(join(src, 'a.pdf'), pdfBytes);
+    const manifest = await loadManifest(out);
+
+    const first = await syncFile(src, out, 'a.pdf', OPTIONS, manifest);
+    expect(first.status).toBe('optimized');
+    expect(manifest.files['a.pdf'].hash).toMatch(/^[0-9a-z]+$/);
+
+    const second = await syncFile(src, out, 'a.pdf', OPTIONS, manifest);
+    expect(second.status).toBe('unchanged');
+
+    // Different options invalidate the entry
+    const third = await syncFile(src, out, 'a.pdf', { ...OPTIONS, subsetFonts: true }, manifest);
+    expect(third.status).toBe('optimized');
+  });
+
+  it('re-optimizes changed files and regenerates deleted outputs', async () => {
+    await writeFile(join(src, 'a.pdf'), pdfBytes);
+    const manifest = await loadManifest(out);
+    await syncFile(src, out, 'a.pdf', OPTIONS, manifest);
+    const firstHash = manifest.files['a.pdf'].hash;
+
+    const changed = await (await createUncompressedStreamPdf()).save({ useObjectStreams: false });
+    await writeFile(join(src, 'a.pdf'), changed);
+    expect((await syncFile(src, out, 'a.pdf', OPTIONS, manifest)).status).toBe('optimized');
+    expect(manifest.files['a.pdf'].hash).not.toBe(firstHash);
+
+    await rm(join(out, 'a.pdf'));
+    expect((await syncFile(src, out, 'a.pdf', OPTIONS, manifest)).status).toBe('optimized');
+  });
+
+  it('drops manifest entries for removed sources', async () => {
+    const manifest = { version: 1, files: { 'gone.pdf': { hash: 'x', options: '[]' } } };
+    const result = await syncFile(src, out, 'gone.pdf', OPTIONS, manifest);
+    expect(result.status).toBe('removed');
+    expect(manifest.files).toEqual({});
+  });
+
+  it('deletes the mirrored output of a removed source', async () => {
+    await writeFile(join(src, 'sub', 'a.pdf'), pdfBytes);
+    const manifest = await loadManifest(out);
+    await syncFile(src, out, join('sub', 'a.pdf'), OPTIONS, manifest);
+    await stat(join(out, 'sub', 'a.pdf'));
+
+    await rm(join(src, 'sub', 'a.pdf'));
+    expect((await syncFile(src, out, join('sub', 'a.pdf'), OPTIONS, manifest)).status).toBe('removed');
+    await expect(stat(join(out, 'sub', 'a.pdf'))).rejects.toMatchObject({ code: 'ENOENT' });
+    expect(manifest.files).toEqual({});
+  });
+
+  it('syncs existing files on startup and persists the manifest across runs', async () => {
+    await writeFile(join(src, 'a.pdf'), pdfBytes);
+    await writeFile(join(src, 'sub', 'b.pdf'), pdfBytes);
+    await writeFile(join(src, 'notes.txt'), 'ignored');
+
+    const results = [];
+    let watcher = watchDirectory({ srcDir: src, outDir: out, options: OPTIONS, debounceMs: 20, onResult: (r) => results.push(r) });
+    await watcher.idle();
+    await watcher.close();
+
+    expect(results.map((r) => `${r.file}:${r.status}`).sort()).toEqual(['a.pdf:optimized', 'sub/b.pdf:optimized']);
+    const saved = JSON.parse(await readFile(join(out, MANIFEST_NAME), 'utf8'));
+    expect(Object.keys(saved.files).sort()).toEqual(['a.pdf', 'sub/b.pdf']);
+    const reloaded = await PDFDocument.load(await readFile(join(out, 'sub', 'b.pdf')));
+    expect(reloaded.getPageCount()).toBe(1);
+
+    // A restart finds nothing to do
+    results.length = 0;
+    watcher = watchDirectory({ srcDir: src, outDir: out, options: OPTIONS, debounceMs: 20, onResult: (r) => results.push(r) });
+    await watcher.idle();
+    await watcher.close();
+    expect(results.map((r) => r.status)).toEqual(['unchanged', 'unchanged']);
+  });
+
+  it('ignores a mirror directory nested inside the watched tree', async () => {
+    await writeFile(join(src, 'a.pdf'), pdfBytes);
+    const nested = join(src, 'optimized');
+
+    const results = [];
+    const watcher = watchDirectory({ srcDir: src, outDir: nested, options: OPTIONS, debounceMs: 20, onResult: (r) => results.push(r) });
+    await watcher.idle();
+    // Give the watcher a chance to see the output write
+    await new Promise((r) => setTimeout(r, 100));
+    await watcher.idle();
+    await watcher.close();
+
+    expect(results.map((r) => r.file)).toEqual(['a.pdf']);
+    expect((await stat(join(nested, 'a.pdf'))).isFile()).toBe(true);
+  });
+
+  it('picks up files added while watching', async () => {
+    const results = [];
+    const added = new Promise((resolve) => {
+      const watcher = watchDirectory({
+        srcDir: src,
+        outDir: out,
+        options: OPTIONS,
+        debounceMs: 20,
+        onResult: (r) => {
+          results.push(r);
+          watcher.close().then(resolve);
+        },
+      });
+      watcher.ready.then(() => writeFile(join(src, 'sub', 'new.pdf'), pdfBytes));
+    });
+    await added;
+
+    expect(results[0]).toMatchObject({ file: 'sub/new.pdf', status: 'optimized' });
+  });
+
+  it('runs from the CLI until the signal aborts', async () => {
+    await writeFile(join(src, 'a.pdf'), pdfBytes);
+    const controller = new AbortController();
+    let text = '';
+    const stdout = {
+      write: (s) => {
+        text += s;
+        if (s.startsWith('{')) controller.abort();
+      },
+    };
+
+    const code = await main(['--watch', '--json', '-o', out, src], { stdout, stderr: { write() {} }, signal: controller.signal });
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(JSON.parse(text.trim().split('\n')[0])).toMatchObject({ file: 'a.pdf', status: 'optimized' });
+  });
+
+  it('refuses to watch something that is not a directory', async () => {
+    await writeFile(join(src, 'a.pdf'), pdfBytes);
+    let err = '';
+    const code = await main(['--watch', '-o', out, join(src, 'a.pdf')], { stdout: { write() {} }, stderr: { write: (s) => { err += s; } } });
+    expect(code).toBe(EXIT_CODES.USAGE);
+    expect(err).toContain('needs a directory');
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { PDFDocument } from 'pdf-lib';
+import { createCheckpoint } from '../../src/engine/utils/abort.js';
+import { recompressStreams } from '../../src/engine/optimize/streams.js';
+import { recompressImages } from '../../src/engine/optimize/images.js';
+import { subsetFonts } from '../../src/engine/optimize/font-subset.js';
+import { optimize, passRegistry } from '../../src/engine/pipeline.js';
+import { createUncompressedStreamPdf, createPdfWithHighDpiImage, createPdfWithEmbeddedFont } from '../fixtures/create-test-pdfs.js';
+
+describe('createCheckpoint', () => {
+  it('yields often enough for a timer to abort a busy loop', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    const checkpoint = createCheckpoint(controller.signal);
+
+    const start = Date.now();
+    let iterations = 0;
+    await expect((async () => {
+      while (Date.now() - start < 5000) {
+        await checkpoint();
+        iterations++;
+      }
+    })()).rejects.toMatchObject({ name: 'AbortError' });
+    expect(Date.now() - start).toBeLessThan(1000);
+    expect(iterations).toBeGreaterThan(0);
+  });
+
+  it('is a no-op without a signal', async () => {
+    const checkpoint = createCheckpoint(undefined);
+    expect(checkpoint()).toBeUndefined();
+  });
+});
+
+describe('passes with an aborted signal', () => {
+  const signal = AbortSignal.abort();
+
+  it('recompressStreams stops before touching any stream', async () => {
+    const bytes = await (await createUncompressedStreamPdf()).save();
+    const doc = await PDFDocument.load(bytes);
+    await expect(recompressStreams(doc, { signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(await doc.save()).toEqual(await (await PDFDocument.load(bytes)).save());
+  });
+
+  it('recompressImages and subsetFonts reject instead of skipping', async () => {
+    const imageDoc = await PDFDocument.load(await (await createPdfWithHighDpiImage()).save());
+    await expect(recompressImages(imageDoc, { lossy: true, signal })).rejects.toMatchObject({ name: 'AbortError' });
+
+    const fontDoc = await PDFDocument.load(await (await createPdfWithEmbeddedFont()).save());
+    await expect(subsetFonts(fontDoc, { signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('optimize() with a signal', () => {
+  afterEach(() => {
+    passRegistry.reset();
+  });
+
+  it('rejects when the signal is already aborted', async () => {
+    const input = new Uint8Array(await (await createUncompressedStreamPdf()).save());
+    await expect(optimize(input, { signal: AbortSignal.abort() })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('stops between passes and propagates the abort reason', async () => {
+    const controller = new AbortController();
+    const ran = [];
+    passRegistry.register({ name: 'Cancelling pass', fn: () => { controller.abort(new Error('user cancelled')); return {}; } },
+      { after: 'Recompressing streams' });
+    for (const { name, fn } of passRegistry.list()) {
+      passRegistry.replace(name, (doc, opts) => { ran.push(name); return fn(doc, opts); });
+    }
+
+    const input = new Uint8Array(await (await createUncompressedStreamPdf()).save());
+    await expect(optimize(input, { signal: controller.signal })).rejects.toThrow('user cancelled');
+    expect(ran).toEqual(['Merging content streams', 'Dropping hidden layers', 'Inlining form XObjects', 'Recompressing streams', 'Cancelling pass']);
+  });
+
+  it('does not treat an abort inside a pass as a pass error', async () => {
+    const controller = new AbortController();
+    passRegistry.register({
+      name: 'Slow pass',
+      fn: async (doc, { signal }) => {
+        controller.abort();
+        signal.throwIfAborted();
+      },
+    });
+    const input = new Uint8Array(await (await createUncompressedStreamPdf()).save());
+    await expect(optimize(input, { signal: controller.signal, transactional: true })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
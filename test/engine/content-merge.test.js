@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, PDFRef } from 'pdf-lib';
+import { mergeContentStreams } from '../../src/engine/optimize/content-merge.js';
+import { optimize } from '../../src/engine/pipeline.js';
+import { decodeStream, getFilterNames } from '../../src/engine/utils/stream-decode.js';
+import { createPdfWithSplitContent } from '../fixtures/create-test-pdfs.js';
+
+function pageContent(doc, index) {
+  const contents = doc.getPage(index).node.get(PDFName.of('Contents'));
+  const stream = doc.context.lookup(contents);
+  const filters = getFilterNames(stream.dict);
+  return new TextDecoder('latin1').decode(filters ? decodeStream(stream.contents, filters) : stream.contents);
+}
+
+describe('mergeContentStreams', () => {
+  it('joins a page\'s streams into one, separating them where needed', async () => {
+    const { doc } = await createPdfWithSplitContent();
+
+    const result = await mergeContentStreams(doc);
+
+    expect(result).toEqual({ merged: 2, joined: 5, skipped: 1 });
+    expect(doc.getPage(0).node.get(PDFName.of('Contents'))).toBeInstanceOf(PDFRef);
+    // The comment would swallow the line after it without the newline
+    expect(pageContent(doc, 0)).toBe('q 1 0 0 rg 0 0 10 10 re f Q\n0 0 1 RG % stamp\n0 0 m 100 100 l S');
+  });
+
+  it('follows an indirect /Contents array and adds no separator after whitespace', async () => {
+    const { doc } = await createPdfWithSplitContent();
+
+    await mergeContentStreams(doc);
+
+    expect(pageContent(doc, 1)).toBe('.5 g\n20 20 50 50 re f\n');
+  });
+
+  it('leaves pages alone when a stream is drawn elsewhere too', async () => {
+    const { doc, watermarkRef } = await createPdfWithSplitContent();
+    const before = doc.getPage(2).node.get(PDFName.of('Contents'));
+
+    await mergeContentStreams(doc);
+
+    expect(doc.getPage(2).node.get(PDFName.of('Contents'))).toBe(before);
+    expect(doc.getPage(3).node.get(PDFName.of('Contents'))).toBe(watermarkRef);
+  });
+
+  it('leaves pages alone when a stream can\'t be decoded', async () => {
+    const { doc } = await createPdfWithSplitContent();
+    const contents = doc.getPage(0).node.get(PDFName.of('Contents'));
+    doc.context.lookup(contents.get(1)).dict.set(PDFName.of('Filter'), PDFName.of('JBIG2Decode'));
+
+    const result = await mergeContentStreams(doc);
+
+    expect(result.skipped).toBe(2);
+    expect(doc.getPage(0).node.get(PDFName.of('Contents'))).toBe(contents);
+  });
+
+  it.each([
+    ['a direct stream', (context) => context.stream('0 0 m 9 9 l S')],
+    ['a ref to a missing object', () => PDFRef.of(9999)],
+  ])('leaves pages alone when /Contents holds %s', async (_label, entry) => {
+    const { doc } = await createPdfWithSplitContent();
+    const contents = doc.getPage(0).node.get(PDFName.of('Contents'));
+    contents.push(entry(doc.context));
+    const entries = contents.asArray();
+
+    const result = await mergeContentStreams(doc);
+
+    expect(result.skipped).toBe(2);
+    expect(doc.getPage(0).node.get(PDFName.of('Contents'))).toBe(contents);
+    expect(contents.asArray()).toEqual(entries);
+  });
+
+  it('leaves signed documents alone', async () => {
+    const { doc } = await createPdfWithSplitContent();
+
+    const result = await mergeContentStreams(doc, { _pdfTraits: { isSigned: true } });
+
+    expect(result).toEqual({ merged: 0, joined: 0, skipped: 0 });
+  });
+
+  it('runs before stream recompression and leaves no dangling content', async () => {
+    const { doc } = await createPdfWithSplitContent();
+
+    const { output, stats } = await optimize(await doc.save());
+
+    expect(stats.passes[0]).toMatchObject({ name: 'Merging content streams', merged: 2 });
+    expect(stats.contentWarnings).toBeUndefined();
+    const outDoc = await PDFDocument.load(output);
+    expect(pageContent(outDoc, 0)).toContain('0 0 1 RG\n0 0 m');
+    expect(outDoc.getPage(2).node.lookup(PDFName.of('Contents')).size()).toBe(2);
+  });
+});
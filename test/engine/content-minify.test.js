@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, PDFRawStream } from 'pdf-lib';
+import { minifyContentStreams } from '../../src/engine/optimize/content-minify.js';
+import { tokenizeContentStream } from '../../src/engine/utils/content-stream-parser.js';
+import { minimalNumber } from '../../src/engine/utils/content-stream-writer.js';
+import { decodeStream, getFilterNames } from '../../src/engine/utils/stream-decode.js';
+import { optimize } from '../../src/engine/pipeline.js';
+import { createPdfWithVerboseContent, createSimplePdf } from '../fixtures/create-test-pdfs.js';
+
+function decoded(doc, ref) {
+  const stream = doc.context.lookup(ref);
+  const filters = getFilterNames(stream.dict);
+  return filters ? decodeStream(stream.contents, filters) : stream.contents;
+}
+
+/** Tokens with numbers and strings reduced to what they mean. */
+function meaning(bytes) {
+  return tokenizeContentStream(bytes).map((t) => {
+    if (t.type === 'number') return `n:${minimalNumber(t.text)}`;
+    if (t.type === 'string') return `s:${t.value.join(',')}`;
+    if (t.type === 'inlineImageData') return `i:${[...t.value].join(',')}`;
+    return `${t.type}:${t.value ?? ''}`;
+  });
+}
+
+describe('minifyContentStreams', () => {
+  it('minifies page content and Form XObjects without changing what they draw', async () => {
+    const { doc, contentRef, formRef } = await createPdfWithVerboseContent();
+    const contentBefore = decoded(doc, contentRef);
+    const formBefore = decoded(doc, formRef);
+    const storedBefore = doc.context.lookup(contentRef).contents.length + doc.context.lookup(formRef).contents.length;
+
+    const result = await minifyContentStreams(doc);
+
+    expect(result.minified).toBe(2);
+    const contentAfter = decoded(doc, contentRef);
+    const formAfter = decoded(doc, formRef);
+    expect(meaning(contentAfter)).toEqual(meaning(contentBefore));
+    expect(meaning(formAfter)).toEqual(meaning(formBefore));
+    expect(contentAfter.length).toBeLessThan(contentBefore.length);
+
+    const storedAfter = doc.context.lookup(contentRef).contents.length + doc.context.lookup(formRef).contents.length;
+    expect(result.savedBytes).toBe(storedBefore - storedAfter);
+  });
+
+  it('normalizes numbers, drops comments and picks the shorter string form', async () => {
+    const { doc, formRef, contentRef } = await createPdfWithVerboseContent();
+    await minifyContentStreams(doc);
+
+    const form = new TextDecoder('latin1').decode(decoded(doc, formRef));
+    expect(form.startsWith('.5 0 0 RG\n0 0 m\n5 100 l\nS\n')).toBe(true);
+    expect(form).not.toContain('%');
+    const content = new TextDecoder('latin1').decode(decoded(doc, contentRef));
+    expect(content).toContain('/F1 12 Tf\n72 700 Td(Hello, world!)Tj');
+  });
+
+  it('keeps inline image data byte-identical', async () => {
+    const { doc, contentRef, inlineImageData } = await createPdfWithVerboseContent();
+    await minifyContentStreams(doc);
+
+    const tokens = tokenizeContentStream(decoded(doc, contentRef));
+    const data = tokens.find((t) => t.type === 'inlineImageData');
+    // The data, then the newline that separated it from EI
+    expect([...data.value]).toEqual([...inlineImageData, 0x0a]);
+    expect(tokens.slice(-2).map((t) => t.value)).toEqual(['EI', 'Q']);
+  });
+
+  it('reports the bytes saved per page', async () => {
+    const { doc } = await createPdfWithVerboseContent();
+    const result = await minifyContentStreams(doc);
+
+    expect(result.pages).toEqual([{ page: 1, savedBytes: result.savedBytes }]);
+  });
+
+  it('leaves streams it cannot tokenize cleanly alone', async () => {
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([100, 100]);
+    const bytes = new TextEncoder().encode('0.500000   0.000000   m   ) 1.000000 1.000000 l S');
+    const ref = doc.context.register(PDFRawStream.of(doc.context.obj({ Length: bytes.length }), bytes));
+    page.node.set(PDFName.of('Contents'), ref);
+
+    const result = await minifyContentStreams(doc);
+
+    expect(result.minified).toBe(0);
+    expect(doc.context.lookup(ref).contents).toBe(bytes);
+  });
+
+  it('runs as a pipeline pass', async () => {
+    const input = await (await createSimplePdf()).save();
+    const { stats } = await optimize(input);
+
+    const pass = stats.passes.find((p) => p.name === 'Minifying content streams');
+    expect(pass).toBeDefined();
+    expect(pass.error).toBeUndefined();
+  });
+});
@@ -7,7 +7,12 @@ import {
   StandardFonts,
 } from 'pdf-lib';
 import { deflateSync } from 'fflate';
-import { extractUsedCharCodes } from '../../src/engine/utils/content-stream-parser.js';
+import {
+  extractUsedCharCodes,
+  tokenizeContentStream,
+  groupOperations,
+  createGraphicsStateTracker,
+} from '../../src/engine/utils/content-stream-parser.js';
 import {
   createPdfWithContentStreamText,
 } from '../fixtures/create-test-pdfs.js';
@@ -222,4 +227,99 @@ describe('extractUsedCharCodes', () => {
     const result = extractUsedCharCodes(doc);
     expect(result.size).toBe(0);
   });
+
+  it('ignores text operators inside inline image data', async () => {
+    const doc = await createPdfWithContent('BI /W 2 /H 1 /BPC 8 /CS /G ID (x) Tj\nEI BT /F1 12 Tf (Hi) Tj ET');
+    const result = extractUsedCharCodes(doc);
+
+    const entry = [...result.values()][0];
+    expect(entry.charCodes.map((c) => String.fromCharCode(...c))).toEqual(['Hi']);
+  });
+});
+
+describe('tokenizeContentStream', () => {
+  const tokenize = (text) => tokenizeContentStream(new TextEncoder().encode(text));
+
+  it('tokenizes operands, operators, dicts and keywords, dropping comments', () => {
+    const tokens = tokenize('/P <</MCID 0 /Flag true>> BDC % note\n[(a) -1.50 <62>] TJ');
+    expect(tokens.map((t) => t.type)).toEqual([
+      'name', 'dictStart', 'name', 'number', 'name', 'keyword', 'dictEnd', 'operator',
+      'arrayStart', 'string', 'number', 'string', 'arrayEnd', 'operator',
+    ]);
+    expect(tokens[10]).toMatchObject({ value: -1.5, text: '-1.50' });
+    expect(tokens[11]).toMatchObject({ value: [0x62], hex: true, closed: true });
+  });
+
+  it('hands inline image data over as one token', () => {
+    const bytes = new Uint8Array([...new TextEncoder().encode('BI /W 3 /H 1 ID '), 0x0a, 0x45, 0x49, 0xff, 0x0a, ...new TextEncoder().encode('EI Q')]);
+    const tokens = tokenizeContentStream(bytes);
+
+    expect(tokens.map((t) => (t.type === 'inlineImageData' ? 'data' : t.value))).toEqual(['BI', 'W', 3, 'H', 1, 'ID', 'data', 'EI', 'Q']);
+    expect([...tokens[6].value]).toEqual([0x0a, 0x45, 0x49, 0xff, 0x0a]);
+  });
+
+  it('flags bytes that cannot start a token', () => {
+    expect(tokenize('0 0 m ) S').map((t) => t.type)).toContain('invalid');
+    expect(tokenize('(open').at(-1)).toMatchObject({ type: 'string', closed: false });
+  });
+});
+
+describe('groupOperations', () => {
+  const group = (text) => groupOperations(tokenizeContentStream(new TextEncoder().encode(text)));
+
+  it('pairs operators with their operands, arrays and dicts included', () => {
+    const { operations, trailing } = group('/P <</MCID 0>> BDC [(a) 5 (b)] TJ EMC 1 0');
+    expect(operations.map((op) => [op.operator, op.operands.length])).toEqual([['BDC', 5], ['TJ', 5], ['EMC', 0]]);
+    expect(trailing.map((t) => t.value)).toEqual([1, 0]);
+  });
+
+  it('keeps an inline image together as one operation', () => {
+    const { operations } = group('q BI /W 1 /H 1 ID x\nEI Q');
+    expect(operations.map((op) => op.operator)).toEqual(['q', 'BI', 'Q']);
+    expect(operations[1].tokens.map((t) => t.type).at(-2)).toBe('inlineImageData');
+  });
+});
+
+describe('createGraphicsStateTracker', () => {
+  const run = (text, options) => {
+    const tracker = createGraphicsStateTracker(options);
+    for (const op of groupOperations(tokenizeContentStream(new TextEncoder().encode(text))).operations) {
+      tracker.apply(op);
+    }
+    return tracker;
+  };
+
+  it('starts pages from the default state', () => {
+    const { state } = run('');
+    expect(state).toMatchObject({ ctm: [1, 0, 0, 1, 0, 0], lineWidth: 1, fillColor: { space: 'DeviceGray', values: '0' } });
+    expect(state.text).toMatchObject({ charSpacing: 0, scale: 100, render: 0 });
+  });
+
+  it('concatenates cm matrices onto the CTM', () => {
+    expect(run('2 0 0 2 10 20 cm 1 0 0 1 5 5 cm').state.ctm).toEqual([2, 0, 0, 2, 20, 30]);
+  });
+
+  it('restores the state saved by q at Q', () => {
+    const tracker = run('3 w 1 0 0 rg q 5 w 0 1 0 rg 2 0 0 2 0 0 cm Q');
+    expect(tracker.depth).toBe(0);
+    expect(tracker.state).toMatchObject({ lineWidth: 3, fillColor: { space: 'DeviceRGB', values: '1 0 0' }, ctm: [1, 0, 0, 1, 0, 0] });
+  });
+
+  it('tracks the text state', () => {
+    const { state } = run('BT /F2 9.5 Tf 2 Tc 80 Tz 0 -12 TD 1 2 (x) " ET');
+    expect(state.text).toMatchObject({ font: 'F2', size: 9.5, scale: 80, leading: 12, wordSpacing: 1, charSpacing: 2 });
+    expect(state.inText).toBe(false);
+  });
+
+  it('forgets what an ExtGState may have set', () => {
+    const { state } = run('BT /F1 12 Tf ET 4 w /GS1 gs');
+    expect(state).toMatchObject({ lineWidth: undefined, extGState: 'GS1' });
+    expect(state.text.font).toBeUndefined();
+  });
+
+  it('knows nothing at the start of a Form XObject', () => {
+    const { state } = run('', { initial: 'unknown' });
+    expect(state.ctm).toBeUndefined();
+    expect(state.fillColor).toBeUndefined();
+  });
 });
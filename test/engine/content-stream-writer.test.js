@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import {
+  minimalNumber,
+  encodeString,
+  encodeName,
+  serializeContentStream,
+  encodeContentStream,
+  writeContentStreams,
+} from '../../src/engine/utils/content-stream-writer.js';
+import { tokenizeContentStream, readContentStream } from '../../src/engine/utils/content-stream-parser.js';
+
+const text = (bytes) => String.fromCharCode(...bytes);
+const roundTrip = (source) => text(serializeContentStream(tokenizeContentStream(new TextEncoder().encode(source))));
+
+describe('minimalNumber', () => {
+  it('drops redundant zeros and signs', () => {
+    expect(minimalNumber('1.000000')).toBe('1');
+    expect(minimalNumber('0.500')).toBe('.5');
+    expect(minimalNumber('-0.25')).toBe('-.25');
+    expect(minimalNumber('+007')).toBe('7');
+    expect(minimalNumber('5.')).toBe('5');
+    expect(minimalNumber('-0.000')).toBe('0');
+  });
+
+  it('keeps every significant digit', () => {
+    expect(minimalNumber('0.1234567890123')).toBe('.1234567890123');
+    expect(minimalNumber('12345678901234567890')).toBe('12345678901234567890');
+  });
+});
+
+describe('encodeString', () => {
+  it('writes a literal string, escaping only what it must', () => {
+    expect(text(encodeString([0x61, 0x28, 0x62, 0x29]))).toBe('(a(b))');
+    expect(text(encodeString([0x5c, 0x0d, 0x0a]))).toBe('(\\\\\\r\n)');
+    expect(text(encodeString([0x00, 0xff]))).toBe('(\x00\xff)');
+  });
+
+  it('escapes only the parentheses that have no partner', () => {
+    expect(text(encodeString([0x29, 0x28, 0x28, 0x29]))).toBe('(\\)\\(())');
+  });
+});
+
+describe('encodeName', () => {
+  it('escapes delimiters, whitespace and #', () => {
+    expect(text(encodeName('F1'))).toBe('/F1');
+    expect(text(encodeName('A B#('))).toBe('/A#20B#23#28');
+  });
+});
+
+describe('serializeContentStream', () => {
+  it('separates tokens only where they would run together', () => {
+    expect(roundTrip('q  1.0 0 0 1.0 0 0 cm  /GS0 gs [ (a) 120 (b) ] TJ Q')).toBe('q\n1 0 0 1 0 0 cm/GS0 gs[(a)120(b)]TJ\nQ');
+    expect(roundTrip('/Span << /ActualText (x) /MCID 3 >> BDC EMC')).toBe('/Span<</ActualText(x)/MCID 3>>BDC\nEMC');
+  });
+
+  it('drops comments', () => {
+    expect(roundTrip('% header\n0 0 m % move\n10 10 l S')).toBe('0 0 m\n10 10 l\nS');
+  });
+});
+
+describe('writeContentStreams', () => {
+  it('replaces only the streams given, keeping their dictionaries', async () => {
+    const doc = await PDFDocument.create();
+    const { context } = doc;
+    const refs = ['0 0 m', '1 1 l'].map((source) => context.register(context.stream(source, { Custom: 1 })));
+    const data = encodeContentStream(tokenizeContentStream(new TextEncoder().encode('2.50 2 l S')));
+
+    writeContentStreams(context, refs, [{ stream: context.lookup(refs[1]), data }]);
+
+    expect(text(context.lookup(refs[0]).contents)).toBe('0 0 m');
+    const stream = context.lookup(refs[1]);
+    expect(stream.dict.get(PDFName.of('Filter'))).toBe(PDFName.of('FlateDecode'));
+    expect(stream.dict.get(PDFName.of('Length')).asNumber()).toBe(data.length);
+    expect(stream.dict.get(PDFName.of('Custom')).asNumber()).toBe(1);
+    expect(text(readContentStream(stream))).toBe('2.5 2 l\nS');
+  });
+});
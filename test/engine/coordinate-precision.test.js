@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import { PDFName } from 'pdf-lib';
+import { roundCoordinates, reduceCoordinatePrecision } from '../../src/engine/optimize/coordinate-precision.js';
+import { optimize } from '../../src/engine/pipeline.js';
+import { tokenizeContentStream, groupOperations } from '../../src/engine/utils/content-stream-parser.js';
+import { serializeContentStream } from '../../src/engine/utils/content-stream-writer.js';
+import { decodeStream, getFilterNames } from '../../src/engine/utils/stream-decode.js';
+import { createPdfWithPreciseVectors } from '../fixtures/create-test-pdfs.js';
+
+/** Round a content stream for half a device pixel at `dpi`; returns it in minimal form. */
+function round(source, dpi = 300) {
+  const { operations } = groupOperations(tokenizeContentStream(new TextEncoder().encode(source)));
+  const rounded = roundCoordinates(operations, { unit: (72 / dpi) * 0.5 });
+  const text = new TextDecoder('latin1').decode(serializeContentStream(operations.flatMap((op) => op.tokens)));
+  return { text, rounded };
+}
+
+function decoded(doc, ref) {
+  const stream = doc.context.lookup(ref);
+  const filters = getFilterNames(stream.dict);
+  return new TextDecoder('latin1').decode(filters ? decodeStream(stream.contents, filters) : stream.contents);
+}
+
+describe('roundCoordinates', () => {
+  it('rounds path operands to the decimals the DPI needs', () => {
+    expect(round('72.123456 700.654321 m 80.5 700 l S').text).toBe('72.1 700.7 m\n80.5 700 l\nS');
+    expect(round('72.123456 700.654321 m', 600).text).toBe('72.12 700.65 m');
+    expect(round('72.123456 700.654321 m', 36).text).toBe('72 701 m');
+  });
+
+  it('keeps more decimals where the CTM scales the drawing up', () => {
+    expect(round('q 10 0 0 10 0 0 cm 1.234567 1.234567 m Q 1.234567 1.234567 l').text)
+      .toBe('q\n10 0 0 10 0 0 cm\n1.23 1.23 m\nQ\n1.2 1.2 l');
+  });
+
+  it('rounds the corners of a rectangle rather than its size', () => {
+    expect(round('0.04 0.04 0.04 0.04 re f').text).toBe('0 0 .1 .1 re\nf');
+  });
+
+  it('carries Td rounding error forward so text does not drift', () => {
+    const { text } = round('BT 0.06 0 Td 0.06 0 Td 0.06 0 Td ET');
+    expect(text).toBe('BT\n.1 0 Td\n0 0 Td\n.1 0 Td\nET');
+    const moves = [...text.matchAll(/(\S+) 0 Td/g)].map((m) => Number(m[1]));
+    expect(Math.abs(moves.reduce((a, b) => a + b) - 0.18)).toBeLessThanOrEqual(0.05);
+  });
+
+  it('scales text moves by the text matrix and rounds only the Tm translation', () => {
+    expect(round('BT 10 0 0 10 72.123456 0.999999 Tm 1.234567 0 Td ET').text)
+      .toBe('BT\n10 0 0 10 72.1 1 Tm\n1.23 0 Td\nET');
+  });
+
+  it('leaves the vertical move of TD alone, since it sets the leading', () => {
+    expect(round('BT 0.123456 -12.345678 TD ET').text).toBe('BT\n.1 -12.345678 TD\nET');
+  });
+
+  it('leaves line widths and matrices alone', () => {
+    const source = '.123456 w 1.123456 0 0 1.654321 0 0 cm';
+    expect(round(source)).toEqual({ text: '.123456 w\n1.123456 0 0 1.654321 0 0 cm', rounded: 0 });
+  });
+
+  it('leaves coordinates alone once the CTM is unknown', () => {
+    expect(round('BX 1 2 foo EX 1.234567 1.234567 m').text).toBe('BX\n1 2 foo\nEX\n1.234567 1.234567 m');
+  });
+});
+
+describe('reduceCoordinatePrecision', () => {
+  it('does nothing without a vectorDpi', async () => {
+    const { doc, contentRef } = await createPdfWithPreciseVectors();
+    const before = doc.context.lookup(contentRef);
+
+    const result = await reduceCoordinatePrecision(doc);
+
+    expect(result).toEqual({ rounded: 0, rewritten: 0, skipped: 0, savedBytes: 0, pages: [] });
+    expect(doc.context.lookup(contentRef)).toBe(before);
+  });
+
+  it('rounds page content and reports stream sizes per page', async () => {
+    const { doc, contentRef } = await createPdfWithPreciseVectors();
+
+    const result = await reduceCoordinatePrecision(doc, { vectorDpi: 300 });
+
+    expect(result.rounded).toBeGreaterThan(200);
+    expect(result.savedBytes).toBeGreaterThan(0);
+    expect(result.pages).toHaveLength(1);
+    const [page] = result.pages;
+    expect(page.page).toBe(1);
+    expect(page.before - page.after).toBe(result.savedBytes);
+
+    const content = decoded(doc, contentRef);
+    expect(content).toContain('72.1 700.7 m');
+    expect(content).not.toMatch(/\d\.\d{2}/);
+    expect(content.match(/Tj/g)).toHaveLength(20);
+  });
+
+  it('rounds a form for the largest scale it is drawn at', async () => {
+    const { doc, formRef } = await createPdfWithPreciseVectors();
+
+    await reduceCoordinatePrecision(doc, { vectorDpi: 300 });
+
+    // Drawn at 4× as well as 1×: two decimals instead of one
+    expect(decoded(doc, formRef)).toBe('1.23 1.23 m\n48.77 1.23 l\n48.77 48.77 l\nh\nS');
+  });
+
+  it('leaves forms alone when something other than page content draws them', async () => {
+    const { doc, formRef, appearanceRef } = await createPdfWithPreciseVectors();
+    // The page's form doubles as the annotation's down appearance
+    const annot = doc.context.lookup(doc.getPage(0).node.lookup(PDFName.of('Annots')).get(0));
+    annot.lookup(PDFName.of('AP')).set(PDFName.of('D'), formRef);
+    const form = doc.context.lookup(formRef);
+    const appearance = doc.context.lookup(appearanceRef);
+
+    await reduceCoordinatePrecision(doc, { vectorDpi: 300 });
+
+    expect(doc.context.lookup(formRef)).toBe(form);
+    expect(doc.context.lookup(appearanceRef)).toBe(appearance);
+  });
+
+  it('runs in the pipeline only when lossy is on', async () => {
+    const { doc } = await createPdfWithPreciseVectors();
+    const bytes = await doc.save();
+    const find = (stats) => stats.passes.find((p) => p.name === 'Rounding coordinates');
+
+    const lossless = await optimize(bytes, { vectorDpi: 300 });
+    expect(find(lossless.stats)).toMatchObject({ gated: 'lossy', rounded: 0 });
+
+    const lossy = await optimize(bytes, { lossy: true, vectorDpi: 300 });
+    expect(find(lossy.stats).rounded).toBeGreaterThan(0);
+    expect(lossy.stats.outputSize).toBeLessThan(lossless.stats.outputSize);
+  });
+});
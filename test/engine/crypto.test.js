@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { createHash, createCipheriv, randomBytes } from 'node:crypto';
+import { md5, rc4, aesCbcEncrypt, aesCbcDecrypt, sha2 } from '../../src/engine/utils/crypto.js';
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex');
+const fromHex = (text) => new Uint8Array(Buffer.from(text, 'hex'));
+
+describe('md5', () => {
+  it('matches RFC 1321 test vectors', () => {
+    expect(hex(md5(new Uint8Array(0)))).toBe('d41d8cd98f00b204e9800998ecf8427e');
+    expect(hex(md5(new TextEncoder().encode('abc')))).toBe('900150983cd24fb0d6963f7d28e17f72');
+  });
+
+  it('matches node:crypto across block boundaries', () => {
+    for (const length of [55, 56, 63, 64, 65, 1000]) {
+      const data = randomBytes(length);
+      expect(hex(md5(data))).toBe(createHash('md5').update(data).digest('hex'));
+    }
+  });
+});
+
+describe('rc4', () => {
+  it('matches the classic test vector and round-trips', () => {
+    const key = new TextEncoder().encode('Key');
+    const cipher = rc4(key, new TextEncoder().encode('Plaintext'));
+    expect(hex(cipher)).toBe('bbf316e8d940af0ad3');
+    expect(new TextDecoder().decode(rc4(key, cipher))).toBe('Plaintext');
+  });
+});
+
+describe('AES-CBC', () => {
+  it('matches the FIPS 197 block vectors', () => {
+    const block = fromHex('00112233445566778899aabbccddeeff');
+    const iv = new Uint8Array(16);
+    const key128 = fromHex('000102030405060708090a0b0c0d0e0f');
+    const key256 = fromHex('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+    expect(hex(aesCbcEncrypt(key128, iv, block, { pad: false }))).toBe('69c4e0d86a7b0430d8cdb78070b4c55a');
+    expect(hex(aesCbcEncrypt(key256, iv, block, { pad: false }))).toBe('8ea2b7ca516745bfeafc49904b496089');
+  });
+
+  it('matches node:crypto with PKCS#5 padding, both ways', () => {
+    for (const keyLength of [16, 32]) {
+      for (const length of [0, 5, 16, 33]) {
+        const key = randomBytes(keyLength);
+        const iv = randomBytes(16);
+        const data = randomBytes(length);
+        const cipher = createCipheriv(`aes-${keyLength * 8}-cbc`, key, iv);
+        const expected = Buffer.concat([cipher.update(data), cipher.final()]);
+        expect(hex(aesCbcEncrypt(key, iv, data))).toBe(hex(expected));
+        expect(hex(aesCbcDecrypt(key, iv, expected))).toBe(hex(data));
+      }
+    }
+  });
+
+  it('leaves padding that is not PKCS#5 in place', () => {
+    const key = randomBytes(16);
+    const iv = new Uint8Array(16);
+    const data = new Uint8Array(16).fill(0x41);
+    const cipher = aesCbcEncrypt(key, iv, data, { pad: false });
+    expect(hex(aesCbcDecrypt(key, iv, cipher))).toBe(hex(data));
+  });
+});
+
+describe('sha2', () => {
+  it('hashes with WebCrypto', async () => {
+    const data = new TextEncoder().encode('abc');
+    for (const bits of [256, 384, 512]) {
+      expect(hex(await sha2(bits, data))).toBe(createHash(`sha${bits}`).update(data).digest('hex'));
+    }
+  });
+});
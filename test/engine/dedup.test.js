@@ -1,10 +1,27 @@
-import { describe, it, expect } from 'vitest';
-import { PDFDocument, PDFName, PDFRef, PDFRawStream } from 'pdf-lib';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { PDFDocument, PDFName, PDFRawStream } from 'pdf-lib';
 import { deflateSync } from 'fflate';
 import { deduplicateObjects } from '../../src/engine/optimize/dedup.js';
-import { createDuplicateObjectsPdf } from '../fixtures/create-test-pdfs.js';
+import { createDuplicateObjectsPdf, createPdfWithDuplicateDicts } from '../fixtures/create-test-pdfs.js';
+
+// Lets a test make every stream hash alike, as a collision would
+const hashCollisions = vi.hoisted(() => ({ on: false }));
+vi.mock('../../src/engine/utils/hash.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, hashBytes: (bytes) => (hashCollisions.on ? 'collision' : actual.hashBytes(bytes)) };
+});
+
+function registerStream(doc, bytes) {
+  const dict = doc.context.obj({});
+  dict.set(PDFName.of('Length'), doc.context.obj(bytes.length));
+  return doc.context.register(PDFRawStream.of(dict, new Uint8Array(bytes)));
+}
 
 describe('deduplicateObjects', () => {
+  afterEach(() => {
+    hashCollisions.on = false;
+  });
+
   it('removes duplicate stream objects', async () => {
     const doc = await createDuplicateObjectsPdf();
 
@@ -49,48 +66,110 @@ describe('deduplicateObjects', () => {
     expect(reloaded.getPageCount()).toBe(1);
   });
 
-  it('skips page content streams', async () => {
-    // Create a PDF with two pages whose content streams are byte-identical
+  it('merges byte-identical page content streams', async () => {
     const doc = await PDFDocument.create();
-    const contentBytes = deflateSync(
-      new TextEncoder().encode('BT /F1 12 Tf (Hello) Tj ET'),
-      { level: 6 },
-    );
-
-    // Build two pages with identical content streams
-    for (let i = 0; i < 2; i++) {
+    const contentBytes = deflateSync(new TextEncoder().encode('BT /F1 12 Tf (Hello) Tj ET'), { level: 6 });
+    for (let i = 0; i < 3; i++) {
       const page = doc.addPage([200, 200]);
-      const dict = doc.context.obj({});
-      dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
-      dict.set(PDFName.of('Length'), doc.context.obj(contentBytes.length));
-      const stream = PDFRawStream.of(dict, new Uint8Array(contentBytes));
-      const ref = doc.context.register(stream);
-      page.node.set(PDFName.of('Contents'), ref);
+      page.node.set(PDFName.of('Contents'), registerStream(doc, contentBytes));
     }
 
-    // Collect content stream refs before dedup
-    const refsBefore = new Set();
-    for (const page of doc.getPages()) {
-      const c = page.node.get(PDFName.of('Contents'));
-      if (c instanceof PDFRef) refsBefore.add(c.tag);
+    const result = deduplicateObjects(doc);
+
+    expect(result).toEqual({ deduplicated: 2, pagesSharingContent: 3 });
+    const refs = doc.getPages().map((page) => page.node.get(PDFName.of('Contents')));
+    expect(new Set(refs).size).toBe(1);
+    expect(doc.context.lookup(refs[0])).toBeInstanceOf(PDFRawStream);
+  });
+
+  it('keeps page content streams apart when only their hashes match', async () => {
+    const doc = await PDFDocument.create();
+    for (const text of ['0 0 10 10 re f', '0 0 20 20 re f']) {
+      const page = doc.addPage([200, 200]);
+      page.node.set(PDFName.of('Contents'), registerStream(doc, new TextEncoder().encode(text)));
     }
 
+    hashCollisions.on = true;
     const result = deduplicateObjects(doc);
 
-    // Content streams should be skipped, not merged
-    expect(result.contentStreamsSkipped).toBe(2);
+    expect(result).toEqual({ deduplicated: 0, pagesSharingContent: 0 });
+    const [first, second] = doc.getPages().map((page) => page.node.get(PDFName.of('Contents')));
+    expect(first).not.toBe(second);
+  });
 
-    // Both pages should still point to distinct content stream refs
-    const refsAfter = new Set();
-    for (const page of doc.getPages()) {
-      const c = page.node.get(PDFName.of('Contents'));
-      if (c instanceof PDFRef) refsAfter.add(c.tag);
-    }
-    expect(refsAfter.size).toBe(2);
+  it('keeps Form XObjects apart when only their hashes match', async () => {
+    const doc = await PDFDocument.create();
+    doc.addPage([200, 200]);
+    const forms = ['0 0 10 10 re f', '0 0 20 20 re f'].map((text) => {
+      const bytes = new TextEncoder().encode(text);
+      return doc.context.register(PDFRawStream.of(doc.context.obj({
+        Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 20, 20], Length: bytes.length,
+      }), bytes));
+    });
+
+    hashCollisions.on = true;
+    const result = deduplicateObjects(doc);
 
-    // The original refs should be unchanged
-    for (const tag of refsBefore) {
-      expect(refsAfter.has(tag)).toBe(true);
-    }
+    expect(result.deduplicated).toBe(0);
+    for (const ref of forms) expect(doc.context.lookup(ref)).toBeInstanceOf(PDFRawStream);
+  });
+
+  it('keeps any two streams apart when only their hashes match', async () => {
+    const doc = await PDFDocument.create();
+    const refs = [[1, 2, 3], [4, 5, 6]].map((bytes) => registerStream(doc, new Uint8Array(bytes)));
+
+    hashCollisions.on = true;
+    const result = deduplicateObjects(doc);
+
+    expect(result.deduplicated).toBe(0);
+    for (const ref of refs) expect(doc.context.lookup(ref)).toBeInstanceOf(PDFRawStream);
+  });
+});
+
+describe('deduplicateObjects with dicts and arrays', () => {
+  const resource = (doc, page, category) =>
+    doc.getPage(page).node.lookup(PDFName.of('Resources')).lookup(PDFName.of(category)).values()[0];
+
+  it('merges identical indirect dicts and arrays', async () => {
+    const { doc, extGStateRefs, colorSpaceRefs } = await createPdfWithDuplicateDicts();
+
+    deduplicateObjects(doc);
+
+    expect(resource(doc, 0, 'ExtGState')).toBe(extGStateRefs[0]);
+    expect(resource(doc, 1, 'ExtGState')).toBe(extGStateRefs[0]);
+    expect(doc.context.lookup(extGStateRefs[1])).toBeUndefined();
+    expect(resource(doc, 1, 'ColorSpace')).toBe(colorSpaceRefs[0]);
+    expect(doc.context.lookup(colorSpaceRefs[1])).toBeUndefined();
+  });
+
+  it('merges dicts that become equal once what they point to is merged', async () => {
+    const { doc, fontRefs } = await createPdfWithDuplicateDicts();
+
+    deduplicateObjects(doc);
+
+    // Font file, then descriptor, then font dict
+    expect(resource(doc, 1, 'Font')).toBe(fontRefs[0]);
+    expect(doc.context.lookup(fontRefs[1])).toBeUndefined();
+  });
+
+  it('merges annotations only when /P ties them to the same page', async () => {
+    const { doc, unownedAnnotRefs, ownedAnnotRefs } = await createPdfWithDuplicateDicts();
+
+    deduplicateObjects(doc);
+
+    for (const ref of unownedAnnotRefs) expect(doc.context.lookup(ref)).toBeDefined();
+    expect(doc.context.lookup(ownedAnnotRefs[1])).toBeUndefined();
+    expect(doc.getPage(0).node.lookup(PDFName.of('Annots')).get(2)).toBe(ownedAnnotRefs[0]);
+  });
+
+  it('never merges pages, structure elements or optional content groups', async () => {
+    const { doc, structElemRefs, ocgRefs } = await createPdfWithDuplicateDicts();
+
+    deduplicateObjects(doc);
+
+    expect(new Set(doc.getPages().map((page) => page.ref)).size).toBe(2);
+    for (const ref of [...structElemRefs, ...ocgRefs]) expect(doc.context.lookup(ref)).toBeDefined();
+    const kids = doc.context.lookup(doc.catalog.get(PDFName.of('StructTreeRoot'))).lookup(PDFName.of('K'));
+    expect(kids.asArray()).toEqual(structElemRefs);
   });
 });
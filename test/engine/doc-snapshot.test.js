@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, PDFDict, PDFRawStream, StandardFonts } from 'pdf-lib';
+import { takeSnapshot, restoreSnapshot } from '../../src/engine/utils/doc-snapshot.js';
+
+async function createDoc() {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  doc.addPage([200, 200]).drawText('Snapshot', { x: 10, y: 100, size: 12, font });
+  return PDFDocument.load(await doc.save({ useObjectStreams: false }));
+}
+
+describe('takeSnapshot / restoreSnapshot', () => {
+  it('undoes in-place edits, deletions, replacements and new objects', async () => {
+    const doc = await createDoc();
+    const context = doc.context;
+    const page = doc.getPages()[0];
+    const before = new Uint8Array(await doc.save({ useObjectStreams: false }));
+    const objectCount = context.enumerateIndirectObjects().length;
+    const largest = context.largestObjectNumber;
+
+    const snapshot = takeSnapshot(doc);
+
+    // Mutate a cached page node and a nested direct dict in place
+    page.node.set(PDFName.of('Rotate'), context.obj(90));
+    const resources = page.node.get(PDFName.of('Resources'));
+    const resourcesDict = resources instanceof PDFDict ? resources : context.lookup(resources);
+    resourcesDict.delete(PDFName.of('Font'));
+    // Replace a stream, delete an object, add a new one
+    const [streamRef] = context.enumerateIndirectObjects().find(([, obj]) => obj instanceof PDFRawStream);
+    context.assign(streamRef, PDFRawStream.of(context.obj({}), new Uint8Array([1, 2, 3])));
+    const [victim] = context.enumerateIndirectObjects().find(([ref]) => ref !== streamRef && ref !== page.ref);
+    context.delete(victim);
+    context.register(context.obj({ New: true }));
+    context.trailerInfo.Info = undefined;
+
+    restoreSnapshot(doc, snapshot);
+
+    expect(context.enumerateIndirectObjects().length).toBe(objectCount);
+    expect(context.largestObjectNumber).toBe(largest);
+    expect(doc.getPages()[0].node).toBe(page.node);
+    expect(page.node.get(PDFName.of('Rotate'))).toBeUndefined();
+    expect(resourcesDict.get(PDFName.of('Font'))).toBeDefined();
+    expect(new Uint8Array(await doc.save({ useObjectStreams: false }))).toEqual(before);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import { decompressSync } from 'fflate';
+import {
+  loadDocument,
+  removeEncryption,
+  saveEncrypted,
+  PASSWORD_REQUIRED,
+  PASSWORD_INCORRECT,
+} from '../../src/engine/encryption.js';
+import { optimize } from '../../src/engine/pipeline.js';
+import { createEncryptedPdf, createSimplePdf } from '../fixtures/create-test-pdfs.js';
+
+const ALGORITHMS = ['RC4-40', 'RC4-128', 'AES-128', 'AES-256'];
+
+/** Text of page 1's content stream, inflating it if needed. */
+function pageText(pdfDoc) {
+  const stream = pdfDoc.getPages()[0].node.Contents();
+  const filter = stream.dict.lookup(PDFName.of('Filter'));
+  const bytes = filter === PDFName.of('FlateDecode') ? decompressSync(stream.contents) : stream.contents;
+  return new TextDecoder('latin1').decode(bytes);
+}
+
+function expectDecrypted(pdfDoc) {
+  expect(pdfDoc.getTitle()).toBe('Quarterly (draft) report');
+  expect(pdfDoc.getAuthor()).toBe('Legal');
+  // Catalog comes from the object stream
+  expect(pdfDoc.catalog.lookup(PDFName.of('Lang')).decodeText()).toBe('en-GB');
+  expect(pageText(pdfDoc)).toMatch(/\(Secret text\) ?Tj/);
+}
+
+describe('loadDocument', () => {
+  it.each(ALGORITHMS)('decrypts %s with the user or the owner password', async (algorithm) => {
+    const bytes = createEncryptedPdf({ algorithm, userPassword: 'user pw', ownerPassword: 'owner pw' });
+
+    const asUser = await loadDocument(bytes, { password: 'user pw' });
+    expectDecrypted(asUser.pdfDoc);
+    expect(asUser.security).toMatchObject({ algorithm, permissions: -3904, authenticatedAs: 'user' });
+
+    const asOwner = await loadDocument(bytes, { password: 'owner pw' });
+    expectDecrypted(asOwner.pdfDoc);
+    expect(asOwner.security.authenticatedAs).toBe('owner');
+  });
+
+  it('opens owner-password-only files without a password', async () => {
+    const { pdfDoc, security } = await loadDocument(createEncryptedPdf({ algorithm: 'AES-256' }));
+    expectDecrypted(pdfDoc);
+    expect(security.authenticatedAs).toBe('user');
+  });
+
+  it('tells a missing password from a wrong one', async () => {
+    const bytes = createEncryptedPdf({ userPassword: 'user pw' });
+    await expect(loadDocument(bytes)).rejects.toMatchObject({ code: PASSWORD_REQUIRED });
+    await expect(loadDocument(bytes, { password: 'guess' })).rejects.toMatchObject({ code: PASSWORD_INCORRECT });
+  });
+
+  it('loads unencrypted documents, keeping later revisions of packed objects', async () => {
+    const doc = await createSimplePdf();
+    const catalogRef = doc.context.trailerInfo.Root;
+    const saved = await doc.save({ useObjectStreams: true });
+    // Incremental update redefining the catalog, which was written into an object stream
+    const update = new TextEncoder().encode(
+      `\n${catalogRef.objectNumber} 0 obj\n<< /Type /Catalog /Pages ${doc.catalog.get(PDFName.of('Pages'))} /Lang (fr) >>\nendobj\n`,
+    );
+    const bytes = new Uint8Array([...saved, ...update]);
+
+    const { pdfDoc, security } = await loadDocument(bytes);
+    expect(security).toBeNull();
+    expect(pdfDoc.catalog.lookup(PDFName.of('Lang')).decodeText()).toBe('fr');
+    expect(pdfDoc.getPageCount()).toBe(1);
+  });
+});
+
+describe('saveEncrypted', () => {
+  it.each(ALGORITHMS)('writes %s back with the same passwords and permissions', async (algorithm) => {
+    const { pdfDoc, security } = await loadDocument(createEncryptedPdf({ algorithm, userPassword: 'user pw' }), {
+      password: 'user pw',
+    });
+    const saved = await saveEncrypted(pdfDoc, security, { addDefaultPage: false });
+
+    // The in-memory document stays decrypted
+    expectDecrypted(pdfDoc);
+    await expect(loadDocument(saved)).rejects.toMatchObject({ code: PASSWORD_REQUIRED });
+    const reopened = await loadDocument(saved, { password: 'user pw' });
+    expectDecrypted(reopened.pdfDoc);
+    expect(reopened.security).toMatchObject({ algorithm, permissions: -3904 });
+  });
+
+  it('saves a plain PDF once the encryption is removed', async () => {
+    const { pdfDoc } = await loadDocument(createEncryptedPdf());
+    removeEncryption(pdfDoc);
+    const reloaded = await PDFDocument.load(await pdfDoc.save());
+    expect(reloaded.isEncrypted).toBe(false);
+    expectDecrypted(reloaded);
+  });
+});
+
+describe('optimize() with encrypted input', () => {
+  it('keeps the encryption by default', async () => {
+    const input = createEncryptedPdf({ userPassword: 'user pw' });
+    const { output, stats } = await optimize(input, { password: 'user pw' });
+
+    expect(output.length).toBeLessThan(input.length);
+    expect(stats.encryption).toMatchObject({ algorithm: 'AES-128', revision: 4, removed: false });
+    await expect(PDFDocument.load(output)).rejects.toThrow(/encrypted/i);
+    expectDecrypted((await loadDocument(output, { password: 'user pw' })).pdfDoc);
+  });
+
+  it('removes the encryption on request', async () => {
+    const { output, stats } = await optimize(createEncryptedPdf({ algorithm: 'AES-256' }), { removeEncryption: true });
+    expect(stats.encryption).toMatchObject({ algorithm: 'AES-256', removed: true });
+    expectDecrypted(await PDFDocument.load(output));
+  });
+
+  it('rejects with the password error code', async () => {
+    await expect(optimize(createEncryptedPdf({ userPassword: 'user pw' }))).rejects.toMatchObject({
+      code: PASSWORD_REQUIRED,
+    });
+  });
+});
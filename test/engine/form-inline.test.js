@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import { inlineForms } from '../../src/engine/optimize/form-inline.js';
+import { optimize } from '../../src/engine/pipeline.js';
+import { decodeStream, getFilterNames } from '../../src/engine/utils/stream-decode.js';
+import { createPdfWithNestedForms } from '../fixtures/create-test-pdfs.js';
+
+function pageContent(doc) {
+  const stream = doc.context.lookup(doc.getPage(0).node.get(PDFName.of('Contents')));
+  const filters = getFilterNames(stream.dict);
+  return new TextDecoder('latin1').decode(filters ? decodeStream(stream.contents, filters) : stream.contents);
+}
+
+const xobjectNames = (doc) => doc.getPage(0).node.Resources().lookup(PDFName.of('XObject')).keys().map((key) => key.decodeText());
+
+describe('inlineForms', () => {
+  it('replaces a form drawn once with its content, placed and clipped as Do would', async () => {
+    const { doc } = await createPdfWithNestedForms();
+
+    await inlineForms(doc);
+
+    const content = pageContent(doc);
+    expect(content).toContain('q\n1 0 0 1 50 700 cm\n0 0 m\n100 0 l\n100 20 l\n0 20 l\nh\nW\nn\nBT/F1 10 Tf\n2 6 Td(Cell)Tj\nET\nQ');
+    expect(content).not.toContain('/Cell Do');
+    expect(xobjectNames(doc)).not.toContain('Cell');
+  });
+
+  it('flattens a chain of nested forms, reusing their names', async () => {
+    const { doc } = await createPdfWithNestedForms();
+
+    await inlineForms(doc);
+
+    const content = pageContent(doc);
+    expect(content).not.toMatch(/\/Fm0 ?Do/);
+    expect(content).toContain('2 0 0 2 0 0 cm\nq\n0 0 m');
+    expect(content).toContain('0 0 1 rg\n0 0 10 10 re\nf\nQ\nQ\nQ');
+    expect(xobjectNames(doc)).not.toContain('Fm0');
+  });
+
+  it('leaves forms drawn twice, transparency groups and forms with clashing names', async () => {
+    const { doc, logoRef, groupRef, clashRef } = await createPdfWithNestedForms();
+
+    await inlineForms(doc);
+
+    const xobjects = doc.getPage(0).node.Resources().lookup(PDFName.of('XObject'));
+    expect(xobjects.get(PDFName.of('Logo'))).toBe(logoRef);
+    expect(xobjects.get(PDFName.of('Grp'))).toBe(groupRef);
+    expect(xobjects.get(PDFName.of('Clash'))).toBe(clashRef);
+    expect(pageContent(doc).match(/\/(Logo|Grp|Clash) Do/g)).toHaveLength(4);
+  });
+
+  it('counts the forms inlined and the objects they leave unreferenced', async () => {
+    const { doc } = await createPdfWithNestedForms();
+
+    // Four forms, plus /Cell's indirect resource dictionary
+    expect(await inlineForms(doc)).toEqual({ inlined: 4, objectsRemoved: 5 });
+  });
+
+  it('skips signed documents', async () => {
+    const { doc, cellRef } = await createPdfWithNestedForms();
+
+    const result = await inlineForms(doc, { _pdfTraits: { isSigned: true } });
+
+    expect(result).toEqual({ inlined: 0, objectsRemoved: 0 });
+    expect(xobjectNames(doc)).toContain('Cell');
+    expect(doc.context.lookup(cellRef)).toBeDefined();
+  });
+
+  it('runs in the pipeline and drops the inlined forms', async () => {
+    const { doc, cellRef, chainRefs, logoRef } = await createPdfWithNestedForms();
+
+    const { output, stats } = await optimize(await doc.save({ useObjectStreams: false }));
+
+    expect(stats.passes.find((p) => p.name === 'Inlining form XObjects')).toMatchObject({ inlined: 4 });
+    expect(stats.contentWarnings).toBeUndefined();
+    const outDoc = await PDFDocument.load(output);
+    const forms = [...outDoc.context.enumerateIndirectObjects()]
+      .filter(([, obj]) => obj.dict?.get(PDFName.of('Subtype')) === PDFName.of('Form'));
+    expect(forms).toHaveLength(3);
+    expect([cellRef, ...chainRefs, logoRef].filter((ref) => outDoc.context.lookup(ref))).toHaveLength(1);
+  });
+});
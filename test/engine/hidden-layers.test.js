@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import { removeHiddenLayers } from '../../src/engine/optimize/hidden-layers.js';
+import { optimize } from '../../src/engine/pipeline.js';
+import { decodeStream, getFilterNames } from '../../src/engine/utils/stream-decode.js';
+import { createPdfWithHiddenLayers } from '../fixtures/create-test-pdfs.js';
+
+function pageContent(doc) {
+  const stream = doc.context.lookup(doc.getPage(0).node.get(PDFName.of('Contents')));
+  const filters = getFilterNames(stream.dict);
+  return new TextDecoder('latin1').decode(filters ? decodeStream(stream.contents, filters) : stream.contents);
+}
+
+const ocProperties = (doc) => doc.catalog.lookup(PDFName.of('OCProperties'));
+
+describe('removeHiddenLayers', () => {
+  it('does nothing unless asked to', async () => {
+    const { doc } = await createPdfWithHiddenLayers();
+    const before = pageContent(doc);
+
+    const result = await removeHiddenLayers(doc);
+
+    expect(result).toEqual({ layersRemoved: [], sectionsRemoved: 0, layersKept: 0 });
+    expect(pageContent(doc)).toBe(before);
+  });
+
+  it('strips a hidden layer\'s drawing but keeps the state it leaves behind', async () => {
+    const { doc } = await createPdfWithHiddenLayers();
+
+    const result = await removeHiddenLayers(doc, { removeHiddenLayers: true });
+
+    expect(result).toMatchObject({ layersRemoved: ['Construction'], sectionsRemoved: 1 });
+    const content = pageContent(doc);
+    expect(content).not.toContain('/oc1');
+    expect(content).not.toContain('/Im0');
+    expect(content).not.toContain('(Note)');
+    expect(content).toContain('EMC\n1 0 0 RG\n2 w\n0 0 m\n612 792 l\nS');
+    expect(content).toContain('/OC/oc0 BDC\n0 0 1 rg');
+  });
+
+  it('removes the group from /OCProperties and the page\'s /Properties', async () => {
+    const { doc, groupRefs } = await createPdfWithHiddenLayers();
+    const [visible, construction] = groupRefs;
+
+    await removeHiddenLayers(doc, { removeHiddenLayers: true });
+
+    const props = ocProperties(doc);
+    expect(props.lookup(PDFName.of('OCGs')).asArray()).not.toContain(construction);
+    const defaults = props.lookup(PDFName.of('D'));
+    expect(defaults.lookup(PDFName.of('OFF')).asArray()).toEqual(groupRefs.slice(2));
+    expect(defaults.lookup(PDFName.of('Order')).asArray()).not.toContain(construction);
+    expect(defaults.lookup(PDFName.of('RBGroups')).get(0).asArray()).toEqual([visible]);
+    const properties = doc.getPage(0).node.Resources().lookup(PDFName.of('Properties'));
+    expect(properties.has(PDFName.of('oc1'))).toBe(false);
+    expect(properties.get(PDFName.of('oc0'))).toBe(visible);
+  });
+
+  it('keeps hidden layers that are referred to elsewhere, printed, or clip', async () => {
+    const { doc, groupRefs, annotRef } = await createPdfWithHiddenLayers();
+
+    const result = await removeHiddenLayers(doc, { removeHiddenLayers: true });
+
+    expect(result.layersKept).toBe(2);
+    const content = pageContent(doc);
+    for (const name of ['oc2', 'oc3', 'oc4']) expect(content).toContain(`/OC/${name} BDC`);
+    expect(ocProperties(doc).lookup(PDFName.of('OCGs')).asArray()).toEqual([groupRefs[0], ...groupRefs.slice(2)]);
+    expect(doc.context.lookup(annotRef).get(PDFName.of('OC'))).toBe(groupRefs[2]);
+  });
+
+  it('keeps a layer an alternate configuration shows', async () => {
+    const { doc, groupRefs } = await createPdfWithHiddenLayers();
+    ocProperties(doc).set(PDFName.of('Configs'), doc.context.obj([{ OFF: groupRefs.slice(2) }]));
+
+    const result = await removeHiddenLayers(doc, { removeHiddenLayers: true });
+
+    expect(result.layersRemoved).toEqual([]);
+    expect(pageContent(doc)).toContain('/oc1');
+  });
+
+  it('lets the pipeline drop the resources only the hidden layer used', async () => {
+    const { doc } = await createPdfWithHiddenLayers();
+    const input = await doc.save({ useObjectStreams: false });
+
+    const kept = await optimize(input);
+    const removed = await optimize(input, { removeHiddenLayers: true });
+
+    const pass = removed.stats.passes.find((p) => p.name === 'Dropping hidden layers');
+    expect(pass.layersRemoved).toEqual(['Construction']);
+    expect(removed.stats.contentWarnings).toBeUndefined();
+    const outDoc = await PDFDocument.load(removed.output);
+    const resources = outDoc.getPage(0).node.Resources();
+    expect(resources.lookup(PDFName.of('XObject'))).toBeUndefined();
+    expect(resources.lookup(PDFName.of('Font')).has(PDFName.of('F2'))).toBe(false);
+    expect(removed.output.length).toBeLessThan(kept.output.length);
+  });
+});
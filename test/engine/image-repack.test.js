@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import { repackImages } from '../../src/engine/optimize/image-repack.js';
+import { optimize } from '../../src/engine/pipeline.js';
+import { getFilterNames } from '../../src/engine/utils/stream-decode.js';
+import {
+  getIndexedColorSpace, decodeSamples, unpackSamples, expandPalette,
+} from '../../src/engine/utils/image-samples.js';
+import {
+  createPdfWithFewColourImage,
+  createPdfWithGrayRgbImage,
+  createPdfWithPackedImage,
+  createPdfWithColorSpaceImage,
+} from '../fixtures/create-test-pdfs.js';
+
+/** An image's pixels as 8-bit RGB, through its palette if it has one. */
+function readRgb(doc, imageRef) {
+  const { dict, contents } = doc.context.lookup(imageRef);
+  const bpc = dict.get(PDFName.of('BitsPerComponent')).asNumber();
+  const indexed = getIndexedColorSpace(dict, doc.context);
+  const packed = decodeSamples(dict, contents, getFilterNames(dict), 128, indexed ? 1 : 3);
+  return indexed
+    ? expandPalette(unpackSamples(packed, 128, 128, 1, bpc, false), indexed)
+    : unpackSamples(packed, 128, 128, 3, bpc);
+}
+
+describe('repackImages', () => {
+  it.each([
+    [2, 1],
+    [6, 4],
+    [200, 8],
+  ])('turns an RGB image with %i colours into an Indexed one with %i-bit indices', async (colours, bits) => {
+    const { doc, imageRef, samples } = await createPdfWithFewColourImage({ colours });
+    const before = doc.context.lookup(imageRef).contents.length;
+
+    const result = await repackImages(doc);
+
+    expect(result).toMatchObject({ indexed: 1, reduced: 0 });
+    const image = doc.context.lookup(imageRef);
+    expect(image.dict.get(PDFName.of('BitsPerComponent')).asNumber()).toBe(bits);
+    const indexed = getIndexedColorSpace(image.dict, doc.context);
+    expect(indexed).toMatchObject({ base: PDFName.of('DeviceRGB'), hival: colours - 1 });
+    expect(image.contents.length).toBeLessThan(before);
+    expect(readRgb(doc, imageRef)).toEqual(samples);
+  });
+
+  it('leaves RGB images with more than 256 colours alone', async () => {
+    const { doc, imageRef } = await createPdfWithFewColourImage({ colours: 300 });
+
+    const result = await repackImages(doc);
+
+    expect(result).toMatchObject({ indexed: 0, reduced: 0 });
+    expect(doc.context.lookup(imageRef).dict.get(PDFName.of('ColorSpace'))).toBe(PDFName.of('DeviceRGB'));
+  });
+
+  it.each([
+    ['a /Decode array', 'Decode', [1, 0, 1, 0, 1, 0]],
+    ['a colour-key mask', 'Mask', [0, 0, 0, 0, 0, 0]],
+  ])('keeps the colours of images with %s', async (_label, key, value) => {
+    const { doc, imageRef } = await createPdfWithFewColourImage();
+    doc.context.lookup(imageRef).dict.set(PDFName.of(key), doc.context.obj(value));
+
+    expect(await repackImages(doc)).toMatchObject({ indexed: 0, reduced: 0 });
+  });
+
+  it('turns RGB images with equal channels into DeviceGray', async () => {
+    const { doc, imageRef, gray } = await createPdfWithGrayRgbImage();
+
+    const result = await repackImages(doc, { debug: true });
+
+    expect(result).toMatchObject({ grayscale: 1, indexed: 0 });
+    expect(result._debug[0]).toMatchObject({ action: 'grayscale', message: expect.stringMatching(/^RGB → gray, /) });
+    const { dict, contents } = doc.context.lookup(imageRef);
+    expect(dict.get(PDFName.of('ColorSpace'))).toBe(PDFName.of('DeviceGray'));
+    expect(decodeSamples(dict, contents, getFilterNames(dict), 128, 1)).toEqual(gray);
+  });
+
+  it('turns black and white RGB images into 1-bit DeviceGray', async () => {
+    const { doc, imageRef, gray } = await createPdfWithGrayRgbImage({ bilevel: true });
+
+    expect(await repackImages(doc)).toMatchObject({ grayscale: 1, indexed: 0 });
+    const { dict, contents } = doc.context.lookup(imageRef);
+    expect(dict.get(PDFName.of('ColorSpace'))).toBe(PDFName.of('DeviceGray'));
+    expect(dict.get(PDFName.of('BitsPerComponent')).asNumber()).toBe(1);
+    const packed = decodeSamples(dict, contents, getFilterNames(dict), 128, 1);
+    expect(unpackSamples(packed, 128, 128, 1, 1)).toEqual(gray);
+  });
+
+  it('keeps RGB images whose channels differ at all', async () => {
+    const { doc, imageRef } = await createPdfWithGrayRgbImage({ noise: 2 });
+
+    expect(await repackImages(doc)).toMatchObject({ grayscale: 0 });
+    expect(doc.context.lookup(imageRef).dict.get(PDFName.of('ColorSpace'))).toBe(PDFName.of('DeviceRGB'));
+  });
+
+  it('repacks 16-bit images to 8-bit only when asked to', async () => {
+    const { doc, imageRef, values } = await createPdfWithPackedImage({ bitsPerComponent: 16 });
+
+    expect(await repackImages(doc)).toMatchObject({ reduced: 0 });
+    expect(doc.context.lookup(imageRef).dict.get(PDFName.of('BitsPerComponent')).asNumber()).toBe(16);
+    const result = await repackImages(doc, { reduceBitDepth: true, debug: true });
+
+    expect(result).toMatchObject({ indexed: 0, reduced: 1 });
+    expect(result._debug[0].message).toMatch(/^16-bit → 8-bit, .*prediction: \d+ → \d+ bytes$/);
+    const { dict, contents } = doc.context.lookup(imageRef);
+    expect(dict.get(PDFName.of('BitsPerComponent')).asNumber()).toBe(8);
+    const samples = unpackSamples(decodeSamples(dict, contents, getFilterNames(dict), 128, 1), 128, 128, 1, 8);
+    expect(Array.from(samples)).toEqual(values.map((v) => Math.round(v / 257)));
+  });
+
+  it('scales the colour-key mask of a 16-bit image it reduces', async () => {
+    const { doc, imageRef } = await createPdfWithPackedImage({ bitsPerComponent: 16 });
+    doc.context.lookup(imageRef).dict.set(PDFName.of('Mask'), doc.context.obj([30000, 40000]));
+
+    expect(await repackImages(doc, { reduceBitDepth: true })).toMatchObject({ reduced: 1 });
+    const { dict } = doc.context.lookup(imageRef);
+    expect(dict.get(PDFName.of('BitsPerComponent')).asNumber()).toBe(8);
+    expect(dict.get(PDFName.of('Mask')).asArray().map((v) => v.asNumber())).toEqual([117, 156]);
+  });
+
+  it('deflates smooth images through the PNG predictor that suits them best', async () => {
+    const { doc, imageRef, samples } = await createPdfWithColorSpaceImage();
+    const before = doc.context.lookup(imageRef).contents.length;
+
+    const result = await repackImages(doc);
+
+    expect(result).toMatchObject({ predicted: 1 });
+    const { dict, contents } = doc.context.lookup(imageRef);
+    expect(contents.length).toBeLessThan(before * 0.8);
+    const parms = dict.get(PDFName.of('DecodeParms'));
+    expect(parms.get(PDFName.of('Predictor')).asNumber()).toBeGreaterThanOrEqual(10);
+    expect(parms.get(PDFName.of('Colors')).asNumber()).toBe(4);
+    expect(parms.get(PDFName.of('Columns')).asNumber()).toBe(128);
+    expect(decodeSamples(dict, contents, getFilterNames(dict), 128, 4)).toEqual(samples);
+  });
+
+  it('predicts packed low-bit-depth rows byte by byte', async () => {
+    const { doc, imageRef, values } = await createPdfWithPackedImage({ bitsPerComponent: 4, components: 3 });
+
+    await repackImages(doc);
+
+    const { dict, contents } = doc.context.lookup(imageRef);
+    expect(dict.get(PDFName.of('BitsPerComponent')).asNumber()).toBe(4);
+    const packed = decodeSamples(dict, contents, getFilterNames(dict), 128, 3);
+    expect(Array.from(unpackSamples(packed, 128, 128, 3, 4, false))).toEqual(values);
+  });
+
+  it('reports each image made Indexed in its debug log', async () => {
+    const { doc } = await createPdfWithFewColourImage();
+
+    const result = await repackImages(doc, { debug: true });
+
+    expect(result._debug).toEqual([
+      expect.objectContaining({ action: 'indexed', message: expect.stringMatching(/^6 colours, 4-bit indices, .*prediction: \d+ → \d+ bytes$/) }),
+    ]);
+  });
+
+  it('runs losslessly in the pipeline', async () => {
+    const { doc } = await createPdfWithFewColourImage();
+    const input = await doc.save();
+
+    const { output, stats } = await optimize(input);
+
+    expect(stats.passes.find((p) => p.name === 'Repacking images')).toMatchObject({ indexed: 1, reduced: 0 });
+    const outDoc = await PDFDocument.load(output);
+    const [, image] = [...outDoc.context.enumerateIndirectObjects()]
+      .find(([, obj]) => obj.dict?.get(PDFName.of('Subtype')) === PDFName.of('Image'));
+    expect(image.dict.get(PDFName.of('ColorSpace')).get(0)).toBe(PDFName.of('Indexed'));
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import {
+  getIndexedColorSpace, unpackSamples, packSamples, expandPalette, toGray, isBilevel, packBilevel,
+} from '../../src/engine/utils/image-samples.js';
+
+describe('unpackSamples / packSamples', () => {
+  it.each([1, 2, 4, 8])('round-trips %i-bit rows that end mid-byte', (bits) => {
+    const width = 5;
+    const height = 3;
+    const values = Uint8Array.from({ length: width * height * 3 }, (_, i) => (i * 7) % 2 ** bits);
+
+    const packed = packSamples(values, width, height, 3, bits);
+
+    expect(packed.length).toBe(Math.ceil((width * 3 * bits) / 8) * height);
+    expect(unpackSamples(packed, width, height, 3, bits, false)).toEqual(values);
+  });
+
+  it('scales samples to 8 bits', () => {
+    expect(Array.from(unpackSamples(Uint8Array.of(0b00011011), 4, 1, 1, 2))).toEqual([0, 85, 170, 255]);
+    expect(Array.from(unpackSamples(Uint8Array.of(0xff, 0xff, 0x80, 0x00, 0x00, 0x7f), 3, 1, 1, 16))).toEqual([255, 128, 0]);
+  });
+
+  it('refuses data shorter than the image', () => {
+    expect(() => unpackSamples(new Uint8Array(3), 4, 2, 1, 4)).toThrow(/shorter/);
+  });
+});
+
+describe('getIndexedColorSpace', () => {
+  it('reads a palette stored in a compressed stream', async () => {
+    const doc = await PDFDocument.create();
+    const { context } = doc;
+    const table = context.flateStream(Uint8Array.of(255, 0, 0, 0, 0, 255));
+    const dict = context.obj({});
+    dict.set(PDFName.of('ColorSpace'), context.obj(['Indexed', 'DeviceRGB', 1, context.register(table)]));
+
+    const indexed = getIndexedColorSpace(dict, context);
+
+    expect(indexed).toMatchObject({ base: PDFName.of('DeviceRGB'), components: 3, hival: 1 });
+    expect(Array.from(expandPalette(Uint8Array.of(1, 0, 7), indexed))).toEqual([0, 0, 255, 255, 0, 0, 0, 0, 255]);
+  });
+
+  it('returns null for a palette shorter than hival says', async () => {
+    const doc = await PDFDocument.create();
+    const { context } = doc;
+    const dict = context.obj({});
+    dict.set(PDFName.of('ColorSpace'), context.obj(['Indexed', 'DeviceGray', 3, context.register(context.flateStream(Uint8Array.of(0, 255)))]));
+
+    expect(getIndexedColorSpace(dict, context)).toBeNull();
+  });
+});
+
+describe('toGray / isBilevel / packBilevel', () => {
+  it('takes R when the channels match exactly, the average within a tolerance', () => {
+    expect(Array.from(toGray(Uint8Array.of(10, 10, 10, 200, 200, 200), 3))).toEqual([10, 200]);
+    expect(toGray(Uint8Array.of(10, 11, 10), 3)).toBeNull();
+    expect(Array.from(toGray(Uint8Array.of(10, 13, 16, 255, 0, 0, 0, 0), 4, 8))).toEqual([13, 0]);
+    expect(toGray(Uint8Array.of(10, 30, 10, 255), 4, 8)).toBeNull();
+  });
+
+  it('thresholds near-black and near-white levels into 1-bit rows', () => {
+    const gray = Uint8Array.of(0, 250, 4, 255, 255, 0, 0, 0, 255);
+
+    expect(isBilevel(gray)).toBe(false);
+    expect(isBilevel(gray, 8)).toBe(true);
+    expect(Array.from(packBilevel(gray, 9, 1))).toEqual([0b01011000, 0b10000000]);
+  });
+});
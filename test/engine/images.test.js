@@ -1,11 +1,18 @@
 import { describe, it, expect } from 'vitest';
 import { PDFDocument, PDFName, PDFRawStream } from 'pdf-lib';
 import { recompressImages } from '../../src/engine/optimize/images.js';
+import { decode as jpegDecode } from 'jpeg-js';
+import { decodeStream, getFilterNames } from '../../src/engine/utils/stream-decode.js';
+import { decodeSamples, unpackSamples } from '../../src/engine/utils/image-samples.js';
+import { decodeJpeg, readJpegHeader } from '../../src/engine/utils/jpeg-codec.js';
 import {
   createPdfWithFlatDecodeRgbImage,
   createPdfWithFlatDecodeGrayImage,
   createPdfWithJpegImage,
-  createPdfWithAlphaImage,
+  createPdfWithSoftMaskedImage,
+  createPdfWithColorSpaceImage,
+  createPdfWithPackedImage,
+  createPdfWithGrayRgbImage,
   createPdfWithHighDpiImage,
   createPdfWithLargeJpegImage,
   createPdfWithHighDpiJpegImage,
@@ -14,7 +21,7 @@ import {
 describe('recompressImages', () => {
   it('converts FlateDecode RGB image to JPEG when lossy=true', async () => {
     const doc = await createPdfWithFlatDecodeRgbImage();
-    const result = recompressImages(doc, { lossy: true });
+    const result = await recompressImages(doc, { lossy: true });
 
     expect(result.converted).toBe(1);
 
@@ -35,14 +42,14 @@ describe('recompressImages', () => {
 
   it('converts FlateDecode Gray image to JPEG when lossy=true', async () => {
     const doc = await createPdfWithFlatDecodeGrayImage();
-    const result = recompressImages(doc, { lossy: true });
+    const result = await recompressImages(doc, { lossy: true });
 
     expect(result.converted).toBe(1);
   });
 
   it('skips all images when lossy=false (default)', async () => {
     const doc = await createPdfWithFlatDecodeRgbImage();
-    const result = recompressImages(doc);
+    const result = await recompressImages(doc);
 
     expect(result.converted).toBe(0);
     expect(result.skipped).toBe(0);
@@ -51,19 +58,70 @@ describe('recompressImages', () => {
   it('skips small DCTDecode images (below MIN_DECODED_SIZE)', async () => {
     // The fixture is 10x10 = 400 bytes RGBA, well below MIN_DECODED_SIZE
     const doc = await createPdfWithJpegImage();
-    const result = recompressImages(doc, { lossy: true });
+    const result = await recompressImages(doc, { lossy: true });
 
     expect(result.converted).toBe(0);
     expect(result.skipped).toBeGreaterThan(0);
   });
 
-  it('skips images with SMask', async () => {
-    const doc = await createPdfWithAlphaImage();
-    const result = recompressImages(doc, { lossy: true });
+  it('converts the colour of SMask images and keeps the mask lossless', async () => {
+    const { doc, imageRef, maskRef, maskPixels } = await createPdfWithSoftMaskedImage();
+    const result = await recompressImages(doc, { lossy: true });
+
+    expect(result.converted).toBe(1);
+    expect(getFilterNames(doc.context.lookup(imageRef).dict)).toEqual(['DCTDecode']);
+    const mask = doc.context.lookup(maskRef);
+    expect(getFilterNames(mask.dict)).toEqual(['FlateDecode']);
+    expect(decodeStream(mask.contents, ['FlateDecode'])).toEqual(maskPixels);
+  });
+
+  it('downsamples the soft mask in step with its image', async () => {
+    const { doc, imageRef, maskRef } = await createPdfWithSoftMaskedImage();
+    const result = await recompressImages(doc, { lossy: true, maxImageDpi: 150 });
+
+    expect(result.downsampled).toBe(1);
+    const size = (ref) => ['Width', 'Height'].map((key) => doc.context.lookup(ref).dict.get(PDFName.of(key)).asNumber());
+    // 400x400 at 288 DPI → 208x208; the 200x200 mask keeps half the image's size
+    expect(size(imageRef)).toEqual([208, 208]);
+    expect(size(maskRef)).toEqual([104, 104]);
+    const mask = doc.context.lookup(maskRef);
+    expect(decodeStream(mask.contents, ['FlateDecode'])).toHaveLength(104 * 104);
+  });
+
+  it('keeps a /Matte mask the same size as its image', async () => {
+    const { doc, imageRef, maskRef } = await createPdfWithSoftMaskedImage({ matte: true });
+    await recompressImages(doc, { lossy: true, maxImageDpi: 150 });
+
+    const image = doc.context.lookup(imageRef).dict;
+    const mask = doc.context.lookup(maskRef).dict;
+    expect(image.get(PDFName.of('Width')).asNumber()).toBe(208);
+    expect(mask.get(PDFName.of('Width')).asNumber()).toBe(208);
+    expect(mask.get(PDFName.of('Height')).asNumber()).toBe(image.get(PDFName.of('Height')).asNumber());
+    expect(mask.get(PDFName.of('Matte')).toString()).toBe('[ 0 0 0 ]');
+  });
+
+  it('does not resize a soft mask that another image shares', async () => {
+    const { doc, imageRef, maskRef } = await createPdfWithSoftMaskedImage();
+    const image = doc.context.lookup(imageRef);
+    const copyRef = doc.context.register(PDFRawStream.of(image.dict.clone(doc.context), image.contents));
+    doc.getPage(0).node.Resources().lookup(PDFName.of('XObject')).set(PDFName.of('Img1'), copyRef);
+
+    const result = await recompressImages(doc, { lossy: true, maxImageDpi: 150 });
+
+    expect(result.downsampled).toBe(2);
+    expect(doc.context.lookup(maskRef).dict.get(PDFName.of('Width')).asNumber()).toBe(200);
+  });
+
+  it('skips images whose soft mask it cannot rewrite losslessly', async () => {
+    const { doc, imageRef, maskRef } = await createPdfWithSoftMaskedImage();
+    doc.context.lookup(maskRef).dict.set(PDFName.of('BitsPerComponent'), doc.context.obj(16));
+    const before = doc.context.lookup(imageRef);
+
+    const result = await recompressImages(doc, { lossy: true, debug: true });
 
     expect(result.converted).toBe(0);
-    // The main image should be skipped due to SMask
-    expect(result.skipped).toBeGreaterThanOrEqual(1);
+    expect(result.skipReasons.smask).toBe(1);
+    expect(doc.context.lookup(imageRef)).toBe(before);
   });
 
   it('only replaces when JPEG is smaller', async () => {
@@ -71,7 +129,7 @@ describe('recompressImages', () => {
     const doc = await createPdfWithFlatDecodeRgbImage();
     const sizeBefore = (await doc.save()).length;
 
-    recompressImages(doc, { lossy: true, imageQuality: 0.99 });
+    await recompressImages(doc, { lossy: true, imageQuality: 0.99 });
 
     // Whatever the result, the output should be valid
     const saved = await doc.save();
@@ -82,8 +140,8 @@ describe('recompressImages', () => {
     const docHigh = await createPdfWithFlatDecodeRgbImage();
     const docLow = await createPdfWithFlatDecodeRgbImage();
 
-    recompressImages(docHigh, { lossy: true, imageQuality: 0.95 });
-    recompressImages(docLow, { lossy: true, imageQuality: 0.5 });
+    await recompressImages(docHigh, { lossy: true, imageQuality: 0.95 });
+    await recompressImages(docLow, { lossy: true, imageQuality: 0.5 });
 
     const highBytes = await docHigh.save();
     const lowBytes = await docLow.save();
@@ -94,7 +152,7 @@ describe('recompressImages', () => {
 
   it('produces valid reloadable PDF', async () => {
     const doc = await createPdfWithFlatDecodeRgbImage();
-    recompressImages(doc, { lossy: true });
+    await recompressImages(doc, { lossy: true });
 
     const saved = await doc.save();
     const reloaded = await PDFDocument.load(saved);
@@ -103,7 +161,7 @@ describe('recompressImages', () => {
 
   it('downsamples high-DPI image when maxImageDpi is set', async () => {
     const doc = await createPdfWithHighDpiImage();
-    const result = recompressImages(doc, { lossy: true, maxImageDpi: 150 });
+    const result = await recompressImages(doc, { lossy: true, maxImageDpi: 150 });
 
     expect(result.converted).toBe(1);
     expect(result.downsampled).toBe(1);
@@ -134,7 +192,7 @@ describe('recompressImages', () => {
   it('skips downsampling when already below target DPI', async () => {
     // 100x100 image on 200x200pt page = 36 DPI — well below 150
     const doc = await createPdfWithFlatDecodeRgbImage();
-    const result = recompressImages(doc, { lossy: true, maxImageDpi: 150 });
+    const result = await recompressImages(doc, { lossy: true, maxImageDpi: 150 });
 
     expect(result.downsampled).toBe(0);
     // Should still convert to JPEG though
@@ -143,14 +201,14 @@ describe('recompressImages', () => {
 
   it('returns downsampled count of 0 when maxImageDpi not set', async () => {
     const doc = await createPdfWithFlatDecodeRgbImage();
-    const result = recompressImages(doc, { lossy: true });
+    const result = await recompressImages(doc, { lossy: true });
 
     expect(result.downsampled).toBe(0);
   });
 
   it('produces valid reloadable PDF after downsampling', async () => {
     const doc = await createPdfWithHighDpiImage();
-    recompressImages(doc, { lossy: true, maxImageDpi: 150 });
+    await recompressImages(doc, { lossy: true, maxImageDpi: 150 });
 
     const saved = await doc.save();
     const reloaded = await PDFDocument.load(saved);
@@ -161,7 +219,7 @@ describe('recompressImages', () => {
 
   it('recompresses large DCTDecode image at lower quality', async () => {
     const doc = await createPdfWithLargeJpegImage();
-    const result = recompressImages(doc, { lossy: true, imageQuality: 0.5 });
+    const result = await recompressImages(doc, { lossy: true, imageQuality: 0.5 });
 
     expect(result.converted).toBe(1);
 
@@ -182,7 +240,7 @@ describe('recompressImages', () => {
 
   it('skips DCT images when lossy=false', async () => {
     const doc = await createPdfWithLargeJpegImage();
-    const result = recompressImages(doc, { lossy: false });
+    const result = await recompressImages(doc, { lossy: false });
 
     expect(result.converted).toBe(0);
     expect(result.skipped).toBe(0);
@@ -190,7 +248,7 @@ describe('recompressImages', () => {
 
   it('downsamples high-DPI DCTDecode image with maxImageDpi', async () => {
     const doc = await createPdfWithHighDpiJpegImage();
-    const result = recompressImages(doc, { lossy: true, imageQuality: 0.5, maxImageDpi: 150 });
+    const result = await recompressImages(doc, { lossy: true, imageQuality: 0.5, maxImageDpi: 150 });
 
     expect(result.converted).toBe(1);
     expect(result.downsampled).toBe(1);
@@ -216,8 +274,8 @@ describe('recompressImages', () => {
     const docHigh = await createPdfWithLargeJpegImage();
     const docLow = await createPdfWithLargeJpegImage();
 
-    recompressImages(docHigh, { lossy: true, imageQuality: 0.85 });
-    recompressImages(docLow, { lossy: true, imageQuality: 0.4 });
+    await recompressImages(docHigh, { lossy: true, imageQuality: 0.85 });
+    await recompressImages(docLow, { lossy: true, imageQuality: 0.4 });
 
     const highBytes = await docHigh.save();
     const lowBytes = await docLow.save();
@@ -227,10 +285,176 @@ describe('recompressImages', () => {
 
   it('produces valid reloadable PDF after DCT recompression', async () => {
     const doc = await createPdfWithLargeJpegImage();
-    recompressImages(doc, { lossy: true, imageQuality: 0.5 });
+    await recompressImages(doc, { lossy: true, imageQuality: 0.5 });
 
     const saved = await doc.save();
     const reloaded = await PDFDocument.load(saved);
     expect(reloaded.getPageCount()).toBe(1);
   });
 });
+
+describe('recompressImages colour spaces', () => {
+  /** Mean absolute difference between the image's values and the JPEG's. */
+  function meanError(jpeg, samples, components) {
+    const decoded = components === 3 ? jpegDecode(jpeg, { useTArray: true }).data : decodeJpeg(jpeg).data;
+    const stride = components === 3 ? 4 : components;
+    let total = 0;
+    for (let i = 0; i < samples.length / components; i++) {
+      for (let c = 0; c < components; c++) total += Math.abs(decoded[i * stride + c] - samples[i * components + c]);
+    }
+    return total / samples.length;
+  }
+
+  it.each([
+    ['DeviceCMYK', { colorSpace: 'DeviceCMYK' }],
+    ['ICCBased /N 1', { colorSpace: 'ICCBased', n: 1 }],
+    ['ICCBased /N 3', { colorSpace: 'ICCBased', n: 3 }],
+    ['ICCBased /N 4', { colorSpace: 'ICCBased', n: 4 }],
+  ])('round-trips a %s image through JPEG', async (_label, options) => {
+    const { doc, imageRef, samples, components } = await createPdfWithColorSpaceImage(options);
+    const colorSpace = doc.context.lookup(imageRef).dict.get(PDFName.of('ColorSpace'));
+
+    const result = await recompressImages(doc, { lossy: true, imageQuality: 0.9 });
+
+    expect(result.converted).toBe(1);
+    const image = doc.context.lookup(imageRef);
+    expect(getFilterNames(image.dict)).toEqual(['DCTDecode']);
+    expect(image.dict.get(PDFName.of('ColorSpace'))).toBe(colorSpace);
+    expect(readJpegHeader(image.contents).components).toBe(components);
+    expect(meanError(image.contents, samples, components)).toBeLessThan(3);
+  });
+
+  it('re-encodes an Adobe YCCK JPEG as plain CMYK, keeping its inversion', async () => {
+    const { doc, imageRef, samples } = await createPdfWithColorSpaceImage({ adobeJpeg: true });
+
+    const result = await recompressImages(doc, { lossy: true, imageQuality: 0.9 });
+
+    expect(result.converted).toBe(1);
+    const image = doc.context.lookup(imageRef);
+    expect(image.dict.get(PDFName.of('Decode')).toString()).toBe('[ 1 0 1 0 1 0 1 0 ]');
+    expect(image.dict.get(PDFName.of('ColorSpace'))).toBe(PDFName.of('DeviceCMYK'));
+    expect(image.contents[17]).toBe(0); // APP14 transform: none
+    expect(meanError(image.contents, samples, 4)).toBeLessThan(3);
+  });
+
+  it('downsamples CMYK images in all four channels', async () => {
+    const { doc, imageRef } = await createPdfWithColorSpaceImage();
+    doc.getPage(0).setSize(20, 20);
+
+    const result = await recompressImages(doc, { lossy: true, maxImageDpi: 150 });
+
+    expect(result.downsampled).toBe(1);
+    const header = readJpegHeader(doc.context.lookup(imageRef).contents);
+    expect(header).toMatchObject({ width: 42, height: 42, components: 4 });
+  });
+
+  it('skips Indexed images with a /Decode array', async () => {
+    const { doc, imageRef } = await createPdfWithPackedImage({ bitsPerComponent: 8, indexed: true });
+    doc.context.lookup(imageRef).dict.set(PDFName.of('Decode'), doc.context.obj([255, 0]));
+
+    const result = await recompressImages(doc, { lossy: true, debug: true });
+
+    expect(result.converted).toBe(0);
+    expect(result.skipReasons.colorspace).toBe(1);
+  });
+});
+
+describe('recompressImages bit depths', () => {
+  /** Mean absolute difference between a JPEG's decoded samples and `expected`. */
+  function meanError(jpeg, expected, components) {
+    const decoded = components === 3 ? jpegDecode(jpeg, { useTArray: true }).data : decodeJpeg(jpeg).data;
+    const stride = components === 3 ? 4 : components;
+    let total = 0;
+    for (let i = 0; i < expected.length / components; i++) {
+      for (let c = 0; c < components; c++) total += Math.abs(decoded[i * stride + c] - expected[i * components + c]);
+    }
+    return total / expected.length;
+  }
+
+  it('expands Indexed images through their palette', async () => {
+    const { doc, imageRef, values, palette } = await createPdfWithPackedImage({ bitsPerComponent: 8, indexed: true });
+
+    const result = await recompressImages(doc, { lossy: true, imageQuality: 0.9, debug: true });
+
+    expect(result.converted).toBe(1);
+    const image = doc.context.lookup(imageRef);
+    expect(image.dict.get(PDFName.of('ColorSpace'))).toBe(PDFName.of('DeviceRGB'));
+    expect(image.dict.get(PDFName.of('BitsPerComponent')).asNumber()).toBe(8);
+    expect(result._debug[0].source).toBe('Indexed 8-bit');
+    const expected = values.flatMap((index) => [...palette.subarray(index * 3, index * 3 + 3)]);
+    expect(meanError(image.contents, expected, 3)).toBeLessThan(8);
+  });
+
+  it.each([1, 3])('scales 16-bit images with %i components to 8 bits', async (components) => {
+    const { doc, imageRef, values } = await createPdfWithPackedImage({ bitsPerComponent: 16, components });
+
+    const result = await recompressImages(doc, { lossy: true, imageQuality: 0.9, debug: true });
+
+    expect(result.converted).toBe(1);
+    const image = doc.context.lookup(imageRef);
+    expect(image.dict.get(PDFName.of('BitsPerComponent')).asNumber()).toBe(8);
+    expect(readJpegHeader(image.contents).components).toBe(components);
+    expect(result._debug[0].source).toBe('16-bit');
+    expect(meanError(image.contents, values.map((v) => Math.round(v / 257)), components)).toBeLessThan(8);
+  });
+
+  it.each([
+    ['1-bit gray', { bitsPerComponent: 1 }],
+    ['2-bit Indexed', { bitsPerComponent: 2, indexed: true }],
+    ['4-bit gray', { bitsPerComponent: 4 }],
+  ])('decodes %s images, keeping them when the JPEG is larger', async (_label, options) => {
+    const { doc } = await createPdfWithPackedImage(options);
+
+    const result = await recompressImages(doc, { lossy: true, debug: true });
+
+    expect(result.converted).toBe(0);
+    expect(result.skipReasons).toMatchObject({ bpc: 0, colorspace: 0, sizeGuard: 1 });
+  });
+
+  it('writes RGB images that are gray within the tolerance as gray JPEGs', async () => {
+    const { doc, imageRef, gray } = await createPdfWithGrayRgbImage({ noise: 6 });
+
+    const result = await recompressImages(doc, { lossy: true, imageQuality: 0.9, debug: true });
+
+    expect(result).toMatchObject({ converted: 1, grayscale: 1 });
+    expect(result._debug[0].grayAs).toBe('gray');
+    const image = doc.context.lookup(imageRef);
+    expect(image.dict.get(PDFName.of('ColorSpace'))).toBe(PDFName.of('DeviceGray'));
+    expect(readJpegHeader(image.contents).components).toBe(1);
+    expect(meanError(image.contents, gray, 1)).toBeLessThan(8);
+  });
+
+  it('writes black and white RGB images as 1-bit Flate', async () => {
+    const { doc, imageRef, gray } = await createPdfWithGrayRgbImage({ bilevel: true, noise: 6 });
+
+    const result = await recompressImages(doc, { lossy: true, debug: true });
+
+    expect(result).toMatchObject({ converted: 1, grayscale: 1 });
+    expect(result._debug[0].grayAs).toBe('1-bit');
+    const { dict, contents } = doc.context.lookup(imageRef);
+    expect(getFilterNames(dict)).toEqual(['FlateDecode']);
+    expect(dict.get(PDFName.of('ColorSpace'))).toBe(PDFName.of('DeviceGray'));
+    expect(dict.get(PDFName.of('BitsPerComponent')).asNumber()).toBe(1);
+    const packed = decodeSamples(dict, contents, getFilterNames(dict), 128, 1);
+    expect(unpackSamples(packed, 128, 128, 1, 1)).toEqual(gray);
+  });
+
+  it('keeps tinted RGB images in colour', async () => {
+    const { doc, imageRef } = await createPdfWithGrayRgbImage({ noise: 40 });
+
+    const result = await recompressImages(doc, { lossy: true });
+
+    expect(result).toMatchObject({ converted: 1, grayscale: 0 });
+    expect(doc.context.lookup(imageRef).dict.get(PDFName.of('ColorSpace'))).toBe(PDFName.of('DeviceRGB'));
+  });
+
+  it('skips images with a colour-key mask', async () => {
+    const { doc, imageRef } = await createPdfWithPackedImage({ bitsPerComponent: 8 });
+    doc.context.lookup(imageRef).dict.set(PDFName.of('Mask'), doc.context.obj([0, 10]));
+
+    const result = await recompressImages(doc, { lossy: true, debug: true });
+
+    expect(result.converted).toBe(0);
+    expect(result.skipReasons.colorKey).toBe(1);
+  });
+});
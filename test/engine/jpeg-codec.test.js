@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { encode as jpegEncode, decode as jpegDecode } from 'jpeg-js';
+import { encodeJpeg, decodeJpeg, readJpegHeader } from '../../src/engine/utils/jpeg-codec.js';
+
+/** A smooth test pattern, with sizes that aren't multiples of 8. */
+function pattern(components, width = 37, height = 29) {
+  const data = new Uint8Array(width * height * components);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < components; c++) {
+        data[(y * width + x) * components + c] = Math.round(127 + 120 * Math.sin(x * 0.2 + y * 0.13 + c));
+      }
+    }
+  }
+  return { data, width, height, components };
+}
+
+const maxError = (a, b) => a.reduce((max, value, i) => Math.max(max, Math.abs(value - b[i])), 0);
+
+describe('encodeJpeg / decodeJpeg', () => {
+  it.each([1, 4])('round-trips %i-component images', (components) => {
+    const image = pattern(components);
+    const jpeg = encodeJpeg(image, 90);
+
+    expect(readJpegHeader(jpeg)).toEqual({ width: 37, height: 29, components, progressive: false });
+    const decoded = decodeJpeg(jpeg);
+    expect(decoded).toMatchObject({ width: 37, height: 29, components });
+    expect(maxError(decoded.data, image.data)).toBeLessThanOrEqual(6);
+  });
+
+  it('writes CMYK that other decoders read as CMYK', () => {
+    const image = pattern(4);
+    const rgba = jpegDecode(encodeJpeg(image, 90), { useTArray: true }).data;
+
+    // jpeg-js converts Adobe-marked CMYK to RGB, treating values as stored inverted
+    const expected = [];
+    for (let i = 0; i < image.data.length; i += 4) {
+      const k = 255 - image.data[i + 3];
+      const c = 255 - image.data[i];
+      expected.push(255 - Math.min(255, c * (1 - k / 255) + k));
+    }
+    const reds = rgba.filter((_, i) => i % 4 === 0);
+    expect(maxError(reds, expected)).toBeLessThanOrEqual(6);
+  });
+
+  it('decodes three-component JPEGs to their stored YCbCr values', () => {
+    const { data, width, height } = pattern(4);
+    const jpeg = new Uint8Array(jpegEncode({ data, width, height }, 90).data);
+
+    const ours = decodeJpeg(jpeg);
+    const theirs = jpegDecode(jpeg, { useTArray: true, colorTransform: false, formatAsRGBA: false });
+
+    expect(ours.components).toBe(3);
+    expect(maxError(ours.data, theirs.data)).toBeLessThanOrEqual(1);
+  });
+
+  it('gives up on progressive JPEGs', () => {
+    const jpeg = encodeJpeg(pattern(1), 90);
+    const sof = jpeg.findIndex((byte, i) => byte === 0xff && jpeg[i + 1] === 0xc0);
+    jpeg[sof + 1] = 0xc2;
+
+    expect(readJpegHeader(jpeg).progressive).toBe(true);
+    expect(() => decodeJpeg(jpeg)).toThrow(/progressive/);
+  });
+});
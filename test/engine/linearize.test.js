@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, PDFRawStream, StandardFonts } from 'pdf-lib';
+import { saveLinearized } from '../../src/engine/linearize.js';
+import { optimize } from '../../src/engine/pipeline.js';
+import { verifyLinearization } from '../utils/linearization-verify.js';
+import { createSimplePdf, createTaggedPdf } from '../fixtures/create-test-pdfs.js';
+
+/**
+ * Multi-page document: Helvetica is shared by every page, Courier is used
+ * only by page 3, and each page has its own content stream.
+ */
+async function createMultiPagePdf(pageCount = 5) {
+  const doc = await PDFDocument.create();
+  const helvetica = await doc.embedFont(StandardFonts.Helvetica);
+  const courier = await doc.embedFont(StandardFonts.Courier);
+  for (let i = 0; i < pageCount; i++) {
+    const page = doc.addPage([300, 300]);
+    page.drawText(`Page ${i + 1}`, { x: 20, y: 200, size: 14, font: helvetica });
+    if (i === 2) page.drawText('Only here', { x: 20, y: 100, size: 10, font: courier });
+  }
+  return doc;
+}
+
+async function reload(bytes) {
+  return PDFDocument.load(bytes, { updateMetadata: false });
+}
+
+describe('saveLinearized', () => {
+  it('keeps the document\'s own PDF version in the header', async () => {
+    const saved = await (await createMultiPagePdf(2)).save();
+    // Same length as %PDF-1.7, so the xref offsets stay valid
+    saved.set(new TextEncoder().encode('%PDF-1.4'), 0);
+    const bytes = await saveLinearized(await reload(saved));
+
+    expect(new TextDecoder().decode(bytes.subarray(0, 9))).toBe('%PDF-1.4\n');
+    expect((await verifyLinearization(bytes)).errors).toEqual([]);
+  });
+
+  it('writes hint tables consistent with object offsets', async () => {
+    const bytes = await saveLinearized(await reload(await (await createMultiPagePdf()).save()));
+    const { errors, params, hints } = await verifyLinearization(bytes);
+
+    expect(errors).toEqual([]);
+    expect(params.N).toBe(5);
+    expect(params.L).toBe(bytes.length);
+    // Every later page shares Helvetica with the first page; only page 3 uses Courier
+    expect(hints.pages.slice(1).every((p) => p.shared.length === 1)).toBe(true);
+    expect(hints.pages[2].nobjects).toBeGreaterThan(hints.pages[1].nobjects);
+  });
+
+  it('puts the linearization dictionary first and the first page before /E', async () => {
+    const bytes = await saveLinearized(await reload(await (await createMultiPagePdf()).save()));
+    const head = new TextDecoder('latin1').decode(bytes.subarray(0, 200));
+    expect(head).toMatch(/^%PDF-1\.7\n%.{4}\n\d+ 0 obj\n<< \/Linearized 1 /s);
+
+    const { params } = await verifyLinearization(bytes);
+    expect(params.E).toBeLessThan(params.L / 2);
+  });
+
+  it('round-trips pages and content through pdf-lib', async () => {
+    const source = await createMultiPagePdf(3);
+    const bytes = await saveLinearized(await reload(await source.save()));
+    const doc = await reload(bytes);
+
+    expect(doc.getPageCount()).toBe(3);
+    const contents = doc.getPages()[2].node.Contents();
+    expect(contents).toBeDefined();
+    expect(doc.catalog.get(PDFName.of('Pages'))).toBeDefined();
+  });
+
+  it('handles single-page and tagged documents', async () => {
+    for (const create of [createSimplePdf, createTaggedPdf]) {
+      const bytes = await saveLinearized(await reload(await (await create()).save()));
+      expect((await verifyLinearization(bytes)).errors).toEqual([]);
+    }
+  });
+
+  it('drops objects nothing references', async () => {
+    const doc = await createMultiPagePdf(2);
+    doc.context.register(PDFRawStream.of(doc.context.obj({}), new Uint8Array(500)));
+    const loaded = await reload(await saveLinearized(doc));
+
+    const orphans = loaded.context.enumerateIndirectObjects()
+      .filter(([, obj]) => obj instanceof PDFRawStream && obj.contents.length === 500);
+    expect(orphans).toEqual([]);
+  });
+
+  it('refuses encrypted documents', async () => {
+    const doc = await createMultiPagePdf(1);
+    doc.context.trailerInfo.Encrypt = doc.context.obj({});
+    await expect(saveLinearized(doc)).rejects.toThrow(/encrypted/i);
+  });
+});
+
+describe('verifyLinearization', () => {
+  it('flags a tampered parameter dictionary', async () => {
+    const bytes = await saveLinearized(await reload(await (await createMultiPagePdf()).save()));
+    const text = new TextDecoder('latin1').decode(bytes);
+    const { params } = await verifyLinearization(bytes);
+    // Numbers are space-padded, so nudging /E keeps every offset valid
+    const tampered = text.replace(`/E ${params.E}`, `/E ${params.E + 1}`);
+    const result = await verifyLinearization(Uint8Array.from(tampered, (c) => c.charCodeAt(0)));
+
+    expect(result.errors.some((e) => e.includes('/E'))).toBe(true);
+  });
+
+  it('rejects a regular (non-linearized) save', async () => {
+    const bytes = await (await createMultiPagePdf()).save({ useObjectStreams: false });
+    const { errors } = await verifyLinearization(bytes);
+    expect(errors[0]).toMatch(/No linearization parameter dictionary/);
+  });
+});
+
+describe('optimize() with linearize', () => {
+  it('returns a linearized file when it is smaller than the input', async () => {
+    const doc = await createMultiPagePdf();
+    // Uncompressed padding gives the stream pass something to win back
+    const filler = new Uint8Array(20000).map((_, i) => 65 + (i % 26));
+    const dict = doc.context.obj({});
+    dict.set(PDFName.of('Length'), doc.context.obj(filler.length));
+    doc.getPages()[0].node.set(PDFName.of('PieceInfo'), doc.context.register(PDFRawStream.of(dict, filler)));
+    const input = await doc.save({ useObjectStreams: false });
+
+    const { output, stats } = await optimize(input, { linearize: true });
+
+    expect(stats.linearized).toBe(true);
+    expect(stats.sizeGuard).toBeUndefined();
+    expect((await verifyLinearization(output)).errors).toEqual([]);
+  });
+
+  it('keeps the regular writer when not requested', async () => {
+    const input = await (await createMultiPagePdf()).save({ useObjectStreams: false });
+    const { stats } = await optimize(input, {});
+    expect(stats.linearized).toBeUndefined();
+  });
+});
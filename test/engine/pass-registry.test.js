@@ -0,0 +1,156 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { PDFDocument, PDFName, PDFArray, StandardFonts } from 'pdf-lib';
+import { createPassRegistry } from '../../src/engine/pass-registry.js';
+import { optimize, passRegistry } from '../../src/engine/pipeline.js';
+import { createPdfAPdf } from '../fixtures/create-test-pdfs.js';
+
+const noop = () => ({});
+
+async function createTextPdf() {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  doc.addPage([200, 200]).drawText('Registry test', { x: 10, y: 100, size: 12, font });
+  return new Uint8Array(await doc.save({ useObjectStreams: false }));
+}
+
+describe('createPassRegistry', () => {
+  const names = (registry) => registry.list().map((p) => p.name);
+
+  it('fills in flag defaults and rejects malformed passes', () => {
+    const registry = createPassRegistry([{ name: 'a', fn: noop }]);
+    expect(registry.list()[0]).toMatchObject({ name: 'a', lossy: false, pdfaSafe: true, enabled: true });
+
+    expect(() => registry.register({ fn: noop })).toThrow(/name/);
+    expect(() => registry.register({ name: 'b' })).toThrow(/fn/);
+    expect(() => registry.register({ name: 'a', fn: noop })).toThrow(/already registered/);
+  });
+
+  it('inserts before or after a named pass', () => {
+    const registry = createPassRegistry([{ name: 'a', fn: noop }, { name: 'c', fn: noop }]);
+    registry.register({ name: 'b', fn: noop }, { after: 'a' });
+    registry.register({ name: 'start', fn: noop }, { before: 'a' });
+    registry.register({ name: 'end', fn: noop });
+    expect(names(registry)).toEqual(['start', 'a', 'b', 'c', 'end']);
+    expect(() => registry.register({ name: 'x', fn: noop }, { after: 'missing' })).toThrow(/Unknown pass/);
+  });
+
+  it('replaces a pass in place, keeping its flags unless overridden', () => {
+    const fn = () => ({ replaced: true });
+    const registry = createPassRegistry([{ name: 'a', fn: noop, lossy: true }, { name: 'b', fn: noop }]);
+    registry.replace('a', fn);
+    expect(registry.list()[0]).toMatchObject({ name: 'a', fn, lossy: true });
+
+    registry.replace('a', { fn: noop, lossy: false });
+    expect(registry.list()[0].lossy).toBe(false);
+    expect(() => registry.replace('a', { name: 'b' })).toThrow(/already registered/);
+  });
+
+  it('moves, disables, unregisters and resets', () => {
+    const registry = createPassRegistry([{ name: 'a', fn: noop }, { name: 'b', fn: noop }, { name: 'c', fn: noop }]);
+    registry.move('c', { before: 'a' });
+    expect(names(registry)).toEqual(['c', 'a', 'b']);
+    expect(() => registry.move('c', { after: 'missing' })).toThrow(/Unknown pass/);
+    expect(names(registry)).toEqual(['c', 'a', 'b']);
+
+    registry.disable('a');
+    expect(registry.active().map((p) => p.name)).toEqual(['c', 'b']);
+    registry.enable('a').unregister('b');
+    expect(names(registry)).toEqual(['c', 'a']);
+
+    registry.reset();
+    expect(names(registry)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('optimize() with custom passes', () => {
+  afterEach(() => {
+    passRegistry.reset();
+  });
+
+  it('runs a registered pass with timing and progress like the built-ins', async () => {
+    const seen = [];
+    passRegistry.register(
+      {
+        name: 'Stripping DMS stamps',
+        fn: (pdfDoc, options) => {
+          seen.push({ pages: pdfDoc.getPageCount(), traits: options._pdfTraits });
+          return { stripped: 2 };
+        },
+      },
+      { before: 'Removing unreferenced objects' },
+    );
+
+    const progress = [];
+    const { stats } = await optimize(await createTextPdf(), {}, (value, name) => progress.push(name));
+
+    const names = stats.passes.map((p) => p.name);
+    expect(names.indexOf('Stripping DMS stamps')).toBe(names.indexOf('Removing unreferenced objects') - 1);
+    const custom = stats.passes.find((p) => p.name === 'Stripping DMS stamps');
+    expect(custom).toMatchObject({ stripped: 2 });
+    expect(custom._ms).toBeGreaterThanOrEqual(0);
+    expect(seen[0].pages).toBe(1);
+    expect(seen[0].traits).toBeDefined();
+    expect(progress).toContain('Stripping DMS stamps');
+  });
+
+  it('isolates errors thrown by a custom pass', async () => {
+    passRegistry.register({ name: 'Exploding pass', fn: () => { throw new Error('boom'); } }, { after: 'Recompressing streams' });
+    const { output, stats } = await optimize(await createTextPdf());
+
+    expect(stats.passes.find((p) => p.name === 'Exploding pass')).toEqual({ name: 'Exploding pass', error: 'boom' });
+    expect((await PDFDocument.load(output)).getPageCount()).toBe(1);
+  });
+
+  it('tracks dangling refs introduced by a custom pass in debug mode', async () => {
+    passRegistry.register(
+      {
+        name: 'Careless pass',
+        fn: (pdfDoc) => {
+          const contents = pdfDoc.getPages()[0].node.get(PDFName.of('Contents'));
+          pdfDoc.context.delete(contents instanceof PDFArray ? contents.get(0) : contents);
+          return {};
+        },
+      },
+      { before: 'Removing unreferenced objects' },
+    );
+    const { stats } = await optimize(await createTextPdf(), { debug: true });
+
+    const entry = stats.passes.find((p) => p.name === 'Careless pass');
+    expect(entry._danglingAfterPass[0]).toMatch(/^Page 1: dangling ref/);
+    expect(stats.contentGuard).toBe(true);
+  });
+
+  it('gates lossy passes on options.lossy', async () => {
+    let calls = 0;
+    passRegistry.register({ name: 'Lossy cleanup', fn: () => { calls++; return {}; }, lossy: true });
+
+    const lossless = await optimize(await createTextPdf(), {});
+    expect(calls).toBe(0);
+    expect(lossless.stats.passes.find((p) => p.name === 'Lossy cleanup')).toMatchObject({ gated: 'lossy', _ms: 0 });
+
+    await optimize(await createTextPdf(), { lossy: true });
+    expect(calls).toBe(1);
+  });
+
+  it('skips passes that are not PDF/A-safe for PDF/A input', async () => {
+    let calls = 0;
+    passRegistry.register({ name: 'Risky cleanup', fn: () => { calls++; return {}; }, pdfaSafe: false });
+    const pdfa = new Uint8Array(await (await createPdfAPdf()).save());
+
+    const { stats } = await optimize(pdfa);
+    expect(calls).toBe(0);
+    expect(stats.passes.find((p) => p.name === 'Risky cleanup')).toMatchObject({ gated: 'pdfa', pdfaSkipped: true });
+
+    await optimize(await createTextPdf());
+    expect(calls).toBe(1);
+  });
+
+  it('leaves disabled built-in passes out of the run', async () => {
+    passRegistry.disable('Stripping metadata');
+    passRegistry.replace('Deduplicating fonts', () => ({ deduplicated: 0, custom: true }));
+    const { stats } = await optimize(await createTextPdf());
+
+    expect(stats.passes.some((p) => p.name === 'Stripping metadata')).toBe(false);
+    expect(stats.passes.find((p) => p.name === 'Deduplicating fonts').custom).toBe(true);
+  });
+});
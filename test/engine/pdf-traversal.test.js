@@ -1,7 +1,7 @@
 import { describe, it, expect } from 'vitest';
 import { PDFDocument, PDFName, PDFRawStream, PDFRef } from 'pdf-lib';
 import { deflateSync } from 'fflate';
-import { findReachableRefs } from '../../src/engine/utils/pdf-traversal.js';
+import { findReachableRefs, countReferences } from '../../src/engine/utils/pdf-traversal.js';
 
 describe('findReachableRefs', () => {
   it('finds all reachable refs from a simple PDF', async () => {
@@ -78,3 +78,21 @@ describe('findReachableRefs', () => {
     expect(refs.has(orphanRef.tag)).toBe(false);
   });
 });
+
+describe('countReferences', () => {
+  it('counts every place a ref is written, in reachable objects only', async () => {
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([100, 100]);
+    const { context } = doc;
+
+    const shared = context.register(context.obj({ Type: 'ExtGState', CA: 0.5 }));
+    const streamRef = context.register(PDFRawStream.of(context.obj({ Length: 0, Shared: shared }), new Uint8Array(0)));
+    page.node.set(PDFName.of('Shared'), context.obj([shared, shared, streamRef]));
+    // An orphan pointing at the same object doesn't count
+    context.register(context.obj({ Shared: shared }));
+
+    const counts = countReferences(context);
+    expect(counts.get(shared)).toBe(3);
+    expect(counts.get(streamRef)).toBe(1);
+  });
+});
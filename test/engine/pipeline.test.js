@@ -1,7 +1,7 @@
-import { describe, it, expect } from 'vitest';
-import { PDFDocument, PDFName, PDFRawStream, PDFString, StandardFonts } from 'pdf-lib';
+import { describe, it, expect, afterEach } from 'vitest';
+import { PDFDocument, PDFName, PDFArray, PDFRawStream, PDFString, StandardFonts } from 'pdf-lib';
 import { deflateSync } from 'fflate';
-import { optimize } from '../../src/engine/pipeline.js';
+import { optimize, passRegistry } from '../../src/engine/pipeline.js';
 import {
   createTaggedPdf,
   createPdfAPdf,
@@ -298,3 +298,76 @@ describe('optimize pipeline', () => {
     expect(outputText).toContain('/Type /ObjStm');
   });
 });
+
+describe('transactional mode', () => {
+  afterEach(() => {
+    passRegistry.reset();
+  });
+
+  /** A pass that deletes page 1's content stream — the kind of bug the guard catches. */
+  const breakingPass = {
+    name: 'Breaking pass',
+    fn: (pdfDoc) => {
+      const contents = pdfDoc.getPages()[0].node.get(PDFName.of('Contents'));
+      pdfDoc.context.delete(contents instanceof PDFArray ? contents.get(0) : contents);
+      return { removed: 1 };
+    },
+  };
+
+  it('discards all work without transactional mode', async () => {
+    passRegistry.register(breakingPass, { before: 'Removing unreferenced objects' });
+    const inputBytes = new Uint8Array(await createBloatedPdf());
+    const { output, stats } = await optimize(inputBytes);
+
+    expect(stats.contentGuard).toBe(true);
+    expect(output).toEqual(inputBytes);
+  });
+
+  it('rolls back only the offending pass and keeps the rest', async () => {
+    passRegistry.register(breakingPass, { before: 'Removing unreferenced objects' });
+    const inputBytes = new Uint8Array(await createBloatedPdf());
+    const { output, stats } = await optimize(inputBytes, { transactional: true });
+
+    expect(stats.contentGuard).toBeUndefined();
+    expect(output.length).toBeLessThan(inputBytes.length);
+
+    const entry = stats.passes.find((p) => p.name === 'Breaking pass');
+    expect(entry.rolledBack).toBe(true);
+    expect(entry.removed).toBeUndefined();
+    expect(entry.rollbackReasons.some((r) => r.startsWith('Page 1: dangling'))).toBe(true);
+
+    const streams = stats.passes.find((p) => p.name === 'Recompressing streams');
+    expect(streams.rolledBack).toBeUndefined();
+    expect(streams.recompressed).toBeGreaterThan(0);
+
+    const reloaded = await PDFDocument.load(output);
+    const contents = reloaded.getPages()[0].node.get(PDFName.of('Contents'));
+    const first = contents instanceof PDFArray ? contents.get(0) : contents;
+    expect(reloaded.context.lookup(first)).toBeDefined();
+  });
+
+  it('rolls back partial changes from a pass that throws', async () => {
+    passRegistry.register({
+      name: 'Half-done pass',
+      fn: (pdfDoc) => {
+        pdfDoc.catalog.set(PDFName.of('HalfDone'), PDFName.of('Yes'));
+        throw new Error('gave up');
+      },
+    }, { after: 'Recompressing streams' });
+    const inputBytes = new Uint8Array(await createBloatedPdf());
+    const { output, stats } = await optimize(inputBytes, { transactional: true });
+
+    expect(stats.passes.find((p) => p.name === 'Half-done pass')).toEqual({ name: 'Half-done pass', error: 'gave up', rolledBack: true });
+    const reloaded = await PDFDocument.load(output);
+    expect(reloaded.catalog.get(PDFName.of('HalfDone'))).toBeUndefined();
+  });
+
+  it('leaves well-behaved runs unchanged', async () => {
+    const inputBytes = new Uint8Array(await createBloatedPdf());
+    const plain = await optimize(inputBytes);
+    const transactional = await optimize(inputBytes, { transactional: true });
+
+    expect(transactional.output.length).toBe(plain.output.length);
+    expect(transactional.stats.passes.some((p) => p.rolledBack)).toBe(false);
+  });
+});
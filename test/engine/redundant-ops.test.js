@@ -0,0 +1,137 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, PDFRawStream } from 'pdf-lib';
+import { zlibSync } from 'fflate';
+import { findRedundantOperations, removeRedundantOperators } from '../../src/engine/optimize/redundant-ops.js';
+import { tokenizeContentStream, groupOperations } from '../../src/engine/utils/content-stream-parser.js';
+import { serializeContentStream } from '../../src/engine/utils/content-stream-writer.js';
+import { decodeStream, getFilterNames } from '../../src/engine/utils/stream-decode.js';
+import { createPdfWithRedundantOperators } from '../fixtures/create-test-pdfs.js';
+
+/** Run the rules over a content stream; returns the surviving operators in minimal form. */
+function simplify(source, initial = 'page') {
+  const { operations } = groupOperations(tokenizeContentStream(new TextEncoder().encode(source)));
+  const { removed, rules } = findRedundantOperations(operations, { initial });
+  const kept = operations.filter((_, i) => !removed.has(i)).flatMap((op) => op.tokens);
+  return { text: new TextDecoder('latin1').decode(serializeContentStream(kept)), rules };
+}
+
+function decoded(doc, ref) {
+  const stream = doc.context.lookup(ref);
+  const filters = getFilterNames(stream.dict);
+  return new TextDecoder('latin1').decode(filters ? decodeStream(stream.contents, filters) : stream.contents);
+}
+
+// Each rule's before → after operator sequences. `after` is the minimal
+// serialization of what's left.
+const CORPUS = [
+  // redundantState
+  ['redundantState', 'fill colour already the page default', '0 g 0 0 10 10 re f', '0 0 10 10 re\nf'],
+  ['redundantState', 'colour set again', '1 0 0 rg 0 0 10 10 re f 1 0 0 rg 20 0 10 10 re f', '1 0 0 rg\n0 0 10 10 re\nf\n20 0 10 10 re\nf'],
+  ['redundantState', 'same value, different spelling', '.5 G 0 0 m 9 9 l S 0.500 G 9 0 m 0 9 l S', '.5 G\n0 0 m\n9 9 l\nS\n9 0 m\n0 9 l\nS'],
+  ['redundantState', 'line width set again', '2 w 0 0 m 5 5 l S 2 w 1 1 m 3 3 l S', '2 w\n0 0 m\n5 5 l\nS\n1 1 m\n3 3 l\nS'],
+  ['redundantState', 'dash pattern set again', '[3 2] 0 d 0 0 m 5 5 l S [3 2] 0 d 0 0 m 5 0 l S', '[3 2]0 d\n0 0 m\n5 5 l\nS\n0 0 m\n5 0 l\nS'],
+  ['redundantState', 'ExtGState applied twice', '/GS0 gs 0 0 m 1 1 l S /GS0 gs 2 2 m 3 3 l S', '/GS0 gs\n0 0 m\n1 1 l\nS\n2 2 m\n3 3 l\nS'],
+  ['redundantState', 'font set again', 'BT /F1 12 Tf (a) Tj ET BT /F1 12 Tf (b) Tj ET', 'BT/F1 12 Tf(a)Tj\nET\nBT(b)Tj\nET'],
+  ['redundantState', 'leading already set by TD', "BT /F1 9 Tf 0 -14 TD (a) Tj 14 TL (b) ' ET", "BT/F1 9 Tf\n0 -14 TD(a)Tj(b)'\nET"],
+  ['redundantState', 'colour restored by Q', '1 g q 0 g 0 0 9 9 re f Q 1 g 0 0 9 9 re f', '1 g\nq\n0 g\n0 0 9 9 re\nf\nQ\n0 0 9 9 re\nf'],
+  ['redundantState', 'cs selecting the current space at its initial colour', '/DeviceRGB cs /DeviceRGB cs 0 0 9 9 re f', '/DeviceRGB cs\n0 0 9 9 re\nf'],
+  // identityMatrix
+  ['identityMatrix', 'identity cm', 'q 1 0 0 1 0 0 cm 0 0 m 1 1 l S Q', 'q\n0 0 m\n1 1 l\nS\nQ'],
+  ['identityMatrix', 'identity written with decimals', '1.0 0.0 0.0 1.0 0.0 0.0 cm 0 0 m 1 1 l S', '0 0 m\n1 1 l\nS'],
+  // emptySaveRestore
+  ['emptySaveRestore', 'empty pair', 'q Q 0 0 m 1 1 l S', '0 0 m\n1 1 l\nS'],
+  ['emptySaveRestore', 'pair around state changes only', 'q 1 0 0 RG 3 w 2 0 0 2 0 0 cm Q 0 0 m 1 1 l S', '0 0 m\n1 1 l\nS'],
+  ['emptySaveRestore', 'nested empty pair', 'q q 2 w Q 0 0 m 1 1 l S Q', 'q\n0 0 m\n1 1 l\nS\nQ'],
+  ['emptySaveRestore', 'pair left empty by an empty text block', 'q BT 72 700 Td ET Q', ''],
+  // emptyText
+  ['emptyText', 'text block without text', 'BT /F1 12 Tf 72 700 Td ET', '/F1 12 Tf'],
+  ['emptyText', 'positioning only', 'BT 1 0 0 1 72 700 Tm T* ET 0 0 m 1 1 l S', '0 0 m\n1 1 l\nS'],
+];
+
+// Sequences that look redundant but aren't
+const KEPT = [
+  ['colour differs after Q', '1 g q 0 g 0 0 9 9 re f Q 0 g 0 0 9 9 re f'],
+  ['ExtGState after a line width change', '/GS0 gs 3 w /GS0 gs 0 0 m 1 1 l S'],
+  ['ExtGState after a cm (a soft mask is placed by the CTM)', '/GS1 gs 0 0 9 9 re f 2 0 0 2 0 0 cm /GS1 gs 0 0 9 9 re f'],
+  ['font after an ExtGState (it may set /Font)', 'BT /F1 12 Tf /GS0 gs /F1 12 Tf (a) Tj ET'],
+  ['marked content in a q … Q', 'q /Artifact BMC EMC Q'],
+  ['XObject in a q … Q', 'q /Im0 Do Q'],
+  ['text block in a clipping render mode', '7 Tr BT 72 700 Td ET 0 0 m 1 1 l S'],
+  ['TD also sets the leading', 'BT 0 -14 TD ET'],
+  ['cs resets the colour', '1 0 0 rg /DeviceRGB cs 0 0 9 9 re f'],
+];
+
+describe('findRedundantOperations', () => {
+  it.each(CORPUS)('%s: %s', (rule, _label, before, after) => {
+    const { text, rules } = simplify(before);
+    expect(text).toBe(after);
+    expect(rules[rule]).toBeGreaterThan(0);
+  });
+
+  it.each(KEPT)('keeps: %s', (_label, source) => {
+    const { rules } = simplify(source);
+    expect(Object.values(rules).reduce((a, b) => a + b)).toBe(0);
+  });
+
+  it('assumes nothing about the state a Form XObject starts in', () => {
+    expect(simplify('0 g 0 0 9 9 re f', 'unknown').text).toBe('0 g\n0 0 9 9 re\nf');
+    expect(simplify('0 g 0 0 9 9 re f 0 g 1 1 9 9 re f', 'unknown').text).toBe('0 g\n0 0 9 9 re\nf\n1 1 9 9 re\nf');
+  });
+});
+
+describe('removeRedundantOperators', () => {
+  it('cleans up page content and Form XObjects and reports each rule', async () => {
+    const { doc, contentRefs, formRef } = await createPdfWithRedundantOperators();
+
+    const result = await removeRedundantOperators(doc);
+
+    expect(result.operatorsRemoved).toBeGreaterThan(0);
+    expect(result.rules).toMatchObject({
+      redundantState: expect.any(Number),
+      emptySaveRestore: expect.any(Number),
+      emptyText: expect.any(Number),
+    });
+    expect(result.rules.emptySaveRestore).toBeGreaterThan(0);
+    expect(result.rules.emptyText).toBeGreaterThan(0);
+    expect(result.savedBytes).toBeGreaterThan(0);
+
+    const page = contentRefs.map((ref) => decoded(doc, ref)).join('\n');
+    expect(page).not.toMatch(/q\s+Q/);
+    expect(page.match(/Tj/g)).toHaveLength(40);
+    expect(decoded(doc, formRef)).toBe('0 g\n0 0 9 9 re\nf\n1 1 9 9 re\nf');
+  });
+
+  it('removes a q … Q pair split across a page\'s content streams together', async () => {
+    const { doc, contentRefs } = await createPdfWithRedundantOperators();
+
+    await removeRedundantOperators(doc);
+
+    const [first, second] = contentRefs.map((ref) => decoded(doc, ref));
+    const saves = (first + second).match(/\bq\b/g)?.length ?? 0;
+    const restores = (first + second).match(/\bQ\b/g)?.length ?? 0;
+    expect(saves).toBe(restores);
+  });
+
+  it('leaves a content stream shared by two pages alone', async () => {
+    const doc = await PDFDocument.create();
+    const bytes = new TextEncoder().encode('0 g q Q 0 0 9 9 re f');
+    const ref = doc.context.register(PDFRawStream.of(doc.context.obj({ Length: bytes.length }), bytes));
+    for (let i = 0; i < 2; i++) doc.addPage([100, 100]).node.set(PDFName.of('Contents'), ref);
+
+    const result = await removeRedundantOperators(doc);
+
+    expect(result.operatorsRemoved).toBe(0);
+    expect(doc.context.lookup(ref).contents).toBe(bytes);
+  });
+
+  it('skips streams that are already minimal and have nothing to remove', async () => {
+    const doc = await PDFDocument.create();
+    const bytes = zlibSync(new TextEncoder().encode('1 g 0 0 9 9 re\nf'));
+    const ref = doc.context.register(PDFRawStream.of(doc.context.obj({ Filter: 'FlateDecode', Length: bytes.length }), bytes));
+    doc.addPage([100, 100]).node.set(PDFName.of('Contents'), ref);
+
+    const result = await removeRedundantOperators(doc);
+
+    expect(result).toMatchObject({ operatorsRemoved: 0, rewritten: 0, skipped: 1 });
+  });
+});
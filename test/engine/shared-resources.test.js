@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, PDFDict } from 'pdf-lib';
+import { shareResources } from '../../src/engine/optimize/shared-resources.js';
+import { optimize } from '../../src/engine/pipeline.js';
+import { createPdfWithRepeatedResources } from '../fixtures/create-test-pdfs.js';
+
+const resourcesOf = (doc, index) => doc.getPage(index).node.get(PDFName.of('Resources'));
+
+describe('shareResources', () => {
+  it('points pages with equal resources at one dictionary', async () => {
+    const { doc, resourcesRef } = await createPdfWithRepeatedResources();
+
+    const result = await shareResources(doc);
+
+    expect(result).toEqual({ sharedPages: 4, sharedDicts: 1 });
+    for (const index of [0, 1, 2, 4, 5]) expect(resourcesOf(doc, index)).toBe(resourcesRef);
+    expect(resourcesOf(doc, 3)).toBeInstanceOf(PDFDict);
+  });
+
+  it('drops resources from /Pages nodes no page inherits from any more', async () => {
+    const { doc, subtreeRef } = await createPdfWithRepeatedResources();
+
+    await shareResources(doc);
+
+    expect(doc.context.lookup(subtreeRef).has(PDFName.of('Resources'))).toBe(false);
+  });
+
+  it('registers a new dictionary when no page refers to one', async () => {
+    const { doc, resourcesRef } = await createPdfWithRepeatedResources();
+    doc.getPage(2).node.set(PDFName.of('Resources'), doc.context.lookup(resourcesRef).clone());
+
+    await shareResources(doc);
+
+    const shared = resourcesOf(doc, 0);
+    expect(shared).not.toBe(resourcesRef);
+    expect(doc.context.lookup(shared)).toBeInstanceOf(PDFDict);
+    for (const index of [1, 2, 4, 5]) expect(resourcesOf(doc, index)).toBe(shared);
+  });
+
+  it('leaves resources every page already inherits from one node alone', async () => {
+    const doc = await PDFDocument.create();
+    const root = doc.catalog.lookup(PDFName.of('Pages'));
+    root.set(PDFName.of('Resources'), doc.context.obj({ ProcSet: ['PDF'] }));
+    for (let i = 0; i < 3; i++) doc.addPage([100, 100]).node.delete(PDFName.of('Resources'));
+
+    const result = await shareResources(doc);
+
+    expect(result).toEqual({ sharedPages: 0, sharedDicts: 0 });
+    expect(root.has(PDFName.of('Resources'))).toBe(true);
+  });
+
+  it('runs in the pipeline and keeps every page drawable', async () => {
+    const { doc } = await createPdfWithRepeatedResources();
+
+    const { output, stats } = await optimize(await doc.save({ useObjectStreams: false }));
+
+    expect(stats.sizeGuard).toBeUndefined();
+    expect(stats.passes.find((p) => p.name === 'Sharing page resources').sharedPages).toBeGreaterThan(0);
+    expect(stats.contentWarnings).toBeUndefined();
+    const outDoc = await PDFDocument.load(output);
+    const refs = new Set(outDoc.getPages().map((page) => page.node.get(PDFName.of('Resources'))));
+    expect(refs.size).toBe(2);
+    for (const page of outDoc.getPages()) expect(page.node.Resources().lookup(PDFName.of('Font'))).toBeInstanceOf(PDFDict);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { createHash } from 'node:crypto';
+import { PDFName, PDFArray } from 'pdf-lib';
+import { loadDocument } from '../../src/engine/encryption.js';
+import { optimize } from '../../src/engine/pipeline.js';
+import { SIGNED_PDF } from '../../src/engine/incremental.js';
+import { detectSignatureTraits } from '../../src/engine/utils/signature-detect.js';
+import { createSignedPdf, createSimplePdf } from '../fixtures/create-test-pdfs.js';
+
+const latin1 = (bytes) => Buffer.from(bytes).toString('latin1');
+
+/** Whether the fixture's digest "signature" still matches the bytes its /ByteRange covers. */
+function signatureHolds(bytes) {
+  const text = latin1(bytes);
+  const [start, firstLength, second, secondLength] = /\/ByteRange \[(\d+) (\d+) (\d+) (\d+)\]/
+    .exec(text)
+    .slice(1)
+    .map(Number);
+  const digest = createHash('sha256')
+    .update(bytes.subarray(start, start + firstLength))
+    .update(bytes.subarray(second, second + secondLength))
+    .digest('hex');
+  return text.slice(firstLength + 1, firstLength + 65) === digest;
+}
+
+describe('detectSignatureTraits', () => {
+  it('reports nothing for unsigned documents', async () => {
+    const { pdfDoc } = await loadDocument(await (await createSimplePdf()).save());
+    expect(detectSignatureTraits(pdfDoc, 1000)).toEqual({ isSigned: false, signatures: [] });
+  });
+
+  it('finds signed /Sig fields and whether anything follows the signature', async () => {
+    const signed = createSignedPdf();
+    const { pdfDoc } = await loadDocument(signed);
+    const { isSigned, signatures } = detectSignatureTraits(pdfDoc, signed.length);
+    expect(isSigned).toBe(true);
+    expect(signatures).toHaveLength(1);
+    expect(signatures[0]).toMatchObject({
+      field: 'Approval',
+      type: 'approval',
+      subFilter: 'adbe.pkcs7.detached',
+      signer: 'Test Signer',
+      signedAt: '2026-03-01T12:00:00.000Z',
+      signedLength: signed.length,
+      coversWholeFile: true,
+    });
+
+    const updated = createSignedPdf({ appendAfterSigning: true });
+    const reloaded = await loadDocument(updated);
+    const [signature] = detectSignatureTraits(reloaded.pdfDoc, updated.length).signatures;
+    expect(signature.signedLength).toBe(signed.length);
+    expect(signature.coversWholeFile).toBe(false);
+  });
+});
+
+describe('optimize() with signed PDFs', () => {
+  it('refuses signed documents by default', async () => {
+    await expect(optimize(createSignedPdf())).rejects.toMatchObject({ code: SIGNED_PDF });
+  });
+
+  it('returns a file with nothing after its signature unchanged', async () => {
+    const input = createSignedPdf();
+    const { output, stats } = await optimize(input, { signedPdfs: 'incremental' });
+    expect(output).toEqual(input);
+    expect(stats.sizeGuard).toBeUndefined();
+    expect(stats.signatures).toEqual({ count: 1, signedLength: input.length, appendedObjects: 0, rewrittenObjects: 0 });
+    expect(stats.passes.every((pass) => pass.gated === 'signed')).toBe(true);
+  });
+
+  for (const xrefStream of [false, true]) {
+    it(`optimizes only what was added after signing (${xrefStream ? 'xref stream' : 'xref table'})`, async () => {
+      const input = createSignedPdf({ appendAfterSigning: true, xrefStream });
+      const signedLength = createSignedPdf({ xrefStream }).length;
+      const { output, stats } = await optimize(input, { signedPdfs: 'incremental' });
+
+      expect(output.length).toBeLessThan(input.length);
+      expect(output.subarray(0, signedLength)).toEqual(input.subarray(0, signedLength));
+      expect(signatureHolds(output)).toBe(true);
+      expect(stats.signatures).toMatchObject({ signedLength, appendedObjects: 2, rewrittenObjects: 2 });
+
+      // One new revision: the signed one's uncompressed stream stays as it was
+      const update = latin1(output.subarray(signedLength));
+      expect(update.match(/%%EOF/g)).toHaveLength(1);
+      expect(update).toMatch(xrefStream ? /\/Type \/XRef/ : /^xref$/m);
+      expect(update).toMatch(/\/Prev \d+/);
+
+      const { pdfDoc } = await loadDocument(output);
+      const contents = pdfDoc.getPages()[0].node.lookup(PDFName.of('Contents'));
+      expect(contents).toBeInstanceOf(PDFArray);
+      const [original, added] = contents.asArray().map((ref) => pdfDoc.context.lookup(ref));
+      expect(original.dict.has(PDFName.of('Filter'))).toBe(false);
+      expect(added.dict.lookup(PDFName.of('Filter'))).toBe(PDFName.of('FlateDecode'));
+    });
+  }
+});
@@ -6,6 +6,7 @@ import {
   hasImageFilter,
   allFiltersDecodable,
   undoPngPrediction,
+  applyPngPrediction,
   getFilterNames,
 } from '../../src/engine/utils/stream-decode.js';
 
@@ -249,3 +250,34 @@ describe('undoPngPrediction', () => {
     expect(result).toEqual(new Uint8Array([100, 110]));
   });
 });
+
+describe('applyPngPrediction', () => {
+  // 5 columns of 3 bytes, 4 rows: a gradient with some edges
+  const rows = Uint8Array.from({ length: 60 }, (_, i) => (i * 37 + (i % 7) * 90) & 0xff);
+
+  it.each([10, 11, 12, 13, 14, 15])('round-trips through undoPngPrediction with /Predictor %i', (predictor) => {
+    const predicted = applyPngPrediction(rows, 5, 3, predictor);
+
+    expect(predicted.length).toBe(64);
+    expect(undoPngPrediction(predicted, 5, 3)).toEqual(rows);
+  });
+
+  it('tags each row with its filter type', () => {
+    const predicted = applyPngPrediction(rows, 5, 3, 12);
+    expect([0, 16, 32, 48].map((i) => predicted[i])).toEqual([2, 2, 2, 2]);
+  });
+
+  it('picks the filter per row that leaves the smallest bytes', () => {
+    // Row 0 repeats one pixel (Sub leaves zeros); row 1 repeats row 0 (Up does)
+    const data = Uint8Array.of(9, 9, 9, 9, 9, 9, 9, 9);
+    expect(Array.from(applyPngPrediction(data, 4, 1, 15))).toEqual([1, 9, 0, 0, 0, 2, 0, 0, 0, 0]);
+  });
+
+  it('handles rows of packed sub-byte pixels', () => {
+    // 10 one-bit pixels per row: 2 bytes, predicted one byte back
+    const data = Uint8Array.of(0xaa, 0x80, 0xaa, 0x80, 0x55, 0x40);
+    const predicted = applyPngPrediction(data, 10, 1, 15, 2);
+
+    expect(undoPngPrediction(predicted, 10, 1, 2)).toEqual(data);
+  });
+});
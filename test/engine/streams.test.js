@@ -12,7 +12,7 @@ describe('recompressStreams', () => {
     const doc = await createUncompressedStreamPdf();
     const sizeBefore = (await doc.save()).length;
 
-    const result = recompressStreams(doc);
+    const result = await recompressStreams(doc);
 
     expect(result.recompressed).toBeGreaterThan(0);
 
@@ -24,7 +24,7 @@ describe('recompressStreams', () => {
     const doc = await createPoorlyCompressedPdf();
     const sizeBefore = (await doc.save()).length;
 
-    const result = recompressStreams(doc);
+    const result = await recompressStreams(doc);
 
     // At least some streams should be recompressed
     expect(result.recompressed + result.skipped).toBeGreaterThan(0);
@@ -44,7 +44,7 @@ describe('recompressStreams', () => {
     doc.context.register(stream);
 
     // Should not error
-    const result = recompressStreams(doc);
+    const result = await recompressStreams(doc);
     expect(result).toBeDefined();
   });
 
@@ -59,7 +59,7 @@ describe('recompressStreams', () => {
     const stream = PDFRawStream.of(dict, data);
     doc.context.register(stream);
 
-    const result = recompressStreams(doc);
+    const result = await recompressStreams(doc);
     // DCTDecode should be skipped, not recompressed
     expect(result.skipped).toBeGreaterThan(0);
   });
@@ -98,7 +98,7 @@ describe('recompressStreams', () => {
     const stream = PDFRawStream.of(dict, new Uint8Array(compressed));
     doc.context.register(stream);
 
-    recompressStreams(doc);
+    await recompressStreams(doc);
 
     // DecodeParms must survive — without it the viewer can't undo prediction
     const dp = dict.get(PDFName.of('DecodeParms'));
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import { searchImageSettings } from '../../src/engine/target-size.js';
+import { optimize, passRegistry } from '../../src/engine/pipeline.js';
+import { createPdfWithHighDpiJpegImage, createSimplePdf } from '../fixtures/create-test-pdfs.js';
+
+/** Fake size model: bigger with quality and DPI, flat when lossless. */
+function sizeModel({ lossy, imageQuality, maxImageDpi = 300 }) {
+  if (!lossy) return 100_000;
+  return Math.round(imageQuality * 100) * Math.min(maxImageDpi, 300);
+}
+
+describe('searchImageSettings', () => {
+  it('stops after the first attempt when the document already fits', async () => {
+    const result = await searchImageSettings({ targetSize: 200_000 }, async (s) => sizeModel(s));
+    expect(result.met).toBe(true);
+    expect(result.settings).toEqual({ lossy: false, imageQuality: 0.85, maxImageDpi: undefined });
+    expect(result.attempts).toHaveLength(1);
+  });
+
+  it('lowers quality before resolution and picks the highest quality that fits', async () => {
+    // 300 DPI: quality ≤ 0.6 fits (60 * 300 = 18000)
+    const result = await searchImageSettings({ targetSize: 18_000, maxImageDpi: 300 }, async (s) => sizeModel(s));
+    expect(result.met).toBe(true);
+    expect(result.settings).toEqual({ lossy: true, imageQuality: 0.6, maxImageDpi: 300 });
+    expect(result.attempts.every((a) => a.maxImageDpi === 300)).toBe(true);
+  });
+
+  it('steps the DPI cap down once the quality floor no longer fits', async () => {
+    const result = await searchImageSettings({ targetSize: 9_000, imageQuality: 0.75 }, async (s) => sizeModel(s));
+    // 0.5 * 225 DPI = 11250 is too big; at 150 DPI quality 0.6 fits (9000)
+    expect(result.settings).toEqual({ lossy: true, imageQuality: 0.6, maxImageDpi: 150 });
+    expect(result.attempts.map((a) => a.maxImageDpi)).toContain(225);
+  });
+
+  it('reports the smallest attempt when the floors are reached', async () => {
+    const result = await searchImageSettings(
+      { targetSize: 100, minImageQuality: 0.4, minImageDpi: 100 },
+      async (s) => sizeModel(s),
+    );
+    expect(result.met).toBe(false);
+    expect(result.settings).toEqual({ lossy: true, imageQuality: 0.4, maxImageDpi: 100 });
+    expect(Math.min(...result.attempts.map((a) => a.maxImageDpi ?? Infinity))).toBe(100);
+  });
+
+  it('never measures the same settings twice', async () => {
+    const seen = new Set();
+    await searchImageSettings({ targetSize: 5_000, lossy: true }, async (s) => {
+      const key = JSON.stringify(s);
+      expect(seen.has(key)).toBe(false);
+      seen.add(key);
+      return sizeModel(s);
+    });
+  });
+});
+
+describe('optimize() with targetSize', () => {
+  async function createInput() {
+    return new Uint8Array(await (await createPdfWithHighDpiJpegImage()).save());
+  }
+
+  it('fits the output under the target and reports the search', async () => {
+    const input = await createInput();
+    const { output, stats } = await optimize(input, { targetSize: 8_000 });
+
+    expect(output.length).toBeLessThanOrEqual(8_000);
+    expect(stats.targetSize).toMatchObject({ target: 8_000, met: true, lossy: true });
+    expect(stats.targetSize.attempts.length).toBeGreaterThan(1);
+    expect(stats.targetSize.attempts.at(-1).outputSize).toBe(output.length);
+
+    // The image pass keeps its slot and reports the chosen attempt
+    const names = stats.passes.map((p) => p.name);
+    const slot = passRegistry.active().findIndex((p) => p.name === 'Recompressing images');
+    expect(names.indexOf('Recompressing images')).toBe(slot);
+    expect(stats.passes[slot]).toMatchObject({ converted: 1 });
+
+    const doc = await PDFDocument.load(output);
+    const img = doc.context.enumerateIndirectObjects()
+      .map(([, obj]) => obj)
+      .find((obj) => obj.dict?.get(PDFName.of('Subtype'))?.toString() === '/Image');
+    expect(img.dict.get(PDFName.of('Filter')).toString()).toBe('/DCTDecode');
+  });
+
+  it('runs only the image pass again between attempts', async () => {
+    const calls = {};
+    for (const { name, fn } of passRegistry.list()) {
+      passRegistry.replace(name, (doc, opts) => {
+        calls[name] = (calls[name] || 0) + 1;
+        return fn(doc, opts);
+      });
+    }
+    try {
+      const { stats } = await optimize(await createInput(), { targetSize: 8_000 });
+      expect(calls['Recompressing images']).toBe(stats.targetSize.attempts.filter((a) => a.lossy).length);
+      expect(calls['Recompressing streams']).toBe(1);
+      expect(calls['Removing unreferenced objects']).toBe(1);
+    } finally {
+      passRegistry.reset();
+    }
+  });
+
+  it('keeps the best effort when the target is out of reach', async () => {
+    const { output, stats } = await optimize(await createInput(), { targetSize: 100 });
+    expect(stats.targetSize.met).toBe(false);
+    expect(stats.targetSize).toMatchObject({ imageQuality: 0.5, maxImageDpi: 72 });
+    expect(output.length).toBe(Math.min(...stats.targetSize.attempts.map((a) => a.outputSize)));
+  });
+
+  it('reports a target without searching when there are no images to recompress', async () => {
+    passRegistry.disable('Recompressing images');
+    try {
+      const { stats } = await optimize(new Uint8Array(await (await createSimplePdf()).save()), { targetSize: 1 });
+      expect(stats.targetSize).toEqual({ target: 1, met: false, attempts: [] });
+    } finally {
+      passRegistry.reset();
+    }
+  });
+});
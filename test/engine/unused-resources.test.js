@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest';
+import { PDFName, PDFDict, PDFRawStream } from 'pdf-lib';
+import { findUsedResourceNames, pruneUnusedResources } from '../../src/engine/optimize/unused-resources.js';
+import { removeUnreferencedObjects } from '../../src/engine/optimize/unreferenced.js';
+import { tokenizeContentStream, groupOperations } from '../../src/engine/utils/content-stream-parser.js';
+import { createPdfWithSharedResources } from '../fixtures/create-test-pdfs.js';
+
+function usedNames(source) {
+  const { operations } = groupOperations(tokenizeContentStream(new TextEncoder().encode(source)));
+  const used = findUsedResourceNames(operations);
+  return Object.fromEntries(Object.entries(used).map(([category, names]) => [category, [...names].sort()]));
+}
+
+/** Names per category in a page's (or form's) resource dictionary. */
+function resourceNames(context, owner) {
+  const resources = owner.lookup(PDFName.of('Resources'), PDFDict);
+  const names = {};
+  for (const [key, value] of resources.entries()) {
+    const entries = context.lookup(value);
+    if (entries instanceof PDFDict) names[key.decodeText()] = entries.keys().map((k) => k.decodeText()).sort();
+  }
+  return names;
+}
+
+describe('findUsedResourceNames', () => {
+  it('finds the name each resource operator uses', () => {
+    expect(usedNames(
+      '/F1 9 Tf /Im0 Do /GS0 gs /Sh0 sh /CS0 cs /CS1 CS /Pattern cs /P0 scn 1 0 0 /P1 SCN BI /W 1 /H 1 /CS /CS2 /BPC 8 ID x EI',
+    )).toEqual({
+      Font: ['F1'],
+      XObject: ['Im0'],
+      ExtGState: ['GS0'],
+      ColorSpace: ['BPC', 'CS', 'CS0', 'CS1', 'CS2', 'H', 'Pattern', 'W'],
+      Pattern: ['P0', 'P1'],
+      Shading: ['Sh0'],
+    });
+  });
+
+  it('ignores operands that are not names', () => {
+    expect(usedNames('0.5 g 1 0 0 rg 1 0 0 sc [/F1] 0 d').Font).toEqual([]);
+  });
+});
+
+describe('pruneUnusedResources', () => {
+  it('gives each page only the resources its content uses', async () => {
+    const { doc } = await createPdfWithSharedResources();
+    const [one, two, three] = doc.getPages().map((page) => page.node);
+
+    const result = await pruneUnusedResources(doc);
+
+    expect(result.rewritten).toBe(4);
+    expect(result.skipped).toBe(0);
+    expect(resourceNames(doc.context, one)).toEqual({ Font: ['F1'], ColorSpace: ['CS1'] });
+    expect(resourceNames(doc.context, two)).toEqual({ Font: ['F1'], Pattern: ['P1'], Shading: ['Sh1'] });
+    // Fm2 has no resources of its own, so its GS1 counts toward the page
+    expect(resourceNames(doc.context, three)).toEqual({ XObject: ['Fm1', 'Fm2'], ExtGState: ['GS1'] });
+    expect(one.lookup(PDFName.of('Resources')).get(PDFName.of('ProcSet'))).toBeDefined();
+  });
+
+  it('prunes a Form XObject\'s own resources', async () => {
+    const { doc, formRef } = await createPdfWithSharedResources();
+
+    await pruneUnusedResources(doc);
+
+    expect(resourceNames(doc.context, doc.context.lookup(formRef).dict)).toEqual({ Font: ['F2'] });
+  });
+
+  it('lets the unreferenced pass delete what no page uses', async () => {
+    const { doc, resourcesRef, unusedFontRef, unusedImageRef } = await createPdfWithSharedResources();
+
+    await pruneUnusedResources(doc);
+    removeUnreferencedObjects(doc);
+
+    expect(doc.context.lookup(resourcesRef)).toBeUndefined();
+    expect(doc.context.lookup(unusedFontRef)).toBeUndefined();
+    expect(doc.context.lookup(unusedImageRef)).toBeUndefined();
+  });
+
+  it('shares one pruned dictionary between pages that use the same names', async () => {
+    const { doc } = await createPdfWithSharedResources();
+    const page = doc.addPage([612, 792]);
+    const first = doc.getPage(0).node;
+    page.node.set(PDFName.of('Resources'), first.get(PDFName.of('Resources')));
+    page.node.set(PDFName.of('Contents'), first.get(PDFName.of('Contents')));
+
+    await pruneUnusedResources(doc);
+
+    expect(page.node.get(PDFName.of('Resources'))).toBe(first.get(PDFName.of('Resources')));
+  });
+
+  it('leaves a page alone when its content uses an operator outside the spec', async () => {
+    const { doc, resourcesRef } = await createPdfWithSharedResources();
+    const bytes = new TextEncoder().encode('BX /F3 foo EX BT /F1 12 Tf (x) Tj ET');
+    const contentRef = doc.context.register(PDFRawStream.of(doc.context.obj({ Length: bytes.length }), bytes));
+    doc.getPage(0).node.set(PDFName.of('Contents'), contentRef);
+
+    const result = await pruneUnusedResources(doc);
+
+    expect(result.skipped).toBe(1);
+    expect(doc.getPage(0).node.get(PDFName.of('Resources'))).toBe(resourcesRef);
+  });
+
+  it('leaves a page alone when it uses a Type 3 font without resources', async () => {
+    const { doc, resourcesRef } = await createPdfWithSharedResources();
+    const fonts = doc.context.lookup(resourcesRef).lookup(PDFName.of('Font'));
+    doc.context.lookup(fonts.get(PDFName.of('F1'))).set(PDFName.of('Subtype'), PDFName.of('Type3'));
+
+    const result = await pruneUnusedResources(doc);
+
+    expect(result.skipped).toBe(2);
+    expect(doc.getPage(0).node.get(PDFName.of('Resources'))).toBe(resourcesRef);
+    expect(doc.getPage(2).node.get(PDFName.of('Resources'))).not.toBe(resourcesRef);
+  });
+
+  /** Register a stream drawing `text`, with `dict` as its dictionary. */
+  const addStream = (context, text, dict) => {
+    const bytes = new TextEncoder().encode(text);
+    return context.register(PDFRawStream.of(context.obj({ ...dict, Length: bytes.length }), bytes));
+  };
+
+  it('leaves a page alone when it uses a soft mask group without resources', async () => {
+    const { doc, resourcesRef } = await createPdfWithSharedResources();
+    const { context } = doc;
+    const group = addStream(context, '/Sh2 sh', {
+      Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 50, 50], Group: { S: 'Transparency', CS: 'DeviceGray' },
+    });
+    const extGStates = context.lookup(resourcesRef).lookup(PDFName.of('ExtGState'));
+    extGStates.lookup(PDFName.of('GS1')).set(PDFName.of('SMask'), context.obj({ Type: 'Mask', S: 'Luminosity', G: group }));
+
+    const result = await pruneUnusedResources(doc);
+
+    // Page three uses GS1, through the form without resources it draws
+    expect(result.skipped).toBe(1);
+    expect(doc.getPage(2).node.get(PDFName.of('Resources'))).toBe(resourcesRef);
+    expect(doc.getPage(0).node.get(PDFName.of('Resources'))).not.toBe(resourcesRef);
+  });
+
+  it('leaves a page alone when it uses a tiling pattern without resources', async () => {
+    const { doc, resourcesRef } = await createPdfWithSharedResources();
+    const { context } = doc;
+    const pattern = addStream(context, '/Sh2 sh', {
+      Type: 'Pattern', PatternType: 1, PaintType: 1, TilingType: 1, BBox: [0, 0, 10, 10], XStep: 10, YStep: 10,
+    });
+    context.lookup(resourcesRef).lookup(PDFName.of('Pattern')).set(PDFName.of('P1'), pattern);
+
+    const result = await pruneUnusedResources(doc);
+
+    expect(result.skipped).toBe(1);
+    expect(doc.getPage(1).node.get(PDFName.of('Resources'))).toBe(resourcesRef);
+    expect(doc.getPage(0).node.get(PDFName.of('Resources'))).not.toBe(resourcesRef);
+  });
+});
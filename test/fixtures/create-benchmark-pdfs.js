@@ -62,7 +62,15 @@ function createFakeFontFile(size = 50000) {
   return { compressed, rawLength: data.length };
 }
 
-/** Register an embedded standard font (Type1 with FontFile2) on a page. */
+/** Append an uncompressed content stream to a page. */
+function drawOnPage(doc, page, content) {
+  const data = new TextEncoder().encode(content);
+  const dict = doc.context.obj({});
+  dict.set(PDFName.of('Length'), doc.context.obj(data.length));
+  page.node.addContentStream(doc.context.register(PDFRawStream.of(dict, data)));
+}
+
+/** Register an embedded standard font (Type1 with FontFile2) on a page and draw a line with it. */
 function addEmbeddedStandardFont(doc, page, fontName, resourceName, subsetPrefix = null) {
   const { compressed, rawLength } = createFakeFontFile();
 
@@ -108,11 +116,12 @@ function addEmbeddedStandardFont(doc, page, fontName, resourceName, subsetPrefix
     resources.set(PDFName.of('Font'), fontsDict);
   }
   fontsDict.set(PDFName.of(resourceName), fontRef);
+  drawOnPage(doc, page, `BT /${resourceName} 12 Tf 72 720 Td (Hello) Tj ET`);
 
   return fontRef;
 }
 
-/** Add a FlateDecode image XObject to a page. */
+/** Add a FlateDecode image XObject to a page and draw it. */
 function addFlateImage(doc, page, width, height, colorSpace, resourceName) {
   const components = colorSpace === 'DeviceGray' ? 1 : 3;
   const pixels = generateSinePixels(width, height, components);
@@ -142,11 +151,12 @@ function addFlateImage(doc, page, width, height, colorSpace, resourceName) {
     resources.set(PDFName.of('XObject'), xobjects);
   }
   xobjects.set(PDFName.of(resourceName), imgRef);
+  drawOnPage(doc, page, `q ${width} 0 0 ${height} 0 0 cm /${resourceName} Do Q`);
 
   return imgRef;
 }
 
-/** Add a DCTDecode (JPEG) image XObject to a page. */
+/** Add a DCTDecode (JPEG) image XObject to a page and draw it. */
 function addJpegImage(doc, page, width, height, pageWidth, resourceName, quality = 95) {
   const rgbaData = generateSineRgba(width, height);
   const jpegData = new Uint8Array(
@@ -176,6 +186,7 @@ function addJpegImage(doc, page, width, height, pageWidth, resourceName, quality
     resources.set(PDFName.of('XObject'), xobjects);
   }
   xobjects.set(PDFName.of(resourceName), imgRef);
+  drawOnPage(doc, page, `q ${width} 0 0 ${height} 0 0 cm /${resourceName} Do Q`);
 
   return imgRef;
 }
@@ -565,6 +576,7 @@ export async function createMultiFontDuplicatesPdf() {
   const resources = page.node.get(PDFName.of('Resources'));
   const fontsDict = resources.get(PDFName.of('Font'));
   fontsDict.set(PDFName.of('F7'), customFontRef);
+  drawOnPage(doc, page, 'BT /F7 12 Tf 72 700 Td (Hello) Tj ET');
 
   // XMP metadata
   addXmpMetadata(doc,
@@ -14,8 +14,10 @@ import {
   StandardFonts,
   rgb,
 } from 'pdf-lib';
-import { deflateSync } from 'fflate';
+import { deflateSync, zlibSync } from 'fflate';
 import { encode as jpegEncode } from 'jpeg-js';
+import { encodeJpeg } from '../../src/engine/utils/jpeg-codec.js';
+import { createHash, createCipheriv, randomBytes } from 'node:crypto';
 
 /**
  * Create a simple valid PDF with one page and some text.
@@ -306,56 +308,303 @@ export async function createPdfWithJpegImage() {
 }
 
 /**
- * Create a PDF with a FlateDecode image that has an SMask (alpha) — should be skipped.
+ * Create a PDF with a 400x400 FlateDecode RGB image drawn at 288 DPI that
+ * has a soft mask (alpha channel). The mask is 200x200 — masks needn't match
+ * their image — unless `matte` is set, in which case it is 400x400 and the
+ * image's colour is premultiplied against a black /Matte.
+ * @param {object} [options]
+ * @param {boolean} [options.matte=false]
  */
-export async function createPdfWithAlphaImage() {
+export async function createPdfWithSoftMaskedImage({ matte = false } = {}) {
   const doc = await PDFDocument.create();
-  const page = doc.addPage([200, 200]);
+  const page = doc.addPage([100, 100]);
+
+  const width = 400;
+  const height = 400;
+  const maskWidth = matte ? width : width / 2;
+  const maskHeight = matte ? height : height / 2;
+
+  // Radial fade to transparent at the corners
+  const alphaAt = (xf, yf) => Math.round(255 * Math.max(0, 1 - Math.hypot(xf - 0.5, yf - 0.5) * 1.6));
+  const maskPixels = new Uint8Array(maskWidth * maskHeight);
+  for (let y = 0; y < maskHeight; y++) {
+    for (let x = 0; x < maskWidth; x++) {
+      maskPixels[y * maskWidth + x] = alphaAt(x / maskWidth, y / maskHeight);
+    }
+  }
 
-  const width = 50;
-  const height = 50;
+  // Smooth sine-wave pattern (photo-like, per project conventions)
   const pixels = new Uint8Array(width * height * 3);
-  pixels.fill(128);
-  const compressed = deflateSync(pixels, { level: 6 });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = (y * width + x) * 3;
+      const xf = x / width;
+      const yf = y / height;
+      const alpha = matte ? alphaAt(xf, yf) / 255 : 1;
+      pixels[idx]     = Math.round(alpha * (127 + 127 * Math.sin(xf * 7.3 + yf * 2.1)));
+      pixels[idx + 1] = Math.round(alpha * (127 + 127 * Math.sin(yf * 5.7 + xf * 3.9)));
+      pixels[idx + 2] = Math.round(alpha * (127 + 127 * Math.sin((xf + yf) * 4.1)));
+    }
+  }
 
-  // Create the SMask stream
-  const maskPixels = new Uint8Array(width * height);
-  maskPixels.fill(200);
   const maskCompressed = deflateSync(maskPixels, { level: 6 });
+  const maskDict = doc.context.obj({
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: maskWidth,
+    Height: maskHeight,
+    ColorSpace: 'DeviceGray',
+    BitsPerComponent: 8,
+    Filter: 'FlateDecode',
+    Length: maskCompressed.length,
+  });
+  if (matte) maskDict.set(PDFName.of('Matte'), doc.context.obj([0, 0, 0]));
+  const maskRef = doc.context.register(PDFRawStream.of(maskDict, maskCompressed));
 
-  const maskDict = doc.context.obj({});
-  maskDict.set(PDFName.of('Type'), PDFName.of('XObject'));
-  maskDict.set(PDFName.of('Subtype'), PDFName.of('Image'));
-  maskDict.set(PDFName.of('Width'), doc.context.obj(width));
-  maskDict.set(PDFName.of('Height'), doc.context.obj(height));
-  maskDict.set(PDFName.of('ColorSpace'), PDFName.of('DeviceGray'));
-  maskDict.set(PDFName.of('BitsPerComponent'), doc.context.obj(8));
-  maskDict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
-  maskDict.set(PDFName.of('Length'), doc.context.obj(maskCompressed.length));
-  const maskStream = PDFRawStream.of(maskDict, maskCompressed);
-  const maskRef = doc.context.register(maskStream);
-
-  // Main image with SMask
-  const imgDict = doc.context.obj({});
-  imgDict.set(PDFName.of('Type'), PDFName.of('XObject'));
-  imgDict.set(PDFName.of('Subtype'), PDFName.of('Image'));
-  imgDict.set(PDFName.of('Width'), doc.context.obj(width));
-  imgDict.set(PDFName.of('Height'), doc.context.obj(height));
-  imgDict.set(PDFName.of('ColorSpace'), PDFName.of('DeviceRGB'));
-  imgDict.set(PDFName.of('BitsPerComponent'), doc.context.obj(8));
-  imgDict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
-  imgDict.set(PDFName.of('Length'), doc.context.obj(compressed.length));
-  imgDict.set(PDFName.of('SMask'), maskRef);
+  const compressed = deflateSync(pixels, { level: 6 });
+  const imgDict = doc.context.obj({
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: width,
+    Height: height,
+    ColorSpace: 'DeviceRGB',
+    BitsPerComponent: 8,
+    Filter: 'FlateDecode',
+    Length: compressed.length,
+    SMask: maskRef,
+  });
+  const imageRef = doc.context.register(PDFRawStream.of(imgDict, compressed));
+
+  page.node.set(PDFName.of('Resources'), doc.context.obj({ XObject: { Img0: imageRef } }));
+
+  return { doc, imageRef, maskRef, maskPixels };
+}
 
-  const imgStream = PDFRawStream.of(imgDict, compressed);
-  const imgRef = doc.context.register(imgStream);
+/**
+ * Create a PDF with a 128x128 photo-like image in a colour space other than
+ * DeviceRGB/DeviceGray: DeviceCMYK, or ICCBased with `n` components (the
+ * profile is a stub). With `adobeJpeg` the CMYK image is a Photoshop-style
+ * JPEG instead of Flate: inverted values, stored as YCCK (Adobe APP14
+ * transform 2), with /Decode [1 0 1 0 1 0 1 0] to undo the inversion.
+ * @param {object} [options]
+ * @param {'DeviceCMYK'|'ICCBased'} [options.colorSpace='DeviceCMYK']
+ * @param {1|3|4} [options.n=4] - ICCBased component count
+ * @param {boolean} [options.adobeJpeg=false]
+ * @returns {Promise<{ doc: PDFDocument, imageRef: PDFRef, samples: Uint8Array, components: number }>}
+ *   `samples` holds the values the image's colour space reads, before /Decode
+ */
+export async function createPdfWithColorSpaceImage({ colorSpace = 'DeviceCMYK', n = 4, adobeJpeg = false } = {}) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([200, 200]);
+  const context = doc.context;
 
-  const xobjectDict = doc.context.obj({});
-  xobjectDict.set(PDFName.of('Img0'), imgRef);
-  page.node.set(PDFName.of('Resources'), doc.context.obj({}));
-  page.node.get(PDFName.of('Resources')).set(PDFName.of('XObject'), xobjectDict);
+  const width = 128;
+  const height = 128;
+  const components = colorSpace === 'DeviceCMYK' ? 4 : n;
+  const samples = new Uint8Array(width * height * components);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < components; c++) {
+        const value = 127 + 100 * Math.sin((x / width) * (3.1 + c) + (y / height) * (2.3 + c * 0.7));
+        samples[(y * width + x) * components + c] = Math.round(adobeJpeg ? 255 - value : value);
+      }
+    }
+  }
 
-  return doc;
+  const space = colorSpace === 'DeviceCMYK'
+    ? PDFName.of('DeviceCMYK')
+    : context.obj([PDFName.of('ICCBased'), context.register(context.stream('stub ICC profile', { N: n }))]);
+  const imgDict = context.obj({ Type: 'XObject', Subtype: 'Image', Width: width, Height: height, BitsPerComponent: 8 });
+  imgDict.set(PDFName.of('ColorSpace'), space);
+
+  let data;
+  if (adobeJpeg) {
+    // The first three components hold 255 − C, M, Y as YCbCr
+    const ycck = new Uint8Array(samples.length);
+    for (let i = 0; i < samples.length; i += 4) {
+      const [r, g, b] = [255 - samples[i], 255 - samples[i + 1], 255 - samples[i + 2]];
+      ycck[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+      ycck[i + 1] = Math.round(-0.168736 * r - 0.331264 * g + 0.5 * b + 128);
+      ycck[i + 2] = Math.round(0.5 * r - 0.418688 * g - 0.081312 * b + 128);
+      ycck[i + 3] = samples[i + 3];
+    }
+    data = encodeJpeg({ data: ycck, width, height, components: 4 }, 95);
+    data[17] = 2; // APP14 transform: YCCK
+    imgDict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+    imgDict.set(PDFName.of('Decode'), context.obj([1, 0, 1, 0, 1, 0, 1, 0]));
+  } else {
+    data = deflateSync(samples, { level: 6 });
+    imgDict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+  }
+  imgDict.set(PDFName.of('Length'), context.obj(data.length));
+  const imageRef = context.register(PDFRawStream.of(imgDict, data));
+
+  page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Img0: imageRef } }));
+
+  return { doc, imageRef, samples, components };
+}
+
+/**
+ * Create a PDF with a 128x128 grainy gradient image of packed samples, Flate
+ * compressed: gray or RGB at `bitsPerComponent` 1, 2, 4, 8 or 16, or with
+ * `indexed` set, palette indices into a DeviceRGB gradient palette with an
+ * entry for every index value.
+ * @param {object} [options]
+ * @param {1|2|4|8|16} [options.bitsPerComponent=4]
+ * @param {1|3} [options.components=1] - Ignored when `indexed`
+ * @param {boolean} [options.indexed=false]
+ * @returns {Promise<{ doc: PDFDocument, imageRef: PDFRef, values: number[], palette?: Uint8Array }>}
+ *   `values` holds each sample (or index) as written, before packing
+ */
+export async function createPdfWithPackedImage({ bitsPerComponent = 4, components = 1, indexed = false } = {}) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([200, 200]);
+  const context = doc.context;
+
+  const width = 128;
+  const height = 128;
+  const perPixel = indexed ? 1 : components;
+  const max = 2 ** bitsPerComponent - 1;
+  const values = [];
+  let seed = 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < perPixel; c++) {
+        // A smooth gradient with grain, so Flate can't shrink it to nothing
+        seed = (seed * 1103515245 + 12345) % 2 ** 31;
+        const grain = ((seed / 2 ** 31) - 0.5) * 0.1;
+        const level = (1 + Math.sin((x + 2 * y) / 19 + c * 2)) / 2 + grain;
+        values.push(Math.round(max * Math.min(1, Math.max(0, level))));
+      }
+    }
+  }
+
+  // Pack big-endian, each row starting on a byte boundary
+  const rowBytes = Math.ceil((width * perPixel * bitsPerComponent) / 8);
+  const packed = new Uint8Array(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    for (let i = 0; i < width * perPixel; i++) {
+      const value = values[y * width * perPixel + i];
+      const bit = y * rowBytes * 8 + i * bitsPerComponent;
+      if (bitsPerComponent === 16) {
+        packed[bit / 8] = value >> 8;
+        packed[bit / 8 + 1] = value & 0xff;
+      } else {
+        packed[bit >> 3] |= value << (8 - bitsPerComponent - (bit & 7));
+      }
+    }
+  }
+
+  let palette;
+  let space = PDFName.of(components === 3 ? 'DeviceRGB' : 'DeviceGray');
+  if (indexed) {
+    palette = new Uint8Array((max + 1) * 3);
+    for (let i = 0; i <= max; i++) {
+      const level = Math.round((i * 255) / max);
+      palette.set([level, 255 - level, (level + 128) & 0xff], i * 3);
+    }
+    const hex = Array.from(palette, (b) => b.toString(16).padStart(2, '0')).join('');
+    space = context.obj([PDFName.of('Indexed'), PDFName.of('DeviceRGB'), max, PDFHexString.of(hex)]);
+  }
+
+  const data = zlibSync(packed, { level: 6 });
+  const imgDict = context.obj({
+    Type: 'XObject', Subtype: 'Image', Width: width, Height: height,
+    BitsPerComponent: bitsPerComponent, Filter: 'FlateDecode', Length: data.length,
+  });
+  imgDict.set(PDFName.of('ColorSpace'), space);
+  const imageRef = context.register(PDFRawStream.of(imgDict, data));
+
+  page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Img0: imageRef } }));
+
+  return { doc, imageRef, values, ...(palette && { palette }) };
+}
+
+/**
+ * Create a PDF with a 128x128 8-bit DeviceRGB Flate image drawn in `colours`
+ * colours, scattered pixel by pixel, as in a dithered GIF.
+ * @param {object} [options]
+ * @param {number} [options.colours=6]
+ * @returns {Promise<{ doc: PDFDocument, imageRef: PDFRef, samples: Uint8Array }>}
+ */
+export async function createPdfWithFewColourImage({ colours = 6 } = {}) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([200, 200]);
+  const context = doc.context;
+
+  const width = 128;
+  const height = 128;
+  const samples = new Uint8Array(width * height * 3);
+  let seed = 1;
+  for (let i = 0; i < width * height; i++) {
+    seed = (seed * 1103515245 + 12345) % 2 ** 31;
+    const colour = Math.floor((seed / 2 ** 31) * colours);
+    samples.set([(colour * 53) & 0xff, (colour * 97) & 0xff, colour >> 8 ? 255 : 0], i * 3);
+  }
+
+  const data = zlibSync(samples, { level: 6 });
+  const imgDict = context.obj({
+    Type: 'XObject', Subtype: 'Image', Width: width, Height: height,
+    ColorSpace: 'DeviceRGB', BitsPerComponent: 8, Filter: 'FlateDecode', Length: data.length,
+  });
+  const imageRef = context.register(PDFRawStream.of(imgDict, data));
+
+  page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Img0: imageRef } }));
+
+  // Draw it over the whole page
+  const contentBytes = new TextEncoder().encode('q 200 0 0 200 0 0 cm /Img0 Do Q');
+  page.node.set(PDFName.of('Contents'), context.register(context.stream(contentBytes)));
+
+  return { doc, imageRef, samples };
+}
+
+/**
+ * Create a PDF with a 128x128 8-bit DeviceRGB Flate image whose pixels are
+ * gray: a grainy gradient, or scattered black and white blocks.
+ * @param {object} [options]
+ * @param {boolean} [options.bilevel=false] - Only black and white
+ * @param {number} [options.noise=0] - Spread R and B up to this far from G,
+ *   as JPEG colour noise does
+ * @returns {Promise<{ doc: PDFDocument, imageRef: PDFRef, gray: Uint8Array }>}
+ *   `gray` is each pixel's G value
+ */
+export async function createPdfWithGrayRgbImage({ bilevel = false, noise = 0 } = {}) {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([200, 200]);
+  const context = doc.context;
+
+  const width = 128;
+  const height = 128;
+  const gray = new Uint8Array(width * height);
+  const samples = new Uint8Array(width * height * 3);
+  let seed = 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      seed = (seed * 1103515245 + 12345) % 2 ** 31;
+      const grain = seed / 2 ** 31;
+      const cell = gray[(y & ~1) * width + (x & ~3)]; // 4x2 blocks, like a coarse scan
+      gray[i] = !bilevel ? Math.min(255, Math.round(x * 1.5 + grain * 60))
+        : x % 4 || y % 2 ? cell : grain < 0.5 ? 0 : 255;
+      const spread = Math.round((grain - 0.5) * 2 * noise);
+      const clamp = (v) => Math.max(0, Math.min(255, v));
+      samples.set([clamp(gray[i] + spread), gray[i], clamp(gray[i] - spread)], i * 3);
+    }
+  }
+
+  const data = zlibSync(samples, { level: 6 });
+  const imgDict = context.obj({
+    Type: 'XObject', Subtype: 'Image', Width: width, Height: height,
+    ColorSpace: 'DeviceRGB', BitsPerComponent: 8, Filter: 'FlateDecode', Length: data.length,
+  });
+  const imageRef = context.register(PDFRawStream.of(imgDict, data));
+
+  page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Img0: imageRef } }));
+
+  const contentBytes = new TextEncoder().encode('q 200 0 0 200 0 0 cm /Img0 Do Q');
+  page.node.set(PDFName.of('Contents'), context.register(context.stream(contentBytes)));
+
+  return { doc, imageRef, gray };
 }
 
 /**
@@ -457,6 +706,12 @@ export async function createPdfWithHighDpiJpegImage() {
   page.node.set(PDFName.of('Resources'), doc.context.obj({}));
   page.node.get(PDFName.of('Resources')).set(PDFName.of('XObject'), xobjectDict);
 
+  // Draw it over the whole page
+  const contentBytes = new TextEncoder().encode('q 100 0 0 100 0 0 cm /Img0 Do Q');
+  const contentDict = doc.context.obj({});
+  contentDict.set(PDFName.of('Length'), doc.context.obj(contentBytes.length));
+  page.node.set(PDFName.of('Contents'), doc.context.register(PDFRawStream.of(contentDict, contentBytes)));
+
   return doc;
 }
 
@@ -1186,3 +1441,804 @@ export async function createPdfWithNonStandardFont() {
 
   return doc;
 }
+
+// --- Encrypted PDFs ---
+// pdf-lib can't write encryption, so these files are serialized by hand. The
+// crypto comes from node:crypto (plus a few lines of RC4, which OpenSSL 3 no
+// longer ships), independent of the engine's own primitives.
+
+const PASSWORD_PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+
+const hash = (algorithm, ...parts) => createHash(algorithm).update(Buffer.concat(parts)).digest();
+
+function rc4(key, data) {
+  const s = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+  const out = Buffer.alloc(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+    out[k] = data[k] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return out;
+}
+
+function aes(mode, key, iv, data, pad) {
+  const cipher = createCipheriv(`aes-${key.length * 8}-${mode}`, key, iv);
+  cipher.setAutoPadding(pad);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+const padPassword = (password) =>
+  Buffer.concat([Buffer.from(password, 'latin1'), PASSWORD_PADDING]).subarray(0, 32);
+
+/** ISO 32000-2 Algorithm 2.B */
+function hashRevision6(password, salt, userData) {
+  let k = hash('sha256', password, salt, userData);
+  for (let round = 0; ; round++) {
+    const k1 = Buffer.concat(Array(64).fill(Buffer.concat([password, k, userData])));
+    const e = aes('cbc', k.subarray(0, 16), k.subarray(16, 32), k1, false);
+    const sum = e.subarray(0, 16).reduce((a, b) => a + b, 0);
+    k = hash(['sha256', 'sha384', 'sha512'][sum % 3], e);
+    if (round >= 63 && e[e.length - 1] <= round - 31) break;
+  }
+  return k.subarray(0, 32);
+}
+
+const ENCRYPTION_SETTINGS = {
+  'RC4-40': { V: 1, R: 2, keyLength: 5 },
+  'RC4-128': { V: 2, R: 3, keyLength: 16 },
+  'AES-128': { V: 4, R: 4, keyLength: 16, cfm: 'AESV2' },
+  'AES-256': { V: 5, R: 6, keyLength: 32, cfm: 'AESV3' },
+};
+
+/**
+ * Build the encryption dictionary and a function that encrypts a string or
+ * stream belonging to object `num`.
+ */
+function createEncryption(algorithm, userPassword, ownerPassword, permissions, id) {
+  const { V, R, keyLength, cfm } = ENCRYPTION_SETTINGS[algorithm];
+  const P = Buffer.alloc(4);
+  P.writeInt32LE(permissions);
+  const hex = (bytes) => `<${Buffer.from(bytes).toString('hex')}>`;
+
+  if (R === 6) {
+    const fileKey = randomBytes(32);
+    const user = Buffer.from(userPassword, 'utf8');
+    const owner = Buffer.from(ownerPassword, 'utf8');
+    const [uvs, uks, ovs, oks] = [0, 1, 2, 3].map(() => randomBytes(8));
+    const U = Buffer.concat([hashRevision6(user, uvs, Buffer.alloc(0)), uvs, uks]);
+    const UE = aes('cbc', hashRevision6(user, uks, Buffer.alloc(0)), Buffer.alloc(16), fileKey, false);
+    const O = Buffer.concat([hashRevision6(owner, ovs, U), ovs, oks]);
+    const OE = aes('cbc', hashRevision6(owner, oks, U), Buffer.alloc(16), fileKey, false);
+    const perms = aes('ecb', fileKey, null, Buffer.concat([P, Buffer.from('ffffffff', 'hex'), Buffer.from('Tadb'), randomBytes(4)]), false);
+    return {
+      dict: `<< /Filter /Standard /V 5 /R 6 /Length 256 /CF << /StdCF << /CFM /AESV3 /AuthEvent /DocOpen /Length 32 >> >> /StmF /StdCF /StrF /StdCF /O ${hex(O)} /U ${hex(U)} /OE ${hex(OE)} /UE ${hex(UE)} /P ${permissions} /Perms ${hex(perms)} >>`,
+      encrypt: (data) => {
+        const iv = randomBytes(16);
+        return Buffer.concat([iv, aes('cbc', fileKey, iv, data, true)]);
+      },
+    };
+  }
+
+  // Algorithm 3: /O from the owner password
+  let ownerHash = hash('md5', padPassword(ownerPassword));
+  if (R >= 3) for (let i = 0; i < 50; i++) ownerHash = hash('md5', ownerHash);
+  const ownerKey = ownerHash.subarray(0, keyLength);
+  let O = rc4(ownerKey, padPassword(userPassword));
+  if (R >= 3) for (let i = 1; i <= 19; i++) O = rc4(ownerKey.map((b) => b ^ i), O);
+
+  // Algorithm 2: the file key
+  let keyHash = hash('md5', padPassword(userPassword), O, P, id);
+  if (R >= 3) for (let i = 0; i < 50; i++) keyHash = hash('md5', keyHash.subarray(0, keyLength));
+  const fileKey = keyHash.subarray(0, keyLength);
+
+  // Algorithms 4 and 5: /U
+  let U;
+  if (R === 2) {
+    U = rc4(fileKey, PASSWORD_PADDING);
+  } else {
+    U = rc4(fileKey, hash('md5', PASSWORD_PADDING, id));
+    for (let i = 1; i <= 19; i++) U = rc4(fileKey.map((b) => b ^ i), U);
+    U = Buffer.concat([U, Buffer.alloc(16)]);
+  }
+
+  const crypt = cfm ? ` /CF << /StdCF << /CFM /${cfm} /AuthEvent /DocOpen /Length 16 >> >> /StmF /StdCF /StrF /StdCF` : '';
+  const length = V === 1 ? '' : ` /Length ${keyLength * 8}`;
+  return {
+    dict: `<< /Filter /Standard /V ${V} /R ${R}${length}${crypt} /O ${hex(O)} /U ${hex(U)} /P ${permissions} >>`,
+    encrypt: (data, num) => {
+      const objectId = Buffer.from([num & 0xff, (num >> 8) & 0xff, (num >> 16) & 0xff, 0, 0]);
+      const salt = cfm ? Buffer.from('sAlT') : Buffer.alloc(0);
+      const key = hash('md5', fileKey, objectId, salt).subarray(0, Math.min(keyLength + 5, 16));
+      if (!cfm) return rc4(key, data);
+      const iv = randomBytes(16);
+      return Buffer.concat([iv, aes('cbc', key, iv, data, true)]);
+    },
+  };
+}
+
+/**
+ * Create a password-protected PDF (standard security handler) as raw bytes.
+ *
+ * One page of text whose catalog, page tree and font live in a Flate-compressed
+ * object stream, an encrypted Info dict (title with parentheses, hex-string
+ * author) and an uncompressed, encrypted content stream that recompresses
+ * well — so optimizing it shrinks the file.
+ *
+ * @param {object} [opts]
+ * @param {'RC4-40'|'RC4-128'|'AES-128'|'AES-256'} [opts.algorithm='AES-128']
+ * @param {string} [opts.userPassword=''] - Open password; empty opens without one
+ * @param {string} [opts.ownerPassword='owner']
+ * @param {number} [opts.permissions=-3904] - /P (everything but printing off)
+ * @returns {Uint8Array}
+ */
+export function createEncryptedPdf({
+  algorithm = 'AES-128',
+  userPassword = '',
+  ownerPassword = 'owner',
+  permissions = -3904,
+} = {}) {
+  const id = randomBytes(16);
+  const { dict: encryptDict, encrypt } = createEncryption(algorithm, userPassword, ownerPassword, permissions, id);
+  const hexOf = (bytes) => `<${Buffer.from(bytes).toString('hex')}>`;
+
+  const content = Buffer.from(
+    'BT /F1 12 Tf 20 180 Td (Secret text) Tj ET\n' + '0 0 m 10 10 l S\n'.repeat(300),
+  );
+  const packed = [
+    [1, '<< /Type /Catalog /Pages 2 0 R /Lang (en-GB) >>'],
+    [2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>'],
+    [3, '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 200] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>'],
+    [5, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'],
+  ];
+  let header = '';
+  let body = '';
+  for (const [num, text] of packed) {
+    header += `${num} ${body.length} `;
+    body += `${text}\n`;
+  }
+  const objectStream = zlibSync(Buffer.from(header + body));
+
+  const chunks = [];
+  const offsets = {};
+  let size = 0;
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? Buffer.from(data, 'latin1') : data;
+    chunks.push(bytes);
+    size += bytes.length;
+  };
+  const writeObject = (num, dict, stream) => {
+    offsets[num] = size;
+    write(`${num} 0 obj\n${dict}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
+
+  write('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n');
+  const encryptedContent = encrypt(content, 4);
+  writeObject(4, `<< /Length ${encryptedContent.length} >>`, encryptedContent);
+  const title = hexOf(encrypt(Buffer.from('Quarterly (draft) report'), 6));
+  const author = hexOf(encrypt(Buffer.from('Legal'), 6));
+  writeObject(6, `<< /Title ${title} /Author ${author} >>`);
+  const encryptedObjects = encrypt(Buffer.from(objectStream), 7);
+  writeObject(
+    7,
+    `<< /Type /ObjStm /N ${packed.length} /First ${header.length} /Filter /FlateDecode /Length ${encryptedObjects.length} >>`,
+    encryptedObjects,
+  );
+  writeObject(8, encryptDict);
+
+  // Cross-reference stream: W [1 4 2], never encrypted
+  offsets[9] = size;
+  const xref = Buffer.alloc(10 * 7);
+  for (let num = 0; num < 10; num++) {
+    const row = num * 7;
+    const slot = packed.findIndex(([n]) => n === num);
+    if (num === 0) {
+      xref.writeUInt16BE(0xffff, row + 5);
+    } else if (slot !== -1) {
+      xref[row] = 2;
+      xref.writeUInt32BE(7, row + 1);
+      xref.writeUInt16BE(slot, row + 5);
+    } else {
+      xref[row] = 1;
+      xref.writeUInt32BE(offsets[num], row + 1);
+    }
+  }
+  writeObject(
+    9,
+    `<< /Type /XRef /Size 10 /W [1 4 2] /Root 1 0 R /Info 6 0 R /Encrypt 8 0 R /ID [${hexOf(id)} ${hexOf(id)}] /Length ${xref.length} >>`,
+    xref,
+  );
+  write(`startxref\n${offsets[9]}\n%%EOF\n`);
+  return new Uint8Array(Buffer.concat(chunks));
+}
+
+/**
+ * A digitally signed PDF, serialized by hand. The "signature" in /Contents
+ * is a SHA-256 digest of the bytes /ByteRange covers rather than a CMS
+ * envelope, so tests can check it still matches after optimization.
+ *
+ * The signed revision has an uncompressed content stream (obj 4) that a full
+ * rewrite would compress. With `appendAfterSigning`, an incremental update
+ * after the signature adds a second uncompressed content stream (obj 8) and
+ * a new version of the page (obj 3) that draws it.
+ *
+ * @param {{ appendAfterSigning?: boolean, xrefStream?: boolean }} [options] -
+ *   `xrefStream` writes the signed revision's cross-reference section as a stream
+ * @returns {Uint8Array}
+ */
+export function createSignedPdf({ appendAfterSigning = false, xrefStream = false } = {}) {
+  const id = `<${randomBytes(16).toString('hex')}>`;
+  const chunks = [];
+  const offsets = {};
+  let size = 0;
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? Buffer.from(data, 'latin1') : data;
+    chunks.push(bytes);
+    size += bytes.length;
+  };
+  const writeObject = (num, dict, stream) => {
+    offsets[num] = size;
+    write(`${num} 0 obj\n${dict}\n`);
+    if (stream) write(`stream\n${stream}\nendstream\n`);
+    write('endobj\n');
+  };
+  const xrefTable = (nums) => {
+    let table = 'xref\n';
+    for (const num of nums) {
+      table += num === 0 ? '0 1\n0000000000 65535 f\r\n' : `${num} 1\n${String(offsets[num]).padStart(10, '0')} 00000 n\r\n`;
+    }
+    return table;
+  };
+
+  const content = 'BT /F1 12 Tf 20 180 Td (Signed text) Tj ET\n' + '0 0 m 10 10 l S\n'.repeat(300);
+  const placeholder = '0'.repeat(10);
+  const signatureHex = '0'.repeat(512);
+
+  write('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n');
+  writeObject(1, '<< /Type /Catalog /Pages 2 0 R /AcroForm << /Fields [5 0 R] /SigFlags 3 >> >>');
+  writeObject(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+  writeObject(
+    3,
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 200] /Contents 4 0 R /Annots [5 0 R] /Resources << /Font << /F1 7 0 R >> >> >>',
+  );
+  writeObject(4, `<< /Length ${content.length} >>`, content);
+  writeObject(5, '<< /Type /Annot /Subtype /Widget /FT /Sig /T (Approval) /Rect [0 0 0 0] /F 132 /P 3 0 R /V 6 0 R >>');
+  writeObject(
+    6,
+    '<< /Type /Sig /Filter /Adobe.PPKLite /SubFilter /adbe.pkcs7.detached /Name (Test Signer) /M (D:20260301120000Z) ' +
+      `/ByteRange [${placeholder} ${placeholder} ${placeholder} ${placeholder}] /Contents <${signatureHex}> >>`,
+  );
+  writeObject(7, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const trailer = `/Root 1 0 R /ID [${id} ${id}]`;
+  if (xrefStream) {
+    offsets[8] = size;
+    const rows = Buffer.alloc(9 * 7);
+    rows.writeUInt16BE(0xffff, 5);
+    for (let num = 1; num <= 8; num++) {
+      rows[num * 7] = 1;
+      rows.writeUInt32BE(offsets[num], num * 7 + 1);
+    }
+    write(`8 0 obj\n<< /Type /XRef /Size 9 /W [1 4 2] ${trailer} /Length ${rows.length} >>\nstream\n`);
+    write(rows);
+    write(`\nendstream\nendobj\nstartxref\n${offsets[8]}\n%%EOF\n`);
+  } else {
+    const xrefOffset = size;
+    write(`${xrefTable([0, 1, 2, 3, 4, 5, 6, 7])}trailer\n<< /Size 8 ${trailer} >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  }
+
+  // Sign: fill in /ByteRange around /Contents, then digest the covered bytes
+  const signed = Buffer.concat(chunks);
+  const contentsAt = signed.indexOf(`/Contents <${signatureHex}>`) + '/Contents '.length;
+  const contentsEnd = contentsAt + signatureHex.length + 2;
+  const byteRange = [0, contentsAt, contentsEnd, signed.length - contentsEnd]
+    .map((n) => String(n).padStart(10, '0'))
+    .join(' ');
+  signed.write(byteRange, signed.indexOf(`[${placeholder} ${placeholder}`) + 1, 'latin1');
+  const digest = hash('sha256', signed.subarray(0, contentsAt), signed.subarray(contentsEnd));
+  signed.write(digest.toString('hex'), contentsAt + 1, 'latin1');
+  if (!appendAfterSigning) return new Uint8Array(signed);
+
+  // Incremental update made after signing
+  chunks.length = 0;
+  chunks.push(signed);
+  const firstFree = xrefStream ? 9 : 8;
+  const stamp = '0.5 g 0 0 m 20 20 l S\n'.repeat(400);
+  writeObject(firstFree, `<< /Length ${stamp.length} >>`, stamp);
+  writeObject(
+    3,
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 200] /Contents [4 0 R ${firstFree} 0 R] /Annots [5 0 R] /Resources << /Font << /F1 7 0 R >> >> >>`,
+  );
+  const prev = /startxref\n(\d+)/.exec(signed.toString('latin1', signed.length - 40))[1];
+  const xrefOffset = size;
+  write(
+    `${xrefTable([3, firstFree])}trailer\n<< /Size ${firstFree + 1} /Prev ${prev} ${trailer} >>\nstartxref\n${xrefOffset}\n%%EOF\n`,
+  );
+  return new Uint8Array(Buffer.concat(chunks));
+}
+
+/**
+ * Create a PDF whose page content and Form XObject are written wastefully:
+ * comments, zero-padded numbers, hex strings that could be literal and
+ * generous whitespace — the way some producers emit them. The page also
+ * draws a 4×2 inline image whose binary data contains " EI" and parentheses,
+ * so a naive minifier would mangle it.
+ *
+ * @returns {Promise<{ doc: PDFDocument, contentRef: PDFRef, formRef: PDFRef, inlineImageData: Uint8Array }>}
+ */
+export async function createPdfWithVerboseContent() {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([612, 792]);
+  const font = doc.context.register(doc.context.obj({
+    Type: 'Font', Subtype: 'Type1', BaseFont: 'Helvetica',
+  }));
+
+  let form = '% form drawn by the page\n';
+  for (let i = 0; i < 40; i++) {
+    form += `0.500000  0.000000  0.000000  RG\n  ${(i * 10).toFixed(4)}   +000.000000   m   ${(i * 10 + 5).toFixed(4)}  100.000000   l   S\n`;
+  }
+  const formBytes = new TextEncoder().encode(form);
+  const formRef = doc.context.register(PDFRawStream.of(doc.context.obj({
+    Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 400, 100], Length: formBytes.length,
+  }), formBytes));
+
+  // 8 bytes of 8-bit gray: " EI" and unbalanced parens mid-data
+  const inlineImageData = new Uint8Array([0x20, 0x45, 0x49, 0x20, 0x28, 0xff, 0x00, 0x29]);
+  let content = '%%%% page content %%%%\n';
+  for (let i = 0; i < 30; i++) {
+    content += `BT\n  /F1    12.000000   Tf\n  72.000000   ${(700 - i * 14).toFixed(6)}   Td\n` +
+      `  <48656c6c6f2c20776f726c6421>   Tj   % greeting\nET\n`;
+  }
+  content += 'q 1.000000 0 0 1.000000 100.00 200.00 cm /Fm0 Do Q\n';
+  const head = new TextEncoder().encode(
+    `${content}q 4.0 0 0 2.0 50 50 cm\nBI /W 4 /H 2 /CS /G /BPC 8 ID `,
+  );
+  const tail = new TextEncoder().encode('\nEI Q\n');
+  const contentBytes = new Uint8Array(head.length + inlineImageData.length + tail.length);
+  contentBytes.set(head);
+  contentBytes.set(inlineImageData, head.length);
+  contentBytes.set(tail, head.length + inlineImageData.length);
+  const contentRef = doc.context.register(PDFRawStream.of(doc.context.obj({
+    Filter: 'FlateDecode', Length: 0,
+  }), zlibSync(contentBytes, { level: 9 })));
+  const contentStream = doc.context.lookup(contentRef);
+  contentStream.dict.set(PDFName.of('Length'), doc.context.obj(contentStream.contents.length));
+
+  page.node.set(PDFName.of('Resources'), doc.context.obj({
+    Font: { F1: font },
+    XObject: { Fm0: formRef },
+  }));
+  page.node.set(PDFName.of('Contents'), contentRef);
+
+  return { doc, contentRef, formRef, inlineImageData };
+}
+
+/**
+ * Create a PDF whose page content is full of operators that change nothing,
+ * the way word processors write it: the font and colour set again for every
+ * line, empty `q Q` pairs, an empty text block, and a `q … Q` around a
+ * colour change that starts in the first of the page's two content streams
+ * and ends in the second. A Form XObject sets its fill colour twice.
+ *
+ * @returns {Promise<{ doc: PDFDocument, contentRefs: PDFRef[], formRef: PDFRef }>}
+ */
+export async function createPdfWithRedundantOperators() {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([612, 792]);
+  const font = doc.context.register(doc.context.obj({
+    Type: 'Font', Subtype: 'Type1', BaseFont: 'Helvetica',
+  }));
+
+  const lines = (from) => {
+    let text = '';
+    for (let i = from; i < from + 20; i++) {
+      text += `q Q 0 g BT /F1 11 Tf 1 0 0 1 72 ${760 - i * 16} Tm (Line ${i + 1}) Tj ET\n`;
+    }
+    return text;
+  };
+  const streams = [
+    `${lines(0)}BT /F1 11 Tf 72 60 Td ET\nq 1 0 0 RG\n`,
+    `Q\n${lines(20)}/Fm0 Do\n`,
+  ];
+  const contentRefs = streams.map((text) => {
+    const bytes = new TextEncoder().encode(text);
+    return doc.context.register(PDFRawStream.of(doc.context.obj({ Length: bytes.length }), bytes));
+  });
+
+  const formBytes = new TextEncoder().encode('0 g 0 0 9 9 re f 0 g 1 1 9 9 re f');
+  const formRef = doc.context.register(PDFRawStream.of(doc.context.obj({
+    Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 10, 10], Length: formBytes.length,
+  }), formBytes));
+
+  page.node.set(PDFName.of('Resources'), doc.context.obj({
+    Font: { F1: font },
+    XObject: { Fm0: formRef },
+  }));
+  page.node.set(PDFName.of('Contents'), doc.context.obj(contentRefs));
+
+  return { doc, contentRefs, formRef };
+}
+
+/**
+ * Create a PDF of CAD-style vector content: a polyline and rectangles with
+ * six decimal places, a column of text lines placed with Td, a Form
+ * XObject drawn at 1× and 4×, and a second form used only as an
+ * annotation appearance.
+ *
+ * @returns {Promise<{ doc: PDFDocument, contentRef: PDFRef, formRef: PDFRef, appearanceRef: PDFRef }>}
+ */
+export async function createPdfWithPreciseVectors() {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([612, 792]);
+  const font = doc.context.register(doc.context.obj({
+    Type: 'Font', Subtype: 'Type1', BaseFont: 'Helvetica',
+  }));
+
+  let content = '0.5 w 72.123456 700.654321 m\n';
+  for (let i = 1; i <= 200; i++) {
+    const x = 72 + i * 2.345678 + (i % 7) * 0.000137;
+    const y = 400 + Math.sin(i / 9) * 180.123457;
+    content += `${x.toFixed(6)} ${y.toFixed(6)} l\n`;
+  }
+  content += 'S\n';
+  for (let i = 0; i < 20; i++) {
+    content += `${(100.000001 + i * 20.333333).toFixed(6)} 100.499999 15.333333 12.666667 re\n`;
+  }
+  content += 'f\nBT /F1 10 Tf 72.000004 300.000003 Td\n';
+  for (let i = 0; i < 20; i++) content += `(Row ${i + 1}) Tj 0.333333 -12.333333 Td\n`;
+  content += 'ET\n/Fm0 Do\nq 4 0 0 4 300 300 cm /Fm0 Do Q\n';
+
+  const bytes = new TextEncoder().encode(content);
+  const contentRef = doc.context.register(PDFRawStream.of(doc.context.obj({ Length: bytes.length }), bytes));
+
+  const form = (text) => {
+    const data = new TextEncoder().encode(text);
+    return doc.context.register(PDFRawStream.of(doc.context.obj({
+      Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 50, 50], Length: data.length,
+    }), data));
+  };
+  const formRef = form('1.234567 1.234567 m 48.765432 1.234567 l 48.765432 48.765432 l h S');
+  const appearanceRef = form('0.123456 0.123456 m 9.876543 9.876543 l S');
+
+  const annot = doc.context.register(doc.context.obj({
+    Type: 'Annot', Subtype: 'Square', Rect: [500, 700, 510, 710], AP: { N: appearanceRef },
+  }));
+  page.node.set(PDFName.of('Annots'), doc.context.obj([annot]));
+  page.node.set(PDFName.of('Resources'), doc.context.obj({
+    Font: { F1: font },
+    XObject: { Fm0: formRef },
+  }));
+  page.node.set(PDFName.of('Contents'), contentRef);
+
+  return { doc, contentRef, formRef, appearanceRef };
+}
+
+/**
+ * Create a three-page PDF whose pages share one /Resources dictionary that
+ * names everything in the document. Page 1 uses F1 and the colour space
+ * CS1, page 2 uses F1, the pattern P1 and the shading Sh1, and page 3
+ * draws the form Fm1 (own resources: F2) and the form Fm2, which has no
+ * resources of its own and uses GS1 from the page's. Nothing uses F3, the
+ * image Im1, GS2, CS2 or Sh2.
+ *
+ * @returns {Promise<{
+ *   doc: PDFDocument,
+ *   resourcesRef: PDFRef,
+ *   formRef: PDFRef,
+ *   unusedFontRef: PDFRef,
+ *   unusedImageRef: PDFRef,
+ * }>}
+ */
+export async function createPdfWithSharedResources() {
+  const doc = await PDFDocument.create();
+  const { context } = doc;
+  const stream = (text, dict = {}) => {
+    const bytes = new TextEncoder().encode(text);
+    return context.register(PDFRawStream.of(context.obj({ ...dict, Length: bytes.length }), bytes));
+  };
+  const font = (name) => context.register(context.obj({ Type: 'Font', Subtype: 'Type1', BaseFont: name }));
+  const shading = () => context.register(context.obj({
+    ShadingType: 2, ColorSpace: 'DeviceRGB', Coords: [0, 0, 100, 0],
+    Function: { FunctionType: 2, Domain: [0, 1], C0: [1, 0, 0], C1: [0, 0, 1], N: 1 },
+  }));
+
+  const [f1, f2, unusedFontRef] = [font('Helvetica'), font('Courier'), font('Times-Roman')];
+  const pixels = new Uint8Array(16 * 16 * 3).fill(128);
+  const unusedImageRef = context.register(PDFRawStream.of(context.obj({
+    Type: 'XObject', Subtype: 'Image', Width: 16, Height: 16, ColorSpace: 'DeviceRGB',
+    BitsPerComponent: 8, Length: pixels.length,
+  }), pixels));
+  const sh1 = shading();
+
+  const formRef = stream('BT /F2 10 Tf (Form) Tj ET', {
+    Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 100, 20],
+    Resources: { Font: { F2: f2, F3: unusedFontRef } },
+  });
+  const bareFormRef = stream('/GS1 gs 0 0 50 50 re f', { Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 50, 50] });
+
+  const resourcesRef = context.register(context.obj({
+    ProcSet: ['PDF', 'Text', 'ImageC'],
+    Font: { F1: f1, F2: f2, F3: unusedFontRef },
+    XObject: { Im1: unusedImageRef, Fm1: formRef, Fm2: bareFormRef },
+    ExtGState: { GS1: { Type: 'ExtGState', CA: 0.5 }, GS2: { Type: 'ExtGState', LW: 2 } },
+    ColorSpace: { CS1: ['ICCBased', stream('', { N: 3 })], CS2: 'DeviceGray' },
+    Pattern: { P1: { PatternType: 2, Shading: sh1 } },
+    Shading: { Sh1: sh1, Sh2: shading() },
+  }));
+
+  const contents = [
+    'BT /F1 12 Tf 72 720 Td (Page one) Tj ET /CS1 cs 0.2 0.4 0.6 sc 72 600 100 50 re f',
+    'BT /F1 12 Tf 72 720 Td (Page two) Tj ET /Pattern cs /P1 scn 72 600 100 50 re f /Sh1 sh',
+    'q 1 0 0 1 72 700 cm /Fm1 Do Q /Fm2 Do',
+  ];
+  for (const text of contents) {
+    const page = doc.addPage([612, 792]);
+    page.node.set(PDFName.of('Resources'), resourcesRef);
+    page.node.set(PDFName.of('Contents'), stream(text));
+  }
+
+  return { doc, resourcesRef, formRef, unusedFontRef, unusedImageRef };
+}
+
+/**
+ * Create a PDF whose pages draw from several content streams each, as left
+ * by stamping tools.
+ *
+ * Page 1 has an array of three streams: a Flate one and two plain ones, the
+ * first ending mid-line without whitespace and the second in a comment.
+ * Page 2 reaches its two streams through an indirect array. Page 3 draws a
+ * watermark stream that page 4 draws too.
+ *
+ * @returns {Promise<{ doc: PDFDocument, watermarkRef: PDFRef }>}
+ */
+export async function createPdfWithSplitContent() {
+  const doc = await PDFDocument.create();
+  const { context } = doc;
+  const stream = (text, compress = false) => {
+    const raw = new TextEncoder().encode(text);
+    const bytes = compress ? zlibSync(raw) : raw;
+    const dict = context.obj({ Length: bytes.length, ...(compress && { Filter: 'FlateDecode' }) });
+    return context.register(PDFRawStream.of(dict, bytes));
+  };
+  const watermarkRef = stream('q .9 g 0 0 612 792 re f Q\n');
+
+  const contents = [
+    context.obj([stream('q 1 0 0 rg 0 0 10 10 re f Q', true), stream('0 0 1 RG % stamp'), stream('0 0 m 100 100 l S')]),
+    context.register(context.obj([stream('.5 g\n'), stream('20 20 50 50 re f\n')])),
+    context.obj([watermarkRef, stream('0 0 m 10 10 l S')]),
+    watermarkRef,
+  ];
+  for (const value of contents) {
+    const page = doc.addPage([612, 792]);
+    page.node.set(PDFName.of('Contents'), value);
+  }
+
+  return { doc, watermarkRef };
+}
+
+/**
+ * Create a PDF where each of two pages has its own copy of the same
+ * indirect dicts and arrays, as left by tools that assemble files page by
+ * page — plus equal objects that must keep their identity.
+ *
+ * Each page's /F1 is a separate font dict → font descriptor → font file
+ * chain, equal only once the level below is merged; /GS1 and /CS1 are
+ * separate but equal ExtGState dicts and Indexed colour space arrays. Each
+ * page also has a link annotation without /P, and page 1 two equal ones
+ * with /P. The structure tree has two equal untyped elements, and the
+ * catalog two equal optional content groups.
+ *
+ * @returns {Promise<{
+ *   doc: PDFDocument,
+ *   fontRefs: PDFRef[],
+ *   extGStateRefs: PDFRef[],
+ *   colorSpaceRefs: PDFRef[],
+ *   unownedAnnotRefs: PDFRef[],
+ *   ownedAnnotRefs: PDFRef[],
+ *   structElemRefs: PDFRef[],
+ *   ocgRefs: PDFRef[],
+ * }>}
+ */
+export async function createPdfWithDuplicateDicts() {
+  const doc = await PDFDocument.create();
+  const { context } = doc;
+  const pages = [doc.addPage([200, 200]), doc.addPage([200, 200])];
+  const fontData = new Uint8Array(2000).map((_, i) => (i * 7) % 256);
+
+  const fontRefs = [];
+  const extGStateRefs = [];
+  const colorSpaceRefs = [];
+  const unownedAnnotRefs = [];
+  for (const page of pages) {
+    const fontFileRef = context.register(PDFRawStream.of(context.obj({ Length: fontData.length, Length1: fontData.length }), fontData));
+    const descriptorRef = context.register(context.obj({
+      Type: 'FontDescriptor', FontName: 'Dupe', Flags: 32, FontBBox: [0, 0, 1000, 1000], FontFile2: fontFileRef,
+    }));
+    fontRefs.push(context.register(context.obj({
+      Type: 'Font', Subtype: 'TrueType', BaseFont: 'Dupe', FontDescriptor: descriptorRef,
+    })));
+    extGStateRefs.push(context.register(context.obj({ Type: 'ExtGState', CA: 0.5, ca: 0.5 })));
+    colorSpaceRefs.push(context.register(context.obj(['Indexed', 'DeviceRGB', 1, PDFHexString.of('ff000000ff00')])));
+    unownedAnnotRefs.push(context.register(context.obj({
+      Type: 'Annot', Subtype: 'Link', Rect: [0, 0, 50, 20], Border: [0, 0, 0], A: { S: 'URI', URI: PDFString.of('https://example.com') },
+    })));
+    page.node.set(PDFName.of('Resources'), context.obj({
+      Font: { F1: fontRefs.at(-1) }, ExtGState: { GS1: extGStateRefs.at(-1) }, ColorSpace: { CS1: colorSpaceRefs.at(-1) },
+    }));
+  }
+
+  const ownedAnnotRefs = [0, 1].map(() => context.register(context.obj({
+    Type: 'Annot', Subtype: 'Square', Rect: [10, 10, 30, 30], P: pages[0].ref,
+  })));
+  pages[0].node.set(PDFName.of('Annots'), context.obj([unownedAnnotRefs[0], ...ownedAnnotRefs]));
+  pages[1].node.set(PDFName.of('Annots'), context.obj([unownedAnnotRefs[1]]));
+
+  const structTreeRootRef = context.nextRef();
+  const structElemRefs = [0, 1].map(() => context.register(context.obj({ S: 'P', P: structTreeRootRef, Pg: pages[0].ref })));
+  context.assign(structTreeRootRef, context.obj({ Type: 'StructTreeRoot', K: structElemRefs }));
+  doc.catalog.set(PDFName.of('StructTreeRoot'), structTreeRootRef);
+
+  const ocgRefs = [0, 1].map(() => context.register(context.obj({ Type: 'OCG', Name: PDFString.of('Layer') })));
+  doc.catalog.set(PDFName.of('OCProperties'), context.obj({ OCGs: ocgRefs, D: { ON: ocgRefs } }));
+
+  return { doc, fontRefs, extGStateRefs, colorSpaceRefs, unownedAnnotRefs, ownedAnnotRefs, structElemRefs, ocgRefs };
+}
+
+/**
+ * Create a PDF whose pages carry separate copies of the same resources:
+ * pages 1 and 2 inline, page 3 as its own object, and pages 5 and 6 by
+ * inheriting them from an intermediate /Pages node. Page 4 uses a
+ * different font. Saved and reloaded, so the page tree is pdf-lib's own.
+ *
+ * @returns {Promise<{ doc: PDFDocument, resourcesRef: PDFRef, subtreeRef: PDFRef }>}
+ *   `resourcesRef` is page 3's copy, `subtreeRef` the intermediate /Pages node
+ */
+export async function createPdfWithRepeatedResources() {
+  const doc = await PDFDocument.create();
+  const { context } = doc;
+  const font = (name) => context.register(context.obj({ Type: 'Font', Subtype: 'Type1', BaseFont: name }));
+  const [helvetica, courier] = [font('Helvetica'), font('Courier')];
+  const resources = (fontRef = helvetica) => context.obj({ Font: { F1: fontRef }, ProcSet: ['PDF', 'Text'] });
+  const text = new TextEncoder().encode('BT /F1 12 Tf 20 100 Td (Page) Tj ET');
+  const contentRef = context.register(PDFRawStream.of(context.obj({ Length: text.length }), text));
+
+  const resourcesRef = context.register(resources());
+  for (const value of [resources(), resources(), resourcesRef, resources(courier)]) {
+    const page = doc.addPage([200, 200]);
+    page.node.set(PDFName.of('Resources'), value);
+    page.node.set(PDFName.of('Contents'), contentRef);
+  }
+
+  const rootRef = doc.catalog.get(PDFName.of('Pages'));
+  const root = context.lookup(rootRef);
+  const subtreeRef = context.nextRef();
+  const leaves = [0, 1].map(() => context.register(context.obj({
+    Type: 'Page', Parent: subtreeRef, MediaBox: [0, 0, 200, 200], Contents: contentRef,
+  })));
+  context.assign(subtreeRef, context.obj({ Type: 'Pages', Parent: rootRef, Kids: leaves, Count: 2, Resources: resources() }));
+  root.lookup(PDFName.of('Kids')).push(subtreeRef);
+  root.set(PDFName.of('Count'), context.obj(6));
+
+  const reloaded = await PDFDocument.load(await doc.save({ useObjectStreams: false }));
+  return { doc: reloaded, resourcesRef, subtreeRef };
+}
+
+/**
+ * Create a PDF whose page draws Form XObjects the way cell-per-form
+ * exporters do. /Cell is drawn once, placed by its /Matrix, with its font
+ * in an indirect resource dictionary. /Fm0 starts a chain of three forms
+ * that each draw the next as their own /Fm0. /Logo is drawn twice, /Grp
+ * once but as a transparency group, and /Clash once but with a /F1 that
+ * isn't the page's.
+ *
+ * @returns {Promise<{
+ *   doc: PDFDocument,
+ *   cellRef: PDFRef,
+ *   chainRefs: PDFRef[],
+ *   logoRef: PDFRef,
+ *   groupRef: PDFRef,
+ *   clashRef: PDFRef,
+ * }>}
+ */
+export async function createPdfWithNestedForms() {
+  const doc = await PDFDocument.create();
+  const { context } = doc;
+  const font = (name) => context.register(context.obj({ Type: 'Font', Subtype: 'Type1', BaseFont: name }));
+  const [helvetica, courier] = [font('Helvetica'), font('Courier')];
+  const form = (text, extra = {}) => {
+    const bytes = new TextEncoder().encode(text);
+    const dict = context.obj({ Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 100, 20], Length: bytes.length, ...extra });
+    return context.register(PDFRawStream.of(dict, bytes));
+  };
+
+  const cellResources = context.register(context.obj({ Font: { F1: helvetica }, ProcSet: ['PDF', 'Text'] }));
+  const cellRef = form('BT /F1 10 Tf 2 6 Td (Cell) Tj ET', { Matrix: [1, 0, 0, 1, 50, 700], Resources: cellResources });
+  const leafRef = form('0 0 1 rg 0 0 10 10 re f', { Resources: {} });
+  const innerRef = form('q 2 0 0 2 0 0 cm /Fm0 Do Q', { Resources: { XObject: { Fm0: leafRef } } });
+  const wrapRef = form('/Fm0 Do', { Resources: { XObject: { Fm0: innerRef } } });
+  const logoRef = form('1 0 0 rg 0 0 100 20 re f');
+  const groupRef = form('.5 g 0 0 50 10 re f', { Group: { S: 'Transparency' } });
+  const clashRef = form('BT /F1 10 Tf (Clash) Tj ET', { Resources: { Font: { F1: courier } } });
+
+  const page = doc.addPage([612, 792]);
+  page.node.set(PDFName.of('Resources'), context.obj({
+    Font: { F1: helvetica },
+    XObject: { Cell: cellRef, Fm0: wrapRef, Logo: logoRef, Grp: groupRef, Clash: clashRef },
+  }));
+  const text = 'BT /F1 12 Tf 72 740 Td (Title) Tj ET\n/Cell Do\nq 1 0 0 1 72 600 cm /Fm0 Do Q\n'
+    + 'q 1 0 0 1 72 500 cm /Logo Do Q q 1 0 0 1 72 400 cm /Logo Do Q\n/Grp Do\nq 1 0 0 1 72 300 cm /Clash Do Q\n';
+  const bytes = new TextEncoder().encode(text);
+  page.node.set(PDFName.of('Contents'), context.register(PDFRawStream.of(context.obj({ Length: bytes.length }), bytes)));
+
+  return { doc, cellRef, chainRefs: [wrapRef, innerRef, leafRef], logoRef, groupRef, clashRef };
+}
+
+/**
+ * Create a PDF with optional content groups, as CAD and layout exports
+ * write them. One page draws a section for each group:
+ *
+ * - oc0 "Visible" — on
+ * - oc1 "Construction" — off; sets a stroke colour and width the page's
+ *   next line relies on, then draws a line, an image (/Im0) and text in a
+ *   font (/F2) nothing else uses
+ * - oc2 "Notes" — off, but also the /OC of an annotation
+ * - oc3 "Print only" — off, with a /Usage that prints it
+ * - oc4 "Clipped" — off, and clips outside any `q … Q`
+ *
+ * @returns {Promise<{ doc: PDFDocument, groupRefs: PDFRef[], imageRef: PDFRef, annotRef: PDFRef }>}
+ */
+export async function createPdfWithHiddenLayers() {
+  const doc = await PDFDocument.create();
+  const { context } = doc;
+  const group = (name, extra = {}) => context.register(context.obj({ Type: 'OCG', Name: PDFString.of(name), ...extra }));
+  const groupRefs = [
+    group('Visible'),
+    group('Construction'),
+    group('Notes'),
+    group('Print only', { Usage: { Print: { PrintState: 'ON' } } }),
+    group('Clipped'),
+  ];
+  const [visible, construction, ...rest] = groupRefs;
+  doc.catalog.set(PDFName.of('OCProperties'), context.obj({
+    OCGs: groupRefs,
+    D: { Order: groupRefs, OFF: [construction, ...rest], RBGroups: [[construction, visible]] },
+  }));
+
+  const pixels = new Uint8Array([255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255]);
+  const imageRef = context.register(PDFRawStream.of(context.obj({
+    Type: 'XObject', Subtype: 'Image', Width: 2, Height: 2, ColorSpace: 'DeviceRGB', BitsPerComponent: 8, Length: pixels.length,
+  }), pixels));
+  const font = (name) => context.register(context.obj({ Type: 'Font', Subtype: 'Type1', BaseFont: name }));
+
+  const page = doc.addPage([612, 792]);
+  page.node.set(PDFName.of('Resources'), context.obj({
+    Font: { F1: font('Helvetica'), F2: font('Courier') },
+    XObject: { Im0: imageRef },
+    Properties: Object.fromEntries(groupRefs.map((ref, i) => [`oc${i}`, ref])),
+  }));
+  const text = [
+    '/OC /oc0 BDC 0 0 1 rg 10 10 100 100 re f BT /F1 12 Tf 20 50 Td (Visible) Tj ET EMC',
+    '/OC /oc1 BDC 1 0 0 RG 2 w 0 0 m 200 200 l S q 50 0 0 50 300 300 cm /Im0 Do Q q BT /F2 9 Tf (Note) Tj ET Q EMC',
+    '0 0 m 612 792 l S',
+    '/OC /oc2 BDC q 0 g 5 5 20 20 re f Q EMC',
+    '/OC /oc3 BDC q 0 g 30 5 20 20 re f Q EMC',
+    '/OC /oc4 BDC 0 0 50 50 re W n 0 g 0 0 10 10 re f EMC',
+  ].join('\n');
+  const bytes = new TextEncoder().encode(text);
+  page.node.set(PDFName.of('Contents'), context.register(PDFRawStream.of(context.obj({ Length: bytes.length }), bytes)));
+
+  const annotRef = context.register(context.obj({ Type: 'Annot', Subtype: 'Square', Rect: [5, 5, 25, 25], OC: rest[0] }));
+  page.node.set(PDFName.of('Annots'), context.obj([annotRef]));
+
+  return { doc, groupRefs, imageRef, annotRef };
+}
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { generateHtmlReport } from '../../src/ui/inspector.js';
+import { generateHtmlReport, buildInspectPanel } from '../../src/ui/inspector.js';
 
 /** Minimal stats object matching the shape produced by the pipeline. */
 function makeStats({
@@ -115,6 +115,21 @@ describe('generateHtmlReport', () => {
     expect(html).toContain('3 metadata entries stripped');
   });
 
+  it('lists content stream sizes per page from coordinate rounding', () => {
+    const passes = [
+      { name: 'Rounding coordinates', rounded: 120, pages: [{ page: 2, before: 4096, after: 1024 }] },
+    ];
+    const html = generateHtmlReport(makeStats({ passes }), 'test.pdf');
+    expect(html).toContain('120 coordinates rounded');
+    const section = html.split('Rewritten Content Streams by Page')[1].split('</table>')[0];
+    expect(section).toContain('<td>Page 2</td><td>4.0 KB</td><td>1.0 KB</td>');
+  });
+
+  it('leaves out the per-page table when no pass reports stream sizes', () => {
+    const passes = [{ name: 'Minifying content streams', minified: 2, pages: [{ page: 1, savedBytes: 300 }] }];
+    expect(generateHtmlReport(makeStats({ passes }), 'test.pdf')).not.toContain('by Page');
+  });
+
   it('shows "stream merged" for removed Page Content items', () => {
     const stats = makeStats();
     // Remove a page content item from the "after" snapshot
@@ -170,3 +185,30 @@ describe('generateHtmlReport', () => {
     expect(html).toContain('Generated by PDF-A-go-slim');
   });
 });
+
+describe('buildInspectPanel', () => {
+  it('shows before and after stream sizes per page under Page Content', () => {
+    const passes = [
+      { name: 'Rounding coordinates', rounded: 3, pages: [{ page: 1, before: 2048, after: 1024 }] },
+    ];
+    const html = buildInspectPanel(makeStats({ passes }));
+    const pageContent = html.split('Page Content')[1].split('</details>')[0];
+    expect(pageContent).toContain('3 coordinates rounded');
+    expect(pageContent).toContain('Rewritten streams by page');
+    expect(pageContent).toContain('2.0 KB \u2192 1.0 KB');
+  });
+
+  it('reports pages that now share content under Page Content', () => {
+    const passes = [{ name: 'Deduplicating objects', deduplicated: 499, pagesSharingContent: 500 }];
+    const html = buildInspectPanel(makeStats({ passes }));
+    const pageContent = html.split('Page Content')[1].split('</details>')[0];
+    expect(pageContent).toContain('500 pages now share content');
+  });
+
+  it('reports inlined forms and the objects they removed under Page Content', () => {
+    const passes = [{ name: 'Inlining form XObjects', inlined: 120, objectsRemoved: 240 }];
+    const html = buildInspectPanel(makeStats({ passes }));
+    const pageContent = html.split('Page Content')[1].split('</details>')[0];
+    expect(pageContent).toContain('120 forms inlined, 240 fewer objects');
+  });
+});
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { buildDebugPanel } from '../../src/ui/stats.js';
+
+describe('buildDebugPanel', () => {
+  it('says why each skipped pass was skipped', () => {
+    const html = buildDebugPanel({
+      passes: [
+        { name: 'Stripping metadata', _ms: 0, gated: 'signed' },
+        { name: 'Subsetting fonts', _ms: 0, gated: 'pdfa' },
+        { name: 'Recompressing images', _ms: 0, gated: 'lossy' },
+      ],
+    });
+
+    expect(html).toContain('Stripping metadata</td><td style="text-align:right">0 ms (skipped: signed PDF: incremental update)');
+    expect(html).toContain('(skipped: PDF/A)');
+    expect(html).toContain('(skipped: lossless)');
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect } from 'vitest';
+import { createWorkerPool } from '../../src/ui/worker-pool.js';
+
+/**
+ * Stand-in for a worker.js Worker: records jobs and lets the test decide
+ * when each one reports progress, finishes or fails.
+ */
+class FakeWorker {
+  constructor(log) {
+    this.log = log;
+    this.jobs = [];
+    this.terminated = false;
+    log.workers.push(this);
+  }
+
+  postMessage(msg) {
+    if (msg.type === 'optimize') {
+      this.jobs.push(msg);
+      this.log.started.push(msg.options.name);
+    } else if (msg.type === 'cancel') {
+      this.reply({ type: 'cancelled', id: msg.id });
+    }
+  }
+
+  reply(data) {
+    queueMicrotask(() => this.onmessage({ data }));
+  }
+
+  finish(name) {
+    const job = this.jobs.find((j) => j.options.name === name);
+    this.reply({ type: 'progress', id: job.id, progress: 0.5, pass: 'Recompressing streams' });
+    this.reply({ type: 'result', id: job.id, result: job.buffer, stats: { name } });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+function setup(size) {
+  const log = { workers: [], started: [] };
+  const pool = createWorkerPool({ size, createWorker: () => new FakeWorker(log) });
+  const run = (name, jobOptions) => pool.run(new ArrayBuffer(8), { name }, jobOptions);
+  const workerRunning = (name) => log.workers.find((w) => w.jobs.some((j) => j.options.name === name));
+  return { log, pool, run, workerRunning };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('createWorkerPool', () => {
+  it('runs up to `size` jobs at once and reuses workers', async () => {
+    const { log, pool, run, workerRunning } = setup(2);
+    const jobs = ['a', 'b', 'c'].map((name) => run(name));
+    await tick();
+
+    expect(log.started).toEqual(['a', 'b']);
+    expect(pool.pending).toEqual({ queued: 1, running: 2 });
+
+    workerRunning('a').finish('a');
+    expect(await jobs[0]).toMatchObject({ stats: { name: 'a' } });
+    await tick();
+    expect(log.started).toEqual(['a', 'b', 'c']);
+    expect(log.workers).toHaveLength(2);
+    expect(workerRunning('c')).toBe(workerRunning('a'));
+
+    workerRunning('b').finish('b');
+    workerRunning('c').finish('c');
+    await Promise.all(jobs);
+    expect(pool.pending).toEqual({ queued: 0, running: 0 });
+  });
+
+  it('starts higher-priority jobs first, FIFO among equals', async () => {
+    const { log, run, workerRunning } = setup(1);
+    const jobs = [run('first'), run('low', { priority: -1 }), run('high', { priority: 5 }), run('normal')];
+    await tick();
+
+    for (const name of ['first', 'high', 'normal', 'low']) {
+      workerRunning(name).finish(name);
+      await tick();
+    }
+    await Promise.all(jobs);
+    expect(log.started).toEqual(['first', 'high', 'normal', 'low']);
+  });
+
+  it('streams progress to the job that owns it', async () => {
+    const { run, workerRunning } = setup(1);
+    const progress = [];
+    const job = run('a', { onProgress: (value, pass) => progress.push([value, pass]) });
+    await tick();
+    workerRunning('a').finish('a');
+    await job;
+    expect(progress).toEqual([[0.5, 'Recompressing streams']]);
+  });
+
+  it('cancels queued and running jobs through their signal', async () => {
+    const { log, run, workerRunning } = setup(1);
+    const controller = new AbortController();
+    const running = run('running', { signal: controller.signal });
+    const queued = run('queued', { signal: controller.signal });
+    const other = run('other');
+    await tick();
+
+    controller.abort();
+    await expect(running).rejects.toThrow('Cancelled');
+    await expect(queued).rejects.toThrow('Cancelled');
+
+    // The same worker moves on to the next job
+    await tick();
+    expect(log.started).toEqual(['running', 'other']);
+    workerRunning('other').finish('other');
+    await expect(other).resolves.toMatchObject({ stats: { name: 'other' } });
+    expect(log.workers).toHaveLength(1);
+  });
+
+  it('replaces a crashed worker and keeps the queue going', async () => {
+    const { log, run, workerRunning } = setup(1);
+    const crashing = run('crash');
+    const next = run('next');
+    await tick();
+
+    const crashed = workerRunning('crash');
+    crashed.onerror(new Error('worker crashed'));
+    await expect(crashing).rejects.toThrow('worker crashed');
+    expect(crashed.terminated).toBe(true);
+
+    await tick();
+    expect(log.workers).toHaveLength(2);
+    workerRunning('next').finish('next');
+    await expect(next).resolves.toBeDefined();
+  });
+
+  it('never hands a job to an idle worker that crashed', async () => {
+    const { log, run, workerRunning } = setup(1);
+    const first = run('first');
+    await tick();
+    const worker = workerRunning('first');
+    worker.finish('first');
+    await first;
+
+    worker.onerror(new Error('worker crashed'));
+    const next = run('next');
+    await tick();
+    expect(worker.jobs).toHaveLength(1);
+    expect(log.workers).toHaveLength(2);
+    workerRunning('next').finish('next');
+    await expect(next).resolves.toBeDefined();
+  });
+
+  it('rejects error replies and reads Blob inputs lazily', async () => {
+    const { log, pool } = setup(1);
+    const job = pool.run(new Blob([new Uint8Array([1, 2, 3])]), { name: 'blob' });
+    await tick();
+
+    const [worker] = log.workers;
+    expect(new Uint8Array(worker.jobs[0].buffer)).toEqual(new Uint8Array([1, 2, 3]));
+    worker.reply({ type: 'error', id: worker.jobs[0].id, error: 'Failed to parse PDF' });
+    await expect(job).rejects.toThrow('Failed to parse PDF');
+  });
+
+  it('keeps the error code so callers can ask for a password', async () => {
+    const { log, run } = setup(1);
+    const job = run('locked');
+    await tick();
+
+    const [worker] = log.workers;
+    worker.reply({ type: 'error', id: worker.jobs[0].id, error: 'Incorrect password for this PDF', code: 'PASSWORD_INCORRECT' });
+    await expect(job).rejects.toMatchObject({ message: 'Incorrect password for this PDF', code: 'PASSWORD_INCORRECT' });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Linearization checks for test output.
+ *
+ * Parses a linearized PDF's parameter dictionary, both cross-reference
+ * sections and the primary hint stream straight from the bytes, then checks
+ * the hint tables against the real object offsets: page starts, per-page
+ * object counts and lengths, and shared object group positions.
+ *
+ * Hint table offsets for objects after the hint stream are stored as if the
+ * stream were absent (PDF 32000-1 Annex F), so they are shifted by /H's
+ * length before comparing.
+ */
+import { decompressSync } from 'fflate';
+import { PDFDocument } from 'pdf-lib';
+
+/** MSB-first bit reader matching the hint table encoding. */
+class BitReader {
+  constructor(bytes, start = 0) {
+    this.bytes = bytes;
+    this.bit = start * 8;
+  }
+
+  read(nbits) {
+    let value = 0;
+    for (let i = 0; i < nbits; i++) {
+      const byte = this.bytes[this.bit >> 3];
+      value = value * 2 + ((byte >> (7 - (this.bit & 7))) & 1);
+      this.bit++;
+    }
+    return value;
+  }
+
+  align() {
+    this.bit = Math.ceil(this.bit / 8) * 8;
+  }
+}
+
+function parseXrefAt(text, offset) {
+  const m = /^xref\s+(\d+)\s+(\d+)\s*\n/.exec(text.slice(offset, offset + 64));
+  if (!m) return null;
+  const first = Number(m[1]);
+  const count = Number(m[2]);
+  const entriesStart = offset + m[0].length;
+  const offsets = new Map();
+  for (let i = 0; i < count; i++) {
+    const entry = text.slice(entriesStart + i * 20, entriesStart + i * 20 + 20);
+    if (entry[17] === 'n') offsets.set(first + i, Number(entry.slice(0, 10)));
+  }
+  const trailerStart = entriesStart + count * 20;
+  const trailer = text.slice(trailerStart, text.indexOf('>>', trailerStart) + 2);
+  return { first, count, offsets, trailer, entriesStart };
+}
+
+function readHintTables(data, sharedOffset, pageCount) {
+  const r = new BitReader(data);
+  const header = {
+    minObjects: r.read(32),
+    firstPageOffset: r.read(32),
+    objectBits: r.read(16),
+    minLength: r.read(32),
+    lengthBits: r.read(16),
+    minContentOffset: r.read(32),
+    contentOffsetBits: r.read(16),
+    minContentLength: r.read(32),
+    contentLengthBits: r.read(16),
+    nsharedBits: r.read(16),
+    sharedIdBits: r.read(16),
+    numeratorBits: r.read(16),
+    denominator: r.read(16),
+  };
+  const column = (nbits, count = pageCount) => {
+    const values = Array.from({ length: count }, () => r.read(nbits));
+    r.align();
+    return values;
+  };
+  const pages = Array.from({ length: pageCount }, () => ({}));
+  column(header.objectBits).forEach((v, i) => { pages[i].nobjects = header.minObjects + v; });
+  column(header.lengthBits).forEach((v, i) => { pages[i].length = header.minLength + v; });
+  column(header.nsharedBits).forEach((v, i) => { pages[i].nshared = v; });
+  const ids = column(header.sharedIdBits, pages.reduce((n, p) => n + p.nshared, 0));
+  column(header.numeratorBits, ids.length);
+  let k = 0;
+  for (const page of pages) page.shared = ids.slice(k, (k += page.nshared));
+  column(header.contentOffsetBits).forEach((v, i) => { pages[i].contentOffset = header.minContentOffset + v; });
+  column(header.contentLengthBits).forEach((v, i) => { pages[i].contentLength = header.minContentLength + v; });
+
+  const s = new BitReader(data, sharedOffset);
+  const shared = {
+    firstObjectNumber: s.read(32),
+    firstObjectOffset: s.read(32),
+    firstPageEntries: s.read(32),
+    totalEntries: s.read(32),
+    groupObjectBits: s.read(16),
+    minGroupLength: s.read(32),
+    groupLengthBits: s.read(16),
+  };
+  const groupLengths = Array.from({ length: shared.totalEntries }, () => shared.minGroupLength + s.read(shared.groupLengthBits));
+  s.align();
+  shared.groups = groupLengths.map((length) => ({ length }));
+
+  return { header, pages, shared };
+}
+
+/**
+ * Verify a linearized PDF's structure and hint tables.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{ errors: string[], params: object|null, hints: object|null }>}
+ */
+export async function verifyLinearization(bytes) {
+  const errors = [];
+  const text = new TextDecoder('latin1').decode(bytes);
+
+  const linMatch = /(\d+) 0 obj\s*<<\s*\/Linearized 1 \/L (\d+)\s*\/H \[ (\d+)\s+(\d+)\s*\] \/O (\d+) \/E (\d+)\s*\/N (\d+) \/T (\d+)\s*>>/
+    .exec(text.slice(0, 1024));
+  if (!linMatch) return { errors: ['No linearization parameter dictionary in the first 1024 bytes'], params: null, hints: null };
+  const [, , L, hOffset, hLength, O, E, N, T] = linMatch.map(Number);
+  const params = { L, H: [hOffset, hLength], O, E, N, T };
+  const adjust = (offset) => (offset >= hOffset ? offset + hLength : offset);
+
+  if (L !== bytes.length) errors.push(`/L is ${L} but the file is ${bytes.length} bytes`);
+
+  // --- Cross-reference sections ---
+  const firstXrefOffset = text.indexOf('xref', linMatch.index + linMatch[0].length);
+  const firstXref = parseXrefAt(text, firstXrefOffset);
+  if (!firstXref) return { errors: [...errors, 'First-page xref section not found'], params, hints: null };
+  const prev = Number(/\/Prev (\d+)/.exec(firstXref.trailer)?.[1]);
+  const mainXref = parseXrefAt(text, prev);
+  if (!mainXref) return { errors: [...errors, `/Prev ${prev} does not point at the main xref section`], params, hints: null };
+  if (mainXref.first !== 0 || mainXref.first + mainXref.count !== firstXref.first) {
+    errors.push('Main xref section does not cover the objects below the first-page section');
+  }
+  const startxref = Number(/startxref\s+(\d+)\s+%%EOF\s*$/.exec(text)?.[1]);
+  if (startxref !== firstXrefOffset) errors.push(`Final startxref ${startxref} does not point at the first-page xref (${firstXrefOffset})`);
+  if (!/\s/.test(text[T]) || !text.slice(T).trimStart().startsWith('0000000000 65535 f')) {
+    errors.push(`/T ${T} does not precede the first main xref entry`);
+  }
+
+  const offsets = new Map([...mainXref.offsets, ...firstXref.offsets]);
+  for (const [num, offset] of offsets) {
+    if (!text.startsWith(`${num} 0 obj`, offset)) errors.push(`xref offset ${offset} for object ${num} is wrong`);
+  }
+  const sortedStarts = [...offsets.values()].sort((a, b) => a - b);
+  const countObjectsIn = (start, end) => sortedStarts.filter((o) => o >= start && o < end).length;
+
+  // --- Hint stream ---
+  const hintHead = /^(\d+) 0 obj\s*<<([^>]*)>>\s*stream\r?\n/.exec(text.slice(hOffset, hOffset + 256));
+  if (!hintHead) return { errors: [...errors, `/H offset ${hOffset} is not the start of the hint stream`], params, hints: null };
+  const streamLength = Number(/\/Length (\d+)/.exec(hintHead[2])[1]);
+  const sharedOffset = Number(/\/S (\d+)/.exec(hintHead[2])?.[1]);
+  const rawStart = hOffset + hintHead[0].length;
+  const hintEnd = text.indexOf('endobj', rawStart + streamLength) + 'endobj'.length;
+  if (hOffset + hLength < hintEnd) errors.push(`/H length ${hLength} is shorter than the hint stream object`);
+  let data = bytes.subarray(rawStart, rawStart + streamLength);
+  if (/\/Filter\s*\/FlateDecode/.test(hintHead[2])) data = decompressSync(data);
+
+  const hints = readHintTables(data, sharedOffset, N);
+
+  // --- Page offset hint table vs. the real layout ---
+  const doc = await PDFDocument.load(bytes, { updateMetadata: false });
+  const pageNumbers = doc.getPages().map((p) => p.ref.objectNumber);
+  if (pageNumbers.length !== N) errors.push(`/N is ${N} but the document has ${pageNumbers.length} pages`);
+  if (pageNumbers[0] !== O) errors.push(`/O is ${O} but the first page is object ${pageNumbers[0]}`);
+
+  let pageStart = adjust(hints.header.firstPageOffset);
+  for (let i = 0; i < Math.min(N, pageNumbers.length); i++) {
+    const page = hints.pages[i];
+    const actualStart = offsets.get(pageNumbers[i]);
+    if (actualStart !== pageStart) {
+      errors.push(`Page ${i + 1}: hint tables place it at ${pageStart}, xref says ${actualStart}`);
+    }
+    const pageEnd = pageStart + page.length;
+    const count = countObjectsIn(pageStart, pageEnd);
+    if (count !== page.nobjects) {
+      errors.push(`Page ${i + 1}: hint tables say ${page.nobjects} objects, found ${count} in its byte range`);
+    }
+    if (page.contentLength > 0 && !offsets.has(Number(/^(\d+) 0 obj/.exec(text.slice(pageStart + page.contentOffset))?.[1]))) {
+      errors.push(`Page ${i + 1}: content stream offset does not point at an object`);
+    }
+    for (const id of page.shared) {
+      if (id >= hints.shared.totalEntries) errors.push(`Page ${i + 1}: shared object ${id} out of range`);
+    }
+    if (i === 0 && pageEnd !== E) errors.push(`/E is ${E} but the first page ends at ${pageEnd}`);
+    pageStart = pageEnd;
+  }
+
+  // --- Shared object hint table vs. the real layout ---
+  const { shared } = hints;
+  let groupStart = adjust(hints.header.firstPageOffset);
+  shared.groups.forEach((group, i) => {
+    if (i === shared.firstPageEntries) {
+      groupStart = adjust(shared.firstObjectOffset);
+      if (offsets.get(shared.firstObjectNumber) !== groupStart) {
+        errors.push(`Shared section starts at ${groupStart} but object ${shared.firstObjectNumber} is at ${offsets.get(shared.firstObjectNumber)}`);
+      }
+    }
+    group.offset = groupStart;
+    const count = countObjectsIn(groupStart, groupStart + group.length);
+    if (count !== 1 || !sortedStarts.includes(groupStart)) {
+      errors.push(`Shared group ${i} at ${groupStart} (+${group.length}) does not span exactly one object`);
+    }
+    groupStart += group.length;
+  });
+  if (shared.firstPageEntries > 0 && shared.groups[shared.firstPageEntries - 1].offset + shared.groups[shared.firstPageEntries - 1].length !== E) {
+    errors.push('First-page shared groups do not end at /E');
+  }
+
+  return { errors, params, hints };
+}